@@ -31,6 +31,7 @@ var app = require('express')(),
     i18nFileSystemBackend = require('i18next-node-fs-backend'),
     i18nMiddleware = require('i18next-express-middleware'),
     fs = require("fs"),
+    querystring = require("querystring"),
     flash = require("connect-flash"),
     session = require("express-session"),
     validator = require("express-validator");
@@ -71,6 +72,7 @@ i18n.use(i18nFileSystemBackend)
 
 // configure body-parser usage for POST API calls.
 app.use(bodyParser.urlencoded({ extended: true }));
+app.use(bodyParser.json());
 
 /**
  * Configure Express Application Middlewares:
@@ -140,10 +142,23 @@ app.get('/*', function(req, res, next) {
 /**
  * Configure the NEM2Pay Backend Modules. This includes following:
  * 
- * - NEMHelpers : defines general blockchain config (hosts, wallets)
+ * - NEMHelpers : defines general blockchain config (node pool, wallets)
  * - PaymentsDatabase : MongoDB (mongoose) wrapper for the PacNEM backend
  * - PaymentsProtocol : The Payment Protocol defines how to handle Invoices
- * - PacNEM_Crons : Define workers for the PacNEM Backend
+ * - NEM2Pay_Webhooks : Signed Merchant webhooks for invoice status changes
+ * - NEM2Pay_ExchangeRates : Fiat to mosaic conversion with pluggable rate providers
+ * - NEM2Pay_Listener : Built-in NIS websocket listener, alternative to the NEMBot
+ * - NEM2Pay_Ledger : Persistent ledger of the transactions matched to invoices
+ * - NEM2Pay_DepositAccounts : Per-invoice receiving accounts derived from the wallet salt
+ * - NEM2Pay_Refunds : Refunds of overpaid invoices as unsigned NEM transfers
+ * - PaymentsReconciler : Verifies and persists invoices with blockchain data
+ * - NEM2Pay_Export : Streaming accounting export of invoices and their transactions (CSV, NDJSON)
+ * - NEM2Pay_Reports : Revenue and conversion reports computed with aggregations (cached)
+ * - NEM2Pay_QRCodes : Server-side QR code rendering (SVG, PNG)
+ * - NEM2Pay_Checkout : Hosted checkout page of invoices (`/pay/:token`)
+ * - NEM2Pay_Admin : Admin authentication (basic auth or admin tokens), roles and audit log
+ * - NEM2Pay_AdminDashboard : Invoice browsing and manual invoice actions for the admin dashboard
+ * - NEM2Pay_Crons : Define workers for the NEM2Pay Backend (node health, invoice expiry, webhooks, reconciliation)
  */
 // configure blockchain layer
 var helpers = require('./core/helpers.js').service;
@@ -153,10 +168,70 @@ var NEMHelpers = new helpers(io, nem, logger);
 var DBStore = require('./core/database.js').DBStore;
 var PaymentsDatabase = new DBStore(io, NEMHelpers);
 
+// configure Merchant webhooks delivery
+var Webhooks = require("./core/webhooks.js").WebhookDispatcher;
+var NEM2Pay_Webhooks = new Webhooks(logger, PaymentsDatabase);
+
+// configure exchange rates for fiat invoices
+var ExchangeRates = require("./core/exchange-rates.js").ExchangeRates;
+var NEM2Pay_ExchangeRates = new ExchangeRates(logger);
+
+// configure the built-in payments listener (payments.listener.mode = "nis")
+var NISListener = require("./core/nis-listener.js").NISPaymentListener;
+var NEM2Pay_Listener = new NISListener(logger, NEMHelpers, PaymentsDatabase);
+
+// configure the ledger of transactions matched to invoices
+var TransactionLedger = require("./core/transaction-ledger.js").TransactionLedger;
+var NEM2Pay_Ledger = new TransactionLedger(logger, NEMHelpers, PaymentsDatabase);
+
 // configure our PaymentsCore implementation, handling payment
 // processor and NEMBot communication
 var Protocol = require("./core/payments-protocol.js").PaymentsProtocol;
-var PaymentsProtocol = new Protocol(io, logger, NEMHelpers, PaymentsDatabase);
+var PaymentsProtocol = new Protocol(io, logger, NEMHelpers, PaymentsDatabase, NEM2Pay_Webhooks, NEM2Pay_ExchangeRates, NEM2Pay_Listener, NEM2Pay_Ledger);
+
+// configure per-invoice deposit accounts
+var DepositAccounts = require("./core/deposit-accounts.js").DepositAccounts;
+var NEM2Pay_DepositAccounts = new DepositAccounts(logger, NEMHelpers, PaymentsDatabase);
+
+// configure refunds of overpaid invoices
+var Refunds = require("./core/refunds.js").RefundsManager;
+var NEM2Pay_Refunds = new Refunds(logger, NEMHelpers, PaymentsDatabase);
+
+// configure blockchain reconciliation of invoices
+var Reconciler = require("./core/reconciler.js").PaymentsReconciler;
+var PaymentsReconciler = new Reconciler(logger, PaymentsDatabase, PaymentsProtocol, NEM2Pay_Refunds, NEM2Pay_Ledger);
+
+// configure the accounting export of invoices
+var InvoiceExporter = require("./core/invoice-export.js").InvoiceExporter;
+var NEM2Pay_Export = new InvoiceExporter(logger, PaymentsDatabase, NEM2Pay_Ledger);
+
+// configure the revenue and conversion reports
+var PaymentReports = require("./core/reports.js").PaymentReports;
+var NEM2Pay_Reports = new PaymentReports(logger, PaymentsDatabase);
+
+// configure QR code rendering and the hosted checkout page
+var QRCodeRenderer = require("./core/qr-codes.js").QRCodeRenderer;
+var NEM2Pay_QRCodes = new QRCodeRenderer(logger);
+var InvoiceCheckout = require("./core/checkout.js").InvoiceCheckout;
+var NEM2Pay_Checkout = new InvoiceCheckout(logger, PaymentsDatabase, PaymentsProtocol);
+
+// configure Merchant API authentication and request validation
+var MerchantAuthenticator = require("./core/merchant-auth.js").MerchantAuthenticator;
+var NEM2Pay_MerchantAuth = new MerchantAuthenticator(logger, PaymentsDatabase);
+var InvoiceRequestValidator = require("./core/invoice-requests.js").InvoiceRequestValidator;
+var NEM2Pay_InvoiceRequests = new InvoiceRequestValidator(logger, NEMHelpers);
+
+// configure admin authentication and audit log
+var AdminAuthenticator = require("./core/admin-auth.js").AdminAuthenticator;
+var NEM2Pay_Admin = new AdminAuthenticator(logger, PaymentsDatabase);
+
+// configure the admin dashboard
+var AdminDashboard = require("./core/admin-dashboard.js").AdminDashboard;
+var NEM2Pay_AdminDashboard = new AdminDashboard(logger, PaymentsDatabase, PaymentsProtocol, PaymentsReconciler, NEM2Pay_Ledger);
+
+// configure background workers, started once the server listens.
+var Crons = require("./core/crons.js").NEM2PayCrons;
+var NEM2Pay_Crons = new Crons(logger, PaymentsProtocol, NEM2Pay_Webhooks, PaymentsReconciler, NEMHelpers);
 
 var NEM2Pay_i18n = function() {
     this.getLocales = function() {
@@ -293,21 +368,122 @@ app.get("/:lang", function(req, res) {
     return res.redirect("/");
 });
 
+/**
+ * Create an invoice for `merchant`. When the Merchant payment policy
+ * enables deposit accounts, the invoice gets its own receiving account.
+ *
+ * @param   {Merchant}  merchant
+ * @param   {object}    invoiceData
+ * @param   {string}    clientSocketId
+ * @param   {Function}  callback        Callback function executed with `err` and the invoice
+ */
+var createMerchantInvoice = function(merchant, invoiceData, clientSocketId, callback) {
+    if (!invoiceData.policy.depositAccounts)
+        return PaymentsProtocol.createInvoice(invoiceData, clientSocketId, callback);
+
+    NEM2Pay_DepositAccounts.allocate(merchant, function(err, account) {
+        if (err)
+            return callback(err);
+
+        invoiceData.depositAccount = account;
+        return PaymentsProtocol.createInvoice(invoiceData, clientSocketId, callback);
+    });
+};
+
+/**
+ * Build the invoice response item for the invoices API. This
+ * contains the QR code data as well as UI label settings.
+ *
+ * @param   {NEMPaymentChannel}     invoice
+ * @return  {object}
+ */
+var getInvoiceResponseItem = function(invoice) {
+    var statusLabelClass = "label-default";
+    var statusLabelIcon = "glyphicon glyphicon-time";
+
+    if (invoice.isPaid) {
+        statusLabelClass = "label-success";
+        statusLabelIcon = "glyphicon glyphicon-ok";
+    } else if (invoice.status == "paid_partly") {
+        statusLabelClass = "label-info";
+        statusLabelIcon = "glyphicon glyphicon-download-alt";
+    } else if (invoice.status == "awaiting_cosignatures") {
+        statusLabelClass = "label-warning";
+        statusLabelIcon = "glyphicon glyphicon-pencil";
+    } else if (invoice.status == "confirming") {
+        statusLabelClass = "label-info";
+        statusLabelIcon = "glyphicon glyphicon-hourglass";
+    }
+
+    return {
+        network: NEMHelpers.getNetwork(),
+        qrData: invoice.getQRData(),
+        invoice: invoice,
+        statusLabelClass: statusLabelClass,
+        statusLabelIcon: statusLabelIcon
+    };
+};
+
+/**
+ * Authenticate the calling Merchant by its API key, sent in the
+ * `X-API-Key` header.
+ *
+ * The authenticated Merchant is stored in `req.merchant`.
+ *
+ * @param {*} req 
+ * @param {*} res 
+ * @param {Function} next
+ */
+var authenticateMerchant = NEM2Pay_MerchantAuth.requireMerchant();
+
 /**
  * API Routes
  *
  * Following routes are used for handling the business/data
  * layer.
  *
- * All API routes are prefixed by `/api/v1` currently. Following
- * API routes are defined by PacNEM:
+ * All API routes are prefixed by `/api/v1` currently. Invoice routes
+ * are authenticated by Merchant API key and scoped to the calling
+ * Merchant. Following API routes are defined by NEM2Pay:
  * 
- * - GET /invoices/create : Create Invoice for Frontend
+ * - POST /invoices : Create Invoice with amount (or fiat price), mosaic, description and reference
+ * - GET /invoices/create : Create Invoice for Frontend (compatibility)
  * - GET /invoices/history : View Invoice History (or Single Invoice)
+ * - GET /invoices/:number/webhooks : View Webhook Delivery Log of an Invoice
+ * - GET /invoices/:number/transactions : View the Transactions matched to an Invoice
+ * - GET /invoices/export : Export Invoices and their Transactions for a date range (`format` csv or ndjson)
+ * - GET /merchant/policy : View the Merchant payment policy (tolerance, partial payments, deposit accounts, confirmations)
+ * - POST /merchant/policy : Update the Merchant payment policy, applied to new Invoices
+ * - GET /refunds : List Refunds of overpaid Invoices (optional `status` filter)
+ * - POST /refunds/:id/approve : Approve a pending Refund
+ * - POST /refunds/export : Export approved Refunds as unsigned NEM transfers
+ * - GET /reports/summary : Invoices created and paid, conversion rate, average time to pay, overpaid and expired counts
+ * - GET /reports/revenue : Revenue per mosaic and per `interval` (day, week or month)
  * 
  */
 
-app.get("/api/v1/invoices/create", function(req, res) {
+app.post("/api/v1/invoices", authenticateMerchant, function(req, res) {
+    res.setHeader('Content-Type', 'application/json');
+
+    NEM2Pay_InvoiceRequests.validateCreate(req, function(err, invoiceData) {
+        if (err)
+            return res.send(JSON.stringify({ "status": "error", "message": err.message, "errors": err.errors }));
+
+        var clientSocketId = req.body.usid ? req.body.usid : null;
+        createMerchantInvoice(req.merchant, invoiceData, clientSocketId, function(err, invoice) {
+            if (err) {
+                var errorMessage = "Error occured on NEMPaymentChannel creation: " + err;
+
+                serverLog(req, errorMessage, "ERROR");
+                return res.send(JSON.stringify({ "status": "error", "message": errorMessage }));
+            }
+
+            return res.send(JSON.stringify({ status: "ok", item: getInvoiceResponseItem(invoice) }));
+        });
+    });
+});
+
+app.get("/api/v1/invoices/create", authenticateMerchant, function(req, res) {
     res.setHeader('Content-Type', 'application/json');
 
     var amount = parseFloat(config.get("prices.entry"));
@@ -318,81 +494,47 @@ app.get("/api/v1/invoices/create", function(req, res) {
 
     var invoiceNumber = req.query.num ? req.query.num : null;
 
-    var payer = req.query.payer ? req.query.payer : undefined;
-    if (!payer.length || NEMHelpers.isApplicationWallet(payer))
-    // cannot be one of the application wallets
+    var merchant = req.merchant;
+    var payer = req.query.payer ? req.query.payer.toUpperCase().replace(/-/g, "") : undefined;
+    if (!payer || !nem.model.address.isValid(payer) || merchant.isRecipient(payer))
+    // cannot be one of the merchant's receiving wallets
         return res.send(JSON.stringify({ "status": "error", "message": "Invalid value for field `payer`." }));
 
-    var recipient = req.query.recipient ? req.query.recipient : config.get("pacnem.business"); // the App's MultiSig wallet
-    if (!recipient.length || !NEMHelpers.isApplicationWallet(recipient))
-    // must be one of the application wallets
+    var recipient = req.query.recipient ? req.query.recipient.toUpperCase().replace(/-/g, "") : merchant.getDefaultRecipient();
+    if (!merchant.isRecipient(recipient))
+    // must be one of the merchant's receiving wallets
         return res.send(JSON.stringify({ "status": "error", "message": "Invalid value for field `recipient`." }));
 
-    var heartPrice = parseFloat(config.get("prices.heart")); // in XEM
-    var receivingHearts = Math.ceil(amount * heartPrice); // XEM price * (1 Heart / x XEM)
-    var invoiceAmount = amount * 1000000; // convert amount to micro XEM
-    var currentNetwork = NEMHelpers.getNetwork();
     var disableChannel = req.query.chan ? req.query.chan == "0" : false;
 
-    var dbConditions = {
-        payerXEM: payer,
-        recipientXEM: recipient
-    };
-
-    // when no invoiceNumber is given, create or retrieve in following statuses
-    dbConditions["status"] = { $in: ["not_paid", "identified", "unconfirmed", "paid_partly", "paid"] };
-    if (invoiceNumber && invoiceNumber.length) {
-        // load invoice by number
-        dbConditions["number"] = decodeURIComponent(invoiceNumber);
-        delete dbConditions["status"];
-    }
-
-    //serverLog("DEBUG", JSON.stringify(dbConditions), "DEBUG");
+    // when no invoiceNumber is given, create or retrieve the pending or paid invoice
+    var number = invoiceNumber && invoiceNumber.length ? decodeURIComponent(invoiceNumber) : null;
 
     // mongoDB model NEMPaymentChannel unique on xem address + message pair.
-    PaymentsDatabase.NEMPaymentChannel.findOne(dbConditions, function(err, invoice) {
+    PaymentsProtocol.findPayerInvoice(merchant._id, payer, recipient, number, function(err, invoice) {
         if (!err && !invoice) {
-            // creation mode
-
-            var invoice = new PaymentsDatabase.NEMPaymentChannel({
-                recipientXEM: recipient,
-                payerXEM: payer,
-                amount: invoiceAmount,
-                amountPaid: 0,
-                amountUnconfirmed: 0,
-                status: "not_paid",
-                countHearts: receivingHearts,
-                createdAt: new Date().valueOf()
-            });
-            invoice.save(function(err) {
-                return PaymentsProtocol.startPaymentChannel(invoice, clientSocketId, function(invoice) {
-                    // payment channel created, end create-invoice response.
-
-                    var statusLabelClass = "label-default";
-                    var statusLabelIcon = "glyphicon glyphicon-time";
-
-                    if (invoice.isPaid) {
-                        statusLabelClass = "label-success";
-                        statusLabelIcon = "glyphicon glyphicon-ok";
-                    } else if (invoice.status == "paid_partly") {
-                        statusLabelClass = "label-info";
-                        statusLabelIcon = "glyphicon glyphicon-download-alt";
-                    }
-
-                    res.send(JSON.stringify({
-                        status: "ok",
-                        item: {
-                            network: currentNetwork,
-                            qrData: invoice.getQRData(),
-                            invoice: invoice,
-                            statusLabelClass: statusLabelClass,
-                            statusLabelIcon: statusLabelIcon
-                        }
-                    }));
-                });
-            });
+            // creation mode, same as `POST /api/v1/invoices` with the entry price.
+
+            var invoiceData = {
+                merchantId: merchant._id,
+                payer: payer,
+                recipient: recipient,
+                mosaic: merchant.getDefaultMosaic(),
+                amount: amount,
+                policy: merchant.getPaymentPolicy()
+            };
+
+            return createMerchantInvoice(merchant, invoiceData, clientSocketId, function(err, invoice) {
+                if (err) {
+                    var errorMessage = "Error occured on NEMPaymentChannel creation: " + err;
+
+                    serverLog(req, errorMessage, "ERROR");
+                    return res.send(JSON.stringify({ "status": "error", "message": errorMessage }));
+                }
 
-            return false;
+                // payment channel created, end create-invoice response.
+                return res.send(JSON.stringify({ status: "ok", item: getInvoiceResponseItem(invoice) }));
+            });
         } else if (err) {
             // error mode
             var errorMessage = "Error occured on NEMPaymentChannel update: " + err;
@@ -403,74 +545,27 @@ app.get("/api/v1/invoices/create", function(req, res) {
 
         // update mode, invoice already exists, create payment channel proxy
 
-        var statusLabelClass = "label-default";
-        var statusLabelIcon = "glyphicon glyphicon-time";
+        if (disableChannel === true)
+            return res.send(JSON.stringify({ status: "ok", item: getInvoiceResponseItem(invoice) }));
 
-        if (invoice.isPaid) {
-            statusLabelClass = "label-success";
-            statusLabelIcon = "glyphicon glyphicon-ok";
-        } else if (invoice.status == "paid_partly") {
-            statusLabelClass = "label-info";
-            statusLabelIcon = "glyphicon glyphicon-download-alt";
-        }
-
-        if (disableChannel === true) {
-            return res.send(JSON.stringify({
-                status: "ok",
-                item: {
-                    network: currentNetwork,
-                    qrData: invoice.getQRData(),
-                    invoice: invoice,
-                    statusLabelClass: statusLabelClass,
-                    statusLabelIcon: statusLabelIcon
-                }
-            }));
-        } else {
-            return PaymentsProtocol.startPaymentChannel(invoice, clientSocketId, function(invoice) {
-                // payment channel created, end create-invoice response.
-
-                res.send(JSON.stringify({
-                    status: "ok",
-                    item: {
-                        network: currentNetwork,
-                        qrData: invoice.getQRData(),
-                        invoice: invoice,
-                        statusLabelClass: statusLabelClass,
-                        statusLabelIcon: statusLabelIcon
-                    }
-                }));
-            });
-        }
+        return PaymentsProtocol.startPaymentChannel(invoice, clientSocketId, function(invoice) {
+            // payment channel created, end create-invoice response.
+            res.send(JSON.stringify({ status: "ok", item: getInvoiceResponseItem(invoice) }));
+        });
     });
 });
 
-app.get("/api/v1/invoices/history", function(req, res) {
+app.get("/api/v1/invoices/history", authenticateMerchant, function(req, res) {
     res.setHeader('Content-Type', 'application/json');
 
     var payer = req.query.payer ? req.query.payer : undefined;
     var number = req.query.number ? req.query.number : undefined;
 
-    if (!payer || !payer.length || NEMHelpers.isApplicationWallet(payer))
-    // cannot be one of the application wallets
+    if (!payer || !payer.length || req.merchant.isRecipient(payer))
+    // cannot be one of the merchant's receiving wallets
         return res.send(JSON.stringify({ "status": "error", "message": "Invalid value for field `payer`." }));
 
-    var invoiceQuery = {
-        payerXEM: payer,
-        status: {
-            $in: ["not_paid",
-                "expired",
-                "unconfirmed",
-                "paid_partly",
-                "paid"
-            ]
-        }
-    };
-
-    if (number && number.length) {
-        invoiceQuery["number"] = number;
-    }
-
-    PaymentsDatabase.NEMPaymentChannel.find(invoiceQuery, function(err, invoices) {
+    PaymentsProtocol.findPayerInvoices(req.merchant._id, payer, number, function(err, invoices) {
         if (err) {
             var errorMessage = "Error occured on /credits/history: " + err;
             serverLog(req, errorMessage, "ERROR");
@@ -483,14 +578,29 @@ app.get("/api/v1/invoices/history", function(req, res) {
         // VERIFY all invoices state and amounts by iterating blockchain
         // transactions. This ensure that we never send a wrong Invoice State
         // through this API - it will always be validated by blockchain data.
-        PaymentsProtocol.fetchInvoicesRealHistory(invoices, null, function(invoicesHistory) {
-            if (invoicesHistory === false)
-                return res.send(JSON.stringify({ "status": "ok", data: [] }));
+        var byRecipient = {};
+        for (var i = 0; i < invoices.length; i++) {
+            var recipient = invoices[i].getRecipient();
+            if (!byRecipient.hasOwnProperty(recipient))
+                byRecipient[recipient] = [];
+
+            byRecipient[recipient].push(invoices[i]);
+        }
+
+        var recipients = Object.keys(byRecipient);
+        var reconcileNext = function(index) {
+            if (index < recipients.length)
+                return PaymentsReconciler.reconcileInvoices(recipients[index], byRecipient[recipients[index]], function(err) {
+                    if (err)
+                        serverLog(req, "Error occured on invoices reconciliation: " + err, "ERROR");
+
+                    return reconcileNext(index + 1);
+                });
 
             // return list of invoices
             var invoicesData = [];
-            for (var num in invoicesHistory) {
-                var currentInvoice = invoicesHistory[num].invoice;
+            for (var i = 0; i < invoices.length; i++) {
+                var currentInvoice = invoices[i];
 
                 var statusLabelClass = "label-default";
                 var statusLabelIcon = "glyphicon glyphicon-time";
@@ -501,6 +611,12 @@ app.get("/api/v1/invoices/history", function(req, res) {
                 } else if (currentInvoice.status == "paid_partly") {
                     statusLabelClass = "label-info";
                     statusLabelIcon = "glyphicon glyphicon-download-alt";
+                } else if (currentInvoice.status == "awaiting_cosignatures") {
+                    statusLabelClass = "label-warning";
+                    statusLabelIcon = "glyphicon glyphicon-pencil";
+                } else if (currentInvoice.status == "confirming") {
+                    statusLabelClass = "label-info";
+                    statusLabelIcon = "glyphicon glyphicon-hourglass";
                 }
 
                 var fmtCreatedAt = new Date(currentInvoice.createdAt).toISOString().replace(/T/, ' ').replace(/\..+/, '');
@@ -509,12 +625,22 @@ app.get("/api/v1/invoices/history", function(req, res) {
                 invoicesData.push({
                     number: currentInvoice.number,
                     recipient: currentInvoice.recipientXEM,
+                    settlement: currentInvoice.settlementXEM,
                     truncRecipient: currentInvoice.getTruncatedRecipient(),
                     amount: (currentInvoice.amount),
                     amountPaid: (currentInvoice.amountPaid),
-                    amountFmt: (currentInvoice.amount / Math.pow(10, 6)),
-                    amountPaidFmt: (currentInvoice.amountPaid / Math.pow(10, 6)),
+                    amountFmt: (currentInvoice.amount / Math.pow(10, currentInvoice.getDivisibility())),
+                    amountPaidFmt: (currentInvoice.amountPaid / Math.pow(10, currentInvoice.getDivisibility())),
+                    mosaic: currentInvoice.getMosaic(),
+                    fiatCurrency: currentInvoice.fiatCurrency,
+                    fiatAmount: currentInvoice.fiatAmount,
+                    fiatAmountPaid: currentInvoice.fiatCurrency ? (currentInvoice.amountPaid / Math.pow(10, currentInvoice.getDivisibility()) * currentInvoice.exchangeRate).toFixed(2) : undefined,
+                    exchangeRate: currentInvoice.exchangeRate,
+                    exchangeRateSource: currentInvoice.exchangeRateSource,
+                    quoteExpiresAt: currentInvoice.quoteExpiresAt,
                     status: currentInvoice.status,
+                    confirmations: currentInvoice.confirmations,
+                    confirmationsRequired: currentInvoice.confirmationsRequired,
                     createdAt: fmtCreatedAt,
                     updatedAt: fmtUpdatedAt,
                     statusLabelClass: statusLabelClass,
@@ -527,20 +653,635 @@ app.get("/api/v1/invoices/history", function(req, res) {
                 return res.send(JSON.stringify({ "status": "ok", item: invoicesData.pop() }));
 
             return res.send(JSON.stringify({ "status": "ok", data: invoicesData }));
+        };
+
+        return reconcileNext(0);
+    });
+});
+
+app.get("/api/v1/invoices/:number/webhooks", authenticateMerchant, function(req, res) {
+    res.setHeader('Content-Type', 'application/json');
+
+    NEM2Pay_Webhooks.findDeliveries(req.merchant._id, req.params.number, function(err, deliveries) {
+        if (err) {
+            var errorMessage = "Error occured on /invoices/:number/webhooks: " + err;
+            serverLog(req, errorMessage, "ERROR");
+            return res.send(JSON.stringify({ "status": "error", "message": errorMessage }));
+        }
+
+        var deliveriesData = deliveries.map(function(delivery) {
+            return {
+                id: delivery._id,
+                event: delivery.event,
+                url: delivery.url,
+                status: delivery.status,
+                attempts: delivery.attempts,
+                log: delivery.log,
+                nextAttemptAt: delivery.nextAttemptAt,
+                deliveredAt: delivery.deliveredAt,
+                createdAt: delivery.createdAt
+            };
+        });
+
+        return res.send(JSON.stringify({ "status": "ok", data: deliveriesData }));
+    });
+});
+
+app.get("/api/v1/invoices/:number/transactions", authenticateMerchant, function(req, res) {
+    res.setHeader('Content-Type', 'application/json');
+
+    NEM2Pay_Ledger.getInvoiceTransactions(req.merchant._id, req.params.number, function(err, entries) {
+        if (err) {
+            var errorMessage = "Error occured on /invoices/:number/transactions: " + err;
+            serverLog(req, errorMessage, "ERROR");
+            return res.send(JSON.stringify({ "status": "error", "message": errorMessage }));
+        }
+
+        var transactionsData = entries.map(function(entry) {
+            return NEM2Pay_Ledger.getTransactionItem(entry);
+        });
+
+        return res.send(JSON.stringify({ "status": "ok", data: transactionsData }));
+    });
+});
+
+app.get("/api/v1/invoices/export", authenticateMerchant, function(req, res) {
+    req.checkQuery("format", "Invalid value for field `format`.").optional().isIn(NEM2Pay_Export.formats);
+    req.checkQuery("from", "Invalid value for field `from`.").optional().matches(/^[0-9]{4}-[0-9]{2}-[0-9]{2}$/);
+    req.checkQuery("to", "Invalid value for field `to`.").optional().matches(/^[0-9]{4}-[0-9]{2}-[0-9]{2}$/);
+
+    var errors = req.validationErrors();
+    if (errors) {
+        res.setHeader('Content-Type', 'application/json');
+        return res.send(JSON.stringify({ "status": "error", "message": errors[0].msg, "errors": errors }));
+    }
+
+    var format = req.query.format || "csv";
+    var filename = "invoices-" + (req.query.from || "all") + "-" + (req.query.to || "all") + "." + (format == "csv" ? "csv" : "ndjson");
+
+    res.setHeader('Content-Type', format == "csv" ? 'text/csv; charset=utf-8' : 'application/x-ndjson');
+    res.setHeader('Content-Disposition', 'attachment; filename="' + filename + '"');
+
+    NEM2Pay_Export.export(req.merchant._id, req.query.from, req.query.to, format, res, function(err, count) {
+        // the response is already streaming, the connection is aborted
+        // such that clients do not take a truncated export as complete.
+        if (err) {
+            serverLog(req, "Error occured on /invoices/export after " + count + " invoices: " + err, "ERROR");
+            return res.destroy();
+        }
+
+        return res.end();
+    });
+});
+
+app.get("/api/v1/merchant/policy", authenticateMerchant, function(req, res) {
+    res.setHeader('Content-Type', 'application/json');
+
+    return res.send(JSON.stringify({ "status": "ok", item: req.merchant.getPaymentPolicy() }));
+});
+
+app.post("/api/v1/merchant/policy", authenticateMerchant, function(req, res) {
+    res.setHeader('Content-Type', 'application/json');
+
+    req.checkBody("toleranceType", "Invalid value for field `toleranceType`.").optional().isIn(["absolute", "percent"]);
+    req.checkBody("tolerance", "Invalid value for field `tolerance`.").optional().isFloat({ min: 0 });
+    req.checkBody("acceptPartial", "Invalid value for field `acceptPartial`.").optional().isBoolean();
+    req.checkBody("partialTimeout", "Invalid value for field `partialTimeout`.").optional().isInt({ min: 1 });
+    req.checkBody("onPartialTimeout", "Invalid value for field `onPartialTimeout`.").optional().isIn(["expire", "review"]);
+    req.checkBody("depositAccounts", "Invalid value for field `depositAccounts`.").optional().isBoolean();
+    req.checkBody("confirmations", "Invalid value for field `confirmations`.").optional().isInt({ min: 1, max: 360 });
+
+    var errors = req.validationErrors();
+    if (errors)
+        return res.send(JSON.stringify({ "status": "error", "message": errors[0].msg, "errors": errors }));
+
+    var policy = req.merchant.getPaymentPolicy();
+    if (req.body.toleranceType !== undefined)
+        policy.toleranceType = req.body.toleranceType;
+    if (req.body.tolerance !== undefined)
+        policy.tolerance = parseFloat(req.body.tolerance);
+    if (req.body.acceptPartial !== undefined)
+        policy.acceptPartial = String(req.body.acceptPartial) == "true";
+    if (req.body.partialTimeout !== undefined)
+        policy.partialTimeout = parseInt(req.body.partialTimeout);
+    if (req.body.onPartialTimeout !== undefined)
+        policy.onPartialTimeout = req.body.onPartialTimeout;
+    if (req.body.depositAccounts !== undefined)
+        policy.depositAccounts = String(req.body.depositAccounts) == "true";
+    if (req.body.confirmations !== undefined)
+        policy.confirmations = parseInt(req.body.confirmations);
+
+    if (policy.toleranceType == "percent" && policy.tolerance > 100)
+        return res.send(JSON.stringify({ "status": "error", "message": "Invalid value for field `tolerance`." }));
+
+    req.merchant.paymentPolicy = policy;
+    req.merchant.updatedAt = new Date().valueOf();
+    req.merchant.save(function(err) {
+        if (err) {
+            var errorMessage = "Error occured on /merchant/policy: " + err;
+            serverLog(req, errorMessage, "ERROR");
+            return res.send(JSON.stringify({ "status": "error", "message": errorMessage }));
+        }
+
+        return res.send(JSON.stringify({ "status": "ok", item: req.merchant.getPaymentPolicy() }));
+    });
+});
+
+app.get("/api/v1/refunds", authenticateMerchant, function(req, res) {
+    res.setHeader('Content-Type', 'application/json');
+
+    req.checkQuery("status", "Invalid value for field `status`.").optional().isIn(["pending", "approved", "exported"]);
+
+    var errors = req.validationErrors();
+    if (errors)
+        return res.send(JSON.stringify({ "status": "error", "message": errors[0].msg, "errors": errors }));
+
+    var refundQuery = { merchantId: req.merchant._id };
+    if (req.query.status)
+        refundQuery.status = req.query.status;
+
+    PaymentsDatabase.Refund.find(refundQuery).sort({ createdAt: -1 }).exec(function(err, refunds) {
+        if (err) {
+            var errorMessage = "Error occured on /refunds: " + err;
+            serverLog(req, errorMessage, "ERROR");
+            return res.send(JSON.stringify({ "status": "error", "message": errorMessage }));
+        }
+
+        return res.send(JSON.stringify({ "status": "ok", data: refunds.map(NEM2Pay_Refunds.getRefundItem) }));
+    });
+});
+
+app.post("/api/v1/refunds/export", authenticateMerchant, function(req, res) {
+    res.setHeader('Content-Type', 'application/json');
+
+    var refundQuery = {
+        merchantId: req.merchant._id,
+        status: "approved"
+    };
+
+    PaymentsDatabase.Refund.find(refundQuery).sort({ createdAt: 1 }).exec(function(err, refunds) {
+        if (err) {
+            var errorMessage = "Error occured on /refunds/export: " + err;
+            serverLog(req, errorMessage, "ERROR");
+            return res.send(JSON.stringify({ "status": "error", "message": errorMessage }));
+        }
+
+        NEM2Pay_Refunds.export(refunds, function(err, items) {
+            if (err) {
+                var errorMessage = "Error occured on /refunds/export: " + err;
+                serverLog(req, errorMessage, "ERROR");
+                return res.send(JSON.stringify({ "status": "error", "message": errorMessage, data: items }));
+            }
+
+            return res.send(JSON.stringify({ "status": "ok", data: items }));
         });
     });
 });
 
-app.get("/api/v1/reset", function(req, res) {
+app.post("/api/v1/refunds/:id/approve", authenticateMerchant, function(req, res) {
     res.setHeader('Content-Type', 'application/json');
 
-    var canResetData = process.env["ALLOW_DB_RESET"] == 1 || config.get("pacnem.canResetData", false);
-    if (!canResetData || canResetData !== true)
-        return res.send(JSON.stringify({ "status": "error", "error": "Feature disabled" }));
+    req.checkParams("id", "Invalid value for field `id`.").isMongoId();
+
+    var errors = req.validationErrors();
+    if (errors)
+        return res.send(JSON.stringify({ "status": "error", "message": errors[0].msg, "errors": errors }));
+
+    var refundQuery = {
+        _id: req.params.id,
+        merchantId: req.merchant._id
+    };
+
+    PaymentsDatabase.Refund.findOne(refundQuery, function(err, refund) {
+        if (err || !refund)
+            return res.send(JSON.stringify({ "status": "error", "message": "Refund not found." }));
+
+        NEM2Pay_Refunds.approve(refund, function(err, refund) {
+            if (err) {
+                serverLog(req, "Error occured on /refunds/:id/approve: " + err, "ERROR");
+                return res.send(JSON.stringify({ "status": "error", "message": err.message }));
+            }
+
+            return res.send(JSON.stringify({ "status": "ok", item: NEM2Pay_Refunds.getRefundItem(refund) }));
+        });
+    });
+});
+
+app.get("/api/v1/reports/summary", authenticateMerchant, function(req, res) {
+    res.setHeader('Content-Type', 'application/json');
+
+    req.checkQuery("from", "Invalid value for field `from`.").optional().matches(/^[0-9]{4}-[0-9]{2}-[0-9]{2}$/);
+    req.checkQuery("to", "Invalid value for field `to`.").optional().matches(/^[0-9]{4}-[0-9]{2}-[0-9]{2}$/);
+
+    var errors = req.validationErrors();
+    if (errors)
+        return res.send(JSON.stringify({ "status": "error", "message": errors[0].msg, "errors": errors }));
+
+    NEM2Pay_Reports.getSummary(req.merchant._id, req.query.from, req.query.to, function(err, report) {
+        if (err) {
+            var errorMessage = "Error occured on /reports/summary: " + err;
+            serverLog(req, errorMessage, "ERROR");
+            return res.send(JSON.stringify({ "status": "error", "message": errorMessage }));
+        }
+
+        res.setHeader('Cache-Control', 'private, max-age=' + NEM2Pay_Reports.getCacheTTL());
+        return res.send(JSON.stringify({ "status": "ok", item: report }));
+    });
+});
+
+app.get("/api/v1/reports/revenue", authenticateMerchant, function(req, res) {
+    res.setHeader('Content-Type', 'application/json');
+
+    req.checkQuery("interval", "Invalid value for field `interval`.").optional().isIn(NEM2Pay_Reports.intervals);
+    req.checkQuery("from", "Invalid value for field `from`.").optional().matches(/^[0-9]{4}-[0-9]{2}-[0-9]{2}$/);
+    req.checkQuery("to", "Invalid value for field `to`.").optional().matches(/^[0-9]{4}-[0-9]{2}-[0-9]{2}$/);
+
+    var errors = req.validationErrors();
+    if (errors)
+        return res.send(JSON.stringify({ "status": "error", "message": errors[0].msg, "errors": errors }));
+
+    var interval = req.query.interval || "day";
+    NEM2Pay_Reports.getRevenue(req.merchant._id, interval, req.query.from, req.query.to, function(err, report) {
+        if (err) {
+            var errorMessage = "Error occured on /reports/revenue: " + err;
+            serverLog(req, errorMessage, "ERROR");
+            return res.send(JSON.stringify({ "status": "error", "message": errorMessage }));
+        }
+
+        res.setHeader('Cache-Control', 'private, max-age=' + NEM2Pay_Reports.getCacheTTL());
+        return res.send(JSON.stringify({ "status": "ok", item: report }));
+    });
+});
+
+/**
+ * Admin API Routes
+ *
+ * Admin routes are authenticated with basic auth or with an admin
+ * token (`X-Admin-Token` header), see `bin/create-admin.js`. Calls
+ * are stored in the admin audit log. Basic auth calls of POST routes
+ * must come from this host.
+ *
+ * - GET /admin/audit : View the admin audit log (readonly)
+ * - POST /admin/invoices/:number/cancel : Cancel an open Invoice (operator)
+ * - POST /reset : Delete all Invoices, outside production and with `confirmationToken` only (operator)
+ */
+
+app.get("/api/v1/admin/audit", NEM2Pay_Admin.requireRole("readonly"), function(req, res) {
+    res.setHeader('Content-Type', 'application/json');
+
+    req.checkQuery("limit", "Invalid value for field `limit`.").optional().isInt({ min: 1, max: 500 });
+
+    var errors = req.validationErrors();
+    if (errors)
+        return res.send(JSON.stringify({ "status": "error", "message": errors[0].msg, "errors": errors }));
+
+    var auditQuery = {};
+    if (req.query.username)
+        auditQuery.username = req.query.username;
+
+    var limit = parseInt(req.query.limit) || 100;
+    PaymentsDatabase.AdminAuditLog.find(auditQuery).sort({ createdAt: -1 }).limit(limit).exec(function(err, entries) {
+        if (err) {
+            var errorMessage = "Error occured on /admin/audit: " + err;
+            serverLog(req, errorMessage, "ERROR");
+            return res.send(JSON.stringify({ "status": "error", "message": errorMessage }));
+        }
+
+        var entriesData = entries.map(function(entry) {
+            return {
+                username: entry.username,
+                role: entry.role,
+                authMethod: entry.authMethod,
+                method: entry.method,
+                route: entry.route,
+                url: entry.url,
+                params: entry.params,
+                ip: entry.ip,
+                statusCode: entry.statusCode,
+                createdAt: entry.createdAt
+            };
+        });
+
+        return res.send(JSON.stringify({ "status": "ok", data: entriesData }));
+    });
+});
+
+app.post("/api/v1/admin/invoices/:number/cancel", NEM2Pay_Admin.requireRole("operator"), NEM2Pay_Admin.requireSameOrigin(), function(req, res) {
+    res.setHeader('Content-Type', 'application/json');
+
+    PaymentsDatabase.NEMPaymentChannel.findOne({ number: req.params.number }, function(err, invoice) {
+        if (err || !invoice) {
+            var errorMessage = err ? "Error occured on /admin/invoices/:number/cancel: " + err : "Invoice not found.";
+            serverLog(req, errorMessage, "ERROR");
+            return res.send(JSON.stringify({ "status": "error", "message": errorMessage }));
+        }
+
+        PaymentsProtocol.cancelInvoice(invoice, "admin", function(err, invoice) {
+            if (err)
+                return res.send(JSON.stringify({ "status": "error", "message": err.message || String(err) }));
+
+            return res.send(JSON.stringify({ "status": "ok", item: getInvoiceResponseItem(invoice) }));
+        });
+    });
+});
+
+app.post("/api/v1/reset", NEM2Pay_Admin.requireRole("operator"), NEM2Pay_Admin.requireSameOrigin(), function(req, res) {
+    res.setHeader('Content-Type', 'application/json');
+
+    if (!NEM2Pay_Admin.canResetData(app.settings.env))
+        return res.send(403, JSON.stringify({ "status": "error", "message": "Feature disabled." }));
+
+    if (!NEM2Pay_Admin.checkResetConfirmation(req.body.confirmationToken))
+        return res.send(403, JSON.stringify({ "status": "error", "message": "Invalid value for field `confirmationToken`." }));
+
+    serverLog(req, "Data reset by " + req.admin.username + ".", "WARN");
 
     // remove all data..
-    PaymentsDatabase.NEMPaymentChannel.find({}).remove(function(err) {});
-    return res.send(JSON.stringify({ "status": "ok" }));
+    PaymentsDatabase.NEMPaymentChannel.remove({}, function(err) {
+        if (err) {
+            var errorMessage = "Error occured on /reset: " + err;
+            serverLog(req, errorMessage, "ERROR");
+            return res.send(JSON.stringify({ "status": "error", "message": errorMessage }));
+        }
+
+        return res.send(JSON.stringify({ "status": "ok" }));
+    });
+});
+
+/**
+ * Hosted Checkout Routes
+ *
+ * The checkout page of an invoice is public and rendered with the
+ * `checkout` layout. Checkout URLs use the `checkoutToken` of the
+ * invoice, invoice numbers can not be used. The page opens the
+ * checkout on its Socket.IO client (`nem2pay_checkout_open`), which
+ * attaches it to the payment channel of the invoice, and reloads the
+ * invoice status on every payment event.
+ *
+ * The browser SDK (`/js/nem2pay-<version>.js`) follows invoices the
+ * same way from storefronts.
+ *
+ * - GET /pay/:token : View the checkout page of an Invoice
+ * - GET /pay/:token/status : View the Invoice status
+ * - GET /pay/:token/qr.svg|png : QR code image of an Invoice (optional `size` in pixels)
+ */
+
+app.get("/pay/:token", function(req, res) {
+    NEM2Pay_Checkout.findInvoice(req.params.token, function(err, invoice) {
+        if (err || !invoice)
+            return res.send(404, i18n.t("checkout.not_found"));
+
+        var item = NEM2Pay_Checkout.getCheckoutItem(invoice);
+        var viewData = {
+            layout: "checkout",
+            currentLanguage: req.i18n.language,
+            currentNetwork: NEMHelpers.getNetwork(),
+            invoice: item,
+            token: req.params.token,
+            qrUrl: "/pay/" + encodeURIComponent(req.params.token) + "/qr.svg",
+            statusUrl: "/pay/" + encodeURIComponent(req.params.token) + "/status"
+        };
+
+        return res.render("checkout", viewData);
+    });
+});
+
+app.get("/pay/:token/status", function(req, res) {
+    res.setHeader('Content-Type', 'application/json');
+
+    NEM2Pay_Checkout.findInvoice(req.params.token, function(err, invoice) {
+        if (err || !invoice)
+            return res.send(404, JSON.stringify({ "status": "error", "message": i18n.t("checkout.not_found") }));
+
+        var item = NEM2Pay_Checkout.getCheckoutItem(invoice);
+        item.statusLabel = i18n.t("checkout.status." + item.status);
+
+        res.setHeader('Cache-Control', 'no-cache');
+        return res.send(JSON.stringify({ "status": "ok", item: item }));
+    });
+});
+
+// checkout clients open the checkout of an invoice on their socket, this
+// attaches them to the payment channel and answers with the invoice status.
+io.sockets.on("connection", function(socket) {
+    socket.on("nem2pay_checkout_open", function(token, callback) {
+        if (typeof callback != "function")
+            return false;
+
+        NEM2Pay_Checkout.openCheckout(token, socket, function(err, invoice) {
+            if (err || !invoice)
+                return callback({ "status": "error", "message": i18n.t("checkout.not_found") });
+
+            var item = NEM2Pay_Checkout.getCheckoutItem(invoice);
+            item.statusLabel = i18n.t("checkout.status." + item.status);
+
+            return callback({ "status": "ok", item: item });
+        });
+    });
+});
+
+app.get("/pay/:token/qr.:format", function(req, res) {
+    req.checkParams("format", "Invalid value for field `format`.").isIn(NEM2Pay_QRCodes.formats);
+    req.checkQuery("size", "Invalid value for field `size`.").optional().isInt({ min: 64, max: 1024 });
+
+    var errors = req.validationErrors();
+    if (errors) {
+        res.setHeader('Content-Type', 'application/json');
+        return res.send(400, JSON.stringify({ "status": "error", "message": errors[0].msg, "errors": errors }));
+    }
+
+    NEM2Pay_Checkout.findInvoice(req.params.token, function(err, invoice) {
+        if (err || !invoice) {
+            res.setHeader('Content-Type', 'application/json');
+            return res.send(404, JSON.stringify({ "status": "error", "message": "Invoice not found." }));
+        }
+
+        var options = {};
+        if (req.query.size)
+            options.size = parseInt(req.query.size);
+
+        NEM2Pay_QRCodes.render(NEM2Pay_Checkout.getQRText(invoice), req.params.format, options, function(err, image) {
+            if (err) {
+                var errorMessage = "Error occured on /pay/:token/qr: " + err;
+                serverLog(req, errorMessage, "ERROR");
+
+                res.setHeader('Content-Type', 'application/json');
+                return res.send(500, JSON.stringify({ "status": "error", "message": errorMessage }));
+            }
+
+            // the amount of an invoice changes when its quote is renewed
+            res.setHeader('Content-Type', req.params.format == "png" ? 'image/png' : 'image/svg+xml');
+            res.setHeader('Cache-Control', 'public, max-age=60');
+            return res.send(image);
+        });
+    });
+});
+
+/**
+ * Admin Dashboard Routes
+ *
+ * The admin dashboard is rendered with the `admin` layout and uses the
+ * admin authentication (basic auth in the browser). Actions require
+ * the `operator` role and must be submitted from the dashboard.
+ *
+ * - GET /admin/invoices : List Invoices with filters (status, merchant, date range, mosaic)
+ * - GET /admin/invoices/:number : View Invoice detail, matched transactions and status history
+ * - POST /admin/invoices/:number/cancel : Cancel an open Invoice
+ * - POST /admin/invoices/:number/verify : Re-verify an Invoice against the chain
+ * - POST /admin/invoices/:number/review : Flag an Invoice for manual review
+ */
+
+/**
+ * Build the view data shared by all admin dashboard pages.
+ *
+ * @param   {*}         req
+ * @param   {object}    viewData
+ * @return  {object}
+ */
+var getAdminViewData = function(req, viewData) {
+    viewData.layout = "admin";
+    viewData.admin = { username: req.admin.username, role: req.admin.role };
+    viewData.isOperator = NEM2Pay_Admin.hasRole(req.admin, "operator");
+    viewData.notifications = (viewData.notifications || []).concat(req.flash("info"));
+    return viewData;
+};
+
+/**
+ * Load the invoice of an admin dashboard action in `req.invoice`.
+ *
+ * @param {*} req 
+ * @param {*} res 
+ * @param {Function} next
+ */
+var loadAdminInvoice = function(req, res, next) {
+    PaymentsDatabase.NEMPaymentChannel.findOne({ number: req.params.number }, function(err, invoice) {
+        if (err || !invoice) {
+            serverLog(req, err ? "Error occured on admin invoice lookup: " + err : "Invoice not found.", "ERROR");
+            req.flash("info", "Invoice " + req.params.number + " not found.");
+            return res.redirect("/admin/invoices");
+        }
+
+        req.invoice = invoice;
+        return next();
+    });
+};
+
+app.get("/admin/invoices", NEM2Pay_Admin.requireRole("readonly"), function(req, res) {
+    req.checkQuery("status", "Invalid value for field `status`.").optional({ checkFalsy: true }).isIn(NEM2Pay_AdminDashboard.getStatuses());
+    req.checkQuery("merchantId", "Invalid value for field `merchantId`.").optional({ checkFalsy: true }).isMongoId();
+    req.checkQuery("from", "Invalid value for field `from`.").optional({ checkFalsy: true }).matches(/^[0-9]{4}-[0-9]{2}-[0-9]{2}$/);
+    req.checkQuery("to", "Invalid value for field `to`.").optional({ checkFalsy: true }).matches(/^[0-9]{4}-[0-9]{2}-[0-9]{2}$/);
+    req.checkQuery("mosaic", "Invalid value for field `mosaic`.").optional({ checkFalsy: true }).matches(/^[a-z0-9][a-z0-9'_\-\.]*:[a-z0-9'_\-]+$/);
+    req.checkQuery("page", "Invalid value for field `page`.").optional({ checkFalsy: true }).isInt({ min: 1 });
+
+    var filters = {
+        status: req.query.status,
+        merchantId: req.query.merchantId,
+        from: req.query.from,
+        to: req.query.to,
+        mosaic: req.query.mosaic,
+        needsReview: req.query.needsReview
+    };
+
+    // invalid filters are reset
+    var errors = req.validationErrors() || [];
+    for (var i = 0; i < errors.length; i++)
+        delete filters[errors[i].param];
+
+    var page = parseInt(req.query.page) || 1;
+    NEM2Pay_AdminDashboard.listInvoices(filters, page, function(err, result) {
+        if (err) {
+            var errorMessage = "Error occured on /admin/invoices: " + err;
+            serverLog(req, errorMessage, "ERROR");
+            return res.send(500, errorMessage);
+        }
+
+        PaymentsDatabase.Merchant.find({}).sort({ name: 1 }).exec(function(err, merchants) {
+            if (err) {
+                var errorMessage = "Error occured on /admin/invoices: " + err;
+                serverLog(req, errorMessage, "ERROR");
+                return res.send(500, errorMessage);
+            }
+
+            var getPageUrl = function(page) {
+                var params = { page: page };
+                for (var field in filters)
+                    if (filters[field] && filters[field].length)
+                        params[field] = filters[field];
+
+                return "/admin/invoices?" + querystring.stringify(params);
+            };
+
+            var viewData = {
+                filters: filters,
+                statuses: NEM2Pay_AdminDashboard.getStatuses().map(function(status) {
+                    return { value: status, isSelected: status == filters.status };
+                }),
+                merchants: merchants.map(function(merchant) {
+                    return { id: merchant._id, name: merchant.name, isSelected: String(merchant._id) == filters.merchantId };
+                }),
+                invoices: result.invoices.map(function(invoice) {
+                    return NEM2Pay_AdminDashboard.getInvoiceRow(invoice);
+                }),
+                total: result.total,
+                page: result.page,
+                pageCount: result.pageCount,
+                previousPageUrl: result.page > 1 ? getPageUrl(result.page - 1) : null,
+                nextPageUrl: result.page < result.pageCount ? getPageUrl(result.page + 1) : null,
+                notifications: errors.map(function(error) { return error.msg; })
+            };
+
+            return res.render("admin/invoices", getAdminViewData(req, viewData));
+        });
+    });
+});
+
+app.get("/admin/invoices/:number", NEM2Pay_Admin.requireRole("readonly"), function(req, res) {
+    NEM2Pay_AdminDashboard.getInvoiceDetail(req.params.number, function(err, detail) {
+        if (err) {
+            serverLog(req, "Error occured on /admin/invoices/:number: " + err, "ERROR");
+            req.flash("info", err.message || String(err));
+            return res.redirect("/admin/invoices");
+        }
+
+        var viewData = NEM2Pay_AdminDashboard.getInvoiceView(detail);
+        return res.render("admin/invoice", getAdminViewData(req, viewData));
+    });
+});
+
+app.post("/admin/invoices/:number/cancel", NEM2Pay_Admin.requireRole("operator"), NEM2Pay_Admin.requireSameOrigin(), loadAdminInvoice, function(req, res) {
+    NEM2Pay_AdminDashboard.cancelInvoice(req.invoice, req.admin, function(err) {
+        req.flash("info", err ? err.message || String(err) : "Invoice " + req.invoice.number + " cancelled.");
+        return res.redirect("/admin/invoices/" + encodeURIComponent(req.invoice.number));
+    });
+});
+
+app.post("/admin/invoices/:number/verify", NEM2Pay_Admin.requireRole("operator"), NEM2Pay_Admin.requireSameOrigin(), loadAdminInvoice, function(req, res) {
+    NEM2Pay_AdminDashboard.verifyInvoice(req.invoice, req.admin, function(err, report) {
+        if (err)
+            req.flash("info", "Verification failed: " + (err.message || String(err)));
+        else if (report.discrepancies.length)
+            req.flash("info", "Invoice verified, the paid amount was corrected to the amount found on the chain.");
+        else
+            req.flash("info", "Invoice verified, the paid amount matches the chain.");
+
+        return res.redirect("/admin/invoices/" + encodeURIComponent(req.invoice.number));
+    });
+});
+
+app.post("/admin/invoices/:number/review", NEM2Pay_Admin.requireRole("operator"), NEM2Pay_Admin.requireSameOrigin(), loadAdminInvoice, function(req, res) {
+    req.checkBody("reason", "Invalid value for field `reason`.").optional().isLength({ max: 255 });
+
+    var errors = req.validationErrors();
+    if (errors) {
+        req.flash("info", errors[0].msg);
+        return res.redirect("/admin/invoices/" + encodeURIComponent(req.invoice.number));
+    }
+
+    NEM2Pay_AdminDashboard.markForReview(req.invoice, req.body.reason, req.admin, function(err) {
+        req.flash("info", err ? "Error occured on review flag: " + err : "Invoice " + req.invoice.number + " flagged for review.");
+        return res.redirect("/admin/invoices/" + encodeURIComponent(req.invoice.number));
+    });
 });
 
 /**
@@ -555,6 +1296,9 @@ server.listen(port, function() {
     var blockchain = network.isTest ? "Testnet Blockchain" : network.isMijin ? "Mijin Private Blockchain" : "NEM Mainnet Public Blockchain";
     var currency = NEMHelpers.getCurrency();
 
+    NEM2Pay_Crons.start();
+    PaymentsProtocol.startListener();
+
     console.log("------------------------------------------------------------------------");
     console.log("--                   NEM2Pay Payment Processor                        --");
     console.log("--                                                                    --");
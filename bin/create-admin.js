@@ -0,0 +1,75 @@
+#!/usr/bin/nodejs
+
+/**
+ * Part of the evias/nem2pay package.
+ *
+ * NOTICE OF LICENSE
+ *
+ * Licensed under MIT License.
+ *
+ * This source file is subject to the MIT License that is
+ * bundled with this package in the LICENSE file.
+ *
+ * @package    evias/nem2pay
+ * @author     Grégory Saive <greg@evias.be>
+ * @license    MIT License
+ * @copyright  (c) 2019, Grégory Saive <greg@evias.be>
+ * @link       http://github.com/evias/nem2pay
+ */
+
+/**
+ * Create an administrator and print its password and admin token.
+ *
+ * The password is used with HTTP basic auth, the admin token in
+ * the `X-Admin-Token` header. Both are displayed only once, only
+ * their hashes are stored in the database. Roles are `readonly`
+ * and `operator`.
+ *
+ * Usage:
+ *   node bin/create-admin.js <username> <readonly|operator>
+ */
+
+var mongoose = require("mongoose"),
+    nem = require("nem-sdk").default;
+
+var logger = require('../core/logger.js');
+
+var username = process.argv[2];
+var role = process.argv[3];
+
+if (!username || !username.length || ["readonly", "operator"].indexOf(role) === -1) {
+    console.log("Usage: node bin/create-admin.js <username> <readonly|operator>");
+    process.exit(1);
+}
+
+var helpers = require('../core/helpers.js').service;
+var NEMHelpers = new helpers(null, nem, logger);
+
+var DBStore = require('../core/database.js').DBStore;
+var PaymentsDatabase = new DBStore(null, NEMHelpers);
+
+var password = PaymentsDatabase.Admin.generateSecret();
+var passwordSalt = PaymentsDatabase.Admin.generateSecret();
+var apiToken = PaymentsDatabase.Admin.generateSecret();
+
+var admin = new PaymentsDatabase.Admin({
+    username: username,
+    passwordHash: PaymentsDatabase.Admin.hashPassword(password, passwordSalt),
+    passwordSalt: passwordSalt,
+    apiTokenHash: PaymentsDatabase.Admin.hashApiToken(apiToken),
+    role: role,
+    createdAt: new Date().valueOf()
+});
+
+admin.save(function(err) {
+    if (err) {
+        console.log("Error occured on Admin creation: " + err);
+        return mongoose.disconnect(function() { process.exit(1); });
+    }
+
+    console.log("Admin created: " + admin.username + " (" + admin.role + ")");
+    console.log("Password (store it now, it will not be displayed again): " + password);
+    console.log("Admin token (store it now, it will not be displayed again): " + apiToken);
+
+    return mongoose.disconnect();
+});
@@ -0,0 +1,88 @@
+#!/usr/bin/nodejs
+
+/**
+ * Part of the evias/nem2pay package.
+ *
+ * NOTICE OF LICENSE
+ *
+ * Licensed under MIT License.
+ *
+ * This source file is subject to the MIT License that is
+ * bundled with this package in the LICENSE file.
+ *
+ * @package    evias/nem2pay
+ * @author     Grégory Saive <greg@evias.be>
+ * @license    MIT License
+ * @copyright  (c) 2019, Grégory Saive <greg@evias.be>
+ * @link       http://github.com/evias/nem2pay
+ */
+
+/**
+ * Create a Merchant account and print its API key.
+ *
+ * The API key is displayed only once, only its hash is
+ * stored in the database. When a webhook URL is given, the
+ * webhook secret used to sign deliveries is displayed too.
+ *
+ * Usage:
+ *   node bin/create-merchant.js "<name>" <recipient>[,<recipient>...] [<defaultMosaic>] [<webhookUrl>]
+ */
+
+var mongoose = require("mongoose"),
+    nem = require("nem-sdk").default;
+
+var logger = require('../core/logger.js');
+
+var name = process.argv[2];
+var recipients = process.argv[3] ? process.argv[3].split(",") : [];
+var defaultMosaic = process.argv[4];
+var webhookUrl = process.argv[5];
+
+if (!name || !name.length || !recipients.length) {
+    console.log("Usage: node bin/create-merchant.js \"<name>\" <recipient>[,<recipient>...] [<defaultMosaic>] [<webhookUrl>]");
+    process.exit(1);
+}
+
+recipients = recipients.map(function(address) {
+    return address.toUpperCase().replace(/-/g, "");
+});
+
+for (var i = 0; i < recipients.length; i++) {
+    if (!nem.model.address.isValid(recipients[i])) {
+        console.log("Invalid recipient address: " + recipients[i]);
+        process.exit(1);
+    }
+}
+
+var helpers = require('../core/helpers.js').service;
+var NEMHelpers = new helpers(null, nem, logger);
+
+var DBStore = require('../core/database.js').DBStore;
+var PaymentsDatabase = new DBStore(null, NEMHelpers);
+
+var apiKey = PaymentsDatabase.Merchant.generateApiKey();
+var webhookSecret = webhookUrl ? PaymentsDatabase.Merchant.generateWebhookSecret() : undefined;
+var merchant = new PaymentsDatabase.Merchant({
+    name: name,
+    apiKeyHash: PaymentsDatabase.Merchant.hashApiKey(apiKey),
+    recipients: recipients,
+    defaultMosaic: defaultMosaic,
+    webhookUrl: webhookUrl,
+    webhookSecret: webhookSecret,
+    createdAt: new Date().valueOf()
+});
+
+merchant.save(function(err) {
+    if (err) {
+        console.log("Error occured on Merchant creation: " + err);
+        return mongoose.disconnect(function() { process.exit(1); });
+    }
+
+    console.log("Merchant created: " + merchant._id);
+    console.log("API key (store it now, it will not be displayed again): " + apiKey);
+
+    if (webhookSecret)
+        console.log("Webhook secret: " + webhookSecret);
+
+    return mongoose.disconnect();
+});
@@ -0,0 +1,77 @@
+#!/usr/bin/nodejs
+
+/**
+ * Part of the evias/nem2pay package.
+ *
+ * NOTICE OF LICENSE
+ *
+ * Licensed under MIT License.
+ *
+ * This source file is subject to the MIT License that is
+ * bundled with this package in the LICENSE file.
+ *
+ * @package    evias/nem2pay
+ * @author     Grégory Saive <greg@evias.be>
+ * @license    MIT License
+ * @copyright  (c) 2019, Grégory Saive <greg@evias.be>
+ * @link       http://github.com/evias/nem2pay
+ */
+
+/**
+ * Export the invoices of a Merchant and their matched transactions
+ * to the standard output, as CSV or as newline-delimited JSON.
+ *
+ * `from` and `to` are dates as YYYY-MM-DD (both days included),
+ * matched with the invoice creation date.
+ *
+ * Usage:
+ *   node bin/export-invoices.js <merchantId> [<from>] [<to>] [csv|ndjson] > invoices.csv
+ */
+
+var mongoose = require("mongoose"),
+    nem = require("nem-sdk").default;
+
+var logger = require('../core/logger.js');
+
+var merchantId = process.argv[2];
+var from = process.argv[3];
+var to = process.argv[4];
+var format = process.argv[5] || "csv";
+
+var isDate = function(value) {
+    return !value || /^[0-9]{4}-[0-9]{2}-[0-9]{2}$/.test(value);
+};
+
+if (!merchantId || !merchantId.length || !isDate(from) || !isDate(to) || ["csv", "ndjson"].indexOf(format) === -1) {
+    console.error("Usage: node bin/export-invoices.js <merchantId> [<from>] [<to>] [csv|ndjson] > invoices.csv");
+    process.exit(1);
+}
+
+var helpers = require('../core/helpers.js').service;
+var NEMHelpers = new helpers(null, nem, logger);
+
+var DBStore = require('../core/database.js').DBStore;
+var PaymentsDatabase = new DBStore(null, NEMHelpers);
+
+var TransactionLedger = require("../core/transaction-ledger.js").TransactionLedger;
+var NEM2Pay_Ledger = new TransactionLedger(logger, NEMHelpers, PaymentsDatabase);
+
+var InvoiceExporter = require("../core/invoice-export.js").InvoiceExporter;
+var NEM2Pay_Export = new InvoiceExporter(logger, PaymentsDatabase, NEM2Pay_Ledger);
+
+PaymentsDatabase.Merchant.findById(merchantId, function(err, merchant) {
+    if (err || !merchant) {
+        console.error("Merchant not found: " + merchantId);
+        return mongoose.disconnect(function() { process.exit(1); });
+    }
+
+    NEM2Pay_Export.export(merchant._id, from, to, format, process.stdout, function(err, count) {
+        if (err) {
+            console.error("Error occured on invoices export: " + err);
+            return mongoose.disconnect(function() { process.exit(1); });
+        }
+
+        console.error("Exported " + count + " invoice(s) of " + merchant.name + ".");
+        return mongoose.disconnect();
+    });
+});
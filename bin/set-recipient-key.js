@@ -0,0 +1,116 @@
+#!/usr/bin/nodejs
+
+/**
+ * Part of the evias/nem2pay package.
+ *
+ * NOTICE OF LICENSE
+ *
+ * Licensed under MIT License.
+ *
+ * This source file is subject to the MIT License that is
+ * bundled with this package in the LICENSE file.
+ *
+ * @package    evias/nem2pay
+ * @author     Grégory Saive <greg@evias.be>
+ * @license    MIT License
+ * @copyright  (c) 2019, Grégory Saive <greg@evias.be>
+ * @link       http://github.com/evias/nem2pay
+ */
+
+/**
+ * Store the private key of a Merchant recipient. The key is
+ * used to decrypt NEM encrypted messages sent to the recipient.
+ *
+ * The private key is read from the standard input such that it
+ * does not end up in the shell history, and is stored encrypted
+ * with `payments.secretKey` (or `SECRET_KEY`). The key must belong
+ * to one of the Merchant's recipient addresses.
+ *
+ * Usage:
+ *   node bin/set-recipient-key.js <merchantId> < private-key.txt
+ */
+
+var mongoose = require("mongoose"),
+    nem = require("nem-sdk").default;
+
+var logger = require('../core/logger.js');
+
+var merchantId = process.argv[2];
+
+if (!merchantId || !merchantId.length) {
+    console.log("Usage: node bin/set-recipient-key.js <merchantId> < private-key.txt");
+    process.exit(1);
+}
+
+var helpers = require('../core/helpers.js').service;
+var NEMHelpers = new helpers(null, nem, logger);
+
+var readPrivateKey = function(callback) {
+    var input = "";
+    var isRead = false;
+
+    var done = function() {
+        if (isRead)
+            return;
+
+        isRead = true;
+        callback(input.trim());
+    };
+
+    if (process.stdin.isTTY)
+        console.log("Private key: ");
+
+    process.stdin.setEncoding("utf8");
+    process.stdin.on("data", function(chunk) {
+        input += chunk;
+
+        // interactive input ends with the first line
+        if (process.stdin.isTTY && input.indexOf("\n") !== -1)
+            process.stdin.pause();
+    });
+    process.stdin.on("pause", done);
+    process.stdin.on("end", done);
+};
+
+readPrivateKey(function(privateKey) {
+    if (!nem.utils.helpers.isPrivateKeyValid(privateKey)) {
+        console.log("Invalid private key.");
+        process.exit(1);
+    }
+
+    var publicKey = nem.crypto.keyPair.create(privateKey).publicKey.toString();
+    var address = nem.model.address.toAddress(publicKey, NEMHelpers.getNetwork().config.id);
+
+    var DBStore = require('../core/database.js').DBStore;
+    var PaymentsDatabase = new DBStore(null, NEMHelpers);
+
+    PaymentsDatabase.Merchant.findById(merchantId, function(err, merchant) {
+        if (err || !merchant) {
+            console.log("Merchant not found: " + merchantId);
+            return mongoose.disconnect(function() { process.exit(1); });
+        }
+
+        if (!merchant.isRecipient(address)) {
+            console.log("The private key belongs to " + address + " which is not a recipient of this Merchant.");
+            return mongoose.disconnect(function() { process.exit(1); });
+        }
+
+        var keys = (merchant.recipientKeys || []).filter(function(key) {
+            return key.address != address;
+        });
+
+        keys.push({ address: address, privateKey: NEMHelpers.encrypt(privateKey) });
+        merchant.recipientKeys = keys;
+        merchant.updatedAt = new Date().valueOf();
+
+        merchant.save(function(err) {
+            if (err) {
+                console.log("Error occured on Merchant update: " + err);
+                return mongoose.disconnect(function() { process.exit(1); });
+            }
+
+            console.log("Private key stored for recipient " + address + ".");
+            return mongoose.disconnect();
+        });
+    });
+});
@@ -0,0 +1,300 @@
+/**
+ * Part of the evias/nem2pay package.
+ *
+ * NOTICE OF LICENSE
+ *
+ * Licensed under MIT License.
+ *
+ * This source file is subject to the MIT License that is
+ * bundled with this package in the LICENSE file.
+ *
+ * @package    evias/nem2pay
+ * @author     Grégory Saive <greg@evias.be> (https://github.com/evias)
+ * @license    MIT License
+ * @copyright  (c) 2019, Grégory Saive <greg@evias.be>
+ * @link       https://github.com/evias/nem2pay
+ */
+
+(function() {
+
+    var config = require("config"),
+        auth = require("http-auth"),
+        CryptoJS = require("crypto-js"),
+        url = require("url"),
+        path = require('path');
+
+    var __smartfilename = path.basename(__filename);
+
+    // admin roles, each role includes the rights of the previous roles.
+    var roles_ = ["readonly", "operator"];
+
+    /**
+     * class AdminAuthenticator protects the admin routes.
+     *
+     * Administrators authenticate with HTTP basic auth (username and
+     * password) or with their admin API token in the `X-Admin-Token`
+     * header. Roles are:
+     *
+     * - `readonly` : View admin data
+     * - `operator` : View admin data and run admin actions
+     *
+     * Every call to an admin route is stored in the AdminAuditLog
+     * collection with the administrator and the response status.
+     *
+     * @author  Grégory Saive <greg@evias.be> (https://github.com/evias)
+     */
+    var AdminAuthenticator = function(logger, dataLayer) {
+        this.logger_ = logger;
+        this.db_ = dataLayer;
+
+        /**
+         * Available admin roles.
+         *
+         * @var {Array}
+         */
+        this.roles = roles_;
+
+        var self = this;
+        var basic_ = auth.basic({ realm: config.get("admin.realm") }, function(username, password, callback, req) {
+            self.checkPassword(username, password, function(err, admin) {
+                if (err)
+                    return callback(err);
+
+                req.admin = admin;
+                req.adminAuthMethod = "basic";
+                return callback(!!admin);
+            });
+        });
+
+        /**
+         * Check whether `admin` has the rights of `role`.
+         *
+         * @param   {Admin}     admin
+         * @param   {string}    role
+         * @return  {boolean}
+         */
+        this.hasRole = function(admin, role) {
+            var adminRank = roles_.indexOf(admin.role);
+            var roleRank = roles_.indexOf(role);
+
+            return adminRank !== -1 && roleRank !== -1 && adminRank >= roleRank;
+        };
+
+        /**
+         * Find the administrator `username` and verify `password`. The
+         * callback receives `null` for invalid credentials.
+         *
+         * @param   {string}    username
+         * @param   {string}    password
+         * @param   {Function}  callback    Callback function executed with `err` and the Admin
+         * @return  {void}
+         */
+        this.checkPassword = function(username, password, callback) {
+            this.db_.Admin.findOne({ username: username }, function(err, admin) {
+                if (err)
+                    return callback(err);
+
+                return callback(null, admin && admin.checkPassword(password) ? admin : null);
+            });
+        };
+
+        /**
+         * Find the administrator of the admin API token `apiToken`.
+         *
+         * @param   {string}    apiToken
+         * @param   {Function}  callback    Callback function executed with `err` and the Admin
+         * @return  {void}
+         */
+        this.checkToken = function(apiToken, callback) {
+            this.db_.Admin.findByApiToken(apiToken, function(err, admin) {
+                return callback(err, admin || null);
+            });
+        };
+
+        /**
+         * Authenticate the calling administrator. Requests with an
+         * `X-Admin-Token` header are authenticated by token, other
+         * requests with basic auth.
+         *
+         * @param   {*}         req
+         * @param   {*}         res
+         * @param   {Function}  callback    Executed once `req.admin` is set
+         * @return  {void}
+         */
+        this.authenticate = function(req, res, callback) {
+            var self = this;
+            var apiToken = req.headers["x-admin-token"];
+
+            if (!apiToken || !apiToken.length)
+                return basic_.check(req, res, function(req, res, err) {
+                    if (err) {
+                        self.logger_.error(__smartfilename, __line, '[ERROR] Admin authentication error: ' + err);
+                        return self.deny(res, 500, "Admin authentication error.");
+                    }
+
+                    return callback();
+                });
+
+            self.checkToken(apiToken, function(err, admin) {
+                if (err) {
+                    self.logger_.error(__smartfilename, __line, '[ERROR] Admin authentication error: ' + err);
+                    return self.deny(res, 500, "Admin authentication error.");
+                }
+
+                if (!admin) {
+                    self.logger_.warn(__smartfilename, __line, '[ADMIN] Invalid admin token.');
+                    return self.deny(res, 401, "Invalid admin token.");
+                }
+
+                req.admin = admin;
+                req.adminAuthMethod = "token";
+                return callback();
+            });
+        };
+
+        /**
+         * Get the middleware protecting an admin route which
+         * requires the rights of `role`.
+         *
+         * @param   {string}    role    One of `readonly` or `operator`
+         * @return  {Function}
+         */
+        this.requireRole = function(role) {
+            var self = this;
+
+            return function(req, res, next) {
+                self.authenticate(req, res, function() {
+                    self.audit(req, res);
+
+                    if (!self.hasRole(req.admin, role)) {
+                        self.logger_.warn(__smartfilename, __line, '[ADMIN] ' + req.admin.username + ' is not allowed to call ' + req.method + ' ' + req.path + '.');
+                        return self.deny(res, 403, "Missing admin role `" + role + "`.");
+                    }
+
+                    req.admin.lastLoginAt = new Date().valueOf();
+                    req.admin.save();
+                    return next();
+                });
+            };
+        };
+
+        /**
+         * Get the middleware rejecting admin forms submitted from other
+         * sites. Browsers send basic auth credentials with cross-site
+         * requests, the `Origin` (or `Referer`) must be this host.
+         *
+         * Requests authenticated by admin token are accepted, other
+         * sites can not set the `X-Admin-Token` header.
+         *
+         * @return  {Function}
+         */
+        this.requireSameOrigin = function() {
+            var self = this;
+
+            return function(req, res, next) {
+                if (req.adminAuthMethod == "token")
+                    return next();
+
+                var origin = req.headers.origin || req.headers.referer;
+                if (!origin || url.parse(origin).host != req.headers.host) {
+                    self.logger_.warn(__smartfilename, __line, '[ADMIN] Rejected ' + req.method + ' ' + req.path + ' from origin ' + origin + '.');
+                    return self.deny(res, 403, "Invalid request origin.");
+                }
+
+                return next();
+            };
+        };
+
+        /**
+         * Store the call of an admin route in the audit log once the
+         * response was sent.
+         *
+         * @param   {*}     req
+         * @param   {*}     res
+         * @return  {void}
+         */
+        this.audit = function(req, res) {
+            var self = this;
+
+            // credentials and confirmation tokens are not logged
+            var params = {};
+            var inputs = [req.params || {}, req.query || {}, req.body || {}];
+            for (var i = 0; i < inputs.length; i++)
+                for (var field in inputs[i])
+                    if (!/token|password|apikey/i.test(field))
+                        params[field] = inputs[i][field];
+
+            res.on("finish", function() {
+                var entry = new self.db_.AdminAuditLog({
+                    adminId: req.admin._id,
+                    username: req.admin.username,
+                    role: req.admin.role,
+                    authMethod: req.adminAuthMethod,
+                    method: req.method,
+                    route: req.route ? req.route.path : req.path,
+                    url: req.path,
+                    params: JSON.stringify(params),
+                    ip: req.headers["x-forwarded-for"] || (req.connection ? req.connection.remoteAddress : undefined),
+                    statusCode: res.statusCode,
+                    createdAt: new Date().valueOf()
+                });
+
+                entry.save(function(err) {
+                    if (err)
+                        self.logger_.error(__smartfilename, __line, '[ERROR] Admin audit log error: ' + err);
+                });
+            });
+        };
+
+        /**
+         * Check whether the data reset is available. Data can only be
+         * reset outside of production and when a confirmation token is
+         * configured (`admin.resetConfirmationToken` or `ADMIN_RESET_TOKEN`).
+         *
+         * @param   {string}    environment     The express environment (`NODE_ENV`)
+         * @return  {boolean}
+         */
+        this.canResetData = function(environment) {
+            return environment != "production" && this.getResetConfirmationToken().length > 0;
+        };
+
+        /**
+         * Verify the confirmation token sent with a data reset.
+         *
+         * @param   {string}    confirmationToken
+         * @return  {boolean}
+         */
+        this.checkResetConfirmation = function(confirmationToken) {
+            var expected = this.getResetConfirmationToken();
+            if (!expected.length || typeof confirmationToken != "string")
+                return false;
+
+            // compare hashes, not the tokens
+            return CryptoJS.SHA256(confirmationToken).toString() === CryptoJS.SHA256(expected).toString();
+        };
+
+        /**
+         * Read the configured reset confirmation token.
+         *
+         * @return  {string}
+         */
+        this.getResetConfirmationToken = function() {
+            return process.env["ADMIN_RESET_TOKEN"] || config.get("admin.resetConfirmationToken") || "";
+        };
+
+        /**
+         * Send an authentication or authorization error.
+         *
+         * @param   {*}         res
+         * @param   {integer}   statusCode
+         * @param   {string}    message
+         * @return  {void}
+         */
+        this.deny = function(res, statusCode, message) {
+            res.setHeader('Content-Type', 'application/json');
+            return res.send(statusCode, JSON.stringify({ "status": "error", "message": message }));
+        };
+    };
+
+    module.exports.AdminAuthenticator = AdminAuthenticator;
+}());
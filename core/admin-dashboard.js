@@ -0,0 +1,320 @@
+/**
+ * Part of the evias/nem2pay package.
+ *
+ * NOTICE OF LICENSE
+ *
+ * Licensed under MIT License.
+ *
+ * This source file is subject to the MIT License that is
+ * bundled with this package in the LICENSE file.
+ *
+ * @package    evias/nem2pay
+ * @author     Grégory Saive <greg@evias.be> (https://github.com/evias)
+ * @license    MIT License
+ * @copyright  (c) 2019, Grégory Saive <greg@evias.be>
+ * @link       https://github.com/evias/nem2pay
+ */
+
+(function() {
+
+    var path = require('path');
+
+    var InvoiceStateMachine = require("./invoice-states.js").InvoiceStateMachine;
+
+    var __smartfilename = path.basename(__filename);
+
+    // invoices displayed per page
+    var pageSize_ = 50;
+
+    /**
+     * class AdminDashboard provides the data of the admin
+     * dashboard and its manual invoice actions.
+     *
+     * Invoices are listed with filters (status, merchant, creation
+     * date range and payment mosaic). Manual actions are recorded
+     * with the `admin` source in the invoice status history.
+     *
+     * @author  Grégory Saive <greg@evias.be> (https://github.com/evias)
+     */
+    var AdminDashboard = function(logger, dataLayer, paymentsProtocol, reconciler, ledger) {
+        this.logger_ = logger;
+        this.db_ = dataLayer;
+        this.protocol_ = paymentsProtocol;
+        this.reconciler_ = reconciler;
+        this.ledger_ = ledger;
+        this.states_ = new InvoiceStateMachine(logger);
+
+        /**
+         * Get the available invoice statuses.
+         *
+         * @return  {Array}
+         */
+        this.getStatuses = function() {
+            return this.states_.statuses;
+        };
+
+        /**
+         * Build the invoices query for `filters`. Filters are `status`,
+         * `merchantId`, `from` and `to` (dates as YYYY-MM-DD, both days
+         * included), `mosaic` and `needsReview`. Empty filters are ignored.
+         *
+         * @param   {object}    filters
+         * @return  {object}
+         */
+        this.getInvoiceQuery = function(filters) {
+            var query = {};
+
+            if (filters.status && filters.status.length)
+                query.status = filters.status;
+
+            if (filters.merchantId && filters.merchantId.length)
+                query.merchantId = filters.merchantId;
+
+            if (filters.mosaic == "nem:xem")
+            // invoices created before mosaic support are billed in XEM
+                query.paymentMosaicSlug = { $in: ["nem:xem", null] };
+            else if (filters.mosaic && filters.mosaic.length)
+                query.paymentMosaicSlug = filters.mosaic;
+
+            if (filters.needsReview == "1")
+                query.needsReview = true;
+
+            var createdAt = {};
+            if (filters.from && filters.from.length)
+                createdAt.$gte = Date.parse(filters.from + "T00:00:00Z");
+
+            if (filters.to && filters.to.length)
+                createdAt.$lt = Date.parse(filters.to + "T00:00:00Z") + 24 * 60 * 60 * 1000;
+
+            if (Object.keys(createdAt).length)
+                query.createdAt = createdAt;
+
+            return query;
+        };
+
+        /**
+         * List the invoices matching `filters`, newest first.
+         *
+         * @param   {object}    filters     See getInvoiceQuery()
+         * @param   {integer}   page        Page number, starting at 1
+         * @param   {Function}  callback    Callback function executed with `err` and the page (invoices, page, pageCount, total)
+         * @return  {void}
+         */
+        this.listInvoices = function(filters, page, callback) {
+            var self = this;
+            var query = self.getInvoiceQuery(filters);
+
+            self.db_.NEMPaymentChannel.count(query, function(err, total) {
+                if (err)
+                    return callback(err);
+
+                var pageCount = Math.max(1, Math.ceil(total / pageSize_));
+                var current = Math.min(Math.max(1, page || 1), pageCount);
+
+                self.db_.NEMPaymentChannel.find(query)
+                    .sort({ createdAt: -1 })
+                    .skip((current - 1) * pageSize_)
+                    .limit(pageSize_)
+                    .exec(function(err, invoices) {
+                        if (err)
+                            return callback(err);
+
+                        return callback(null, {
+                            invoices: invoices,
+                            page: current,
+                            pageCount: pageCount,
+                            total: total
+                        });
+                    });
+            });
+        };
+
+        /**
+         * Load the invoice `number` with its Merchant and the
+         * transactions matched to it.
+         *
+         * @param   {string}    number
+         * @param   {Function}  callback    Callback function executed with `err` and the detail (invoice, merchant, transactions)
+         * @return  {void}
+         */
+        this.getInvoiceDetail = function(number, callback) {
+            var self = this;
+
+            self.db_.NEMPaymentChannel.findOne({ number: number }, function(err, invoice) {
+                if (err || !invoice)
+                    return callback(err || new Error("Invoice " + number + " not found."));
+
+                self.db_.Merchant.findById(invoice.merchantId, function(err, merchant) {
+                    if (err)
+                        return callback(err);
+
+                    self.ledger_.getInvoiceTransactions(invoice.merchantId, invoice.number, function(err, transactions) {
+                        if (err)
+                            return callback(err);
+
+                        return callback(null, {
+                            invoice: invoice,
+                            merchant: merchant,
+                            transactions: transactions
+                        });
+                    });
+                });
+            });
+        };
+
+        /**
+         * Cancel `invoice` on behalf of `admin`.
+         *
+         * @param   {NEMPaymentChannel}     invoice
+         * @param   {Admin}                 admin
+         * @param   {Function}              callback    Callback function executed with `err` and the invoice
+         * @return  {void}
+         */
+        this.cancelInvoice = function(invoice, admin, callback) {
+            this.logger_.info(__smartfilename, __line, '[ADMIN] ' + admin.username + ' cancels invoice ' + invoice.number + '.');
+            return this.protocol_.cancelInvoice(invoice, "admin", callback);
+        };
+
+        /**
+         * Verify `invoice` against the incoming transactions
+         * of its recipient and save it.
+         *
+         * @param   {NEMPaymentChannel}     invoice
+         * @param   {Admin}                 admin
+         * @param   {Function}              callback    Callback function executed with `err` and the reconciliation report
+         * @return  {void}
+         */
+        this.verifyInvoice = function(invoice, admin, callback) {
+            this.logger_.info(__smartfilename, __line, '[ADMIN] ' + admin.username + ' verifies invoice ' + invoice.number + '.');
+            return this.reconciler_.reconcileInvoices(invoice.getRecipient(), [invoice], function(err, report) {
+                return callback(err, report);
+            });
+        };
+
+        /**
+         * Flag `invoice` for manual review. Invoices flagged for review
+         * are skipped by the reconciliation.
+         *
+         * @param   {NEMPaymentChannel}     invoice
+         * @param   {string}                reason
+         * @param   {Admin}                 admin
+         * @param   {Function}              callback    Callback function executed with `err` and the invoice
+         * @return  {void}
+         */
+        this.markForReview = function(invoice, reason, admin, callback) {
+            var self = this;
+
+            invoice.needsReview = true;
+            invoice.reviewReason = (reason && reason.length ? reason : "Flagged for review.") + " (" + admin.username + ")";
+            invoice.updatedAt = new Date().valueOf();
+
+            invoice.save(function(err) {
+                if (err) {
+                    self.logger_.error(__smartfilename, __line, '[ERROR] Invoice review flag error: ' + err);
+                    return callback(err);
+                }
+
+                self.logger_.info(__smartfilename, __line, '[ADMIN] ' + admin.username + ' flagged invoice ' + invoice.number + ' for review.');
+                return callback(null, invoice);
+            });
+        };
+
+        /**
+         * Build the view data of `invoice`. Amounts are formatted in
+         * the payment mosaic units and dates as UTC date and time.
+         *
+         * @param   {NEMPaymentChannel}     invoice
+         * @return  {object}
+         */
+        this.getInvoiceRow = function(invoice) {
+            var divisibility = invoice.getDivisibility();
+
+            return {
+                number: invoice.number,
+                merchantId: invoice.merchantId,
+                status: invoice.status,
+                mosaic: invoice.getMosaic(),
+                payer: invoice.payerXEM,
+                recipient: invoice.recipientXEM,
+                description: invoice.description,
+                reference: invoice.reference,
+                amount: this.formatAmount(invoice.amount, divisibility),
+                amountPaid: this.formatAmount(invoice.amountPaid, divisibility),
+                amountUnconfirmed: this.formatAmount(invoice.amountUnconfirmed, divisibility),
+                confirmations: invoice.confirmations,
+                confirmationsRequired: invoice.confirmationsRequired,
+                needsReview: invoice.needsReview,
+                reviewReason: invoice.reviewReason,
+                isCancellable: this.states_.canTransition(invoice.status, "cancelled"),
+                createdAt: this.formatDate(invoice.createdAt),
+                updatedAt: this.formatDate(invoice.updatedAt),
+                paidAt: this.formatDate(invoice.paidAt)
+            };
+        };
+
+        /**
+         * Build the view data of an invoice detail (see getInvoiceDetail()),
+         * with its transactions and its status history.
+         *
+         * @param   {object}    detail
+         * @return  {object}
+         */
+        this.getInvoiceView = function(detail) {
+            var self = this;
+            var invoice = detail.invoice;
+            var divisibility = invoice.getDivisibility();
+
+            return {
+                invoice: self.getInvoiceRow(invoice),
+                merchantName: detail.merchant ? detail.merchant.name : "",
+                transactions: detail.transactions.map(function(entry) {
+                    return {
+                        hash: entry.hash,
+                        innerHash: entry.innerHash,
+                        sender: entry.sender,
+                        amount: self.formatAmount(entry.amount, divisibility),
+                        height: entry.height,
+                        date: self.formatDate(entry.timestamp),
+                        source: entry.source
+                    };
+                }),
+                statusHistory: (invoice.statusHistory || []).map(function(entry) {
+                    return {
+                        from: entry.from,
+                        status: entry.status,
+                        source: entry.source,
+                        amountPaid: self.formatAmount(entry.amountPaid, divisibility),
+                        amountUnconfirmed: self.formatAmount(entry.amountUnconfirmed, divisibility),
+                        date: self.formatDate(entry.createdAt)
+                    };
+                })
+            };
+        };
+
+        /**
+         * Format an amount given in the smallest unit of a mosaic.
+         *
+         * @param   {integer}   amount
+         * @param   {integer}   divisibility
+         * @return  {string}
+         */
+        this.formatAmount = function(amount, divisibility) {
+            return ((amount || 0) / Math.pow(10, divisibility)).toFixed(divisibility);
+        };
+
+        /**
+         * Format a timestamp (milliseconds) as UTC date and time.
+         *
+         * @param   {integer}   timestamp
+         * @return  {string}
+         */
+        this.formatDate = function(timestamp) {
+            if (!timestamp)
+                return "";
+
+            return new Date(timestamp).toISOString().replace(/T/, ' ').replace(/\..+/, '');
+        };
+    };
+
+    module.exports.AdminDashboard = AdminDashboard;
+}());
@@ -0,0 +1,261 @@
+/**
+ * Part of the evias/nem2pay package.
+ *
+ * NOTICE OF LICENSE
+ *
+ * Licensed under MIT License.
+ *
+ * This source file is subject to the MIT License that is
+ * bundled with this package in the LICENSE file.
+ *
+ * @package    evias/nem2pay
+ * @author     Grégory Saive <greg@evias.be> (https://github.com/evias)
+ * @license    MIT License
+ * @copyright  (c) 2019, Grégory Saive <greg@evias.be>
+ * @link       https://github.com/evias/nem2pay
+ */
+
+(function() {
+
+    var CryptoJS = require("crypto-js");
+
+    /**
+     * class MockChainAdapter is an in-process chain adapter which
+     * serves scripted blockchain data. It does not need any network
+     * access and can be used for tests and offline development.
+     *
+     * Transactions are scripted with `addTransfer()`, mosaic definitions
+     * with `addMosaicDefinition()` and the chain height with `setChainHeight()`.
+     *
+     * @see NISChainAdapter for the chain adapter interface
+     * @author  Grégory Saive <greg@evias.be> (https://github.com/evias)
+     */
+    var MockChainAdapter = function(nemSDK) {
+        var nem_ = nemSDK;
+
+        var endpoint_ = { host: "http://mock.nem2pay", port: 7890 };
+        var transactions_ = {};
+        var mosaicDefinitions_ = {};
+        var chainHeight_ = 1;
+        var isAlive_ = true;
+        var lastId_ = 0;
+        var lastMosaicId_ = 0;
+
+        /**
+         * Get the (fake) NEM-sdk endpoint.
+         *
+         * @return {object}
+         */
+        this.getEndpoint = function() {
+            return endpoint_;
+        };
+
+        /**
+         * Mark the mock node alive or dead. A dead node
+         * rejects all requests.
+         *
+         * @param   {boolean}   isAlive
+         * @return  {void}
+         */
+        this.setAlive = function(isAlive) {
+            isAlive_ = isAlive;
+        };
+
+        /**
+         * Set the current block height.
+         *
+         * @param   {integer}   height
+         * @return  {void}
+         */
+        this.setChainHeight = function(height) {
+            chainHeight_ = height;
+        };
+
+        /**
+         * Remove all scripted transactions.
+         *
+         * @return {void}
+         */
+        this.reset = function() {
+            transactions_ = {};
+            lastId_ = 0;
+        };
+
+        /**
+         * Script a mosaic definition. Definitions are stored as
+         * MosaicDefinitionMetaDataPair objects, newest first.
+         *
+         * @param   {string}    mosaicSlug      The namespace and mosaic name joined with a colon (:)
+         * @param   {object}    properties      Contains `divisibility`, `supply`, `supplyMutable`, `transferable` and `levy`
+         * @return  {void}
+         */
+        this.addMosaicDefinition = function(mosaicSlug, properties) {
+            var namespace = mosaicSlug.replace(/:[^:]+$/, "");
+            var name = mosaicSlug.replace(/^[^:]+:/, "");
+
+            if (!mosaicDefinitions_.hasOwnProperty(namespace))
+                mosaicDefinitions_[namespace] = [];
+
+            mosaicDefinitions_[namespace].unshift({
+                meta: { id: ++lastMosaicId_ },
+                mosaic: {
+                    id: { namespaceId: namespace, name: name },
+                    properties: [
+                        { name: "divisibility", value: String(properties.divisibility || 0) },
+                        { name: "initialSupply", value: String(properties.supply || 0) },
+                        { name: "supplyMutable", value: String(properties.supplyMutable === true) },
+                        { name: "transferable", value: String(properties.transferable !== false) }
+                    ],
+                    levy: properties.levy || {}
+                }
+            });
+        };
+
+        /**
+         * Script an incoming transfer transaction. The transaction is
+         * stored as a TransactionMetaDataPair.
+         *
+         * `transfer.amount` is read in micro XEM, mosaics are given as
+         * `{ mosaic: "namespace:name", quantity: 1 }` objects with quantities
+         * in the mosaic's smallest unit.
+         *
+         * With `transfer.multisig`, the transfer is wrapped in a multisig
+         * transaction signed by `transfer.cosigner`, `signer` is then the
+         * multisig account.
+         *
+         * @param   {object}    transfer    Contains `recipient`, `amount`, `message`, `mosaics`, `signer`, `height`, `hash`, `multisig` and `cosigner`
+         * @return  {object}    The created TransactionMetaDataPair
+         */
+        this.addTransfer = function(transfer) {
+            var id = ++lastId_;
+            var recipient = transfer.recipient.toUpperCase().replace(/-/g, "");
+            var hash = transfer.hash || CryptoJS.SHA256(recipient + id).toString();
+
+            var content = {
+                type: nem_.model.transactionTypes.transfer,
+                version: 1,
+                timeStamp: transfer.timeStamp || Math.floor((new Date().valueOf() - Date.UTC(2015, 2, 29, 0, 6, 25, 0)) / 1000),
+                signer: transfer.signer || "",
+                recipient: recipient,
+                amount: transfer.amount || 0,
+                fee: 50000
+            };
+
+            if (transfer.message && transfer.message.length)
+                content.message = { type: 1, payload: nem_.utils.convert.utf8ToHex(transfer.message) };
+
+            if (transfer.mosaics && transfer.mosaics.length) {
+                // mosaic transfer, `amount` is the multiplier.
+                content.amount = 1000000;
+                content.version = 2;
+                content.mosaics = transfer.mosaics.map(function(attachment) {
+                    return {
+                        mosaicId: {
+                            namespaceId: attachment.mosaic.replace(/:[^:]+$/, ""),
+                            name: attachment.mosaic.replace(/^[^:]+:/, "")
+                        },
+                        quantity: attachment.quantity
+                    };
+                });
+            }
+
+            var transaction = {
+                meta: {
+                    id: id,
+                    hash: { data: hash },
+                    innerHash: {},
+                    height: transfer.height || chainHeight_
+                },
+                transaction: content
+            };
+
+            if (transfer.multisig === true) {
+                transaction.meta.innerHash = { data: CryptoJS.SHA256(hash + "inner").toString() };
+                transaction.transaction = {
+                    type: nem_.model.transactionTypes.multisigTransaction,
+                    version: 1,
+                    timeStamp: content.timeStamp,
+                    signer: transfer.cosigner || "",
+                    fee: 150000,
+                    otherTrans: content,
+                    signatures: []
+                };
+            }
+
+            if (!transactions_.hasOwnProperty(recipient))
+                transactions_[recipient] = [];
+
+            transactions_[recipient].unshift(transaction);
+            return transaction;
+        };
+
+        /**
+         * Read incoming transactions of `address`, newest first. When
+         * `lastTrxId` is given, the 25 transactions before this ID are
+         * returned (same behaviour as NIS).
+         *
+         * @param   {string}    address
+         * @param   {integer}   lastTrxId
+         * @return  Promise
+         */
+        this.getIncomingTransactions = function(address, lastTrxId) {
+            if (!isAlive_)
+                return Promise.reject(new Error("Mock node is down."));
+
+            var incoming = transactions_[address.toUpperCase().replace(/-/g, "")] || [];
+            if (lastTrxId)
+                incoming = incoming.filter(function(transaction) {
+                    return transaction.meta.id < lastTrxId;
+                });
+
+            return Promise.resolve(incoming.slice(0, 25));
+        };
+
+        /**
+         * Get the status of the mock node.
+         *
+         * @return Promise
+         */
+        this.heartbeat = function() {
+            if (!isAlive_)
+                return Promise.reject(new Error("Mock node is down."));
+
+            return Promise.resolve({ code: 1, type: 2, message: "ok" });
+        };
+
+        /**
+         * Read the scripted mosaic definitions of `namespace`. When
+         * `lastId` is given, the 25 definitions before this ID are returned.
+         *
+         * @param   {string}    namespace
+         * @param   {integer}   lastId
+         * @return  Promise
+         */
+        this.getMosaicDefinitions = function(namespace, lastId) {
+            if (!isAlive_)
+                return Promise.reject(new Error("Mock node is down."));
+
+            var definitions = mosaicDefinitions_[namespace] || [];
+            if (lastId)
+                definitions = definitions.filter(function(definition) {
+                    return definition.meta.id < lastId;
+                });
+
+            return Promise.resolve(definitions.slice(0, 25));
+        };
+
+        /**
+         * Get the scripted block height.
+         *
+         * @return Promise
+         */
+        this.getChainHeight = function() {
+            if (!isAlive_)
+                return Promise.reject(new Error("Mock node is down."));
+
+            return Promise.resolve(chainHeight_);
+        };
+    };
+
+    module.exports.MockChainAdapter = MockChainAdapter;
+}());
@@ -0,0 +1,197 @@
+/**
+ * Part of the evias/nem2pay package.
+ *
+ * NOTICE OF LICENSE
+ *
+ * Licensed under MIT License.
+ *
+ * This source file is subject to the MIT License that is
+ * bundled with this package in the LICENSE file.
+ *
+ * @package    evias/nem2pay
+ * @author     Grégory Saive <greg@evias.be> (https://github.com/evias)
+ * @license    MIT License
+ * @copyright  (c) 2019, Grégory Saive <greg@evias.be>
+ * @link       https://github.com/evias/nem2pay
+ */
+
+(function() {
+
+    var path = require('path'),
+        http = require("http"),
+        https = require("https");
+
+    var __smartfilename = path.basename(__filename);
+
+    /**
+     * class NISChainAdapter reads blockchain data from the NIS
+     * API of the NEM nodes in `nodePool`, using the NEM-sdk.
+     *
+     * Chain adapters implement the following methods, all of
+     * them return a Promise:
+     *
+     * - getIncomingTransactions(address, lastTrxId) : Array of TransactionMetaDataPair (25 per page, newest first)
+     * - heartbeat() : Node status
+     * - getMosaicDefinitions(namespace, lastId) : Array of MosaicDefinitionMetaDataPair (25 per page)
+     * - getChainHeight() : Current block height
+     *
+     * and `getEndpoint()` which returns the NEM-sdk endpoint in use.
+     *
+     * Failed or timed out requests are retried with the next best
+     * node of the pool.
+     *
+     * @author  Grégory Saive <greg@evias.be> (https://github.com/evias)
+     */
+    var NISChainAdapter = function(nemSDK, logger, nodePool) {
+        var nem_ = nemSDK;
+        var logger_ = logger;
+        var nodePool_ = nodePool;
+
+        /**
+         * Send `request` to the active node. When the request fails
+         * or times out, the node is reported as failing and the request
+         * is sent again to the next best node, until all nodes have
+         * been tried.
+         *
+         * @param   {Function}  request     Receives a NEM-sdk endpoint and returns a Promise
+         * @return  Promise
+         */
+        var withFailover_ = function(request) {
+            var maxAttempts = nodePool_.getNodes().length;
+
+            var attempt = function(cntAttempt) {
+                var endpoint = nodePool_.getEndpoint();
+
+                return nodePool_.withTimeout(request(endpoint)).catch(function(err) {
+                    if (cntAttempt < maxAttempts && nodePool_.reportFailure(endpoint))
+                        return attempt(cntAttempt + 1);
+
+                    logger_.error(__smartfilename, __line, "[NIS] Request failed on " + endpoint.host + ":" + endpoint.port + ": " + JSON.stringify(err));
+                    throw err;
+                });
+            };
+
+            return attempt(1);
+        };
+
+        /**
+         * Send a GET request to `url` and parse the JSON response.
+         * The request is aborted after the request timeout of the pool.
+         *
+         * @param   {string}    url
+         * @return  Promise
+         */
+        var getJSON_ = function(url) {
+            var transport = url.indexOf("https:") === 0 ? https : http;
+
+            return new Promise(function(resolve, reject) {
+                var request = transport.get(url, function(response) {
+                    var body = "";
+                    response.setEncoding("utf8");
+                    response.on("data", function(chunk) { body += chunk; });
+                    response.on("end", function() {
+                        if (response.statusCode < 200 || response.statusCode >= 300)
+                            return reject({ code: response.statusCode, data: body });
+
+                        try {
+                            resolve(JSON.parse(body));
+                        } catch (e) {
+                            reject(e);
+                        }
+                    });
+                });
+
+                request.setTimeout(nodePool_.getRequestTimeout(), function() {
+                    request.abort();
+                    reject(new Error("Request timed out."));
+                });
+
+                request.on("error", reject);
+            });
+        };
+
+        /**
+         * Get the NEM-sdk `endpoint` of the active node.
+         *
+         * @return {object}
+         */
+        this.getEndpoint = function() {
+            return nodePool_.getEndpoint();
+        };
+
+        /**
+         * Get the pool of NEM nodes.
+         *
+         * @return {NodePool}
+         */
+        this.getNodePool = function() {
+            return nodePool_;
+        };
+
+        /**
+         * Read incoming transactions of `address`. When `lastTrxId`
+         * is given, the 25 transactions before this ID are returned.
+         *
+         * @param   {string}    address
+         * @param   {integer}   lastTrxId
+         * @return  Promise
+         */
+        this.getIncomingTransactions = function(address, lastTrxId) {
+            return withFailover_(function(endpoint) {
+                return nem_.com.requests.account.transactions.incoming(endpoint, address, null, lastTrxId)
+                    .then(function(res) {
+                        return res.data;
+                    });
+            });
+        };
+
+        /**
+         * Get the status of the active node.
+         *
+         * @return Promise
+         */
+        this.heartbeat = function() {
+            return nodePool_.withTimeout(nem_.com.requests.endpoint.heartbeat(this.getEndpoint()));
+        };
+
+        /**
+         * Read the mosaic definitions of `namespace`. When `lastId`
+         * is given, the 25 definitions before this ID are returned.
+         *
+         * The NEM-sdk request does not forward the `id` parameter,
+         * the page is read directly from the NIS API.
+         *
+         * @param   {string}    namespace
+         * @param   {integer}   lastId
+         * @return  Promise
+         */
+        this.getMosaicDefinitions = function(namespace, lastId) {
+            return withFailover_(function(endpoint) {
+                var query = "?namespace=" + encodeURIComponent(namespace);
+                if (lastId)
+                    query += "&id=" + encodeURIComponent(lastId);
+
+                return getJSON_(nem_.utils.helpers.formatEndpoint(endpoint) + "/namespace/mosaic/definition/page" + query)
+                    .then(function(res) {
+                        return res.data;
+                    });
+            });
+        };
+
+        /**
+         * Get the current block height.
+         *
+         * @return Promise
+         */
+        this.getChainHeight = function() {
+            return withFailover_(function(endpoint) {
+                return nem_.com.requests.chain.height(endpoint)
+                    .then(function(res) {
+                        return res.height;
+                    });
+            });
+        };
+    };
+
+    module.exports.NISChainAdapter = NISChainAdapter;
+}());
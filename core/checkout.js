@@ -0,0 +1,166 @@
+/**
+ * Part of the evias/nem2pay package.
+ *
+ * NOTICE OF LICENSE
+ *
+ * Licensed under MIT License.
+ *
+ * This source file is subject to the MIT License that is
+ * bundled with this package in the LICENSE file.
+ *
+ * @package    evias/nem2pay
+ * @author     Grégory Saive <greg@evias.be> (https://github.com/evias)
+ * @license    MIT License
+ * @copyright  (c) 2019, Grégory Saive <greg@evias.be>
+ * @link       https://github.com/evias/nem2pay
+ */
+
+(function() {
+
+    var path = require('path');
+
+    var __smartfilename = path.basename(__filename);
+
+    // the checkout page stops listening in these statuses
+    var finalStatuses_ = ["paid", "overpaid", "expired", "cancelled"];
+
+    /**
+     * class InvoiceCheckout provides the data of the hosted
+     * checkout page of an invoice (`/pay/:token`). Checkout pages
+     * are found by the `checkoutToken` of the invoice such that
+     * they can not be enumerated.
+     *
+     * The page shows what the payer needs to send (amount, mosaic,
+     * recipient and message) and the QR code of the invoice. The
+     * Socket.IO client of the page opens the checkout with the
+     * `nem2pay_checkout_open` event and is attached to the payment
+     * channel of the invoice such that it receives the status
+     * updates until the invoice is paid, expired or cancelled. Open
+     * payment channels are shared by the clients of an invoice.
+     *
+     * Only public invoice data is exposed, not the payer, the
+     * merchant or the invoice reference.
+     *
+     * @author  Grégory Saive <greg@evias.be> (https://github.com/evias)
+     */
+    var InvoiceCheckout = function(logger, dataLayer, paymentsProtocol) {
+        this.logger_ = logger;
+        this.db_ = dataLayer;
+        this.payments_ = paymentsProtocol;
+
+        /**
+         * Find the invoice of the checkout token `token`.
+         *
+         * @param   {string}    token
+         * @param   {Function}  callback    Callback function executed with `err` and the invoice
+         * @return  {void}
+         */
+        this.findInvoice = function(token, callback) {
+            var self = this;
+
+            if (typeof token != "string" || !/^[0-9a-f]{32}$/.test(token))
+                return callback(null, null);
+
+            self.db_.NEMPaymentChannel.findOne({ checkoutToken: token }, function(err, invoice) {
+                if (err)
+                    self.logger_.error(__smartfilename, __line, '[ERROR] Checkout error for token ' + token + ': ' + err);
+
+                return callback(err, invoice || null);
+            });
+        };
+
+        /**
+         * Check whether `invoice` can not receive payments anymore.
+         *
+         * @param   {NEMPaymentChannel}     invoice
+         * @return  {boolean}
+         */
+        this.isFinal = function(invoice) {
+            return finalStatuses_.indexOf(invoice.status) !== -1;
+        };
+
+        /**
+         * Get the QR code content of `invoice` (NEM wallet format).
+         *
+         * @param   {NEMPaymentChannel}     invoice
+         * @return  {string}
+         */
+        this.getQRText = function(invoice) {
+            return JSON.stringify(invoice.getQRData());
+        };
+
+        /**
+         * Build the checkout item of `invoice`, amounts are
+         * given in mosaic units.
+         *
+         * @param   {NEMPaymentChannel}     invoice
+         * @return  {object}
+         */
+        this.getCheckoutItem = function(invoice) {
+            var divisibility = invoice.getDivisibility();
+            var formatAmount = function(amount) {
+                return ((amount || 0) / Math.pow(10, divisibility)).toFixed(divisibility);
+            };
+
+            return {
+                number: invoice.number,
+                status: invoice.status,
+                isPaid: !!invoice.isPaid,
+                isFinal: this.isFinal(invoice),
+                mosaic: invoice.getMosaic(),
+                isMosaic: invoice.getMosaic() != "nem:xem",
+                amount: formatAmount(invoice.amount),
+                amountPaid: formatAmount(invoice.amountPaid),
+                recipient: invoice.getRecipient(),
+                message: invoice.number,
+                description: invoice.description || "",
+                confirmations: invoice.confirmations || 0,
+                confirmationsRequired: invoice.confirmationsRequired || 1,
+                expiresAt: invoice.expiresAt ? new Date(invoice.expiresAt).toISOString() : null
+            };
+        };
+
+        /**
+         * Attach the Socket.IO client `clientSocket` to the payment
+         * channel of `invoice`. A client is attached to one invoice
+         * only, invoices in a final status have no payment channel.
+         *
+         * @param   {NEMPaymentChannel}     invoice
+         * @param   {Socket}                clientSocket    Connected Socket.IO client (optional)
+         * @param   {Function}              callback        Callback function executed with the invoice
+         * @return  {void}
+         */
+        this.openChannel = function(invoice, clientSocket, callback) {
+            if (this.isFinal(invoice) || !clientSocket || clientSocket.checkoutInvoice)
+                return callback(invoice);
+
+            clientSocket.checkoutInvoice = invoice.number;
+            return this.payments_.attachClient(invoice, clientSocket.id, callback);
+        };
+
+        /**
+         * Open the checkout of the token `token` for the Socket.IO
+         * client `clientSocket`, the client is attached to the payment
+         * channel of the invoice.
+         *
+         * @param   {string}    token
+         * @param   {Socket}    clientSocket    Connected Socket.IO client
+         * @param   {Function}  callback        Callback function executed with `err` and the invoice
+         * @return  {void}
+         */
+        this.openCheckout = function(token, clientSocket, callback) {
+            var self = this;
+
+            self.findInvoice(token, function(err, invoice) {
+                if (err || !invoice)
+                    return callback(err, null);
+
+                return self.openChannel(invoice, clientSocket, function(invoice) {
+                    return callback(null, invoice);
+                });
+            });
+        };
+    };
+
+    module.exports.InvoiceCheckout = InvoiceCheckout;
+}());
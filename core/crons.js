@@ -0,0 +1,245 @@
+/**
+ * Part of the evias/nem2pay package.
+ *
+ * NOTICE OF LICENSE
+ *
+ * Licensed under MIT License.
+ *
+ * This source file is subject to the MIT License that is
+ * bundled with this package in the LICENSE file.
+ *
+ * @package    evias/nem2pay
+ * @author     Grégory Saive <greg@evias.be> (https://github.com/evias)
+ * @license    MIT License
+ * @copyright  (c) 2019, Grégory Saive <greg@evias.be>
+ * @link       https://github.com/evias/nem2pay
+ */
+
+(function() {
+
+    var config = require("config"),
+        path = require('path'),
+        CronJob = require("cron").CronJob;
+
+    var __smartfilename = path.basename(__filename);
+
+    /**
+     * class NEM2PayCrons defines the background workers
+     * of the NEM2Pay backend. Workers are scheduled with
+     * the `cron` package.
+     *
+     * @author  Grégory Saive <greg@evias.be> (https://github.com/evias)
+     */
+    var NEM2PayCrons = function(logger, paymentsProtocol, webhooks, reconciler, chainDataLayer) {
+        this.logger_ = logger;
+        this.protocol_ = paymentsProtocol;
+        this.webhooks_ = webhooks;
+        this.reconciler_ = reconciler;
+        this.blockchain_ = chainDataLayer;
+
+        var jobs_ = {};
+
+        /**
+         * Start all background workers.
+         *
+         * @return {void}
+         */
+        this.start = function() {
+            this.startNodeHealthJob();
+            this.startInvoiceExpiryJob();
+            this.startWebhookDeliveryJob();
+            this.startReconciliationJob();
+            this.startConfirmationJob();
+        };
+
+        /**
+         * Stop all background workers.
+         *
+         * @return {void}
+         */
+        this.stop = function() {
+            for (var name in jobs_)
+                jobs_[name].stop();
+
+            jobs_ = {};
+        };
+
+        /**
+         * The node health worker health-checks all configured NEM
+         * nodes and selects the best node for CORE requests. The
+         * first health check runs right away. This worker is not
+         * started when the chain adapter does not use NEM nodes.
+         *
+         * The schedule is configured in `nem.healthCheck.cronTime`.
+         *
+         * @return {CronJob}
+         */
+        this.startNodeHealthJob = function() {
+            var self = this;
+
+            if (!self.blockchain_.getNodePool())
+            // chain adapter not using NEM nodes
+                return null;
+
+            var cronTime = process.env["HEALTHCHECK_CRON_TIME"] || config.get("nem.healthCheck.cronTime");
+
+            var checkNodes = function() {
+                return self.blockchain_.getNodePool().checkAll();
+            };
+
+            jobs_.nodeHealth = new CronJob(cronTime, checkNodes, null, true);
+            checkNodes();
+
+            return jobs_.nodeHealth;
+        };
+
+        /**
+         * The invoice expiry worker sets unpaid invoices to
+         * the `expired` status once their Time To Live is
+         * reached. Fiat invoices with an expired exchange rate
+         * quote are re-quoted or expired as well, and partially
+         * paid invoices are expired or flagged for review once
+         * their partial payment timeout is reached. Runs are skipped
+         * until all tasks of the previous run are done.
+         *
+         * The schedule is configured in `payments.expiry.cronTime`.
+         *
+         * @return {CronJob}
+         */
+        this.startInvoiceExpiryJob = function() {
+            var self = this;
+            var cronTime = process.env["EXPIRY_CRON_TIME"] || config.get("payments.expiry.cronTime");
+            var isRunning = false;
+
+            jobs_.invoiceExpiry = new CronJob(cronTime, function() {
+                if (isRunning)
+                    return false;
+
+                isRunning = true;
+                var cntPending = 3;
+                var done = function() {
+                    if (--cntPending === 0)
+                        isRunning = false;
+                };
+
+                self.protocol_.expireInvoices(function(err, expired) {
+                    done();
+
+                    if (!err && expired.length)
+                        self.logger_.info(__smartfilename, __line, "[CRON] Expired " + expired.length + " invoice(s).");
+                });
+
+                self.protocol_.processPartialTimeouts(function(err, processed) {
+                    done();
+
+                    if (!err && processed.length)
+                        self.logger_.info(__smartfilename, __line, "[CRON] Applied partial payment timeout to " + processed.length + " invoice(s).");
+                });
+
+                self.protocol_.refreshExpiredQuotes(function(err, updated) {
+                    done();
+
+                    if (!err && updated.length)
+                        self.logger_.info(__smartfilename, __line, "[CRON] Refreshed " + updated.length + " expired quote(s).");
+                });
+            }, null, true);
+
+            return jobs_.invoiceExpiry;
+        };
+
+        /**
+         * The webhook delivery worker retries pending Merchant
+         * webhook deliveries for which the next attempt is due.
+         *
+         * The schedule is configured in `payments.webhooks.cronTime`.
+         *
+         * @return {CronJob}
+         */
+        this.startWebhookDeliveryJob = function() {
+            var self = this;
+            var cronTime = process.env["WEBHOOKS_CRON_TIME"] || config.get("payments.webhooks.cronTime");
+            var isRunning = false;
+
+            jobs_.webhookDelivery = new CronJob(cronTime, function() {
+                if (isRunning)
+                    return false;
+
+                isRunning = true;
+                self.webhooks_.processQueue(function(err, deliveries) {
+                    isRunning = false;
+
+                    if (!err && deliveries.length)
+                        self.logger_.info(__smartfilename, __line, "[CRON] Processed " + deliveries.length + " webhook delivery(ies).");
+                });
+            }, null, true);
+
+            return jobs_.webhookDelivery;
+        };
+
+        /**
+         * The reconciliation worker verifies open invoices against
+         * the blockchain and reports amount discrepancies. Runs are
+         * skipped while the reconciler is busy, the reconciliation
+         * and confirmation workers share the reconciler lock.
+         *
+         * The schedule is configured in `payments.reconciliation.cronTime`.
+         *
+         * @return {CronJob}
+         */
+        this.startReconciliationJob = function() {
+            var self = this;
+            var cronTime = process.env["RECONCILIATION_CRON_TIME"] || config.get("payments.reconciliation.cronTime");
+
+            jobs_.reconciliation = new CronJob(cronTime, function() {
+                if (self.reconciler_.isRunning())
+                // previous run still reading the blockchain
+                    return false;
+
+                self.reconciler_.run(function(err, reports) {
+                    if (err || !reports.length)
+                        return false;
+
+                    var cntUpdated = 0;
+                    var cntDiscrepancies = 0;
+                    for (var i = 0; i < reports.length; i++) {
+                        cntUpdated += reports[i].countUpdated;
+                        cntDiscrepancies += reports[i].discrepancies.length;
+                    }
+
+                    self.logger_.info(__smartfilename, __line, "[CRON] Reconciled " + reports.length + " recipient(s), updated " + cntUpdated + " invoice(s), found " + cntDiscrepancies + " discrepancy(ies).");
+                });
+            }, null, true);
+
+            return jobs_.reconciliation;
+        };
+
+        /**
+         * The confirmation worker updates the confirmation progress
+         * of invoices in the `confirming` state, invoices are paid
+         * once the confirmations required by the merchant are reached.
+         * Runs are skipped while the reconciler is busy.
+         *
+         * The schedule is configured in `payments.confirmations.cronTime`.
+         *
+         * @return {CronJob}
+         */
+        this.startConfirmationJob = function() {
+            var self = this;
+            var cronTime = process.env["CONFIRMATIONS_CRON_TIME"] || config.get("payments.confirmations.cronTime");
+
+            jobs_.confirmations = new CronJob(cronTime, function() {
+                if (self.reconciler_.isRunning())
+                    return false;
+
+                self.reconciler_.runConfirmations(function(err, reports) {
+                    if (!err && reports.length)
+                        self.logger_.info(__smartfilename, __line, "[CRON] Updated confirmations of " + reports.length + " recipient(s).");
+                });
+            }, null, true);
+
+            return jobs_.confirmations;
+        };
+    };
+
+    module.exports.NEM2PayCrons = NEM2PayCrons;
+}());
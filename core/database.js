@@ -20,6 +20,7 @@
     var config = require("config");
     var mongoose = require('mongoose');
     var increment = require("mongoose-increment");
+    var CryptoJS = require("crypto-js");
 
     /**
      * class DBStore connects to a mongoDB database
@@ -38,7 +39,7 @@
          * Prepare the MongoDB database connection used
          * for session data storage and cached models.
          */
-        host = process.env['MONGODB_URI'] || process.env['MONGOLAB_URI'] || "mongodb://localhost/NEM2Pay";
+        var host = process.env['MONGODB_URI'] || process.env['MONGOLAB_URI'] || "mongodb://localhost/NEM2Pay";
         mongoose.connect(host, function(err, res) {
             if (err)
                 console.log("ERROR with NEM2Pay DB (" + host + "): " + err);
@@ -48,18 +49,146 @@
 
         // Schema definition
 
+        this.Merchant_ = new mongoose.Schema({
+            name: String,
+            apiKeyHash: { type: String, index: { unique: true } },
+            recipients: [String],
+            defaultMosaic: String,
+            webhookUrl: String,
+            webhookSecret: String,
+            paymentPolicy: {
+                toleranceType: String,
+                tolerance: { type: Number, min: 0 },
+                acceptPartial: Boolean,
+                partialTimeout: { type: Number, min: 0 },
+                onPartialTimeout: String,
+                depositAccounts: Boolean,
+                confirmations: { type: Number, min: 1 }
+            },
+            depositSeed: String,
+            depositIndex: { type: Number, min: 0, default: 0 },
+            // encrypted with `payments.secretKey`, used to read encrypted messages
+            recipientKeys: [{
+                address: String,
+                privateKey: String
+            }],
+            createdAt: { type: Number, min: 0 },
+            updatedAt: { type: Number, min: 0 }
+        });
+
+        this.Merchant_.methods = {
+            isRecipient: function(address) {
+                if (!address || !address.length)
+                    return false;
+
+                var normalized = address.toUpperCase().replace(/-/g, "");
+                return this.recipients.indexOf(normalized) !== -1;
+            },
+            getDefaultRecipient: function() {
+                return this.recipients.length ? this.recipients[0] : undefined;
+            },
+            getDefaultMosaic: function() {
+                return this.defaultMosaic || chainDataLayer_.getCurrency();
+            },
+            getPaymentPolicy: function() {
+                // configured defaults apply to unset fields
+                var policy = JSON.parse(JSON.stringify(config.get("payments.policy")));
+
+                for (var field in policy) {
+                    var value = this.get("paymentPolicy." + field);
+                    if (value !== undefined && value !== null)
+                        policy[field] = value;
+                }
+
+                return policy;
+            },
+            getRecipientPrivateKey: function(address) {
+                var normalized = address.toUpperCase().replace(/-/g, "");
+                var keys = this.recipientKeys || [];
+
+                for (var i = 0; i < keys.length; i++)
+                    if (keys[i].address == normalized)
+                        return chainDataLayer_.decrypt(keys[i].privateKey);
+
+                return null;
+            }
+        };
+
+        // recipient private keys never leave the backend
+        this.Merchant_.set("toJSON", {
+            transform: function(doc, ret) {
+                delete ret.recipientKeys;
+                return ret;
+            }
+        });
+
+        this.Merchant_.statics = {
+            generateApiKey: function() {
+                return CryptoJS.lib.WordArray.random(32).toString();
+            },
+            generateWebhookSecret: function() {
+                return CryptoJS.lib.WordArray.random(32).toString();
+            },
+            hashApiKey: function(apiKey) {
+                return CryptoJS.SHA256(apiKey).toString();
+            },
+            findByApiKey: function(apiKey, callback) {
+                return this.findOne({ apiKeyHash: this.hashApiKey(apiKey) }, callback);
+            }
+        };
+
         this.NEMPaymentChannel_ = new mongoose.Schema({
+            merchantId: { type: mongoose.Schema.Types.ObjectId, index: true },
             payerXEM: String,
             recipientXEM: String,
             socketIds: [String],
             paymentMosaicSlug: String,
+            paymentMosaicDivisibility: { type: Number, min: 0, max: 6 },
+            description: String,
+            reference: String,
+            // public key of the hosted checkout page (`/pay/:token`)
+            checkoutToken: { type: String, index: { unique: true, sparse: true } },
             amount: { type: Number, min: 0 },
             amountPaid: { type: Number, min: 0 },
             amountUnconfirmed: { type: Number, min: 0 },
+            fiatCurrency: String,
+            fiatAmount: { type: Number, min: 0 },
+            exchangeRate: { type: Number, min: 0 },
+            exchangeRateSource: String,
+            quotedAt: { type: Number, min: 0 },
+            quoteExpiresAt: { type: Number, min: 0 },
             message: String,
             status: String,
             isPaid: { type: Boolean, default: false },
+            needsReview: { type: Boolean, default: false },
+            reviewReason: String,
+            settlementXEM: String,
+            isDepositAccount: { type: Boolean, default: false },
+            depositIndex: { type: Number, min: 0 },
+            depositPrivateKey: String,
+            amountTolerance: { type: Number, min: 0 },
+            acceptPartial: Boolean,
+            partialTimeout: { type: Number, min: 0 },
+            onPartialTimeout: String,
+            partlyPaidAt: { type: Number, min: 0 },
+            partialExpiresAt: { type: Number, min: 0 },
+            confirmationsRequired: { type: Number, min: 1, default: 1 },
+            confirmations: { type: Number, min: 0, default: 0 },
+            paymentHeight: { type: Number, min: 0 },
+            statusHistory: [{
+                from: String,
+                status: String,
+                source: String,
+                amountPaid: Number,
+                amountUnconfirmed: Number,
+                createdAt: Number
+            }],
+            amountOverpaid: { type: Number, min: 0 },
+            refundStatus: String,
+            refundAttempts: { type: Number, min: 0, default: 0 },
             paidAt: { type: Number, min: 0 },
+            expiresAt: { type: Number, min: 0 },
+            reconciledAt: { type: Number, min: 0 },
             createdAt: { type: Number, min: 0 },
             updatedAt: { type: Number, min: 0 }
         });
@@ -73,18 +202,7 @@
             },
             getQRData: function() {
                 // data for QR code generation
-                var invoiceData = {
-                    "v": chainDataLayer_.getNetwork().isTest ? 1 : 2,
-                    "type": 2,
-                    "data": {
-                        "addr": this.recipientXEM,
-                        "amount": this.amount,
-                        "msg": this.number,
-                        "name": "NEM2Pay Invoice " + this.number
-                    }
-                };
-
-                return invoiceData;
+                return chainDataLayer_.getInvoiceQRData(this);
             },
             getTruncatedRecipient: function() {
                 if (!this.recipientXEM || !this.recipientXEM.length)
@@ -94,9 +212,27 @@
             },
             getTotalIncoming: function() {
                 return this.amountPaid + this.amountUnconfirmed;
+            },
+            getMosaic: function() {
+                // invoices created before mosaic support are billed in XEM
+                return this.paymentMosaicSlug || "nem:xem";
+            },
+            getDivisibility: function() {
+                if (typeof this.paymentMosaicDivisibility != "number")
+                    return 6;
+
+                return this.paymentMosaicDivisibility;
             }
         };
 
+        // deposit account keys never leave the backend
+        this.NEMPaymentChannel_.set("toJSON", {
+            transform: function(doc, ret) {
+                delete ret.depositPrivateKey;
+                return ret;
+            }
+        });
+
         // configure invoice auto increment
         this.NEMPaymentChannel_.plugin(increment, {
             modelName: "NEMPaymentChannel",
@@ -104,10 +240,152 @@
             prefix: config.get("payments.invoicePrefix")
         });
 
+        this.WebhookDelivery_ = new mongoose.Schema({
+            merchantId: mongoose.Schema.Types.ObjectId,
+            invoiceNumber: { type: String, index: true },
+            event: String,
+            url: String,
+            payload: String,
+            status: { type: String, index: true },
+            attempts: { type: Number, min: 0, default: 0 },
+            log: [{
+                attemptedAt: Number,
+                duration: Number,
+                statusCode: Number,
+                error: String
+            }],
+            nextAttemptAt: { type: Number, min: 0 },
+            lastAttemptAt: { type: Number, min: 0 },
+            claimedAt: { type: Number, min: 0 },
+            deliveredAt: { type: Number, min: 0 },
+            createdAt: { type: Number, min: 0 }
+        });
+
+        // refunds are sent from the invoice recipient (`recipientXEM`)
+        // back to the sender of the excess payment (`payerXEM`).
+        this.Refund_ = new mongoose.Schema({
+            merchantId: { type: mongoose.Schema.Types.ObjectId, index: true },
+            invoiceNumber: { type: String, index: { unique: true } },
+            payerXEM: String,
+            recipientXEM: String,
+            mosaicSlug: String,
+            mosaicDivisibility: { type: Number, min: 0, max: 6 },
+            amount: { type: Number, min: 0 },
+            transactionHash: String,
+            status: { type: String, index: true },
+            approvedAt: { type: Number, min: 0 },
+            exportedAt: { type: Number, min: 0 },
+            createdAt: { type: Number, min: 0 },
+            updatedAt: { type: Number, min: 0 }
+        });
+
+        // transactions matched to invoices, unique by transaction hash.
+        this.PaymentTransaction_ = new mongoose.Schema({
+            hash: { type: String, index: { unique: true } },
+            innerHash: String,
+            merchantId: { type: mongoose.Schema.Types.ObjectId, index: true },
+            invoiceNumber: { type: String, index: true },
+            sender: String,
+            recipient: String,
+            mosaicSlug: String,
+            amount: { type: Number, min: 0 },
+            height: { type: Number, min: 0 },
+            timestamp: { type: Number, min: 0 },
+            source: String,
+            createdAt: { type: Number, min: 0 },
+            updatedAt: { type: Number, min: 0 }
+        });
+
+        // administrators authenticate with basic auth (password) or
+        // with an admin API token, only hashes are stored.
+        this.Admin_ = new mongoose.Schema({
+            username: { type: String, index: { unique: true } },
+            passwordHash: String,
+            passwordSalt: String,
+            apiTokenHash: { type: String, index: true },
+            role: String,
+            lastLoginAt: { type: Number, min: 0 },
+            createdAt: { type: Number, min: 0 },
+            updatedAt: { type: Number, min: 0 }
+        });
+
+        this.Admin_.statics = {
+            generateSecret: function() {
+                return CryptoJS.lib.WordArray.random(24).toString();
+            },
+            hashPassword: function(password, salt) {
+                return CryptoJS.PBKDF2(password, salt, { keySize: 256 / 32, iterations: 10000 }).toString();
+            },
+            hashApiToken: function(apiToken) {
+                return CryptoJS.SHA256(apiToken).toString();
+            },
+            findByApiToken: function(apiToken, callback) {
+                return this.findOne({ apiTokenHash: this.hashApiToken(apiToken) }, callback);
+            }
+        };
+
+        this.Admin_.methods = {
+            checkPassword: function(password) {
+                if (!this.passwordHash || !password)
+                    return false;
+
+                return this.constructor.hashPassword(password, this.passwordSalt) === this.passwordHash;
+            }
+        };
+
+        this.AdminAuditLog_ = new mongoose.Schema({
+            adminId: { type: mongoose.Schema.Types.ObjectId, index: true },
+            username: String,
+            role: String,
+            authMethod: String,
+            method: String,
+            route: String,
+            url: String,
+            params: String,
+            ip: String,
+            statusCode: Number,
+            createdAt: { type: Number, min: 0, index: true }
+        });
+
         // bind our Models classes
+        this.Merchant = mongoose.model("Merchant", this.Merchant_);
         this.NEMPaymentChannel = mongoose.model("NEMPaymentChannel", this.NEMPaymentChannel_);
+        this.WebhookDelivery = mongoose.model("WebhookDelivery", this.WebhookDelivery_);
+        this.Refund = mongoose.model("Refund", this.Refund_);
+        this.PaymentTransaction = mongoose.model("PaymentTransaction", this.PaymentTransaction_);
+        this.Admin = mongoose.model("Admin", this.Admin_);
+        this.AdminAuditLog = mongoose.model("AdminAuditLog", this.AdminAuditLog_);
+
+        /**
+         * Get the plain private key of the recipient `address`, either
+         * an invoice deposit account or a Merchant recipient configured
+         * with `bin/set-recipient-key.js`. The callback receives `null`
+         * when no key is known for `address`.
+         *
+         * @param   {string}    address
+         * @param   {Function}  callback    Callback function executed with `err` and the private key
+         * @return  {void}
+         */
+        this.getRecipientPrivateKey = function(address, callback) {
+            var self = this;
+            var normalized = address.toUpperCase().replace(/-/g, "");
+
+            self.NEMPaymentChannel.findOne({ recipientXEM: normalized, isDepositAccount: true }, function(err, invoice) {
+                if (err)
+                    return callback(err);
+
+                if (invoice && invoice.depositPrivateKey)
+                    return callback(null, chainDataLayer_.decrypt(invoice.depositPrivateKey));
+
+                self.Merchant.findOne({ "recipientKeys.address": normalized }, function(err, merchant) {
+                    if (err || !merchant)
+                        return callback(err, null);
+
+                    return callback(null, merchant.getRecipientPrivateKey(normalized));
+                });
+            });
+        };
     };
 
     module.exports.DBStore = DBStore;
-    module.exports.NEMPaymentChannel = pacnem.NEMPaymentChannel;
 }());
@@ -0,0 +1,176 @@
+/**
+ * Part of the evias/nem2pay package.
+ *
+ * NOTICE OF LICENSE
+ *
+ * Licensed under MIT License.
+ *
+ * This source file is subject to the MIT License that is
+ * bundled with this package in the LICENSE file.
+ *
+ * @package    evias/nem2pay
+ * @author     Grégory Saive <greg@evias.be> (https://github.com/evias)
+ * @license    MIT License
+ * @copyright  (c) 2019, Grégory Saive <greg@evias.be>
+ * @link       https://github.com/evias/nem2pay
+ */
+
+(function() {
+
+    var path = require('path'),
+        CryptoJS = require("crypto-js");
+
+    var __smartfilename = path.basename(__filename);
+
+    /**
+     * class DepositAccounts generates one receiving account per
+     * invoice. Any transfer to the deposit account of an invoice
+     * pays the invoice, no message is needed.
+     *
+     * Private keys are derived deterministically from the wallet
+     * salt (`payments.walletSalt`), a random Merchant seed and the
+     * Merchant's deposit account index:
+     *
+     *   privateKey = SHA256(walletSalt + ":" + merchantSeed + ":" + index)
+     *
+     * Merchant seeds and private keys are stored encrypted with
+     * `payments.secretKey`.
+     *
+     * @author  Grégory Saive <greg@evias.be> (https://github.com/evias)
+     */
+    var DepositAccounts = function(logger, chainDataLayer, dataLayer) {
+        this.logger_ = logger;
+        this.blockchain_ = chainDataLayer;
+        this.db_ = dataLayer;
+
+        /**
+         * Encrypt `data` with the application secret key.
+         *
+         * @param   {string}    data
+         * @return  {string}
+         */
+        this.encrypt = function(data) {
+            return this.blockchain_.encrypt(data);
+        };
+
+        /**
+         * Decrypt `encrypted` with the application secret key.
+         *
+         * @param   {string}    encrypted
+         * @return  {string}
+         */
+        this.decrypt = function(encrypted) {
+            return this.blockchain_.decrypt(encrypted);
+        };
+
+        /**
+         * Derive the deposit account number `index` of the
+         * Merchant with seed `merchantSeed`.
+         *
+         * @param   {string}    merchantSeed    Plain Merchant seed
+         * @param   {integer}   index
+         * @return  {object}    Contains `index`, `privateKey`, `publicKey` and `address`
+         */
+        this.derive = function(merchantSeed, index) {
+            var nem = this.blockchain_.getSDK();
+            var privateKey = CryptoJS.SHA256(this.blockchain_.getWalletSalt() + ":" + merchantSeed + ":" + index).toString();
+            var keyPair = nem.crypto.keyPair.create(privateKey);
+            var publicKey = keyPair.publicKey.toString();
+
+            return {
+                index: index,
+                privateKey: privateKey,
+                publicKey: publicKey,
+                address: nem.model.address.toAddress(publicKey, this.blockchain_.getNetwork().config.id)
+            };
+        };
+
+        /**
+         * Get the plain seed of `merchant`, a seed is generated
+         * for Merchants who don't have one yet.
+         *
+         * @param   {Merchant}  merchant
+         * @param   {Function}  callback    Callback function executed with `err` and the plain seed
+         * @return  {void}
+         */
+        this.getMerchantSeed = function(merchant, callback) {
+            var self = this;
+
+            if (merchant.depositSeed && merchant.depositSeed.length)
+                return callback(null, self.decrypt(merchant.depositSeed));
+
+            var seed = CryptoJS.lib.WordArray.random(32).toString();
+            var seedQuery = { _id: merchant._id, depositSeed: { $exists: false } };
+
+            // do not overwrite a seed generated in the meantime.
+            self.db_.Merchant.findOneAndUpdate(seedQuery, { $set: { depositSeed: self.encrypt(seed) } }, { new: true }, function(err, updated) {
+                if (err)
+                    return callback(err);
+
+                if (updated) {
+                    merchant.depositSeed = updated.depositSeed;
+                    return callback(null, seed);
+                }
+
+                self.db_.Merchant.findById(merchant._id, function(err, current) {
+                    if (err || !current)
+                        return callback(err || new Error("Merchant " + merchant._id + " not found."));
+
+                    merchant.depositSeed = current.depositSeed;
+                    return callback(null, self.decrypt(current.depositSeed));
+                });
+            });
+        };
+
+        /**
+         * Allocate the next deposit account of `merchant`. The
+         * callback receives the account with its encrypted private
+         * key (`encryptedKey`).
+         *
+         * @param   {Merchant}  merchant
+         * @param   {Function}  callback    Callback function executed with `err` and the account
+         * @return  {void}
+         */
+        this.allocate = function(merchant, callback) {
+            var self = this;
+
+            self.getMerchantSeed(merchant, function(err, seed) {
+                if (err) {
+                    self.logger_.error(__smartfilename, __line, '[ERROR] Deposit account seed error: ' + err);
+                    return callback(err);
+                }
+
+                // reserve an index atomically
+                self.db_.Merchant.findOneAndUpdate({ _id: merchant._id }, { $inc: { depositIndex: 1 } }, { new: true }, function(err, updated) {
+                    if (err || !updated) {
+                        self.logger_.error(__smartfilename, __line, '[ERROR] Deposit account index error: ' + err);
+                        return callback(err || new Error("Merchant " + merchant._id + " not found."));
+                    }
+
+                    var account = self.derive(seed, updated.depositIndex);
+                    return callback(null, {
+                        index: account.index,
+                        address: account.address,
+                        encryptedKey: self.encrypt(account.privateKey)
+                    });
+                });
+            });
+        };
+
+        /**
+         * Get the plain private key of the deposit account
+         * of `invoice`.
+         *
+         * @param   {NEMPaymentChannel}     invoice
+         * @return  {string}
+         */
+        this.getPrivateKey = function(invoice) {
+            if (!invoice.depositPrivateKey)
+                return null;
+
+            return this.decrypt(invoice.depositPrivateKey);
+        };
+    };
+
+    module.exports.DepositAccounts = DepositAccounts;
+}());
@@ -0,0 +1,170 @@
+/**
+ * Part of the evias/nem2pay package.
+ *
+ * NOTICE OF LICENSE
+ *
+ * Licensed under MIT License.
+ *
+ * This source file is subject to the MIT License that is
+ * bundled with this package in the LICENSE file.
+ *
+ * @package    evias/nem2pay
+ * @author     Grégory Saive <greg@evias.be> (https://github.com/evias)
+ * @license    MIT License
+ * @copyright  (c) 2019, Grégory Saive <greg@evias.be>
+ * @link       https://github.com/evias/nem2pay
+ */
+
+(function() {
+
+    var config = require("config"),
+        path = require('path'),
+        fs = require("fs");
+
+    /**
+     * class StaticFileRateProvider reads exchange rates from a
+     * JSON file. This provider can be used offline.
+     *
+     * The file contains the price of one mosaic unit in each
+     * fiat currency, indexed by mosaic slug:
+     *
+     *   { "nem:xem": { "EUR": 0.05, "USD": 0.06 } }
+     *
+     * The file is read on every quote such that rates can be
+     * updated without restarting the application.
+     *
+     * Exchange rate providers must implement `getName()` and
+     * `getRate(fiatCurrency, mosaicSlug)`, the latter returning
+     * a Promise.
+     *
+     * @author  Grégory Saive <greg@evias.be> (https://github.com/evias)
+     */
+    var StaticFileRateProvider = function(filePath) {
+        var filePath_ = filePath;
+
+        /**
+         * Get the name of this provider, stored as the
+         * source of quoted exchange rates.
+         *
+         * @return {string}
+         */
+        this.getName = function() {
+            return "static:" + path.basename(filePath_);
+        };
+
+        /**
+         * Get the price of one `mosaicSlug` unit in `fiatCurrency`.
+         *
+         * @param   {string}    fiatCurrency    ISO 4217 currency code (EUR, USD, ..)
+         * @param   {string}    mosaicSlug
+         * @return  Promise
+         */
+        this.getRate = function(fiatCurrency, mosaicSlug) {
+            try {
+                var rates = JSON.parse(fs.readFileSync(filePath_));
+            }
+            catch (e) {
+                return Promise.reject(new Error("Could not read exchange rates file " + filePath_ + ": " + e.message));
+            }
+
+            if (!rates.hasOwnProperty(mosaicSlug) || !rates[mosaicSlug].hasOwnProperty(fiatCurrency))
+                return Promise.reject(new Error("No exchange rate for " + mosaicSlug + " in " + fiatCurrency + "."));
+
+            return Promise.resolve(parseFloat(rates[mosaicSlug][fiatCurrency]));
+        };
+    };
+
+    /**
+     * class ExchangeRates converts fiat prices to mosaic amounts
+     * using the configured exchange rate provider.
+     *
+     * Providers are registered by name with `registerProvider()`,
+     * the provider in use is configured in `payments.exchangeRates.provider`.
+     *
+     * @author  Grégory Saive <greg@evias.be> (https://github.com/evias)
+     */
+    var ExchangeRates = function(logger) {
+        this.logger_ = logger;
+
+        var providers_ = {};
+
+        /**
+         * Register an exchange rate provider under `name`.
+         *
+         * @param   {string}    name
+         * @param   {object}    provider    Must implement `getName()` and `getRate(fiatCurrency, mosaicSlug)`
+         * @return  {void}
+         */
+        this.registerProvider = function(name, provider) {
+            providers_[name] = provider;
+        };
+
+        /**
+         * Get the configured exchange rate provider.
+         *
+         * @return {object}
+         */
+        this.getProvider = function() {
+            var name = process.env["EXCHANGE_RATES_PROVIDER"] || config.get("payments.exchangeRates.provider");
+            if (!providers_.hasOwnProperty(name))
+                throw new Error("Unknown exchange rates provider: " + name);
+
+            return providers_[name];
+        };
+
+        /**
+         * Get the validity duration of quotes in milliseconds.
+         *
+         * @return {integer}
+         */
+        this.getQuoteTTL = function() {
+            return parseInt(config.get("payments.exchangeRates.quoteTTL")) * 60 * 1000;
+        };
+
+        /**
+         * Quote a fiat price in `mosaicSlug`. The resolved quote contains
+         * the `amount` in the smallest unit of the mosaic, the `rate`
+         * (price of one mosaic unit in fiat), its `source` and the quote
+         * validity (`quotedAt` and `expiresAt`).
+         *
+         * Amounts are rounded up to the mosaic's divisibility.
+         *
+         * @param   {string}    fiatCurrency    ISO 4217 currency code (EUR, USD, ..)
+         * @param   {number}    fiatAmount
+         * @param   {string}    mosaicSlug
+         * @param   {integer}   divisibility
+         * @return  Promise
+         */
+        this.quote = function(fiatCurrency, fiatAmount, mosaicSlug, divisibility) {
+            var self = this;
+
+            try {
+                var provider = self.getProvider();
+            }
+            catch (e) {
+                return Promise.reject(e);
+            }
+
+            return provider.getRate(fiatCurrency, mosaicSlug).then(function(rate) {
+                if (!rate || rate <= 0)
+                    throw new Error("Invalid exchange rate for " + mosaicSlug + " in " + fiatCurrency + ".");
+
+                var quotedAt = new Date().valueOf();
+                return {
+                    amount: Math.ceil(fiatAmount / rate * Math.pow(10, divisibility)),
+                    rate: rate,
+                    source: provider.getName(),
+                    quotedAt: quotedAt,
+                    expiresAt: quotedAt + self.getQuoteTTL()
+                };
+            });
+        };
+
+        // offline provider always available
+        var staticFile = path.resolve(__dirname, "..", config.get("payments.exchangeRates.staticFile"));
+        this.registerProvider("static", new StaticFileRateProvider(staticFile));
+    };
+
+    module.exports.ExchangeRates = ExchangeRates;
+    module.exports.StaticFileRateProvider = StaticFileRateProvider;
+}());
@@ -18,23 +18,52 @@
 (function() {
 
     var config = require("config"),
-        CryptoJS = require("crypto-js");
+        path = require('path'),
+        CryptoJS = require("crypto-js"),
+        NodePool = require("./node-pool.js").NodePool,
+        NISChainAdapter = require("./chain-adapters/nis.js").NISChainAdapter,
+        MockChainAdapter = require("./chain-adapters/mock.js").MockChainAdapter;
+
+    var __smartfilename = path.basename(__filename);
 
     /**
      * class service provides a business layer for
      * CORE data queries used in the NEM2Pay application.
      *
+     * Blockchain data is read through a chain adapter, by default
+     * the adapter configured in `nem.adapter` is used (`nis` or `mock`).
+     *
      * @author  Grégory Saive <greg@evias.be> (https://github.com/evias)
      */
-    var service = function(io, nemSDK, logger) {
+    var service = function(io, nemSDK, logger, chainAdapter) {
         var socket_ = io;
         var nem_ = nemSDK;
         var logger_ = logger;
-
-        // connect to the CORE with the NEM SDK
-        var nemHost = process.env["NEM_HOST"] || config.get("nem.nodes")[0].host;
-        var nemPort = process.env["NEM_PORT"] || config.get("nem.nodes")[0].port;
-        var node_ = nem_.model.objects.create("endpoint")(nemHost, nemPort);
+        var chainAdapter_ = chainAdapter;
+
+        if (!chainAdapter_ && (process.env["NEM_ADAPTER"] || config.get("nem.adapter")) == "mock")
+            chainAdapter_ = new MockChainAdapter(nem_);
+        else if (!chainAdapter_) {
+            // connect to the CORE with the NEM SDK, NEM_HOST overrides
+            // the configured pool of nodes.
+            var nodes = config.get("nem.nodes");
+            if (process.env["NEM_HOST"])
+                nodes = [{ host: process.env["NEM_HOST"], port: process.env["NEM_PORT"] || 7890 }];
+
+            chainAdapter_ = new NISChainAdapter(nem_, logger_, new NodePool(nem_, logger_, nodes));
+        }
+
+        // mosaic definitions cache, by mosaic slug (namespace:mosaic)
+        var mosaicDefinitions_ = {
+            "nem:xem": {
+                slug: "nem:xem",
+                divisibility: 6,
+                supply: 8999999999,
+                supplyMutable: false,
+                transferable: true,
+                levy: null
+            }
+        };
 
         /**
          * Get the NEM Currency used for this application.
@@ -54,12 +83,31 @@
             return nem_;
         };
 
+        /**
+         * Get the chain adapter used to read blockchain data.
+         *
+         * @return {NISChainAdapter|MockChainAdapter}
+         */
+        this.getChainAdapter = function() {
+            return chainAdapter_;
+        };
+
         /**
          * Get the NEM-sdk `endpoint` with which we are connecting
-         * to the CORE.
+         * to the CORE. This is the active node of the chain adapter.
          */
         this.getEndpoint = function() {
-            return node_;
+            return chainAdapter_.getEndpoint();
+        };
+
+        /**
+         * Get the pool of NEM nodes. Returns `null` when the chain
+         * adapter does not connect to NEM nodes.
+         *
+         * @return {NodePool}
+         */
+        this.getNodePool = function() {
+            return chainAdapter_.getNodePool ? chainAdapter_.getNodePool() : null;
         };
 
         /**
@@ -81,7 +129,28 @@
          * @return {string}
          */
         this.getEncryptionSecretKey = function() {
-            return config.get("payments.secretKey");
+            return process.env["SECRET_KEY"] || config.get("payments.secretKey");
+        };
+
+        /**
+         * Encrypt `data` with the application secret key. This is
+         * used to store private keys in the database.
+         *
+         * @param   {string}    data
+         * @return  {string}
+         */
+        this.encrypt = function(data) {
+            return CryptoJS.AES.encrypt(data, this.getEncryptionSecretKey()).toString();
+        };
+
+        /**
+         * Decrypt `encrypted` with the application secret key.
+         *
+         * @param   {string}    encrypted
+         * @return  {string}
+         */
+        this.decrypt = function(encrypted) {
+            return CryptoJS.AES.decrypt(encrypted, this.getEncryptionSecretKey()).toString(CryptoJS.enc.Utf8);
         };
 
         /**
@@ -92,30 +161,128 @@
          */
         this.getNetwork = function() {
             var isMijin = config.get("nem.isMijin");
+            var endpoint = this.getEndpoint();
 
             return {
-                "host": node_.host,
-                "port": node_.port,
+                "host": endpoint.host,
+                "port": endpoint.port,
                 "label": isMijin ? "Mijin" : "Mainnet",
                 "config": isMijin ? nem_.model.network.data.mijin : nem_.model.network.data.mainnet,
                 "isMijin": isMijin
             };
         };
 
+        /**
+         * Get the QR code data of `invoice` in the NEM wallet format
+         * (type 2, invoice). Wallets read the amount in micro XEM, the
+         * amount of mosaic invoices is left out (0) and entered manually
+         * by the payer.
+         *
+         * @param   {NEMPaymentChannel}     invoice
+         * @return  {object}
+         */
+        this.getInvoiceQRData = function(invoice) {
+            var invoiceData = {
+                "v": this.getNetwork().isTest ? 1 : 2,
+                "type": 2,
+                "data": {
+                    "addr": invoice.recipientXEM,
+                    "amount": invoice.getMosaic() == "nem:xem" ? invoice.amount : 0,
+                    "msg": invoice.number,
+                    "name": "NEM2Pay Invoice " + invoice.number
+                }
+            };
+
+            return invoiceData;
+        };
+
         /**
          * Get the status of the currently select NEM CORE node.
          *
          * @return Promise
          */
         this.heartbeat = function() {
-            return nem_.com.requests.endpoint.heartbeat(node_);
+            return chainAdapter_.heartbeat();
+        };
+
+        /**
+         * Get the current block height of the CORE.
+         *
+         * @return Promise
+         */
+        this.getChainHeight = function() {
+            return chainAdapter_.getChainHeight();
+        };
+
+        /**
+         * Get the definition of the mosaic `mosaicSlug`. Definitions
+         * are read from the NEM node and cached.
+         *
+         * The resolved object contains the `divisibility`, `supply`,
+         * `supplyMutable`, `transferable` and `levy` of the mosaic.
+         *
+         * @param   {string}    mosaicSlug  The namespace and mosaic name joined with a colon (:)
+         * @return  Promise
+         */
+        this.getMosaicDefinition = function(mosaicSlug) {
+            if (mosaicDefinitions_.hasOwnProperty(mosaicSlug))
+                return Promise.resolve(mosaicDefinitions_[mosaicSlug]);
+
+            var namespace = mosaicSlug.replace(/:[^:]+$/, "");
+            var name = mosaicSlug.replace(/^[^:]+:/, "");
+
+            // definitions are read by pages of 25, the next page
+            // starts before the ID of the last definition read.
+            var readPage = function(lastId) {
+                return chainAdapter_.getMosaicDefinitions(namespace, lastId)
+                    .then(function(definitions) {
+                        for (var i = 0; i < definitions.length; i++) {
+                            var mosaic = definitions[i].mosaic;
+                            if (mosaic.id.namespaceId != namespace || mosaic.id.name != name)
+                                continue;
+
+                            var properties = {};
+                            for (var j = 0; j < mosaic.properties.length; j++)
+                                properties[mosaic.properties[j].name] = mosaic.properties[j].value;
+
+                            var hasLevy = mosaic.levy && mosaic.levy.mosaicId;
+                            mosaicDefinitions_[mosaicSlug] = {
+                                slug: mosaicSlug,
+                                divisibility: parseInt(properties.divisibility),
+                                supply: parseInt(properties.initialSupply),
+                                supplyMutable: properties.supplyMutable == "true",
+                                transferable: properties.transferable == "true",
+                                levy: hasLevy ? {
+                                    type: mosaic.levy.type,
+                                    recipient: mosaic.levy.recipient,
+                                    mosaic: mosaic.levy.mosaicId.namespaceId + ":" + mosaic.levy.mosaicId.name,
+                                    fee: mosaic.levy.fee
+                                } : null
+                            };
+
+                            return mosaicDefinitions_[mosaicSlug];
+                        }
+
+                        if (definitions.length == 25)
+                            return readPage(definitions[definitions.length - 1].meta.id);
+
+                        throw new Error("Mosaic " + mosaicSlug + " not found.");
+                    });
+            };
+
+            return readPage(null);
         };
 
         /**
          * Read the Transaction Hash from a given TransactionMetaDataPair
          * object (gotten from NEM websockets or API).
          *
+         * When `inner` is `true`, the hash of the inner transfer is
+         * returned for multisig transactions. Unconfirmed transactions
+         * read from the API contain the inner hash in `meta.data`.
+         *
          * @param  [TransactionMetaDataPair]{@link http://bob.nem.ninja/docs/#transactionMetaDataPair} transactionMetaDataPair
+         * @param  {boolean}    inner
          * @return {string}
          */
         this.getTransactionHash = function(transactionMetaDataPair, inner = false) {
@@ -123,12 +290,52 @@
             var content = transactionMetaDataPair.transaction;
 
             var trxHash = meta.hash.data;
-            if (inner === true && meta.innerHash.data && meta.innerHash.data.length)
+            if (inner !== true)
+                return trxHash;
+
+            if (meta.innerHash && meta.innerHash.data && meta.innerHash.data.length)
                 trxHash = meta.innerHash.data;
+            else if (typeof meta.data == "string" && meta.data.length)
+                trxHash = meta.data;
 
             return trxHash;
         };
 
+        /**
+         * Read the hash identifying a payment. This is the inner hash
+         * for multisig transactions, such that a payment is counted once
+         * whether it is read through its multisig wrapper or not.
+         *
+         * @param  [TransactionMetaDataPair]{@link http://bob.nem.ninja/docs/#transactionMetaDataPair} transactionMetaDataPair
+         * @return {string}
+         */
+        this.getPaymentHash = function(transactionMetaDataPair) {
+            return this.getTransactionHash(transactionMetaDataPair, this.isMultisigTransaction(transactionMetaDataPair));
+        };
+
+        /**
+         * Check whether a TransactionMetaDataPair is a multisig
+         * transaction (a transfer initiated by a cosignatory).
+         *
+         * @param  [TransactionMetaDataPair]{@link http://bob.nem.ninja/docs/#transactionMetaDataPair} transactionMetaDataPair
+         * @return {boolean}
+         */
+        this.isMultisigTransaction = function(transactionMetaDataPair) {
+            return transactionMetaDataPair.transaction.type == nem_.model.transactionTypes.multisigTransaction;
+        };
+
+        /**
+         * Read the height of the block including a transaction, unconfirmed
+         * transactions have no height (`null` is returned).
+         *
+         * @param  [TransactionMetaDataPair]{@link http://bob.nem.ninja/docs/#transactionMetaDataPair} transactionMetaDataPair
+         * @return {integer}
+         */
+        this.getTransactionHeight = function(transactionMetaDataPair) {
+            var meta = transactionMetaDataPair.meta;
+            return meta && meta.height ? meta.height : null;
+        };
+
         /**
          * Read CORE transaction ID from TransactionMetaDataPair
          *
@@ -145,7 +352,7 @@
          * @param  [TransactionMetaDataPair]{@link http://bob.nem.ninja/docs/#transactionMetaDataPair} transactionMetaDataPair
          * @return {string}
          */
-        this.getTransactionMessage = function(transactionMetaDataPair, doDecrypt = false) {
+        this.getTransactionMessage = function(transactionMetaDataPair, recipientPrivateKey) {
             var meta = transactionMetaDataPair.meta;
             var content = transactionMetaDataPair.transaction;
 
@@ -161,21 +368,43 @@
 
             //DEBUG logger_.info("[DEBUG]", "[CORE]", "Reading following message: " + JSON.stringify(trxRealData.message));
 
-            // decode transaction message and job done
             var payload = trxRealData.message.payload;
+            if (trxRealData.message.type == 2)
+            // encrypted message, only readable with the recipient private key
+                return this.decryptMessage(payload, trxRealData.signer, recipientPrivateKey);
+
+            // decode transaction message and job done
             var plain = nem_.utils.convert.hex2a(payload);
 
             //DEBUG logger_.info("[DEBUG]", "[CORE]", "Message Read: " + JSON.stringify(plain));
 
-            if (doDecrypt === true) {
-                var decrypted = CryptoJS.AES.decrypt(plain, this.getEncryptionSecretKey());
+            return plain;
+        };
 
-                //DEBUG logger_.info("[DEBUG]", "[CORE]", "Decrypted using AES from '" + plain + "' to '" + decrypted + "'");
+        /**
+         * Decrypt a NEM encrypted message (message type 2). NEM uses
+         * a shared secret derived from the recipient's private key
+         * and the sender's public key (ECDH).
+         *
+         * Returns an empty string when the message cannot be
+         * decrypted.
+         *
+         * @param   {string}    payload                 Hexadecimal message payload
+         * @param   {string}    senderPublicKey
+         * @param   {string}    recipientPrivateKey
+         * @return  {string}
+         */
+        this.decryptMessage = function(payload, senderPublicKey, recipientPrivateKey) {
+            if (!payload || !senderPublicKey || !recipientPrivateKey)
+                return "";
 
-                return decrypted;
+            try {
+                var decoded = nem_.crypto.helpers.decode(recipientPrivateKey, senderPublicKey, payload);
+                return nem_.utils.convert.hex2a(decoded);
+            } catch (e) {
+                logger_.warn(__smartfilename, __line, "[CORE] Could not decrypt message: " + e);
+                return "";
             }
-
-            return plain;
         };
 
         /**
@@ -200,7 +429,8 @@
         };
 
         /**
-         * Read the Transaction Amount.
+         * Read the Transaction Amount in the smallest unit of
+         * the mosaic `mosaicSlug` (micro XEM for `nem:xem`).
          *
          * if `mosaicSlug` is provided and is different than
          * `nem:xem`, the transaction *must* be a mosaic transfer
@@ -208,10 +438,9 @@
          *
          * @param   [TransactionMetaDataPair]{@link http://bob.nem.ninja/docs/#transactionMetaDataPair} transactionMetaDataPair
          * @param   {string}    mosaicSlug
-         * @param   {integer}   divisibility
-         * @return {[type]}                         [description]
+         * @return  {integer}
          */
-        this.getTransactionAmount = function(transactionMetaDataPair, mosaicSlug = 'nem:xem', divisibility = 6) {
+        this.getTransactionAmount = function(transactionMetaDataPair, mosaicSlug = 'nem:xem') {
             var meta = transactionMetaDataPair.meta;
             var content = transactionMetaDataPair.transaction;
 
@@ -223,9 +452,10 @@
             var lookupMos = mosaicSlug.replace(/^[^:]+:/, "");
 
             if (isMosaic) {
-                // read mosaics to find XEM, `content.amount` is now a multiplier!
+                // read mosaics to find our mosaic, `content.amount` is now a multiplier!
+                // The multiplier is always expressed in micro units (1000000 = 1 time).
 
-                var multiplier = realContent.amount / Math.pow(10, divisibility); // from microXEM to XEM
+                var multiplier = realContent.amount / Math.pow(10, 6);
                 for (var i in realContent.mosaics) {
                     var mosaic = realContent.mosaics[i];
                     var isLookupMosaic = mosaic.mosaicId.namespaceId == lookupNS 
@@ -234,10 +464,10 @@
                     if (!isLookupMosaic)
                         continue;
 
-                    return (multiplier * mosaic.quantity).toFixed(divisibility);
+                    return Math.floor(multiplier * mosaic.quantity);
                 }
 
-                // no XEM in transaction.
+                // lookup mosaic not in transaction.
                 return 0;
             }
 
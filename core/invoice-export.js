@@ -0,0 +1,276 @@
+/**
+ * Part of the evias/nem2pay package.
+ *
+ * NOTICE OF LICENSE
+ *
+ * Licensed under MIT License.
+ *
+ * This source file is subject to the MIT License that is
+ * bundled with this package in the LICENSE file.
+ *
+ * @package    evias/nem2pay
+ * @author     Grégory Saive <greg@evias.be> (https://github.com/evias)
+ * @license    MIT License
+ * @copyright  (c) 2019, Grégory Saive <greg@evias.be>
+ * @link       https://github.com/evias/nem2pay
+ */
+
+(function() {
+
+    var path = require('path');
+
+    var __smartfilename = path.basename(__filename);
+
+    // CSV export columns
+    var columns_ = [
+        "number", "status", "mosaic", "amount", "amountPaid", "fiatCurrency", "fiatAmount",
+        "payer", "recipient", "reference", "description", "createdAt", "paidAt", "transactionHashes"
+    ];
+
+    /**
+     * class InvoiceExporter writes the accounting export of the
+     * invoices of a Merchant and their matched transactions.
+     *
+     * Exports are written as CSV (one line per invoice, transaction
+     * hashes separated by `;`) or as newline-delimited JSON (one
+     * invoice per line, with its transactions). Amounts are given in
+     * mosaic units and dates in ISO format.
+     *
+     * Invoices are read from a database cursor, one at a time, such
+     * that large exports are never loaded in memory.
+     *
+     * @author  Grégory Saive <greg@evias.be> (https://github.com/evias)
+     */
+    var InvoiceExporter = function(logger, dataLayer, ledger) {
+        this.logger_ = logger;
+        this.db_ = dataLayer;
+        this.ledger_ = ledger;
+
+        /**
+         * Available export formats.
+         *
+         * @var {Array}
+         */
+        this.formats = ["csv", "ndjson"];
+
+        /**
+         * Build the invoices query of an export. `from` and `to` are
+         * dates as YYYY-MM-DD (both days included), matched with the
+         * invoice creation date.
+         *
+         * @param   {ObjectId}  merchantId
+         * @param   {string}    from
+         * @param   {string}    to
+         * @return  {object}
+         */
+        this.getInvoiceQuery = function(merchantId, from, to) {
+            var query = { merchantId: merchantId };
+
+            var createdAt = {};
+            if (from && from.length)
+                createdAt.$gte = Date.parse(from + "T00:00:00Z");
+
+            if (to && to.length)
+                createdAt.$lt = Date.parse(to + "T00:00:00Z") + 24 * 60 * 60 * 1000;
+
+            if (Object.keys(createdAt).length)
+                query.createdAt = createdAt;
+
+            return query;
+        };
+
+        /**
+         * Write the export of the invoices of `merchantId` created
+         * between `from` and `to` to `output`. The output stream is
+         * not ended.
+         *
+         * The export stops with an error when `output` is closed or
+         * fails before all invoices are written, the database cursor
+         * is closed in every case.
+         *
+         * @param   {ObjectId}      merchantId
+         * @param   {string}        from
+         * @param   {string}        to
+         * @param   {string}        format      One of `csv` or `ndjson`
+         * @param   {stream.Writable}   output
+         * @param   {Function}      callback    Callback function executed with `err` and the count of exported invoices
+         * @return  {void}
+         */
+        this.export = function(merchantId, from, to, format, output, callback) {
+            var self = this;
+            var query = self.getInvoiceQuery(merchantId, from, to);
+            var cursor = self.db_.NEMPaymentChannel.find(query).sort({ createdAt: 1 }).cursor();
+            var count = 0;
+            var isDone = false;
+            var waitForDrain = null;
+
+            var finish = function(err) {
+                if (isDone)
+                    return false;
+
+                isDone = true;
+                output.removeListener("close", onClose);
+                output.removeListener("error", onClose);
+                if (waitForDrain)
+                    output.removeListener("drain", waitForDrain);
+
+                cursor.close();
+
+                if (err)
+                    self.logger_.error(__smartfilename, __line, '[ERROR] Invoice export error: ' + err);
+
+                return callback(err || null, count);
+            };
+
+            var onClose = function(err) {
+                return finish(err || new Error("Export output closed after " + count + " invoices."));
+            };
+
+            output.on("close", onClose);
+            output.on("error", onClose);
+
+            if (format == "csv")
+                output.write(self.getCSVLine(columns_));
+
+            // respect the output buffer before reading more invoices
+            var write = function(data, next) {
+                if (output.write(data))
+                    return next();
+
+                waitForDrain = function() {
+                    waitForDrain = null;
+                    return next();
+                };
+
+                output.once("drain", waitForDrain);
+            };
+
+            var readNext = function() {
+                if (isDone)
+                    return false;
+
+                cursor.next(function(err, invoice) {
+                    if (err || !invoice)
+                        return finish(err);
+
+                    self.ledger_.getInvoiceTransactions(invoice.merchantId, invoice.number, function(err, transactions) {
+                        if (err)
+                            return finish(err);
+
+                        if (isDone)
+                            return false;
+
+                        var item = self.getExportItem(invoice, transactions);
+                        var data = format == "csv" ? self.getCSVLine(self.getCSVValues(item)) : JSON.stringify(item) + "\n";
+
+                        count++;
+                        return write(data, readNext);
+                    });
+                });
+            };
+
+            readNext();
+        };
+
+        /**
+         * Build the export item of `invoice`.
+         *
+         * @param   {NEMPaymentChannel}     invoice
+         * @param   {Array}                 transactions    Should contain {PaymentTransaction} objects
+         * @return  {object}
+         */
+        this.getExportItem = function(invoice, transactions) {
+            var self = this;
+            var divisibility = invoice.getDivisibility();
+
+            return {
+                number: invoice.number,
+                status: invoice.status,
+                mosaic: invoice.getMosaic(),
+                amount: self.getUnitAmount(invoice.amount, divisibility),
+                amountPaid: self.getUnitAmount(invoice.amountPaid, divisibility),
+                fiatCurrency: invoice.fiatCurrency,
+                fiatAmount: invoice.fiatAmount,
+                payer: invoice.payerXEM,
+                recipient: invoice.recipientXEM,
+                reference: invoice.reference,
+                description: invoice.description,
+                createdAt: self.getISODate(invoice.createdAt),
+                paidAt: self.getISODate(invoice.paidAt),
+                transactions: transactions.map(function(entry) {
+                    return {
+                        hash: entry.hash,
+                        innerHash: entry.innerHash,
+                        sender: entry.sender,
+                        amount: self.getUnitAmount(entry.amount, divisibility),
+                        height: entry.height,
+                        timestamp: self.getISODate(entry.timestamp)
+                    };
+                })
+            };
+        };
+
+        /**
+         * Get the CSV values of an export item, in column order.
+         *
+         * @param   {object}    item
+         * @return  {Array}
+         */
+        this.getCSVValues = function(item) {
+            return columns_.map(function(column) {
+                if (column == "transactionHashes")
+                    return item.transactions.map(function(entry) { return entry.hash; }).join(";");
+
+                return item[column];
+            });
+        };
+
+        /**
+         * Build a CSV line. Values are quoted when needed, values
+         * which spreadsheets would read as formulas are prefixed
+         * with a single quote.
+         *
+         * @param   {Array}     values
+         * @return  {string}
+         */
+        this.getCSVLine = function(values) {
+            return values.map(function(value) {
+                if (value === undefined || value === null)
+                    return "";
+
+                var text = String(value);
+                if (/^[=+\-@]/.test(text))
+                    text = "'" + text;
+
+                if (/[",\r\n]/.test(text))
+                    text = '"' + text.replace(/"/g, '""') + '"';
+
+                return text;
+            }).join(",") + "\r\n";
+        };
+
+        /**
+         * Convert an amount given in the smallest unit of a
+         * mosaic to mosaic units.
+         *
+         * @param   {integer}   amount
+         * @param   {integer}   divisibility
+         * @return  {number}
+         */
+        this.getUnitAmount = function(amount, divisibility) {
+            return parseFloat(((amount || 0) / Math.pow(10, divisibility)).toFixed(divisibility));
+        };
+
+        /**
+         * Format a timestamp (milliseconds) in ISO format.
+         *
+         * @param   {integer}   timestamp
+         * @return  {string}
+         */
+        this.getISODate = function(timestamp) {
+            return timestamp ? new Date(timestamp).toISOString() : null;
+        };
+    };
+
+    module.exports.InvoiceExporter = InvoiceExporter;
+}());
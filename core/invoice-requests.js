@@ -0,0 +1,108 @@
+/**
+ * Part of the evias/nem2pay package.
+ *
+ * NOTICE OF LICENSE
+ *
+ * Licensed under MIT License.
+ *
+ * This source file is subject to the MIT License that is
+ * bundled with this package in the LICENSE file.
+ *
+ * @package    evias/nem2pay
+ * @author     Grégory Saive <greg@evias.be> (https://github.com/evias)
+ * @license    MIT License
+ * @copyright  (c) 2019, Grégory Saive <greg@evias.be>
+ * @link       https://github.com/evias/nem2pay
+ */
+
+(function() {
+
+    var path = require('path');
+
+    var __smartfilename = path.basename(__filename);
+
+    /**
+     * class InvoiceRequestValidator validates the invoice creation
+     * requests of the Merchant API (`POST /api/v1/invoices`).
+     *
+     * Requests are validated with the `express-validator` middleware
+     * of the app. Amounts are given in units of the payment mosaic,
+     * or as fiat price with `fiatCurrency` and `fiatAmount`. Addresses
+     * are normalized to upper case without dashes.
+     *
+     * @author  Grégory Saive <greg@evias.be> (https://github.com/evias)
+     */
+    var InvoiceRequestValidator = function(logger, chainDataLayer) {
+        this.logger_ = logger;
+        this.blockchain_ = chainDataLayer;
+
+        /**
+         * Normalize the NEM address `address`.
+         *
+         * @param   {string}    address
+         * @return  {string}
+         */
+        this.normalizeAddress = function(address) {
+            return address.toUpperCase().replace(/-/g, "");
+        };
+
+        /**
+         * Validate the invoice creation request `req` of the Merchant
+         * `req.merchant`. The callback receives an error with the
+         * validation `errors` or the invoice data for
+         * `PaymentsProtocol.createInvoice()`.
+         *
+         * @param   {*}         req
+         * @param   {Function}  callback    Callback function executed with `err` and the invoice data
+         * @return  {void}
+         */
+        this.validateCreate = function(req, callback) {
+            var self = this;
+            var nem = self.blockchain_.getSDK();
+
+            if (req.body.fiatCurrency) {
+                req.checkBody("fiatCurrency", "Invalid value for field `fiatCurrency`.").matches(/^[A-Z]{3}$/);
+                req.checkBody("fiatAmount", "Invalid value for field `fiatAmount`.").notEmpty().isFloat({ min: 0.01 });
+            }
+            else
+                req.checkBody("amount", "Invalid value for field `amount`.").notEmpty().isFloat({ min: 0.000001 });
+
+            req.checkBody("mosaic", "Invalid value for field `mosaic`.").optional().matches(/^[a-z0-9][a-z0-9'_\-\.]*:[a-z0-9'_\-]+$/);
+            req.checkBody("description", "Invalid value for field `description`.").optional().isLength({ max: 255 });
+            req.checkBody("reference", "Invalid value for field `reference`.").optional().isLength({ max: 64 });
+
+            var errors = req.validationErrors();
+            if (errors) {
+                var err = new Error(errors[0].msg);
+                err.errors = errors;
+                return callback(err);
+            }
+
+            var merchant = req.merchant;
+            var recipient = req.body.recipient ? self.normalizeAddress(req.body.recipient) : merchant.getDefaultRecipient();
+            if (!merchant.isRecipient(recipient))
+            // must be one of the merchant's receiving wallets
+                return callback(new Error("Invalid value for field `recipient`."));
+
+            var payer = req.body.payer ? self.normalizeAddress(req.body.payer) : undefined;
+            if (payer && (!nem.model.address.isValid(payer) || merchant.isRecipient(payer)))
+            // cannot be one of the merchant's receiving wallets
+                return callback(new Error("Invalid value for field `payer`."));
+
+            return callback(null, {
+                merchantId: merchant._id,
+                payer: payer,
+                recipient: recipient,
+                mosaic: req.body.mosaic || merchant.getDefaultMosaic(),
+                amount: parseFloat(req.body.amount), // converted with the mosaic's divisibility
+                fiatCurrency: req.body.fiatCurrency,
+                fiatAmount: req.body.fiatCurrency ? parseFloat(req.body.fiatAmount) : undefined,
+                description: req.body.description,
+                reference: req.body.reference,
+                policy: merchant.getPaymentPolicy()
+            });
+        };
+    };
+
+    module.exports.InvoiceRequestValidator = InvoiceRequestValidator;
+}());
@@ -0,0 +1,148 @@
+/**
+ * Part of the evias/nem2pay package.
+ *
+ * NOTICE OF LICENSE
+ *
+ * Licensed under MIT License.
+ *
+ * This source file is subject to the MIT License that is
+ * bundled with this package in the LICENSE file.
+ *
+ * @package    evias/nem2pay
+ * @author     Grégory Saive <greg@evias.be> (https://github.com/evias)
+ * @license    MIT License
+ * @copyright  (c) 2019, Grégory Saive <greg@evias.be>
+ * @link       https://github.com/evias/nem2pay
+ */
+
+(function() {
+
+    var path = require('path');
+
+    var __smartfilename = path.basename(__filename);
+
+    // allowed transitions by invoice status. `paid`, `overpaid`,
+    // `expired` and `cancelled` invoices can not be downgraded.
+    // `awaiting_cosignatures` is used for pending multisig payments.
+    var transitions_ = {
+        "not_paid": ["identified", "unconfirmed", "awaiting_cosignatures", "paid_partly", "confirming", "paid", "overpaid", "expired", "cancelled"],
+        "identified": ["unconfirmed", "awaiting_cosignatures", "paid_partly", "confirming", "paid", "overpaid", "expired", "cancelled"],
+        "unconfirmed": ["paid_partly", "confirming", "paid", "overpaid", "expired", "cancelled"],
+        "awaiting_cosignatures": ["unconfirmed", "paid_partly", "confirming", "paid", "overpaid", "expired", "cancelled"],
+        "paid_partly": ["unconfirmed", "awaiting_cosignatures", "confirming", "paid", "overpaid", "expired", "cancelled"],
+        "confirming": ["paid", "overpaid"],
+        "paid": ["overpaid"],
+        "overpaid": [],
+        "expired": [],
+        "cancelled": []
+    };
+
+    // invoices in these statuses can still receive payments
+    var pendingStatuses_ = ["not_paid", "identified", "unconfirmed", "awaiting_cosignatures", "paid_partly", "confirming"];
+
+    /**
+     * class InvoiceStateMachine defines the allowed transitions
+     * between invoice statuses.
+     *
+     * Every transition is appended to the `statusHistory` of the
+     * invoice with its source, the amounts of the invoice and the
+     * transition date. Sources are:
+     *
+     * - `bot` : NEMBot (or built-in listener) status updates
+     * - `reconciler` : Background workers (reconciliation, expiry and timeouts)
+     * - `admin` : Manual actions
+     *
+     * Invalid transitions are rejected and logged.
+     *
+     * @author  Grégory Saive <greg@evias.be> (https://github.com/evias)
+     */
+    var InvoiceStateMachine = function(logger) {
+        this.logger_ = logger;
+
+        /**
+         * Available invoice statuses.
+         *
+         * @var {Array}
+         */
+        this.statuses = Object.keys(transitions_);
+
+        /**
+         * Statuses of invoices which can still receive payments.
+         *
+         * @var {Array}
+         */
+        this.pendingStatuses = pendingStatuses_.slice();
+
+        /**
+         * Statuses of paid invoices.
+         *
+         * @var {Array}
+         */
+        this.paidStatuses = ["paid", "overpaid"];
+
+        /**
+         * Available transition sources.
+         *
+         * @var {Array}
+         */
+        this.sources = ["bot", "reconciler", "admin"];
+
+        /**
+         * Check whether an invoice can go from status `from`
+         * to status `to`.
+         *
+         * @param   {string}    from
+         * @param   {string}    to
+         * @return  {boolean}
+         */
+        this.canTransition = function(from, to) {
+            // invoices created before statuses were validated
+            var current = from || "not_paid";
+
+            if (!transitions_.hasOwnProperty(current))
+                return false;
+
+            return transitions_[current].indexOf(to) !== -1;
+        };
+
+        /**
+         * Move `invoice` to `status`. The invoice is not saved.
+         *
+         * Returns `true` when the invoice has `status`, including when
+         * it had this status already (no transition is recorded then),
+         * and `false` when the transition is not allowed.
+         *
+         * @param   {NEMPaymentChannel}     invoice
+         * @param   {string}                status
+         * @param   {string}                source      One of `bot`, `reconciler` or `admin`
+         * @return  {boolean}
+         */
+        this.transition = function(invoice, status, source) {
+            if (invoice.status == status)
+                return true;
+
+            if (!this.canTransition(invoice.status, status)) {
+                this.logger_.warn(__smartfilename, __line, '[PAYMENTS] Rejected transition of invoice ' + invoice.number + ' from ' + invoice.status + ' to ' + status + ' (' + source + ').');
+                return false;
+            }
+
+            var entry = {
+                from: invoice.status,
+                status: status,
+                source: source,
+                amountPaid: invoice.amountPaid || 0,
+                amountUnconfirmed: invoice.amountUnconfirmed || 0,
+                createdAt: new Date().valueOf()
+            };
+
+            if (!invoice.statusHistory)
+                invoice.statusHistory = [];
+
+            invoice.statusHistory.push(entry);
+            invoice.status = status;
+            return true;
+        };
+    };
+
+    module.exports.InvoiceStateMachine = InvoiceStateMachine;
+}());
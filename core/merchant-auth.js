@@ -0,0 +1,104 @@
+/**
+ * Part of the evias/nem2pay package.
+ *
+ * NOTICE OF LICENSE
+ *
+ * Licensed under MIT License.
+ *
+ * This source file is subject to the MIT License that is
+ * bundled with this package in the LICENSE file.
+ *
+ * @package    evias/nem2pay
+ * @author     Grégory Saive <greg@evias.be> (https://github.com/evias)
+ * @license    MIT License
+ * @copyright  (c) 2019, Grégory Saive <greg@evias.be>
+ * @link       https://github.com/evias/nem2pay
+ */
+
+(function() {
+
+    var path = require('path');
+
+    var __smartfilename = path.basename(__filename);
+
+    /**
+     * class MerchantAuthenticator protects the Merchant API routes.
+     *
+     * Merchants authenticate with their API key in the `X-API-Key`
+     * header. API keys are never accepted in the query string, where
+     * they would end up in access logs and browser histories.
+     *
+     * @author  Grégory Saive <greg@evias.be> (https://github.com/evias)
+     */
+    var MerchantAuthenticator = function(logger, dataLayer) {
+        this.logger_ = logger;
+        this.db_ = dataLayer;
+
+        /**
+         * Find the Merchant of the API key `apiKey`.
+         *
+         * @param   {string}    apiKey
+         * @param   {Function}  callback    Callback function executed with `err` and the Merchant
+         * @return  {void}
+         */
+        this.checkApiKey = function(apiKey, callback) {
+            this.db_.Merchant.findByApiKey(apiKey, function(err, merchant) {
+                return callback(err, merchant || null);
+            });
+        };
+
+        /**
+         * Authenticate the calling Merchant by its API key, the
+         * authenticated Merchant is stored in `req.merchant`.
+         *
+         * @param   {*}         req
+         * @param   {*}         res
+         * @param   {Function}  next
+         * @return  {void}
+         */
+        this.authenticate = function(req, res, next) {
+            var self = this;
+            var apiKey = req.headers["x-api-key"];
+
+            if (!apiKey || !apiKey.length)
+                return self.deny(res, "Missing API key.");
+
+            self.checkApiKey(apiKey, function(err, merchant) {
+                if (err || !merchant) {
+                    self.logger_.warn(__smartfilename, __line, '[API] Merchant authentication failed' + (err ? ': ' + err : '.'));
+                    return self.deny(res, "Invalid API key.");
+                }
+
+                req.merchant = merchant;
+                return next();
+            });
+        };
+
+        /**
+         * Get the middleware protecting a Merchant API route.
+         *
+         * @return  {Function}
+         */
+        this.requireMerchant = function() {
+            var self = this;
+
+            return function(req, res, next) {
+                return self.authenticate(req, res, next);
+            };
+        };
+
+        /**
+         * Reject an unauthenticated request.
+         *
+         * @param   {*}         res
+         * @param   {string}    message
+         * @return  {void}
+         */
+        this.deny = function(res, message) {
+            res.setHeader('Content-Type', 'application/json');
+            return res.send(401, JSON.stringify({ "status": "error", "message": message }));
+        };
+    };
+
+    module.exports.MerchantAuthenticator = MerchantAuthenticator;
+}());
@@ -0,0 +1,410 @@
+/**
+ * Part of the evias/nem2pay package.
+ *
+ * NOTICE OF LICENSE
+ *
+ * Licensed under MIT License.
+ *
+ * This source file is subject to the MIT License that is
+ * bundled with this package in the LICENSE file.
+ *
+ * @package    evias/nem2pay
+ * @author     Grégory Saive <greg@evias.be> (https://github.com/evias)
+ * @license    MIT License
+ * @copyright  (c) 2019, Grégory Saive <greg@evias.be>
+ * @link       https://github.com/evias/nem2pay
+ */
+
+(function() {
+
+    var config = require("config"),
+        path = require('path');
+
+    var __smartfilename = path.basename(__filename);
+
+    /**
+     * class NISPaymentListener listens to the websockets of the
+     * active NEM node for payments to the Merchant recipients. It
+     * can be used instead of the external NEMBot.
+     *
+     * Each recipient address is subscribed to the unconfirmed and
+     * confirmed transactions channels. Incoming transfers are matched
+     * to open invoices by message (invoice number), sender (payer) or
+     * deposit account and converted to the status updates sent by
+     * the NEMBot:
+     *
+     *   { status, message, sender, amountPaid, amountUnconfirmed, .. }
+     *
+     * Multisig transactions are identified by their inner hash. Pending
+     * multisig transactions produce `awaiting_cosignatures` updates, their
+     * amount is counted once they are cosigned and included in a block.
+     *
+     * Amounts are summed in memory, the reconciliation job corrects
+     * invoices when transactions are missed (restarts, node failover).
+     *
+     * @author  Grégory Saive <greg@evias.be> (https://github.com/evias)
+     */
+    var NISPaymentListener = function(logger, chainDataLayer, dataLayer) {
+        this.logger_ = logger;
+        this.blockchain_ = chainDataLayer;
+        this.db_ = dataLayer;
+
+        // invoices receiving funds through the listener, payments
+        // after expiry are found by the reconciliation.
+        this.listenedStatuses = ["not_paid", "identified", "unconfirmed", "paid_partly", "awaiting_cosignatures", "confirming"];
+
+        var connectors_ = {};
+        var watchdog_ = null;
+        var onStatusUpdate_ = null;
+
+        // processed payment hashes (inner hash for multisig) by channel,
+        // with the number of the invoice they pay.
+        var seen_ = { unconfirmed: {}, confirmed: {} };
+
+        // payment totals by invoice number
+        var totals_ = {};
+
+        /**
+         * Start listening for payments to all Merchant recipients.
+         * `onStatusUpdate` is called with each status update.
+         *
+         * Dead websocket connections are re-opened with the active
+         * node every `payments.listener.reconnectDelay` seconds.
+         *
+         * @param   {Function}  onStatusUpdate
+         * @return  {void}
+         */
+        this.start = function(onStatusUpdate) {
+            var self = this;
+
+            onStatusUpdate_ = onStatusUpdate;
+
+            self.db_.Merchant.find({}, function(err, merchants) {
+                if (err) {
+                    self.logger_.error(__smartfilename, __line, '[ERROR] Could not read Merchant recipients: ' + err);
+                    return false;
+                }
+
+                for (var i = 0; i < merchants.length; i++)
+                    for (var j = 0; j < merchants[i].recipients.length; j++)
+                        self.watch(merchants[i].recipients[j]);
+            });
+
+            // deposit accounts of open invoices
+            var depositQuery = {
+                isDepositAccount: true,
+                status: { $in: self.listenedStatuses }
+            };
+
+            self.db_.NEMPaymentChannel.distinct("recipientXEM", depositQuery, function(err, addresses) {
+                if (err) {
+                    self.logger_.error(__smartfilename, __line, '[ERROR] Could not read deposit accounts: ' + err);
+                    return false;
+                }
+
+                for (var i = 0; i < addresses.length; i++)
+                    self.watch(addresses[i]);
+            });
+
+            var delay = parseInt(config.get("payments.listener.reconnectDelay")) * 1000;
+            watchdog_ = setInterval(function() {
+                self.reconnect();
+            }, delay);
+        };
+
+        /**
+         * Close all websocket connections.
+         *
+         * @return {void}
+         */
+        this.stop = function() {
+            if (watchdog_)
+                clearInterval(watchdog_);
+
+            for (var recipient in connectors_)
+                if (connectors_[recipient].socket)
+                    connectors_[recipient].socket.close();
+
+            watchdog_ = null;
+            connectors_ = {};
+        };
+
+        /**
+         * Listen for payments to `recipient`. Addresses which
+         * are listened to already are ignored.
+         *
+         * @param   {string}    recipient
+         * @return  {void}
+         */
+        this.watch = function(recipient) {
+            var address = recipient.toUpperCase().replace(/-/g, "");
+            if (connectors_.hasOwnProperty(address))
+                return false;
+
+            this.connect(address);
+        };
+
+        /**
+         * Re-open websocket connections which have been closed.
+         *
+         * @return {void}
+         */
+        this.reconnect = function() {
+            for (var address in connectors_) {
+                var socket = connectors_[address].socket;
+
+                // SockJS readyState 1 is OPEN
+                if (socket && socket.readyState === 1)
+                    continue;
+
+                this.logger_.warn(__smartfilename, __line, '[LISTENER] Websocket for ' + address + ' is closed, reconnecting.');
+
+                if (socket)
+                    socket.close();
+
+                this.connect(address);
+            }
+        };
+
+        /**
+         * Connect to the websockets of the active node and subscribe
+         * to the transactions channels of `address`.
+         *
+         * @param   {string}    address
+         * @return  {void}
+         */
+        this.connect = function(address) {
+            var self = this;
+            var nem = self.blockchain_.getSDK();
+            var endpoint = self.blockchain_.getEndpoint();
+
+            var wsEndpoint = nem.model.objects.create("endpoint")(endpoint.host, nem.model.nodes.websocketPort);
+            var connector = nem.com.websockets.connector.create(wsEndpoint, address);
+
+            connectors_[address] = connector;
+
+            connector.connect().then(function() {
+                self.logger_.info(__smartfilename, __line, '[LISTENER] Listening for payments to ' + address + ' on ' + endpoint.host + '.');
+
+                nem.com.websockets.subscribe.errors(connector, function(err) {
+                    self.logger_.error(__smartfilename, __line, '[ERROR] Websocket error for ' + address + ': ' + JSON.stringify(err));
+                });
+
+                nem.com.websockets.subscribe.account.transactions.unconfirmed(connector, function(transaction) {
+                    self.processTransaction(address, transaction, false);
+                });
+
+                nem.com.websockets.subscribe.account.transactions.confirmed(connector, function(transaction) {
+                    self.processTransaction(address, transaction, true);
+                });
+            }, function(err) {
+                // retried by the watchdog
+                self.logger_.error(__smartfilename, __line, '[ERROR] Websocket connection for ' + address + ' failed: ' + err);
+            });
+        };
+
+        /**
+         * Forward the status update produced by `transactionMetaDataPair`.
+         *
+         * @param   {string}    recipient
+         * @param   {object}    transactionMetaDataPair
+         * @param   {boolean}   isConfirmed
+         * @return  {void}
+         */
+        this.processTransaction = function(recipient, transactionMetaDataPair, isConfirmed) {
+            var self = this;
+
+            self.getStatusUpdate(recipient, transactionMetaDataPair, isConfirmed, function(err, data) {
+                if (err)
+                    return self.logger_.error(__smartfilename, __line, '[ERROR] Transaction processing error: ' + err);
+
+                if (data && onStatusUpdate_)
+                    onStatusUpdate_(data);
+            });
+        };
+
+        /**
+         * Forget the payments of invoice `number`, called when the
+         * invoice leaves the listened statuses (paid, expired or
+         * cancelled).
+         *
+         * @param   {string}    number
+         * @return  {void}
+         */
+        this.forget = function(number) {
+            delete totals_[number];
+
+            for (var channel in seen_)
+                for (var hash in seen_[channel])
+                    if (seen_[channel][hash] === number)
+                        delete seen_[channel][hash];
+        };
+
+        /**
+         * Build the NEMBot status update for a transaction to `recipient`.
+         * The callback receives `null` for transactions which do not pay
+         * an open invoice and for transactions processed before.
+         *
+         * @param   {string}    recipient
+         * @param   {object}    transactionMetaDataPair
+         * @param   {boolean}   isConfirmed
+         * @param   {Function}  callback    Receives `err` and the status update
+         * @return  {void}
+         */
+        this.getStatusUpdate = function(recipient, transactionMetaDataPair, isConfirmed, callback) {
+            var self = this;
+            var nem = self.blockchain_.getSDK();
+            var address = recipient.toUpperCase().replace(/-/g, "");
+
+            var content = transactionMetaDataPair.transaction;
+            if (content.type == nem.model.transactionTypes.multisigTransaction)
+                content = content.otherTrans;
+
+            if (content.type != nem.model.transactionTypes.transfer || content.recipient != address)
+            // not an incoming transfer
+                return callback(null, null);
+
+            var channel = isConfirmed ? "confirmed" : "unconfirmed";
+            var hash = self.blockchain_.getPaymentHash(transactionMetaDataPair);
+            if (seen_[channel].hasOwnProperty(hash))
+                return callback(null, null);
+
+            seen_[channel][hash] = true;
+
+            self.readMessage(address, transactionMetaDataPair, function(message) {
+                return self.matchStatusUpdate(address, transactionMetaDataPair, message.trim(), isConfirmed, callback);
+            });
+        };
+
+        /**
+         * Read the message of a transaction sent to `address`. Encrypted
+         * messages are decrypted with the private key of `address` when
+         * it is known.
+         *
+         * @param   {string}    address
+         * @param   {object}    transactionMetaDataPair
+         * @param   {Function}  callback    Receives the plain message
+         * @return  {void}
+         */
+        this.readMessage = function(address, transactionMetaDataPair, callback) {
+            var self = this;
+            var nem = self.blockchain_.getSDK();
+
+            var content = transactionMetaDataPair.transaction;
+            if (content.type == nem.model.transactionTypes.multisigTransaction)
+                content = content.otherTrans;
+
+            if (!content.message || content.message.type != 2)
+                return callback(self.blockchain_.getTransactionMessage(transactionMetaDataPair));
+
+            self.db_.getRecipientPrivateKey(address, function(err, privateKey) {
+                if (err)
+                    self.logger_.error(__smartfilename, __line, '[ERROR] Recipient key lookup error: ' + err);
+
+                return callback(self.blockchain_.getTransactionMessage(transactionMetaDataPair, privateKey));
+            });
+        };
+
+        /**
+         * Match an incoming transfer with its invoice and build
+         * the status update.
+         *
+         * @param   {string}    address     The (normalized) recipient address
+         * @param   {object}    transactionMetaDataPair
+         * @param   {string}    message     The plain transaction message
+         * @param   {boolean}   isConfirmed
+         * @param   {Function}  callback    Receives `err` and the status update
+         * @return  {void}
+         */
+        this.matchStatusUpdate = function(address, transactionMetaDataPair, message, isConfirmed, callback) {
+            var self = this;
+            var nem = self.blockchain_.getSDK();
+
+            var content = transactionMetaDataPair.transaction;
+            if (content.type == nem.model.transactionTypes.multisigTransaction)
+                content = content.otherTrans;
+
+            var hash = self.blockchain_.getPaymentHash(transactionMetaDataPair);
+            var isMultisig = self.blockchain_.isMultisigTransaction(transactionMetaDataPair);
+            var sender = nem.model.address.toAddress(content.signer, self.blockchain_.getNetwork().config.id);
+
+            // any transfer to a deposit account pays its invoice.
+            var invoiceQuery = {
+                recipientXEM: address,
+                status: { $in: self.listenedStatuses },
+                $or: [{ isDepositAccount: true }]
+            };
+
+            if (message.length)
+                invoiceQuery.$or.push({ number: message.toUpperCase() });
+            else
+                invoiceQuery.$or.push({ payerXEM: sender });
+
+            var channel = isConfirmed ? "confirmed" : "unconfirmed";
+
+            self.db_.NEMPaymentChannel.findOne(invoiceQuery, function(err, invoice) {
+                var amount = invoice ? self.blockchain_.getTransactionAmount(transactionMetaDataPair, invoice.getMosaic()) : 0;
+
+                if (err || !amount) {
+                    // no open invoice paid, nothing to remember
+                    delete seen_[channel][hash];
+                    return callback(err || null, null);
+                }
+
+                seen_[channel][hash] = invoice.number;
+
+                if (!totals_.hasOwnProperty(invoice.number))
+                    totals_[invoice.number] = {
+                        amountPaid: invoice.amountPaid || 0,
+                        amountUnconfirmed: invoice.amountUnconfirmed || 0
+                    };
+
+                var totals = totals_[invoice.number];
+                var data = {
+                    message: invoice.number,
+                    sender: sender,
+                    recipient: address,
+                    mosaic: invoice.getMosaic(),
+                    transactionHash: self.blockchain_.getTransactionHash(transactionMetaDataPair)
+                };
+
+                if (isMultisig)
+                    data.innerHash = hash;
+
+                if (!isConfirmed && isMultisig) {
+                    // not counted before all cosignatories have signed
+                    data.status = "awaiting_cosignatures";
+                    data.amount = amount;
+                    data.amountUnconfirmed = totals.amountUnconfirmed;
+                    return callback(null, data);
+                }
+
+                if (!isConfirmed) {
+                    totals.amountUnconfirmed += amount;
+
+                    data.status = "unconfirmed";
+                    data.amountUnconfirmed = totals.amountUnconfirmed;
+                    return callback(null, data);
+                }
+
+                totals.amountPaid += amount;
+                if (seen_.unconfirmed.hasOwnProperty(hash) && !isMultisig)
+                    totals.amountUnconfirmed = Math.max(0, totals.amountUnconfirmed - amount);
+
+                data.status = totals.amountPaid >= invoice.amount ? "paid" : "paid_partly";
+                data.amount = amount;
+                data.height = self.blockchain_.getTransactionHeight(transactionMetaDataPair);
+                data.timestamp = self.blockchain_.getTransactionDate(transactionMetaDataPair).valueOf();
+                data.amountPaid = totals.amountPaid;
+                data.amountUnconfirmed = totals.amountUnconfirmed;
+
+                if (data.status == "paid")
+                    delete totals_[invoice.number];
+
+                return callback(null, data);
+            });
+        };
+    };
+
+    module.exports.NISPaymentListener = NISPaymentListener;
+}());
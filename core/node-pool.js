@@ -0,0 +1,254 @@
+/**
+ * Part of the evias/nem2pay package.
+ *
+ * NOTICE OF LICENSE
+ *
+ * Licensed under MIT License.
+ *
+ * This source file is subject to the MIT License that is
+ * bundled with this package in the LICENSE file.
+ *
+ * @package    evias/nem2pay
+ * @author     Grégory Saive <greg@evias.be> (https://github.com/evias)
+ * @license    MIT License
+ * @copyright  (c) 2019, Grégory Saive <greg@evias.be>
+ * @link       https://github.com/evias/nem2pay
+ */
+
+(function() {
+
+    var config = require("config"),
+        path = require('path');
+
+    var __smartfilename = path.basename(__filename);
+
+    /**
+     * class NodePool keeps track of the health of the configured
+     * NEM nodes and selects the node used to connect to the CORE.
+     *
+     * Nodes are health-checked with a heartbeat and a chain height
+     * request. Alive nodes are ranked by chain height (nodes lagging
+     * behind the highest known height are ranked last) and latency.
+     *
+     * When a request to the active node fails, the node is marked
+     * as dead and the next best node becomes active.
+     *
+     * @author  Grégory Saive <greg@evias.be> (https://github.com/evias)
+     */
+    var NodePool = function(nemSDK, logger, nodes) {
+        var nem_ = nemSDK;
+        var logger_ = logger;
+
+        var nodes_ = nodes.map(function(node) {
+            return {
+                host: node.host,
+                port: node.port,
+                endpoint: nem_.model.objects.create("endpoint")(node.host, node.port),
+                isAlive: true,
+                latency: null,
+                height: null,
+                failures: 0,
+                checkedAt: null
+            };
+        });
+
+        var active_ = nodes_[0];
+
+        /**
+         * Get the NEM-sdk `endpoint` of the active node.
+         *
+         * @return {object}
+         */
+        this.getEndpoint = function() {
+            return active_.endpoint;
+        };
+
+        /**
+         * Get the health status of all nodes, in ranking order.
+         *
+         * @return {Array}
+         */
+        this.getNodes = function() {
+            return nodes_.map(function(node) {
+                return {
+                    host: node.host,
+                    port: node.port,
+                    isAlive: node.isAlive,
+                    isActive: node === active_,
+                    latency: node.latency,
+                    height: node.height,
+                    failures: node.failures,
+                    checkedAt: node.checkedAt
+                };
+            });
+        };
+
+        /**
+         * Reject `promise` when it is not settled after `timeout`
+         * milliseconds.
+         *
+         * @param   {Promise}   promise
+         * @param   {integer}   timeout
+         * @return  Promise
+         */
+        var withTimeout_ = function(promise, timeout) {
+            return new Promise(function(resolve, reject) {
+                var timer = setTimeout(function() {
+                    reject(new Error("Request timed out after " + timeout + "ms."));
+                }, timeout);
+
+                promise.then(function(res) {
+                    clearTimeout(timer);
+                    resolve(res);
+                }, function(err) {
+                    clearTimeout(timer);
+                    reject(err);
+                });
+            });
+        };
+
+        /**
+         * Reject `promise` when it is not settled after the configured
+         * request timeout, such that requests to a stalled node fail
+         * over to the next node.
+         *
+         * @param   {Promise}   promise
+         * @return  Promise
+         */
+        this.withTimeout = function(promise) {
+            return withTimeout_(promise, this.getRequestTimeout());
+        };
+
+        /**
+         * Get the timeout of requests to the NEM nodes in milliseconds.
+         *
+         * @return {integer}
+         */
+        this.getRequestTimeout = function() {
+            return parseInt(process.env["NEM_REQUEST_TIMEOUT"] || config.get("nem.requestTimeout"));
+        };
+
+        /**
+         * Health-check one node. The heartbeat latency and the chain
+         * height of the node are stored.
+         *
+         * @param   {object}    node
+         * @return  Promise
+         */
+        var checkNode_ = function(node) {
+            var timeout = parseInt(config.get("nem.healthCheck.timeout"));
+            var startedAt = new Date().valueOf();
+
+            return withTimeout_(nem_.com.requests.endpoint.heartbeat(node.endpoint), timeout)
+                .then(function(res) {
+                    node.latency = new Date().valueOf() - startedAt;
+                    return withTimeout_(nem_.com.requests.chain.height(node.endpoint), timeout);
+                })
+                .then(function(res) {
+                    node.height = res.height;
+                    node.isAlive = true;
+                    node.checkedAt = new Date().valueOf();
+                    return node;
+                })
+                .catch(function(err) {
+                    node.isAlive = false;
+                    node.checkedAt = new Date().valueOf();
+                    return node;
+                });
+        };
+
+        /**
+         * Sort nodes by health. Alive nodes come first, then nodes
+         * which are in sync with the highest known chain height, then
+         * the fastest nodes.
+         *
+         * @return {void}
+         */
+        var rankNodes_ = function() {
+            var maxHeight = 0;
+            for (var i = 0; i < nodes_.length; i++)
+                if (nodes_[i].isAlive && nodes_[i].height > maxHeight)
+                    maxHeight = nodes_[i].height;
+
+            var maxLag = parseInt(config.get("nem.healthCheck.maxHeightLag"));
+            var isSynced = function(node) {
+                return node.height !== null && maxHeight - node.height <= maxLag;
+            };
+
+            nodes_.sort(function(a, b) {
+                if (a.isAlive !== b.isAlive)
+                    return a.isAlive ? -1 : 1;
+
+                if (isSynced(a) !== isSynced(b))
+                    return isSynced(a) ? -1 : 1;
+
+                if (a.latency === null || b.latency === null)
+                    return a.latency === null ? 1 : -1;
+
+                return a.latency - b.latency;
+            });
+        };
+
+        /**
+         * Health-check all nodes and select the best node as the
+         * active node.
+         *
+         * @return  Promise     Resolves with the active node endpoint
+         */
+        this.checkAll = function() {
+            return Promise.all(nodes_.map(checkNode_)).then(function() {
+                rankNodes_();
+
+                var previous = active_;
+                active_ = nodes_[0];
+
+                if (previous !== active_)
+                    logger_.info(__smartfilename, __line, "[NODES] Active NEM node is now " + active_.host + ":" + active_.port + ".");
+
+                if (!active_.isAlive)
+                    logger_.warn(__smartfilename, __line, "[NODES] None of the configured NEM nodes is alive.");
+
+                return active_.endpoint;
+            });
+        };
+
+        /**
+         * Report a failed request to the node with `endpoint`. When
+         * this node is the active node, the next best alive node
+         * becomes active.
+         *
+         * Returns `true` when another node is now active, such that the
+         * failed request can be retried.
+         *
+         * @param   {object}    endpoint    NEM-sdk endpoint of the failing node
+         * @return  {boolean}
+         */
+        this.reportFailure = function(endpoint) {
+            var failing = null;
+            for (var i = 0; i < nodes_.length; i++) {
+                if (nodes_[i].endpoint === endpoint)
+                    failing = nodes_[i];
+            }
+
+            if (!failing)
+                return false;
+
+            failing.isAlive = false;
+            failing.failures++;
+
+            if (failing !== active_)
+            // another node is active already
+                return true;
+
+            rankNodes_();
+            if (!nodes_[0].isAlive)
+                return false;
+
+            active_ = nodes_[0];
+            logger_.warn(__smartfilename, __line, "[NODES] NEM node " + failing.host + ":" + failing.port + " failed, switched to " + active_.host + ":" + active_.port + ".");
+            return true;
+        };
+    };
+
+    module.exports.NodePool = NodePool;
+}());
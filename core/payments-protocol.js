@@ -19,33 +19,418 @@
 
     var config = require("config"),
         path = require('path'),
-        CryptoJS = require("crypto-js");
+        CryptoJS = require("crypto-js"),
+        InvoiceStateMachine = require("./invoice-states.js").InvoiceStateMachine;
 
     var __smartfilename = path.basename(__filename);
 
-    // configure NEMBots for payments processing.
+    // configure NEMBots for payments processing. The host is read when
+    // channels are opened such that it can be changed at runtime (tests).
     // @link https://github.com/evias/nem-nodejs-bot
     var NEMBot_for_Payments = {
-        "paymentBot": { host: process.env["PAYMENT_BOT_HOST"] || config.get("payments.bots.paymentBot") }
+        "paymentBot": {
+            getHost: function() {
+                return process.env["PAYMENT_BOT_HOST"] || config.get("payments.bots.paymentBot");
+            }
+        }
     };
 
     var botChannelSockets_ = {};
 
+    // NEM transaction timestamps are set by the sender, transactions
+    // dated up to one day before an invoice are still read.
+    var transactionTimeMargin_ = 24 * 60 * 60 * 1000;
+
     /**
      * class PaymentsProtocol provides a business layer for
      * payments management features. (Invoices, Payment updates, etc.)
      *
      * @author  Grégory Saive <greg@evias.be> (https://github.com/evias)
      */
-    var PaymentsProtocol = function(io, logger, chainDataLayer, dataLayer) {
+    var PaymentsProtocol = function(io, logger, chainDataLayer, dataLayer, webhooks, exchangeRates, paymentListener, ledger) {
         this.socketIO_ = io;
         this.blockchain_ = chainDataLayer;
         this.db_ = dataLayer;
         this.logger_ = logger;
+        this.webhooks_ = webhooks;
+        this.exchangeRates_ = exchangeRates;
+        this.paymentListener_ = paymentListener;
+        this.ledger_ = ledger;
+        this.states_ = new InvoiceStateMachine(logger);
 
-        var paymentTransactionHistory_ = { byInvoice: {}, byHash: {} };
         var incomingStatusUpdates_ = { byChecksum: {} };
 
+        /**
+         * Get the Time To Live of invoices in milliseconds. Invoices
+         * which are not paid after this duration will be expired.
+         *
+         * @return {integer}
+         */
+        this.getInvoiceTTL = function() {
+            var ttlMinutes = process.env["INVOICE_TTL"] || config.get("payments.expiry.ttl");
+            return parseInt(ttlMinutes) * 60 * 1000;
+        };
+
+        /**
+         * This function creates a new invoice (NEMPaymentChannel)
+         * with the given `invoiceData` and opens its payment channel
+         * with the NEMBot.
+         *
+         * The `invoiceData.amount` field is given in units of the payment
+         * mosaic, it will be converted to the smallest unit of the mosaic
+         * using the mosaic's divisibility (micro XEM for `nem:xem`).
+         *
+         * When `invoiceData.fiatCurrency` is set, `invoiceData.fiatAmount`
+         * is converted to the payment mosaic with the configured exchange
+         * rate provider. The quoted rate is locked on the invoice until
+         * the quote expires.
+         *
+         * @param  {object}     invoiceData         Contains `merchantId`, `payer`, `recipient`, `amount`, `mosaic`, `fiatCurrency`, `fiatAmount`, `description` and `reference`
+         * @param  {string}     clientSocketId      Frontend SocketIO socket ID (optional)
+         * @param  {Function}   callback            Callback function executed with `err` and `invoice`
+         * @return {void}
+         */
+        this.createInvoice = function(invoiceData, clientSocketId, callback) {
+            var self = this;
+            var mosaic = invoiceData.mosaic || self.blockchain_.getCurrency();
+            var policy = invoiceData.policy || config.get("payments.policy");
+
+            var saveInvoice = function(definition, amount, quote) {
+                if (!amount || amount <= 0)
+                    return callback(new Error("Amount too small for mosaic " + mosaic + " with divisibility " + definition.divisibility + "."));
+
+                var createdAt = new Date().valueOf();
+                var invoice = new self.db_.NEMPaymentChannel({
+                    merchantId: invoiceData.merchantId,
+                    recipientXEM: invoiceData.recipient,
+                    payerXEM: invoiceData.payer,
+                    paymentMosaicSlug: mosaic,
+                    paymentMosaicDivisibility: definition.divisibility,
+                    description: invoiceData.description,
+                    reference: invoiceData.reference,
+                    amount: amount,
+                    amountPaid: 0,
+                    amountUnconfirmed: 0,
+                    status: "not_paid",
+                    amountTolerance: self.getAmountTolerance(policy, amount, definition.divisibility),
+                    acceptPartial: policy.acceptPartial,
+                    partialTimeout: parseInt(policy.partialTimeout) * 60 * 1000,
+                    onPartialTimeout: policy.onPartialTimeout,
+                    confirmationsRequired: parseInt(policy.confirmations) || 1,
+                    checkoutToken: CryptoJS.lib.WordArray.random(16).toString(),
+                    createdAt: createdAt,
+                    expiresAt: createdAt + self.getInvoiceTTL()
+                });
+
+                if (invoiceData.depositAccount) {
+                    // invoice paid to its own deposit account, funds are
+                    // settled to the Merchant recipient.
+                    invoice.recipientXEM = invoiceData.depositAccount.address;
+                    invoice.settlementXEM = invoiceData.recipient;
+                    invoice.isDepositAccount = true;
+                    invoice.depositIndex = invoiceData.depositAccount.index;
+                    invoice.depositPrivateKey = invoiceData.depositAccount.encryptedKey;
+                }
+
+                if (quote) {
+                    invoice.fiatCurrency = invoiceData.fiatCurrency;
+                    invoice.fiatAmount = invoiceData.fiatAmount;
+                    invoice.exchangeRate = quote.rate;
+                    invoice.exchangeRateSource = quote.source;
+                    invoice.quotedAt = quote.quotedAt;
+                    invoice.quoteExpiresAt = quote.expiresAt;
+                }
+
+                invoice.save(function(err) {
+                    if (err) {
+                        self.logger_.error(__smartfilename, __line, '[ERROR] Invoice creation error: ' + err);
+                        return callback(err);
+                    }
+
+                    return self.startPaymentChannel(invoice, clientSocketId, function(invoice) {
+                        return callback(null, invoice);
+                    });
+                });
+            };
+
+            self.blockchain_.getMosaicDefinition(mosaic).then(function(definition) {
+                if (!invoiceData.fiatCurrency) {
+                    var amount = Math.round(parseFloat(invoiceData.amount) * Math.pow(10, definition.divisibility));
+                    return saveInvoice(definition, amount, null);
+                }
+
+                // fiat price, quote in payment mosaic
+                self.exchangeRates_.quote(invoiceData.fiatCurrency, parseFloat(invoiceData.fiatAmount), mosaic, definition.divisibility)
+                    .then(function(quote) {
+                        return saveInvoice(definition, quote.amount, quote);
+                    }, function(err) {
+                        self.logger_.error(__smartfilename, __line, '[ERROR] Exchange rate error: ' + err.message);
+                        return callback(err);
+                    });
+            }, function(err) {
+                self.logger_.error(__smartfilename, __line, '[ERROR] Mosaic definition error for ' + mosaic + ': ' + (err.message || JSON.stringify(err)));
+                return callback(new Error("Unknown mosaic " + mosaic + "."));
+            });
+        };
+
+        /**
+         * Find the invoice of `payer` to `recipient` for the merchant
+         * `merchantId`. When `number` is given this invoice is loaded,
+         * otherwise the pending or paid invoice of the payer is reused.
+         *
+         * @param   {ObjectId}  merchantId
+         * @param   {string}    payer
+         * @param   {string}    recipient
+         * @param   {string}    number      Invoice number (optional)
+         * @param   {Function}  callback    Callback function executed with `err` and the invoice
+         * @return  {void}
+         */
+        this.findPayerInvoice = function(merchantId, payer, recipient, number, callback) {
+            var invoiceQuery = {
+                merchantId: merchantId,
+                payerXEM: payer,
+                $or: [{ recipientXEM: recipient }, { settlementXEM: recipient }]
+            };
+
+            if (number && number.length)
+                invoiceQuery.number = number;
+            else
+                invoiceQuery.status = { $in: this.states_.pendingStatuses.concat(this.states_.paidStatuses) };
+
+            return this.db_.NEMPaymentChannel.findOne(invoiceQuery, callback);
+        };
+
+        /**
+         * Find the invoices history of `payer` for the merchant
+         * `merchantId`, cancelled invoices are not listed.
+         *
+         * @param   {ObjectId}  merchantId
+         * @param   {string}    payer
+         * @param   {string}    number      Invoice number (optional)
+         * @param   {Function}  callback    Callback function executed with `err` and the invoices
+         * @return  {void}
+         */
+        this.findPayerInvoices = function(merchantId, payer, number, callback) {
+            var invoiceQuery = {
+                merchantId: merchantId,
+                payerXEM: payer,
+                status: { $in: this.states_.pendingStatuses.concat(this.states_.paidStatuses, ["expired"]) }
+            };
+
+            if (number && number.length)
+                invoiceQuery.number = number;
+
+            return this.db_.NEMPaymentChannel.find(invoiceQuery, callback);
+        };
+
+        /**
+         * Get the underpayment tolerance of an invoice of `amount`, in
+         * the smallest unit of the payment mosaic. Absolute tolerances
+         * are configured in mosaic units, percentage tolerances in
+         * percent of the invoice amount.
+         *
+         * @param   {object}    policy          Merchant payment policy
+         * @param   {integer}   amount
+         * @param   {integer}   divisibility
+         * @return  {integer}
+         */
+        this.getAmountTolerance = function(policy, amount, divisibility) {
+            var tolerance = parseFloat(policy.tolerance) || 0;
+
+            if (policy.toleranceType == "percent")
+                return Math.floor(amount * tolerance / 100);
+
+            return Math.min(amount, Math.floor(tolerance * Math.pow(10, divisibility)));
+        };
+
+        /**
+         * Get the amount which must be paid for `invoice` to be
+         * considered paid, taking the underpayment tolerance into
+         * account.
+         *
+         * @param   {NEMPaymentChannel}     invoice
+         * @return  {integer}
+         */
+        this.getAmountDue = function(invoice) {
+            return invoice.amount - (invoice.amountTolerance || 0);
+        };
+
+        /**
+         * Mark `invoice` paid once its payment has `confirmations`
+         * confirmations, invoices waiting for the number of confirmations
+         * required by the merchant stay in the `confirming` state.
+         *
+         * Paid invoices are not reverted to `confirming`. Returns `false`
+         * when the transition is not allowed.
+         *
+         * @param   {NEMPaymentChannel}     invoice
+         * @param   {integer}               confirmations
+         * @param   {string}                source          Transition source (`bot`, `reconciler` or `admin`)
+         * @return  {boolean}
+         */
+        this.markPaid = function(invoice, confirmations, source) {
+            var required = invoice.confirmationsRequired || 1;
+            var current = Math.max(invoice.confirmations || 0, confirmations);
+
+            // refund recorded by the reconciliation
+            var status = invoice.amountPaid > invoice.amount ? "overpaid" : "paid";
+            if (!invoice.isPaid && current < required)
+                status = "confirming";
+
+            if (!this.states_.transition(invoice, status, source))
+                return false;
+
+            invoice.confirmations = current;
+            if (status != "confirming") {
+                invoice.isPaid = true;
+                invoice.paidAt = invoice.paidAt || new Date().valueOf();
+            }
+
+            return true;
+        };
+
+        /**
+         * Get the height of the block including the transaction which
+         * completed the payment of `invoice`, transactions are counted
+         * in the order they were included.
+         *
+         * @param   {Array}                 transactions    Should contain {TransactionMetaDataPair} objects
+         * @param   {NEMPaymentChannel}     invoice
+         * @return  {integer}
+         */
+        this.getPaymentHeight = function(transactions, invoice) {
+            var self = this;
+            var sorted = transactions.slice().sort(function(a, b) {
+                return self.blockchain_.getTransactionHeight(a) - self.blockchain_.getTransactionHeight(b);
+            });
+
+            var total = 0;
+            for (var i = 0; i < sorted.length; i++) {
+                total += self.getPaymentAmount(sorted[i], invoice);
+                if (total >= self.getAmountDue(invoice))
+                    return self.blockchain_.getTransactionHeight(sorted[i]);
+            }
+
+            return null;
+        };
+
+        /**
+         * Broadcast the confirmation progress of `invoice` to its frontend
+         * clients with a `nem2pay_payment_confirmations` Socket.IO event.
+         *
+         * @param   {NEMPaymentChannel}     invoice
+         * @return  {void}
+         */
+        this.emitConfirmations = function(invoice) {
+            var self = this;
+
+            if (!self.socketIO_ || !botChannelSockets_.hasOwnProperty(invoice.number))
+                return false;
+
+            var clientData = {
+                status: invoice.status,
+                number: invoice.number,
+                confirmations: invoice.confirmations,
+                confirmationsRequired: invoice.confirmationsRequired || 1
+            };
+
+            var socketsForPayment = botChannelSockets_[invoice.number];
+            for (var i in socketsForPayment)
+                if (socketsForPayment[i].clientId)
+                    self.socketIO_.sockets.to(socketsForPayment[i].clientId)
+                        .emit("nem2pay_payment_confirmations", JSON.stringify(clientData));
+        };
+
+        /**
+         * Register the first partial payment of `invoice`. When partial
+         * payments are accepted, the partial payment timeout starts.
+         *
+         * @param   {NEMPaymentChannel}     invoice
+         * @return  {void}
+         */
+        this.markPartlyPaid = function(invoice) {
+            if (invoice.partlyPaidAt)
+                return false;
+
+            invoice.partlyPaidAt = new Date().valueOf();
+            if (invoice.acceptPartial && invoice.partialTimeout)
+                invoice.partialExpiresAt = invoice.partlyPaidAt + invoice.partialTimeout;
+        };
+
+        /**
+         * Get the NEMBot payment channel parameters for `invoice`.
+         *
+         * @param   {NEMPaymentChannel}     invoice
+         * @return  {object}
+         */
+        this.getChannelParams = function(invoice) {
+            return {
+                mosaic: invoice.getMosaic(),
+                message: invoice.number,
+                sender: invoice.payerXEM,
+                recipient: invoice.recipientXEM,
+                amount: invoice.amount,
+                maxDuration: this.getInvoiceTTL()
+            };
+        };
+
+        /**
+         * Get the source of payment status updates, either `nembot`
+         * for the external NEMBot or `nis` for the built-in websocket
+         * listener.
+         *
+         * @return {string}
+         */
+        this.getListenerMode = function() {
+            return process.env["PAYMENT_LISTENER"] || config.get("payments.listener.mode");
+        };
+
+        /**
+         * Start the built-in NIS websocket listener when it is
+         * configured, status updates are then processed with
+         * `forwardStatusUpdate()`.
+         *
+         * @return {boolean}
+         */
+        this.startListener = function() {
+            var self = this;
+
+            if (self.getListenerMode() != "nis" || !self.paymentListener_)
+                return false;
+
+            self.paymentListener_.start(function(data) {
+                self.forwardStatusUpdate(data);
+            });
+
+            return true;
+        };
+
+        /**
+         * Forward a status update of the built-in listener to the
+         * frontend clients of the invoice and store it.
+         *
+         * @param   {object}    data    Status update, `message` contains the invoice number
+         * @return  {void}
+         */
+        this.forwardStatusUpdate = function(data) {
+            var self = this;
+
+            self.logger_.info("[DEBUG]", "[PAYMENTS]", '[LISTENER] payment_status_update(' + JSON.stringify(data) + ')');
+
+            var clientData = {
+                status: data.status,
+                paymentData: data
+            };
+
+            var socketsForPayment = botChannelSockets_[data.message] || [];
+            for (var i in socketsForPayment)
+                if (socketsForPayment[i].clientId)
+                    self.socketIO_.sockets.to(socketsForPayment[i].clientId)
+                        .emit("nem2pay_payment_status_update", JSON.stringify(clientData));
+
+            self.storeInvoiceStatusUpdate(data);
+        };
+
         /**
          * The startPaymentChannel function is used to open the communication
          * channel between this backend and the NEMBot responsible for Payment
@@ -75,20 +460,29 @@
             // will be triggered (`nembot_payment_status_update` again) with status `completed`, this time.
             // Only the second call with completed status should be trusted as a paid amount for the invoice.
 
+            if (!botChannelSockets_.hasOwnProperty(invoice.number))
+                botChannelSockets_[invoice.number] = [];
+
+            if (self.getListenerMode() == "nis" && self.paymentListener_) {
+                // built-in listener, no NEMBot channel needed.
+                self.paymentListener_.watch(invoice.recipientXEM);
+                botChannelSockets_[invoice.number].push({ socket: null, clientId: clientSocketId });
+
+                return invoice.save(function(err) {
+                    callback(invoice);
+                });
+            }
+
+            // every payment channel needs its own connection, socket.io-client
+            // would otherwise share one socket (and its listeners) between invoices.
             var socket = require("socket.io-client");
-            var channelSocket = socket.connect(NEMBot_for_Payments.paymentBot.host);
+            var botHost = NEMBot_for_Payments.paymentBot.getHost();
+            var channelSocket = socket.connect(botHost, { forceNew: true });
 
             // configure payment channel
-            var channelParams = {
-                mosaic: config.get("payments.currency", "nem:xem"),
-                message: invoice.number,
-                sender: invoice.payerXEM,
-                recipient: invoice.recipientXEM,
-                amount: invoice.amount,
-                maxDuration: 5 * 60 * 1000 // 5 hours
-            };
+            var channelParams = self.getChannelParams(invoice);
 
-            self.logger_.info("[DEBUG]", "[PAYMENTS]", '[BOT] open_channel(' + JSON.stringify(channelParams) + ') with NEMBot host: ' + NEMBot_for_Payments.paymentBot.host);
+            self.logger_.info("[DEBUG]", "[PAYMENTS]", '[BOT] open_channel(' + JSON.stringify(channelParams) + ') with NEMBot host: ' + botHost);
             channelSocket.emit("nembot_open_payment_channel", JSON.stringify(channelParams));
 
             // configure payment status update event FORWARDING (comes from NEMBot and forwards to Frontend)
@@ -96,9 +490,7 @@
 
                 // build status update checksum to be sure we process websockets
                 // status updates only once.
-                var payload = rawdata;
-                var uaStatus = CryptoJS.lib.WordArray.create(payload);
-                var checksum = CryptoJS.MD5(uaStatus).toString();
+                var checksum = CryptoJS.MD5(rawdata).toString();
 
                 if (incomingStatusUpdates_.byChecksum.hasOwnProperty(checksum))
                 // already forwarded
@@ -117,8 +509,13 @@
                     status: data.status,
                     paymentData: data
                 };
-                io.sockets.to(clientSocketId)
-                    .emit("nem2pay_payment_status_update", JSON.stringify(clientData));
+
+                // clients attached later share this channel
+                var socketsForPayment = botChannelSockets_[invoice.number] || [];
+                for (var i in socketsForPayment)
+                    if (socketsForPayment[i].clientId)
+                        self.socketIO_.sockets.to(socketsForPayment[i].clientId)
+                            .emit("nem2pay_payment_status_update", JSON.stringify(clientData));
 
                 // do the UI magic
                 self.storeInvoiceStatusUpdate(data);
@@ -134,9 +531,6 @@
                 invoice.socketIds = sockets;
             }
 
-            if (!botChannelSockets_.hasOwnProperty(invoice.number))
-                botChannelSockets_[invoice.number] = [];
-
             botChannelSockets_[invoice.number].push({ socket: channelSocket, clientId: clientSocketId });
 
             invoice.save(function(err) {
@@ -144,10 +538,44 @@
             });
         };
 
+        /**
+         * Attach the frontend client `clientSocketId` to the payment
+         * channel of `invoice`. The open channel of the invoice is
+         * reused, a channel is started only when none is open.
+         *
+         * @param  {NEMPaymentChannel}   invoice
+         * @param  {string}   clientSocketId    Frontend SocketIO socket ID
+         * @param  {Function} callback          Callback function executed with the invoice
+         * @return {void}
+         */
+        this.attachClient = function(invoice, clientSocketId, callback) {
+            var socketsForPayment = botChannelSockets_[invoice.number];
+            if (!socketsForPayment || !socketsForPayment.length)
+                return this.startPaymentChannel(invoice, clientSocketId, callback);
+
+            var isAttached = socketsForPayment.some(function(entry) {
+                return entry.clientId == clientSocketId;
+            });
+
+            if (!isAttached)
+                socketsForPayment.push({ socket: null, clientId: clientSocketId });
+
+            return callback(invoice);
+        };
+
         /**
          * This function saves an invoice status update to the
          * database. It helps keeping track of the payment states.
          *
+         * Updates with an encrypted message (`messageType` 2) contain
+         * the hexadecimal payload in `message` and the sender public key
+         * in `signer`, the message is decrypted with the private key of
+         * `recipient`.
+         *
+         * Repeated updates which change neither the status nor the
+         * amounts of the invoice are ignored, the payment success is
+         * only sent when the invoice gets paid.
+         *
          * @param  {object} data
          * @return {void}
          */
@@ -155,6 +583,19 @@
             var self = this;
             var invoiceQuery = {};
 
+            if (data.messageType == 2 && data.recipient && data.recipient.length) {
+                return self.db_.getRecipientPrivateKey(data.recipient, function(err, privateKey) {
+                    if (err)
+                        self.logger_.error(__smartfilename, __line, '[ERROR] Recipient key lookup error: ' + err);
+
+                    var plain = self.blockchain_.decryptMessage(data.message, data.signer, privateKey);
+
+                    data.message = plain.trim().toUpperCase();
+                    delete data.messageType;
+                    return self.storeInvoiceStatusUpdate(data);
+                });
+            }
+
             if (typeof data.message != 'undefined' && data.message.length) {
                 // Player sent message along with transaction.
                 invoiceQuery["number"] = data.message;
@@ -165,24 +606,95 @@
 
             //DEBUG self.logger_.info("[DEBUG]", "[PAYMENTS]", 'Fetching invoice with query: ' + JSON.stringify(invoiceQuery));
 
+            // any transfer to a deposit account pays its invoice.
+            var findInvoice = function(callback) {
+                if (typeof data.recipient == 'undefined' || !data.recipient.length)
+                    return self.db_.NEMPaymentChannel.findOne(invoiceQuery, callback);
+
+                var depositQuery = {
+                    recipientXEM: data.recipient.toUpperCase().replace(/-/g, ""),
+                    isDepositAccount: true
+                };
+
+                self.db_.NEMPaymentChannel.findOne(depositQuery, function(err, invoice) {
+                    if (err || invoice)
+                        return callback(err, invoice);
+
+                    return self.db_.NEMPaymentChannel.findOne(invoiceQuery, callback);
+                });
+            };
+
             // find invoice and update status and amounts
-            self.db_.NEMPaymentChannel.findOne(invoiceQuery, function(err, invoice) {
+            findInvoice(function(err, invoice) {
                 if (err || !invoice) {
                     //DEBUG self.logger_.info("[DEBUG]", "[PAYMENTS]", 'No Invoice found: ' + JSON.stringify(invoiceQuery));
                     return false;
                 }
 
-                invoice.status = data.status;
+                var isAwaitingCosignatures = data.status == "awaiting_cosignatures";
+                if (isAwaitingCosignatures && !self.states_.canTransition(invoice.status, data.status))
+                // pending multisig payment, invoice already received funds.
+                    return false;
+
+                if (invoice.status == "expired") {
+                    // funds received after expiry must be verified manually.
+                    if (data.status == "unconfirmed")
+                        invoice.amountUnconfirmed = data.amountUnconfirmed;
+                    else if (data.amountPaid)
+                        invoice.amountPaid = data.amountPaid;
+
+                    invoice.needsReview = true;
+                    invoice.reviewReason = "Payment received after expiry.";
+                    invoice.updatedAt = new Date().valueOf();
+
+                    self.logger_.warn(__smartfilename, __line, '[PAYMENTS] Expired invoice ' + invoice.number + ' received funds, flagged for review.');
+                    return invoice.save();
+                }
+
+                var previousStatus = invoice.status;
+                var previousAmountPaid = invoice.amountPaid;
+                var previousAmountUnconfirmed = invoice.amountUnconfirmed;
+                var wasPaid = invoice.isPaid === true;
 
                 if (data.status == "unconfirmed")
                     invoice.amountUnconfirmed = data.amountUnconfirmed;
-                else if (data.amountPaid)
-                    invoice.amountPaid = data.amountPaid;
+                else if (!isAwaitingCosignatures) {
+                    if (data.amountPaid)
+                        invoice.amountPaid = data.amountPaid;
+
+                    // confirmed amounts leave the unconfirmed balance
+                    if (data.hasOwnProperty("amountUnconfirmed"))
+                        invoice.amountUnconfirmed = data.amountUnconfirmed;
+                }
+
+                var isAccepted = false;
+                var isWithinTolerance = data.status == "paid_partly" && invoice.amountPaid >= self.getAmountDue(invoice);
+                var isOverpaid = data.status == "overpaid"
+                            || (data.status != "unconfirmed" && !isAwaitingCosignatures && invoice.amountPaid > invoice.amount);
+
+                if (data.status == "paid" || isOverpaid || isWithinTolerance) {
+                    // the payment was just included in a block, further
+                    // confirmations are counted by the reconciliation.
+                    if (data.height && !invoice.paymentHeight)
+                        invoice.paymentHeight = data.height;
 
-                if (data.status == "paid") {
-                    invoice.isPaid = true;
-                    invoice.paidAt = new Date().valueOf();
+                    isAccepted = self.markPaid(invoice, 1, "bot");
                 }
+                else {
+                    isAccepted = self.states_.transition(invoice, data.status, "bot");
+                    if (isAccepted && data.status == "paid_partly")
+                        self.markPartlyPaid(invoice);
+                }
+
+                if (!isAccepted)
+                // late or invalid update (e.g. `unconfirmed` for a paid invoice)
+                    return false;
+
+                if (invoice.status == previousStatus
+                    && invoice.amountPaid == previousAmountPaid
+                    && invoice.amountUnconfirmed == previousAmountUnconfirmed)
+                // repeated update, the invoice was stored and notified already
+                    return false;
 
                 invoice.save(function(err) {
                     if (err) {
@@ -190,51 +702,428 @@
                         return false;
                     }
 
-                    if (data.status != "paid" && data.status != "unconfirmed")
-                        return false;
+                    // unconfirmed transactions are stored once included in a block
+                    if (self.ledger_ && data.status != "unconfirmed" && !isAwaitingCosignatures)
+                        self.ledger_.recordStatusUpdate(invoice, data);
+
+                    // the payment success is sent once, when the invoice gets paid
+                    var isPaidInFull = (data.status == "paid" || data.status == "unconfirmed" || isOverpaid || isWithinTolerance)
+                                    && invoice.isPaid && !wasPaid
+                                    && invoice.getTotalIncoming() >= self.getAmountDue(invoice);
+
+                    if (!isPaidInFull) {
+                        if (invoice.status != previousStatus)
+                            self.notifyStatusChange(invoice);
+
+                        if (invoice.status == "confirming")
+                            self.emitConfirmations(invoice);
 
-                    if (!invoice.isPaid || invoice.getTotalIncoming() < invoice.amount)
                         return false;
+                    }
 
                     // coming here means INVOICE PAID
-
-                    invoice.save();
                     self.processPaymentChannelSuccess(invoice);
                 });
             });
         };
 
+        /**
+         * This method queues a Merchant webhook for the current
+         * status of `invoice`.
+         *
+         * @param   {NEMPaymentChannel}     invoice
+         * @return  {void}
+         */
+        this.notifyStatusChange = function(invoice) {
+            if (!this.webhooks_)
+                return false;
+
+            this.webhooks_.enqueue(invoice, invoice.status);
+        };
+
         /**
          * This method is used when a PaymentChannel *is finalized*.
          * This means that the Invoice *has been paid completely*.
          *
          * This method will also broadcast a Socket.IO event for the Frontend
          * such that the Payment Status Update can be processed on the Invoice
-         * View.
+         * View, and queue the Merchant webhook. The payment channel of the
+         * invoice is closed.
          *
          * @param   {NEMPaymentChannel}     paymentChannel
          */
         this.processPaymentChannelSuccess = function(paymentChannel) {
+            this.notifyStatusChange(paymentChannel);
+
+            return this.closePaymentChannel(paymentChannel, "nem2pay_payment_success", {
+                status: paymentChannel.status,
+                number: paymentChannel.number,
+                amountPaid: paymentChannel.amountPaid
+            });
+        };
+
+        /**
+         * This method is used when a PaymentChannel *has expired*. The
+         * attached frontend clients will receive a `nem2pay_payment_expired`
+         * Socket.IO event and the NEMBot channel sockets will be closed.
+         *
+         * @param   {NEMPaymentChannel}     paymentChannel
+         */
+        this.processPaymentChannelExpiry = function(paymentChannel) {
+            return this.closePaymentChannel(paymentChannel, "nem2pay_payment_expired", {
+                status: "expired",
+                number: paymentChannel.number,
+                expiresAt: paymentChannel.expiresAt
+            });
+        };
+
+        /**
+         * Close the NEMBot channel sockets of `paymentChannel` after
+         * emitting `event` with `clientData` to the attached frontend
+         * clients. The built-in listener forgets the invoice payments.
+         *
+         * @param   {NEMPaymentChannel}     paymentChannel
+         * @param   {string}                event
+         * @param   {object}                clientData
+         * @return  {void}
+         */
+        this.closePaymentChannel = function(paymentChannel, event, clientData) {
             var self = this;
 
-            if (botChannelSockets_.hasOwnProperty(paymentChannel.number)) {
-                var socketsForPayment = botChannelSockets_[paymentChannel.number];
+            if (self.paymentListener_)
+                self.paymentListener_.forget(paymentChannel.number);
 
-                for (var i in socketsForPayment)
+            if (!botChannelSockets_.hasOwnProperty(paymentChannel.number))
+                return false;
+
+            var socketsForPayment = botChannelSockets_[paymentChannel.number];
+            for (var i in socketsForPayment) {
+                if (socketsForPayment[i].clientId)
+                    self.socketIO_.sockets.to(socketsForPayment[i].clientId)
+                        .emit(event, JSON.stringify(clientData));
+
+                if (socketsForPayment[i].socket)
+                    socketsForPayment[i].socket.disconnect();
+            }
+
+            delete botChannelSockets_[paymentChannel.number];
+        };
+
+        /**
+         * Cancel `invoice`. Only invoices which are not paid, expired
+         * or confirming can be cancelled. The attached frontend clients
+         * receive a `nem2pay_payment_cancelled` Socket.IO event.
+         *
+         * @param   {NEMPaymentChannel}     invoice
+         * @param   {string}                source      Transition source, usually `admin`
+         * @param   {Function}              callback    Callback function executed with `err` and the invoice
+         * @return  {void}
+         */
+        this.cancelInvoice = function(invoice, source, callback) {
+            var self = this;
+
+            if (!self.states_.transition(invoice, "cancelled", source))
+                return callback(new Error("Invoice " + invoice.number + " with status " + invoice.status + " cannot be cancelled."));
+
+            invoice.updatedAt = new Date().valueOf();
+            invoice.save(function(err) {
+                if (err) {
+                    self.logger_.error(__smartfilename, __line, '[ERROR] Invoice cancellation error: ' + err);
+                    return callback(err);
+                }
+
+                self.notifyStatusChange(invoice);
+                self.closePaymentChannel(invoice, "nem2pay_payment_cancelled", {
+                    status: "cancelled",
+                    number: invoice.number
+                });
+
+                return callback(null, invoice);
+            });
+        };
+
+        /**
+         * This method expires all unpaid invoices for which the
+         * Time To Live has been reached. Invoices with unconfirmed
+         * amounts are left open until the transactions are included
+         * in a block. Pending multisig payments which were not cosigned
+         * in time do not keep invoices open.
+         *
+         * @param   {Function}  callback    Callback function executed with `err` and the expired invoices
+         * @return  {void}
+         */
+        this.expireInvoices = function(callback) {
+            var self = this;
+            var now = new Date().valueOf();
+
+            // partially paid invoices wait for the partial payment
+            // timeout when the merchant accepts partial payments.
+            var invoiceQuery = {
+                $and: [{
+                    $or: [
+                        { status: { $in: ["not_paid", "identified", "awaiting_cosignatures"] } },
+                        { status: "paid_partly", acceptPartial: { $ne: true } }
+                    ]
+                }, {
+                    $or: [
+                        { expiresAt: { $lte: now } },
+                        { expiresAt: { $exists: false }, createdAt: { $lte: now - self.getInvoiceTTL() } }
+                    ]
+                }]
+            };
+
+            self.db_.NEMPaymentChannel.find(invoiceQuery, function(err, invoices) {
+                if (err) {
+                    self.logger_.error(__smartfilename, __line, '[ERROR] Invoice expiry error: ' + err);
+                    return callback && callback(err);
+                }
+
+                if (!invoices || !invoices.length)
+                    return callback && callback(null, []);
+
+                var cntDone = 0;
+                var expired = [];
+                var done = function() {
+                    if (++cntDone === invoices.length && callback)
+                        return callback(null, expired);
+                };
+
+                invoices.forEach(function(invoice) {
+                    var isPartlyPaid = invoice.status == "paid_partly";
+                    if (!self.states_.transition(invoice, "expired", "reconciler"))
+                        return done();
+
+                    if (isPartlyPaid) {
+                        // partial funds must be refunded manually.
+                        invoice.needsReview = true;
+                        invoice.reviewReason = "Partial payment not accepted.";
+                    }
+
+                    invoice.updatedAt = now;
+
+                    invoice.save(function(err) {
+                        if (err)
+                            self.logger_.error(__smartfilename, __line, '[ERROR] Invoice expiry error: ' + err);
+                        else {
+                            expired.push(invoice);
+                            self.notifyStatusChange(invoice);
+                            self.processPaymentChannelExpiry(invoice);
+                        }
+
+                        return done();
+                    });
+                });
+            });
+        };
+
+        /**
+         * This method applies the partial payment timeout of partially
+         * paid invoices. Depending on the merchant policy, invoices are
+         * expired (`expire`) or flagged for manual review (`review`).
+         *
+         * @param   {Function}  callback    Callback function executed with `err` and the processed invoices
+         * @return  {void}
+         */
+        this.processPartialTimeouts = function(callback) {
+            var self = this;
+            var now = new Date().valueOf();
+
+            var invoiceQuery = {
+                status: "paid_partly",
+                acceptPartial: true,
+                needsReview: { $ne: true },
+                partialExpiresAt: { $lte: now }
+            };
+
+            self.db_.NEMPaymentChannel.find(invoiceQuery, function(err, invoices) {
+                if (err) {
+                    self.logger_.error(__smartfilename, __line, '[ERROR] Partial payment timeout error: ' + err);
+                    return callback && callback(err);
+                }
+
+                if (!invoices || !invoices.length)
+                    return callback && callback(null, []);
+
+                var cntDone = 0;
+                var processed = [];
+                invoices.forEach(function(invoice) {
+                    var isExpiring = invoice.onPartialTimeout == "expire";
+
+                    if (isExpiring && !self.states_.transition(invoice, "expired", "reconciler")) {
+                        if (++cntDone === invoices.length && callback)
+                            return callback(null, processed);
+
+                        return false;
+                    }
+
+                    if (!isExpiring) {
+                        invoice.needsReview = true;
+                        invoice.reviewReason = "Partial payment timeout.";
+                    }
+
+                    invoice.updatedAt = now;
+                    invoice.save(function(err) {
+                        if (err)
+                            self.logger_.error(__smartfilename, __line, '[ERROR] Partial payment timeout error: ' + err);
+                        else {
+                            processed.push(invoice);
+
+                            if (isExpiring) {
+                                self.notifyStatusChange(invoice);
+                                self.processPaymentChannelExpiry(invoice);
+                            }
+                        }
+
+                        if (++cntDone === invoices.length && callback)
+                            return callback(null, processed);
+                    });
+                });
+            });
+        };
+
+        /**
+         * This method handles invoices for which the fiat exchange rate
+         * quote has expired. Depending on `payments.exchangeRates.onQuoteExpiry`
+         * those invoices are either re-quoted (`requote`) or expired (`expire`).
+         *
+         * Only invoices without any incoming funds are affected, partly paid
+         * invoices keep their locked exchange rate.
+         *
+         * Re-quoted invoices are sent to the NEMBot again and the attached
+         * frontend clients receive a `nem2pay_payment_requoted` Socket.IO event.
+         *
+         * @param   {Function}  callback    Callback function executed with `err` and the updated invoices
+         * @return  {void}
+         */
+        this.refreshExpiredQuotes = function(callback) {
+            var self = this;
+            var now = new Date().valueOf();
+            var policy = process.env["EXCHANGE_RATES_ON_QUOTE_EXPIRY"] || config.get("payments.exchangeRates.onQuoteExpiry");
+
+            var invoiceQuery = {
+                status: { $in: ["not_paid", "identified"] },
+                fiatCurrency: { $exists: true },
+                quoteExpiresAt: { $lte: now }
+            };
+
+            self.db_.NEMPaymentChannel.find(invoiceQuery, function(err, invoices) {
+                if (err) {
+                    self.logger_.error(__smartfilename, __line, '[ERROR] Quote refresh error: ' + err);
+                    return callback && callback(err);
+                }
+
+                if (!invoices || !invoices.length)
+                    return callback && callback(null, []);
+
+                var cntDone = 0;
+                var updated = [];
+                var done = function(invoice) {
+                    if (invoice)
+                        updated.push(invoice);
+
+                    if (++cntDone === invoices.length && callback)
+                        return callback(null, updated);
+                };
+
+                invoices.forEach(function(invoice) {
+                    if (policy == "expire") {
+                        if (!self.states_.transition(invoice, "expired", "reconciler"))
+                            return done(null);
+
+                        invoice.updatedAt = now;
+                        return invoice.save(function(err) {
+                            if (err) {
+                                self.logger_.error(__smartfilename, __line, '[ERROR] Invoice expiry error: ' + err);
+                                return done(null);
+                            }
+
+                            self.notifyStatusChange(invoice);
+                            self.processPaymentChannelExpiry(invoice);
+                            return done(invoice);
+                        });
+                    }
+
+                    self.exchangeRates_.quote(invoice.fiatCurrency, invoice.fiatAmount, invoice.getMosaic(), invoice.getDivisibility())
+                        .then(function(quote) {
+                            invoice.amount = quote.amount;
+                            invoice.exchangeRate = quote.rate;
+                            invoice.exchangeRateSource = quote.source;
+                            invoice.quotedAt = quote.quotedAt;
+                            invoice.quoteExpiresAt = quote.expiresAt;
+                            invoice.updatedAt = now;
+
+                            invoice.save(function(err) {
+                                if (err) {
+                                    self.logger_.error(__smartfilename, __line, '[ERROR] Invoice re-quote error: ' + err);
+                                    return done(null);
+                                }
+
+                                self.processPaymentChannelRequote(invoice);
+                                return done(invoice);
+                            });
+                        }, function(err) {
+                            // quote will be retried on the next run
+                            self.logger_.error(__smartfilename, __line, '[ERROR] Exchange rate error for ' + invoice.number + ': ' + err.message);
+                            return done(null);
+                        });
+                });
+            });
+        };
+
+        /**
+         * This method is used when the amount of a PaymentChannel has
+         * been re-quoted. The NEMBot channel is updated with the new
+         * amount and the attached frontend clients receive a
+         * `nem2pay_payment_requoted` Socket.IO event.
+         *
+         * @param   {NEMPaymentChannel}     paymentChannel
+         */
+        this.processPaymentChannelRequote = function(paymentChannel) {
+            var self = this;
+
+            if (!botChannelSockets_.hasOwnProperty(paymentChannel.number))
+                return false;
+
+            var socketsForPayment = botChannelSockets_[paymentChannel.number];
+            var channelParams = self.getChannelParams(paymentChannel);
+            var clientData = {
+                status: paymentChannel.status,
+                number: paymentChannel.number,
+                amount: paymentChannel.amount,
+                exchangeRate: paymentChannel.exchangeRate,
+                quoteExpiresAt: paymentChannel.quoteExpiresAt,
+                qrData: paymentChannel.getQRData()
+            };
+
+            for (var i in socketsForPayment) {
+                // built-in listener channels have no NEMBot socket
+                if (socketsForPayment[i].socket)
+                    socketsForPayment[i].socket.emit("nembot_open_payment_channel", JSON.stringify(channelParams));
+
+                if (socketsForPayment[i].clientId)
                     self.socketIO_.sockets.to(socketsForPayment[i].clientId)
-                        .emit("nem2pay_payment_success", JSON.stringify(clientData));
+                        .emit("nem2pay_payment_requoted", JSON.stringify(clientData));
             }
         };
 
         /**
          * This method reads blockchain transactions to validate
-         * invoice entries. It will send Payment Status Updates
-         * in case the paymentChannel object must be updated.
+         * invoice entries. The invoices amounts and statuses will
+         * be updated with the data read from the blockchain, saving
+         * the invoices is left to the caller.
          *
          * Invoices in the `invoices` Array should be passed
-         * NEMPaymentChannel instances loaded from mongoose.
+         * NEMPaymentChannel instances loaded from mongoose and
+         * must all have `recipient` as the recipient address.
+         *
+         * The callback receives the payment history entries (transactions,
+         * totalPaid and invoice) of the given invoices, indexed by invoice
+         * number, or `false` and an error.
          *
+         * @param   {string}    recipient   The address receiving the payments
          * @param   {Array}     invoices    Should contain {NEMPaymentChannel} objects
+         * @param   {integer}   lastTrxRead Transaction ID to start reading from (older transactions are read)
+         * @param   {Function}  callback
          */
         this.fetchInvoicesRealHistory = function(recipient, invoices, lastTrxRead, callback) {
             var self = this;
@@ -242,30 +1131,69 @@
             if (!invoices.length)
                 return callback(false);
 
-            var numbers = {};
-            var invoiceByNumber = {};
+            // the payment history is only kept for this read, matched
+            // transactions are stored in the PaymentTransaction ledger.
+            var history = {
+                byInvoice: {},
+                byHash: {},
+                byDepositAccount: {},
+                recipientPrivateKey: null,
+                readUntil: null
+            };
+
             for (var i = 0; i < invoices.length; i++) {
                 var num = invoices[i].number.toUpperCase();
-                if (!paymentTransactionHistory_.byInvoice.hasOwnProperty(num)) {
-                    paymentTransactionHistory_.byInvoice[num] = {
-                        transactions: [],
-                        totalPaid: 0,
-                        invoice: invoices[i]
-                    };
-                }
+                history.byInvoice[num] = {
+                    transactions: [],
+                    totalPaid: 0,
+                    invoice: invoices[i]
+                };
+
+                if (invoices[i].isDepositAccount)
+                    history.byDepositAccount[invoices[i].recipientXEM] = num;
             }
 
+            // invoices cannot be paid before they were created, older
+            // transactions are not read.
+            var createdAts = invoices.map(function(invoice) { return invoice.createdAt; });
+            if (createdAts.every(function(createdAt) { return createdAt > 0; }))
+                history.readUntil = Math.min.apply(null, createdAts) - transactionTimeMargin_;
+
             // we will now read blockchain transactions for our vendor
             // account, trying to identify relevant transactions.
 
-            self.blockchain_.getSDK().com.requests.account.transactions
-                .incoming(self.blockchain_.getEndpoint(), recipient, null, lastTrxRead)
-                .then(function(res) {
-                    //DEBUG self.logger_.info("[DEBUG]", "[PAYMENTS]", "Result from NIS API account.transactions.incoming: " + JSON.stringify(res));
+            if (!self.db_)
+                return self.readIncomingTransactions(recipient, history, lastTrxRead, callback);
+
+            // encrypted messages are read with the recipient private key
+            self.db_.getRecipientPrivateKey(recipient, function(err, privateKey) {
+                if (err)
+                    self.logger_.error(__smartfilename, __line, '[ERROR] Recipient key lookup error: ' + err);
+
+                history.recipientPrivateKey = privateKey || null;
+                return self.readIncomingTransactions(recipient, history, lastTrxRead, callback);
+            });
+        };
+
+        /**
+         * Read the incoming transactions of `recipient` page by page
+         * and register them in `history`. Invoices are updated once
+         * all relevant transactions have been read.
+         *
+         * @param   {string}    recipient   The address receiving the payments
+         * @param   {object}    history     The payment history of this read
+         * @param   {integer}   lastTrxRead Transaction ID to start reading from (older transactions are read)
+         * @param   {Function}  callback
+         */
+        this.readIncomingTransactions = function(recipient, history, lastTrxRead, callback) {
+            var self = this;
 
-                    var transactions = res.data;
+            self.blockchain_.getChainAdapter()
+                .getIncomingTransactions(recipient, lastTrxRead)
+                .then(function(transactions) {
+                    //DEBUG self.logger_.info("[DEBUG]", "[PAYMENTS]", "Result from chain adapter getIncomingTransactions: " + JSON.stringify(transactions));
 
-                    lastTrxRead = self.saveIncomingPaymentsHistory(transactions);
+                    lastTrxRead = self.saveIncomingPaymentsHistory(history, transactions);
 
                     if (lastTrxRead !== false && 25 == transactions.length) {
                         // recursion..
@@ -274,26 +1202,51 @@
                         // will look for transactions BEFORE this hash or ID (25 before ID..).
                         // We pass transactions IDs because all NEM nodes support those, hashes are
                         // only supported by a subset of the NEM nodes.
-                        self.fetchInvoicesRealHistory(invoices, lastTrxRead, callback);
+                        return self.readIncomingTransactions(recipient, history, lastTrxRead, callback);
                     }
 
-                    if (callback && (lastTrxRead === false || transactions.length < 25)) {
-                        // done.
-                        //DEBUG self.logger_.info("[NEM] [PAY-FALLBACK] ", __line, "read a total of " + Object.getOwnPropertyNames(paymentTransactionHistory_.byHash).length + " transactions from " + self.blockchain_.getVendorWallet() + ".");
-                        return callback(paymentTransactionHistory_.byInvoice);
-                    }
-                })
-                .catch(function(err) { 
-                    self.logger_.error("[NEM] [PAYMENTS] ", __line, "An error happened: " + JSON.stringify(err));
-                }); 
+                    // done.
+                    //DEBUG self.logger_.info("[NEM] [PAY-FALLBACK] ", __line, "read a total of " + Object.getOwnPropertyNames(history.byHash).length + " transactions from " + recipient + ".");
+
+                    // confirmations are counted from the current chain height
+                    var finish = function(chainHeight) {
+                        var entries = self.updateInvoicesFromHistory(history, chainHeight);
+                        return callback && callback(entries);
+                    };
+
+                    return self.blockchain_.getChainHeight().then(finish, function(err) {
+                        self.logger_.warn(__smartfilename, __line, "[NEM] [PAYMENTS] Could not read chain height: " + JSON.stringify(err));
+                        return finish(null);
+                    });
+                }, function(err) {
+                    // the chain adapter already tried to fail over to other nodes.
+                    self.logger_.error(__smartfilename, __line, "[NEM] [PAYMENTS] An error happened: " + JSON.stringify(err));
+                    return callback && callback(false, err);
+                });
         };
 
-        this.saveIncomingPaymentsHistory = function(transactions) {
+        /**
+         * This method registers a chunk of incoming transactions in the
+         * payment transaction history. Transactions are matched to invoices
+         * by their message, or by recipient for invoice deposit accounts.
+         * Multisig transactions are identified by their inner hash.
+         *
+         * Returns the ID of the last transaction read or `false` when a
+         * transaction older than the invoices was found (no need to read
+         * older transactions).
+         *
+         * Encrypted messages can only be read when the history contains
+         * the `recipientPrivateKey`.
+         *
+         * @param   {object}    history         The payment history of the current read
+         * @param   {Array}     transactions    Should contain {TransactionMetaDataPair} objects
+         * @return  {integer|boolean}
+         */
+        this.saveIncomingPaymentsHistory = function(history, transactions) {
             var self = this;
             var lastTrxRead = null;
             var lastMsgRead = null;
             var lastTrxHash = null;
-            var lastAmtRead = null;
             var cntRelevant = 0;
             for (var i = 0; i < transactions.length; i++) {
                 var content = transactions[i].transaction;
@@ -302,65 +1255,122 @@
 
                 // save transaction id
                 lastTrxRead = self.blockchain_.getTransactionId(transactions[i]);
-                lastTrxHash = self.blockchain_.getTransactionHash(transactions[i]);
-                lastMsgRead = self.blockchain_.getTransactionMessage(transactions[i]);
-                lastAmtRead = self.blockchain_.getTransactionAmount(transactions[i], "nem:xem", 6);
+                lastTrxHash = self.blockchain_.getPaymentHash(transactions[i]);
+                lastMsgRead = self.blockchain_.getTransactionMessage(transactions[i], history.recipientPrivateKey);
 
-                if (paymentTransactionHistory_.byHash.hasOwnProperty(lastTrxHash))
-                // stopping the loop, reading data we already know about.
-                    return false;
+                if (history.byHash.hasOwnProperty(lastTrxHash))
+                // the same payment was read through its multisig wrapper
+                    continue;
 
-                paymentTransactionHistory_.byHash[lastTrxHash] = true;
+                if (history.readUntil && self.blockchain_.getTransactionDate(transactions[i]).valueOf() < history.readUntil)
+                // stopping the loop, older than the invoices.
+                    return false;
 
                 if (content.type != self.blockchain_.getSDK().model.transactionTypes.transfer &&
-                    content.type != self.blockchain_.getSDK().model.transactionTypes.multisigTransaction)
-                // we are interested only in transfer transactions
-                // and multisig transactions.
+                    content.type != self.blockchain_.getSDK().model.transactionTypes.multisigTransaction) {
+                    // we are interested only in transfer transactions
+                    // and multisig transactions.
+                    history.byHash[lastTrxHash] = { number: null };
                     continue;
+                }
+
+                var normNumber = lastMsgRead.toUpperCase();
+
+                // transfers to deposit accounts don't need a message
+                var trxRecipient = content.type == self.blockchain_.getSDK().model.transactionTypes.multisigTransaction ? content.otherTrans.recipient : content.recipient;
+                if (history.byDepositAccount.hasOwnProperty(trxRecipient))
+                    normNumber = history.byDepositAccount[trxRecipient];
+
+                history.byHash[lastTrxHash] = {
+                    number: normNumber,
+                    transaction: transactions[i]
+                };
 
-                if (!paymentTransactionHistory_.byInvoice.hasOwnProperty(lastMsgRead.toUpperCase()))
+                if (!history.byInvoice.hasOwnProperty(normNumber))
                 // message does not contain any of the relevant data (for this request)
                     continue;
 
-                var normNumber = lastMsgRead.toUpperCase();
-
-                paymentTransactionHistory_.byInvoice[normNumber]
+                history.byInvoice[normNumber]
                     .transactions
                     .push(transactions[i]);
 
-                paymentTransactionHistory_.byInvoice[normNumber]
-                    .totalPaid += lastAmtRead;
+                // amounts are read in the invoice's payment mosaic
+                var currentInvoice = history.byInvoice[normNumber].invoice;
+                history.byInvoice[normNumber]
+                    .totalPaid += self.getPaymentAmount(transactions[i], currentInvoice);
 
                 cntRelevant++;
             }
 
-            var newByInvoice = paymentTransactionHistory_.byInvoice;
-            for (var num in paymentTransactionHistory_.byInvoice) {
-                var currentEntry = paymentTransactionHistory_.byInvoice[num];
+            //self.logger_.info("[DEBUG]", "[PAYMENTS]", "Found " + cntRelevant + " relevant transaction in chunk of " + transactions.length + " transactions.");
+
+            return lastTrxRead;
+        };
+
+        /**
+         * Read the amount paid for `invoice` in a transaction. The amount
+         * is read in the invoice's payment mosaic and returned in the
+         * mosaic's smallest unit.
+         *
+         * @param   [TransactionMetaDataPair]{@link http://bob.nem.ninja/docs/#transactionMetaDataPair} transactionMetaDataPair
+         * @param   {NEMPaymentChannel}     invoice
+         * @return  {integer}
+         */
+        this.getPaymentAmount = function(transactionMetaDataPair, invoice) {
+            return this.blockchain_.getTransactionAmount(transactionMetaDataPair, invoice.getMosaic());
+        };
+
+        /**
+         * This method modifies the invoices of `history` with the latest
+         * data read from the blockchain. Invoices are not saved.
+         *
+         * The confirmations of paid invoices are counted from `chainHeight`,
+         * when the chain height is unknown one confirmation is counted.
+         *
+         * @param   {object}    history     The payment history of the current read
+         * @param   {integer}   chainHeight The current block height
+         * @return  {object}    The payment history entries (transactions, totalPaid and invoice) by invoice number
+         */
+        this.updateInvoicesFromHistory = function(history, chainHeight) {
+            var entries = {};
+            for (var num in history.byInvoice) {
+                var currentEntry = history.byInvoice[num];
                 var currentInvoice = currentEntry.invoice;
 
                 //DEBUG self.logger_.info("[DEBUG]", "[PAYMENTS]", "Invoice " + currentInvoice.number + " found totalPaid of " + currentEntry.totalPaid + " in " + currentEntry.transactions.length + " transactions.");
 
                 // modify with latest data read from blockchain
+                var previousAmountPaid = currentInvoice.amountPaid || 0;
                 currentInvoice.amountPaid = currentEntry.totalPaid;
-                if (currentInvoice.amountPaid >= currentInvoice.amount) {
-                    currentInvoice.isPaid = true;
-                    currentInvoice.status = 'paid';
 
-                    if (currentInvoice.amountPaid > currentInvoice.amount)
-                        currentInvoice.status = 'overpaid';
+                if (currentInvoice.status == "expired") {
+                    // funds received after expiry must be verified manually.
+                    if (currentInvoice.amountPaid > previousAmountPaid) {
+                        currentInvoice.needsReview = true;
+                        currentInvoice.reviewReason = "Payment received after expiry.";
+                    }
                 }
+                else if (currentInvoice.amountPaid >= this.getAmountDue(currentInvoice)) {
+                    var paymentHeight = this.getPaymentHeight(currentEntry.transactions, currentInvoice);
+                    if (paymentHeight)
+                        currentInvoice.paymentHeight = paymentHeight;
 
-                currentInvoice.dirty = true;
+                    // transactions read from the chain have one confirmation at least
+                    var confirmations = 1;
+                    if (chainHeight && currentInvoice.paymentHeight)
+                        confirmations = Math.max(1, chainHeight - currentInvoice.paymentHeight + 1);
 
-                // store dirty state
-                newByInvoice[num].invoice = currentInvoice;
-            }
+                    this.markPaid(currentInvoice, confirmations, "reconciler");
+                }
+                else if (currentInvoice.amountPaid > 0 && !currentInvoice.isPaid) {
+                    if (this.states_.transition(currentInvoice, "paid_partly", "reconciler"))
+                        this.markPartlyPaid(currentInvoice);
+                }
 
-            //self.logger_.info("[DEBUG]", "[PAYMENTS]", "Found " + cntRelevant + " relevant transaction in chunk of " + transactions.length + " transactions.");
+                entries[num] = currentEntry;
+            }
 
-            paymentTransactionHistory_.byInvoice = newByInvoice;
-            return lastTrxRead;
+            return entries;
         };
 
     };
@@ -0,0 +1,85 @@
+/**
+ * Part of the evias/nem2pay package.
+ *
+ * NOTICE OF LICENSE
+ *
+ * Licensed under MIT License.
+ *
+ * This source file is subject to the MIT License that is
+ * bundled with this package in the LICENSE file.
+ *
+ * @package    evias/nem2pay
+ * @author     Grégory Saive <greg@evias.be> (https://github.com/evias)
+ * @license    MIT License
+ * @copyright  (c) 2019, Grégory Saive <greg@evias.be>
+ * @link       https://github.com/evias/nem2pay
+ */
+
+(function() {
+
+    var path = require('path'),
+        QRCode = require("qrcode");
+
+    var __smartfilename = path.basename(__filename);
+
+    /**
+     * class QRCodeRenderer renders QR codes as SVG or PNG images
+     * on the server, for example with the QR data of an invoice
+     * (`NEMPaymentChannel.getQRData()`).
+     *
+     * Options are:
+     *
+     * - `size` : Image width and height in pixels (default 256)
+     * - `quiet` : Quiet zone around the code, in modules (default 2)
+     * - `ecLevel` : Error correction level, one of `L`, `M`, `Q` or `H` (default `M`)
+     *
+     * @author  Grégory Saive <greg@evias.be> (https://github.com/evias)
+     */
+    var QRCodeRenderer = function(logger) {
+        this.logger_ = logger;
+
+        /**
+         * Available image formats.
+         *
+         * @var {Array}
+         */
+        this.formats = ["svg", "png"];
+
+        /**
+         * Render the QR code of `text` in `format`. The callback
+         * receives the SVG string or the PNG Buffer.
+         *
+         * @param   {string}    text
+         * @param   {string}    format      One of `svg` or `png`
+         * @param   {object}    options
+         * @param   {Function}  callback    Callback function executed with `err` and the image
+         * @return  {void}
+         */
+        this.render = function(text, format, options, callback) {
+            var self = this;
+
+            options = Object.assign({ size: 256, quiet: 2, ecLevel: "M" }, options || {});
+
+            var renderOptions = {
+                type: format == "png" ? "png" : "svg",
+                width: options.size,
+                margin: options.quiet,
+                errorCorrectionLevel: options.ecLevel
+            };
+
+            var done = function(err, image) {
+                if (err && self.logger_)
+                    self.logger_.error(__smartfilename, __line, '[ERROR] QR code error: ' + err.message);
+
+                return callback(err || null, err ? null : image);
+            };
+
+            if (format == "png")
+                return QRCode.toBuffer(text, renderOptions, done);
+
+            return QRCode.toString(text, renderOptions, done);
+        };
+    };
+
+    module.exports.QRCodeRenderer = QRCodeRenderer;
+}());
@@ -0,0 +1,405 @@
+/**
+ * Part of the evias/nem2pay package.
+ *
+ * NOTICE OF LICENSE
+ *
+ * Licensed under MIT License.
+ *
+ * This source file is subject to the MIT License that is
+ * bundled with this package in the LICENSE file.
+ *
+ * @package    evias/nem2pay
+ * @author     Grégory Saive <greg@evias.be> (https://github.com/evias)
+ * @license    MIT License
+ * @copyright  (c) 2019, Grégory Saive <greg@evias.be>
+ * @link       https://github.com/evias/nem2pay
+ */
+
+(function() {
+
+    var config = require("config"),
+        path = require('path');
+
+    var __smartfilename = path.basename(__filename);
+
+    /**
+     * class PaymentsReconciler verifies invoices against the
+     * blockchain and persists the results.
+     *
+     * The NEMBot may miss transactions, the reconciler walks the
+     * incoming transactions of every Merchant recipient and updates
+     * the amounts, status and payment date of open invoices. Amounts
+     * reported by the NEMBot which differ from the amounts verified
+     * on the blockchain are reported as discrepancies.
+     *
+     * Overpaid invoices without refund are reconciled once more to
+     * record the refund of the overpaid amount, invoices of which the
+     * refund can not be recorded are flagged for review after the
+     * configured number of attempts. Matched transactions are stored
+     * in the transaction ledger.
+     *
+     * Complete reconciliations and confirmation updates share a lock,
+     * only one of them runs at a time.
+     *
+     * @author  Grégory Saive <greg@evias.be> (https://github.com/evias)
+     */
+    var PaymentsReconciler = function(logger, dataLayer, paymentsProtocol, refunds, ledger) {
+        this.logger_ = logger;
+        this.db_ = dataLayer;
+        this.protocol_ = paymentsProtocol;
+        this.refunds_ = refunds;
+        this.ledger_ = ledger;
+
+        var isRunning_ = false;
+
+        /**
+         * Acquire the reconciliation lock. The returned function
+         * releases the lock and executes `callback`, `null` is
+         * returned when a reconciliation is already running.
+         *
+         * @param   {Function}  callback
+         * @return  {Function|null}
+         */
+        var lock_ = function(callback) {
+            if (isRunning_)
+                return null;
+
+            isRunning_ = true;
+            return function(err, reports) {
+                isRunning_ = false;
+                return callback && callback(err, reports);
+            };
+        };
+
+        /**
+         * Get whether a reconciliation or confirmation update is
+         * running.
+         *
+         * @return  {boolean}
+         */
+        this.isRunning = function() {
+            return isRunning_;
+        };
+
+        /**
+         * Statuses of invoices which must be reconciled. Expired
+         * invoices are reconciled during the expired window only,
+         * see `getOpenConditions()`.
+         *
+         * @var {Array}
+         */
+        this.openStatuses = ["not_paid", "identified", "unconfirmed", "paid_partly", "awaiting_cosignatures", "confirming"];
+
+        /**
+         * Get the duration in milliseconds during which expired
+         * invoices are still reconciled, late payments are then
+         * flagged for review.
+         *
+         * @return {integer}
+         */
+        this.getExpiredWindow = function() {
+            var windowMinutes = process.env["RECONCILIATION_EXPIRED_WINDOW"] || config.get("payments.reconciliation.expiredWindow");
+            return parseInt(windowMinutes) * 60 * 1000;
+        };
+
+        /**
+         * Get the number of reconciliations trying to record the
+         * refund of an overpaid invoice before it is flagged for
+         * review.
+         *
+         * @return {integer}
+         */
+        this.getMaxRefundAttempts = function() {
+            return parseInt(process.env["RECONCILIATION_MAX_REFUND_ATTEMPTS"] || config.get("payments.reconciliation.maxRefundAttempts"));
+        };
+
+        /**
+         * Get the query conditions of invoices which must be
+         * reconciled: open invoices and invoices which expired
+         * less than the expired window ago.
+         *
+         * @return  {Array}     Conditions for a `$or` query
+         */
+        this.getOpenConditions = function() {
+            var expiredSince = new Date().valueOf() - this.getExpiredWindow();
+
+            return [
+                { status: { $in: this.openStatuses } },
+                { status: "expired", expiresAt: { $gte: expiredSince } }
+            ];
+        };
+
+        /**
+         * Reconcile the open invoices of all Merchant recipients
+         * and invoice deposit accounts.
+         *
+         * The callback receives `err` and the list of reports (one
+         * per recipient). No recipient is reconciled while another
+         * reconciliation is running.
+         *
+         * @param   {Function}  callback
+         * @return  {void}
+         */
+        this.run = function(callback) {
+            var self = this;
+
+            var release = lock_(callback);
+            if (!release)
+                return callback && callback(null, []);
+
+            callback = release;
+            self.db_.Merchant.find({}, function(err, merchants) {
+                if (err) {
+                    self.logger_.error(__smartfilename, __line, '[ERROR] Reconciliation error: ' + err);
+                    return callback && callback(err);
+                }
+
+                var recipients = [];
+                for (var i = 0; i < merchants.length; i++) {
+                    for (var j = 0; j < merchants[i].recipients.length; j++) {
+                        var address = merchants[i].recipients[j];
+                        if (recipients.indexOf(address) === -1)
+                            recipients.push(address);
+                    }
+                }
+
+                // deposit accounts of open invoices
+                var depositQuery = {
+                    isDepositAccount: true,
+                    needsReview: { $ne: true },
+                    $or: self.getOpenConditions()
+                };
+
+                self.db_.NEMPaymentChannel.distinct("recipientXEM", depositQuery, function(err, addresses) {
+                    if (err)
+                        self.logger_.error(__smartfilename, __line, '[ERROR] Reconciliation error: ' + err);
+                    else
+                        recipients = recipients.concat(addresses);
+
+                    return self.reconcileRecipients(recipients, callback);
+                });
+            });
+        };
+
+        /**
+         * Reconcile the recipients of invoices waiting for confirmations
+         * such that the confirmation progress is updated more often than
+         * the complete reconciliation runs. Nothing is updated while
+         * another reconciliation is running.
+         *
+         * @param   {Function}  callback    Callback function executed with `err` and the reports
+         * @return  {void}
+         */
+        this.runConfirmations = function(callback) {
+            var self = this;
+
+            var release = lock_(callback);
+            if (!release)
+                return callback && callback(null, []);
+
+            callback = release;
+            self.db_.NEMPaymentChannel.distinct("recipientXEM", { status: "confirming" }, function(err, recipients) {
+                if (err) {
+                    self.logger_.error(__smartfilename, __line, '[ERROR] Confirmations error: ' + err);
+                    return callback && callback(err);
+                }
+
+                return self.reconcileRecipients(recipients, callback);
+            });
+        };
+
+        /**
+         * Reconcile the open invoices of `recipients`. Recipients are
+         * reconciled one after the other to avoid flooding the NEM
+         * node with requests.
+         *
+         * @param   {Array}     recipients
+         * @param   {Function}  callback    Callback function executed with `err` and the reports
+         * @return  {void}
+         */
+        this.reconcileRecipients = function(recipients, callback) {
+            var self = this;
+            var reports = [];
+
+            var next = function(index) {
+                if (index >= recipients.length)
+                    return callback && callback(null, reports);
+
+                self.reconcileRecipient(recipients[index], function(err, report) {
+                    if (!err && report)
+                        reports.push(report);
+
+                    return next(index + 1);
+                });
+            };
+
+            return next(0);
+        };
+
+        /**
+         * Reconcile the open invoices of one recipient address.
+         *
+         * @param   {string}    recipient
+         * @param   {Function}  callback    Callback function executed with `err` and the report
+         * @return  {void}
+         */
+        this.reconcileRecipient = function(recipient, callback) {
+            var self = this;
+
+            var invoiceQuery = {
+                recipientXEM: recipient,
+                needsReview: { $ne: true },
+                $or: self.getOpenConditions().concat([
+                    { status: "overpaid", refundStatus: null }
+                ])
+            };
+
+            self.db_.NEMPaymentChannel.find(invoiceQuery, function(err, invoices) {
+                if (err) {
+                    self.logger_.error(__smartfilename, __line, '[ERROR] Reconciliation error: ' + err);
+                    return callback(err);
+                }
+
+                return self.reconcileInvoices(recipient, invoices, callback);
+            });
+        };
+
+        /**
+         * Reconcile `invoices` with the incoming transactions of
+         * `recipient` and save the modified invoices.
+         *
+         * The report contains the count of reconciled and updated
+         * invoices as well as the discrepancies between the amounts
+         * reported by the NEMBot and the amounts verified on the
+         * blockchain.
+         *
+         * @param   {string}    recipient
+         * @param   {Array}     invoices    Should contain {NEMPaymentChannel} objects
+         * @param   {Function}  callback    Callback function executed with `err`, the report and the payment history
+         * @return  {void}
+         */
+        this.reconcileInvoices = function(recipient, invoices, callback) {
+            var self = this;
+            var report = {
+                recipient: recipient,
+                countInvoices: invoices.length,
+                countUpdated: 0,
+                discrepancies: []
+            };
+
+            if (!invoices.length)
+                return callback(null, report, {});
+
+            // keep track of the state before verification
+            var reported = {};
+            for (var i = 0; i < invoices.length; i++) {
+                reported[invoices[i].number] = {
+                    status: invoices[i].status,
+                    amountPaid: invoices[i].amountPaid || 0,
+                    confirmations: invoices[i].confirmations || 0
+                };
+            }
+
+            self.protocol_.fetchInvoicesRealHistory(recipient, invoices, null, function(history, err) {
+                if (history === false)
+                    return callback(err || new Error("Could not read transactions of " + recipient + "."));
+
+                var now = new Date().valueOf();
+                var cntDone = 0;
+                var done = function() {
+                    if (++cntDone === invoices.length)
+                        return callback(null, report, history);
+                };
+
+                invoices.forEach(function(invoice) {
+                    var before = reported[invoice.number];
+
+                    if (before.amountPaid != invoice.amountPaid) {
+                        var discrepancy = {
+                            number: invoice.number,
+                            reportedAmount: before.amountPaid,
+                            verifiedAmount: invoice.amountPaid
+                        };
+
+                        report.discrepancies.push(discrepancy);
+                        self.logger_.warn(__smartfilename, __line, '[RECONCILE] Invoice ' + invoice.number + ' amount discrepancy: ' + JSON.stringify(discrepancy));
+                    }
+
+                    var isUpdated = invoice.isModified();
+                    if (isUpdated) {
+                        report.countUpdated++;
+                        invoice.updatedAt = now;
+                    }
+
+                    invoice.reconciledAt = now;
+                    invoice.save(function(err) {
+                        if (err)
+                            self.logger_.error(__smartfilename, __line, '[ERROR] Reconciliation save error: ' + err);
+                        else if (before.status != invoice.status) {
+                            if (invoice.isPaid)
+                                self.protocol_.processPaymentChannelSuccess(invoice);
+                            else
+                                self.protocol_.notifyStatusChange(invoice);
+                        }
+
+                        if (!err && invoice.status == "confirming" && before.confirmations != invoice.confirmations)
+                            self.protocol_.emitConfirmations(invoice);
+
+                        var entry = history[invoice.number.toUpperCase()];
+                        var transactions = entry ? entry.transactions : [];
+
+                        var recordRefund = function() {
+                            var isRefundable = !err && self.refunds_ && invoice.status == "overpaid" && !invoice.refundStatus;
+                            if (!isRefundable)
+                                return done();
+
+                            self.refunds_.recordOverpayment(invoice, transactions, function(err, refund) {
+                                if (refund)
+                                    return done();
+
+                                return self.deferRefund(invoice, done);
+                            });
+                        };
+
+                        if (err || !self.ledger_)
+                            return recordRefund();
+
+                        self.ledger_.recordTransactions(invoice, transactions, recordRefund);
+                    });
+                });
+            });
+        };
+
+        /**
+         * Count a failed attempt to record the refund of the overpaid
+         * `invoice`. The invoice is flagged for review, and not
+         * reconciled anymore, once the maximum number of attempts
+         * is reached.
+         *
+         * @param   {NEMPaymentChannel}     invoice
+         * @param   {Function}              callback    Callback function executed with `err`
+         * @return  {void}
+         */
+        this.deferRefund = function(invoice, callback) {
+            var self = this;
+
+            invoice.refundAttempts = (invoice.refundAttempts || 0) + 1;
+            if (invoice.refundAttempts >= self.getMaxRefundAttempts()) {
+                self.logger_.warn(__smartfilename, __line, '[RECONCILE] Refund of invoice ' + invoice.number + ' could not be recorded after ' + invoice.refundAttempts + ' attempt(s).');
+
+                invoice.needsReview = true;
+                invoice.reviewReason = "Refund could not be recorded.";
+                invoice.updatedAt = new Date().valueOf();
+            }
+
+            invoice.save(function(err) {
+                if (err)
+                    self.logger_.error(__smartfilename, __line, '[ERROR] Reconciliation save error: ' + err);
+
+                return callback(err);
+            });
+        };
+    };
+
+    module.exports.PaymentsReconciler = PaymentsReconciler;
+}());
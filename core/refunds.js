@@ -0,0 +1,285 @@
+/**
+ * Part of the evias/nem2pay package.
+ *
+ * NOTICE OF LICENSE
+ *
+ * Licensed under MIT License.
+ *
+ * This source file is subject to the MIT License that is
+ * bundled with this package in the LICENSE file.
+ *
+ * @package    evias/nem2pay
+ * @author     Grégory Saive <greg@evias.be> (https://github.com/evias)
+ * @license    MIT License
+ * @copyright  (c) 2019, Grégory Saive <greg@evias.be>
+ * @link       https://github.com/evias/nem2pay
+ */
+
+(function() {
+
+    var path = require('path');
+
+    var __smartfilename = path.basename(__filename);
+
+    /**
+     * class RefundsManager records the overpaid amount of invoices
+     * and prepares refund transactions for the Merchants.
+     *
+     * Refunds are sent back to the sender of the transaction which
+     * exceeded the invoice amount. A refund is `pending` until the
+     * Merchant approves it, approved refunds are `exported` as unsigned
+     * NEM transfers which the Merchant signs and announces with
+     * the wallet of the invoice recipient.
+     *
+     * The refund status is also stored on the invoice (`refundStatus`).
+     *
+     * @author  Grégory Saive <greg@evias.be> (https://github.com/evias)
+     */
+    var RefundsManager = function(logger, chainDataLayer, dataLayer) {
+        this.logger_ = logger;
+        this.blockchain_ = chainDataLayer;
+        this.db_ = dataLayer;
+
+        /**
+         * Find the transaction which made the total paid for `invoice`
+         * exceed the invoice amount.
+         *
+         * @param   {NEMPaymentChannel}     invoice
+         * @param   {Array}                 transactions    Should contain {TransactionMetaDataPair} objects
+         * @return  {object|null}
+         */
+        this.getExcessTransaction = function(invoice, transactions) {
+            var self = this;
+
+            var sorted = transactions.slice(0).sort(function(a, b) {
+                return self.blockchain_.getTransactionId(a) - self.blockchain_.getTransactionId(b);
+            });
+
+            var totalPaid = 0;
+            for (var i = 0; i < sorted.length; i++) {
+                totalPaid += self.blockchain_.getTransactionAmount(sorted[i], invoice.getMosaic());
+
+                if (totalPaid > invoice.amount)
+                    return sorted[i];
+            }
+
+            return null;
+        };
+
+        /**
+         * Get the address which sent `transactionMetaDataPair`. For multisig
+         * transactions this is the multisig account.
+         *
+         * @param   [TransactionMetaDataPair]{@link http://bob.nem.ninja/docs/#transactionMetaDataPair} transactionMetaDataPair
+         * @return  {string}
+         */
+        this.getSender = function(transactionMetaDataPair) {
+            var nem = this.blockchain_.getSDK();
+            var content = transactionMetaDataPair.transaction;
+
+            if (content.type == nem.model.transactionTypes.multisigTransaction)
+                content = content.otherTrans;
+
+            return nem.model.address.toAddress(content.signer, this.blockchain_.getNetwork().config.id);
+        };
+
+        /**
+         * Record the refund of an overpaid invoice. Invoices which
+         * are not overpaid or already have a refund are ignored.
+         *
+         * @param   {NEMPaymentChannel}     invoice
+         * @param   {Array}                 transactions    The payment transactions of `invoice`
+         * @param   {Function}              callback        Callback function executed with `err` and the refund
+         * @return  {void}
+         */
+        this.recordOverpayment = function(invoice, transactions, callback) {
+            var self = this;
+            var delta = invoice.amountPaid - invoice.amount;
+
+            if (delta <= 0 || invoice.refundStatus)
+                return callback && callback(null, null);
+
+            var excess = self.getExcessTransaction(invoice, transactions);
+            if (!excess) {
+                self.logger_.warn(__smartfilename, __line, '[REFUNDS] No excess transaction found for overpaid invoice ' + invoice.number + '.');
+                return callback && callback(null, null);
+            }
+
+            var now = new Date().valueOf();
+            var refund = new self.db_.Refund({
+                merchantId: invoice.merchantId,
+                invoiceNumber: invoice.number,
+                payerXEM: self.getSender(excess),
+                recipientXEM: invoice.recipientXEM,
+                mosaicSlug: invoice.getMosaic(),
+                mosaicDivisibility: invoice.getDivisibility(),
+                amount: delta,
+                transactionHash: self.blockchain_.getTransactionHash(excess),
+                status: "pending",
+                createdAt: now,
+                updatedAt: now
+            });
+
+            refund.save(function(err) {
+                if (err) {
+                    // the unique invoice number index prevents duplicate refunds.
+                    self.logger_.error(__smartfilename, __line, '[ERROR] Refund creation error: ' + err);
+                    return callback && callback(err);
+                }
+
+                invoice.amountOverpaid = delta;
+                invoice.refundStatus = refund.status;
+                invoice.updatedAt = now;
+                invoice.save(function(err) {
+                    return callback && callback(err, refund);
+                });
+            });
+        };
+
+        /**
+         * Change the status of `refund` and of its invoice.
+         *
+         * @param   {Refund}    refund
+         * @param   {string}    status
+         * @param   {Function}  callback    Callback function executed with `err` and the refund
+         * @return  {void}
+         */
+        this.setStatus = function(refund, status, callback) {
+            var self = this;
+            var now = new Date().valueOf();
+
+            refund.status = status;
+            refund.updatedAt = now;
+
+            if (status == "approved")
+                refund.approvedAt = now;
+            else if (status == "exported")
+                refund.exportedAt = now;
+
+            refund.save(function(err) {
+                if (err) {
+                    self.logger_.error(__smartfilename, __line, '[ERROR] Refund update error: ' + err);
+                    return callback(err);
+                }
+
+                var invoiceUpdate = { refundStatus: status, updatedAt: now };
+                self.db_.NEMPaymentChannel.update({ number: refund.invoiceNumber }, { $set: invoiceUpdate }, function(err) {
+                    return callback(err, refund);
+                });
+            });
+        };
+
+        /**
+         * Approve a pending refund.
+         *
+         * @param   {Refund}    refund
+         * @param   {Function}  callback    Callback function executed with `err` and the refund
+         * @return  {void}
+         */
+        this.approve = function(refund, callback) {
+            if (refund.status != "pending")
+                return callback(new Error("Refund for invoice " + refund.invoiceNumber + " is " + refund.status + ", only pending refunds can be approved."));
+
+            return this.setStatus(refund, "approved", callback);
+        };
+
+        /**
+         * Build the unsigned NEM transfer for `refund`. The transfer is a
+         * NEM-sdk `transferTransaction` object which must be prepared with
+         * `nem.model.transactions.prepare(type)` and signed by the refund
+         * sender (the invoice recipient).
+         *
+         * @param   {Refund}    refund
+         * @return  {object}    Contains `type`, `network`, `sender` and `transaction`
+         */
+        this.buildTransaction = function(refund) {
+            var nem = this.blockchain_.getSDK();
+            var message = "Refund " + refund.invoiceNumber;
+            var transfer;
+
+            if (refund.mosaicSlug == "nem:xem") {
+                // transfer amounts are given in XEM
+                transfer = nem.model.objects.create("transferTransaction")(refund.payerXEM, refund.amount / 1000000, message);
+                return {
+                    type: "transferTransaction",
+                    network: this.blockchain_.getNetwork().config.id,
+                    sender: refund.recipientXEM,
+                    transaction: transfer
+                };
+            }
+
+            // mosaic transfer, quantities in the mosaic's smallest unit
+            // and an amount of 1 as the multiplier.
+            var namespace = refund.mosaicSlug.replace(/:[^:]+$/, "");
+            var name = refund.mosaicSlug.replace(/^[^:]+:/, "");
+
+            transfer = nem.model.objects.create("transferTransaction")(refund.payerXEM, 1, message);
+            transfer.mosaics.push(nem.model.objects.create("mosaicAttachment")(namespace, name, refund.amount));
+
+            return {
+                type: "mosaicTransferTransaction",
+                network: this.blockchain_.getNetwork().config.id,
+                sender: refund.recipientXEM,
+                transaction: transfer
+            };
+        };
+
+        /**
+         * Export approved `refunds` as unsigned transfers, the refunds
+         * are marked `exported`.
+         *
+         * @param   {Array}     refunds     Should contain approved {Refund} objects
+         * @param   {Function}  callback    Callback function executed with `err` and the exported items
+         * @return  {void}
+         */
+        this.export = function(refunds, callback) {
+            var self = this;
+            var items = [];
+
+            var next = function(index) {
+                if (index >= refunds.length)
+                    return callback(null, items);
+
+                var refund = refunds[index];
+                if (refund.status != "approved")
+                    return next(index + 1);
+
+                var transaction = self.buildTransaction(refund);
+                self.setStatus(refund, "exported", function(err) {
+                    if (err)
+                        return callback(err, items);
+
+                    items.push({ refund: self.getRefundItem(refund), unsigned: transaction });
+                    return next(index + 1);
+                });
+            };
+
+            return next(0);
+        };
+
+        /**
+         * Get the API representation of `refund`.
+         *
+         * @param   {Refund}    refund
+         * @return  {object}
+         */
+        this.getRefundItem = function(refund) {
+            return {
+                id: refund._id,
+                invoiceNumber: refund.invoiceNumber,
+                payer: refund.payerXEM,
+                recipient: refund.recipientXEM,
+                mosaic: refund.mosaicSlug,
+                amount: refund.amount,
+                amountFmt: (refund.amount / Math.pow(10, refund.mosaicDivisibility)).toFixed(refund.mosaicDivisibility),
+                transactionHash: refund.transactionHash,
+                status: refund.status,
+                approvedAt: refund.approvedAt,
+                exportedAt: refund.exportedAt,
+                createdAt: refund.createdAt
+            };
+        };
+    };
+
+    module.exports.RefundsManager = RefundsManager;
+}());
@@ -0,0 +1,243 @@
+/**
+ * Part of the evias/nem2pay package.
+ *
+ * NOTICE OF LICENSE
+ *
+ * Licensed under MIT License.
+ *
+ * This source file is subject to the MIT License that is
+ * bundled with this package in the LICENSE file.
+ *
+ * @package    evias/nem2pay
+ * @author     Grégory Saive <greg@evias.be> (https://github.com/evias)
+ * @license    MIT License
+ * @copyright  (c) 2019, Grégory Saive <greg@evias.be>
+ * @link       https://github.com/evias/nem2pay
+ */
+
+(function() {
+
+    var config = require("config"),
+        path = require('path');
+
+    var __smartfilename = path.basename(__filename);
+
+    // date formats of the revenue periods, weeks are ISO weeks.
+    var intervals_ = {
+        "day": "%Y-%m-%d",
+        "week": "%G-W%V",
+        "month": "%Y-%m"
+    };
+
+    /**
+     * class PaymentReports computes the revenue and conversion
+     * reports of a Merchant with aggregations on the invoices
+     * collection.
+     *
+     * - `summary` : Invoices created in a date range, how many were
+     *               paid (conversion rate), the average time to pay
+     *               and the count of overpaid and expired invoices.
+     * - `revenue` : Amounts received per mosaic and per day, week or
+     *               month, for the invoices paid in a date range.
+     *
+     * Reports are cached for `reports.cacheTTL` seconds.
+     *
+     * @author  Grégory Saive <greg@evias.be> (https://github.com/evias)
+     */
+    var PaymentReports = function(logger, dataLayer) {
+        this.logger_ = logger;
+        this.db_ = dataLayer;
+
+        // computed reports, by merchant and report parameters
+        var cache_ = {};
+
+        /**
+         * Available revenue intervals.
+         *
+         * @var {Array}
+         */
+        this.intervals = Object.keys(intervals_);
+
+        /**
+         * Get the number of seconds reports are cached.
+         *
+         * @return  {integer}
+         */
+        this.getCacheTTL = function() {
+            return config.get("reports.cacheTTL");
+        };
+
+        /**
+         * Build a date range condition. `from` and `to`
+         * are dates as YYYY-MM-DD (both days included).
+         *
+         * @param   {string}    from
+         * @param   {string}    to
+         * @return  {object|undefined}
+         */
+        this.getDateRange = function(from, to) {
+            var range = {};
+            if (from && from.length)
+                range.$gte = Date.parse(from + "T00:00:00Z");
+
+            if (to && to.length)
+                range.$lt = Date.parse(to + "T00:00:00Z") + 24 * 60 * 60 * 1000;
+
+            return Object.keys(range).length ? range : undefined;
+        };
+
+        /**
+         * Compute the summary report of the invoices of `merchantId`
+         * created between `from` and `to`. The average time to pay
+         * is given in seconds.
+         *
+         * @param   {ObjectId}  merchantId
+         * @param   {string}    from
+         * @param   {string}    to
+         * @param   {Function}  callback    Callback function executed with `err` and the report
+         * @return  {void}
+         */
+        this.getSummary = function(merchantId, from, to, callback) {
+            var self = this;
+            var match = { merchantId: merchantId };
+            var createdAt = self.getDateRange(from, to);
+            if (createdAt)
+                match.createdAt = createdAt;
+
+            var isPaid = { $or: [{ $eq: ["$status", "paid"] }, { $eq: ["$status", "overpaid"] }] };
+            var countStatus = function(status) {
+                return { $sum: { $cond: [{ $eq: ["$status", status] }, 1, 0] } };
+            };
+
+            var pipeline = [
+                { $match: match },
+                {
+                    $group: {
+                        _id: null,
+                        created: { $sum: 1 },
+                        paid: { $sum: { $cond: [isPaid, 1, 0] } },
+                        overpaid: countStatus("overpaid"),
+                        expired: countStatus("expired"),
+                        cancelled: countStatus("cancelled"),
+                        // `$avg` ignores the null values of unpaid invoices
+                        timeToPay: { $avg: { $cond: [{ $and: [isPaid, "$paidAt"] }, { $subtract: ["$paidAt", "$createdAt"] }, null] } }
+                    }
+                }
+            ];
+
+            self.aggregate("summary", [merchantId, from, to], pipeline, function(err, results) {
+                if (err)
+                    return callback(err);
+
+                var totals = results[0] || { created: 0, paid: 0, overpaid: 0, expired: 0, cancelled: 0, timeToPay: null };
+                return callback(null, {
+                    from: from || null,
+                    to: to || null,
+                    created: totals.created,
+                    paid: totals.paid,
+                    conversionRate: totals.created ? Math.round(totals.paid / totals.created * 10000) / 100 : 0,
+                    averageTimeToPay: typeof totals.timeToPay == "number" ? Math.round(totals.timeToPay / 1000) : null,
+                    overpaid: totals.overpaid,
+                    expired: totals.expired,
+                    cancelled: totals.cancelled
+                });
+            });
+        };
+
+        /**
+         * Compute the revenue report of the invoices of `merchantId`
+         * paid between `from` and `to`, per mosaic and `interval`.
+         * Amounts are given in mosaic units.
+         *
+         * @param   {ObjectId}  merchantId
+         * @param   {string}    interval    One of `day`, `week` or `month`
+         * @param   {string}    from
+         * @param   {string}    to
+         * @param   {Function}  callback    Callback function executed with `err` and the report
+         * @return  {void}
+         */
+        this.getRevenue = function(merchantId, interval, from, to, callback) {
+            var self = this;
+            var match = { merchantId: merchantId, status: { $in: ["paid", "overpaid"] } };
+            var paidAt = self.getDateRange(from, to);
+            if (paidAt)
+                match.paidAt = paidAt;
+
+            // dates are stored as timestamps in milliseconds
+            var paidDate = { $add: [new Date(0), "$paidAt"] };
+
+            var pipeline = [
+                { $match: match },
+                {
+                    $group: {
+                        _id: {
+                            period: { $dateToString: { format: intervals_[interval], date: paidDate } },
+                            // invoices created before mosaic support are billed in XEM
+                            mosaic: { $ifNull: ["$paymentMosaicSlug", "nem:xem"] },
+                            divisibility: { $ifNull: ["$paymentMosaicDivisibility", 6] }
+                        },
+                        amount: { $sum: "$amountPaid" },
+                        count: { $sum: 1 }
+                    }
+                },
+                { $sort: { "_id.period": 1, "_id.mosaic": 1 } }
+            ];
+
+            self.aggregate("revenue", [merchantId, interval, from, to], pipeline, function(err, results) {
+                if (err)
+                    return callback(err);
+
+                return callback(null, {
+                    interval: interval,
+                    from: from || null,
+                    to: to || null,
+                    revenue: results.map(function(row) {
+                        var divisibility = row._id.divisibility;
+                        return {
+                            period: row._id.period,
+                            mosaic: row._id.mosaic,
+                            amount: parseFloat((row.amount / Math.pow(10, divisibility)).toFixed(divisibility)),
+                            invoices: row.count
+                        };
+                    })
+                });
+            });
+        };
+
+        /**
+         * Run an aggregation on the invoices collection, results are
+         * cached by `report` and `params`.
+         *
+         * @param   {string}    report
+         * @param   {Array}     params
+         * @param   {Array}     pipeline
+         * @param   {Function}  callback    Callback function executed with `err` and the aggregation results
+         * @return  {void}
+         */
+        this.aggregate = function(report, params, pipeline, callback) {
+            var self = this;
+            var key = report + ":" + params.map(function(param) { return param ? String(param) : ""; }).join(":");
+            var now = new Date().valueOf();
+
+            if (cache_[key] && cache_[key].expiresAt > now)
+                return callback(null, cache_[key].results);
+
+            self.db_.NEMPaymentChannel.aggregate(pipeline, function(err, results) {
+                if (err) {
+                    self.logger_.error(__smartfilename, __line, '[ERROR] Report `' + report + '` error: ' + err);
+                    return callback(err);
+                }
+
+                // drop expired reports before caching this one
+                for (var cached in cache_)
+                    if (cache_[cached].expiresAt <= now)
+                        delete cache_[cached];
+
+                cache_[key] = { results: results, expiresAt: now + self.getCacheTTL() * 1000 };
+                return callback(null, results);
+            });
+        };
+    };
+
+    module.exports.PaymentReports = PaymentReports;
+}());
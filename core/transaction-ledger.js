@@ -0,0 +1,192 @@
+/**
+ * Part of the evias/nem2pay package.
+ *
+ * NOTICE OF LICENSE
+ *
+ * Licensed under MIT License.
+ *
+ * This source file is subject to the MIT License that is
+ * bundled with this package in the LICENSE file.
+ *
+ * @package    evias/nem2pay
+ * @author     Grégory Saive <greg@evias.be> (https://github.com/evias)
+ * @license    MIT License
+ * @copyright  (c) 2019, Grégory Saive <greg@evias.be>
+ * @link       https://github.com/evias/nem2pay
+ */
+
+(function() {
+
+    var path = require('path');
+
+    var __smartfilename = path.basename(__filename);
+
+    /**
+     * class TransactionLedger stores the transactions matched
+     * to invoices in the PaymentTransaction collection.
+     *
+     * Transactions are written by the NEMBot status updates and
+     * by the reconciliation. Entries are unique by transaction
+     * hash, the reconciliation completes entries created from
+     * NEMBot status updates.
+     *
+     * @author  Grégory Saive <greg@evias.be> (https://github.com/evias)
+     */
+    var TransactionLedger = function(logger, chainDataLayer, dataLayer) {
+        this.logger_ = logger;
+        this.blockchain_ = chainDataLayer;
+        this.db_ = dataLayer;
+
+        /**
+         * Build the ledger entry of a transaction matched to `invoice`.
+         *
+         * @param   {NEMPaymentChannel}     invoice
+         * @param   [TransactionMetaDataPair]{@link http://bob.nem.ninja/docs/#transactionMetaDataPair} transactionMetaDataPair
+         * @return  {object}
+         */
+        this.getEntry = function(invoice, transactionMetaDataPair) {
+            var nem = this.blockchain_.getSDK();
+            var meta = transactionMetaDataPair.meta;
+            var content = transactionMetaDataPair.transaction;
+
+            if (content.type == nem.model.transactionTypes.multisigTransaction)
+                content = content.otherTrans;
+
+            return {
+                hash: this.blockchain_.getTransactionHash(transactionMetaDataPair),
+                innerHash: meta.innerHash && meta.innerHash.data ? meta.innerHash.data : undefined,
+                sender: nem.model.address.toAddress(content.signer, this.blockchain_.getNetwork().config.id),
+                recipient: content.recipient,
+                mosaicSlug: invoice.getMosaic(),
+                amount: this.blockchain_.getTransactionAmount(transactionMetaDataPair, invoice.getMosaic()),
+                height: this.blockchain_.getTransactionHeight(transactionMetaDataPair),
+                timestamp: this.blockchain_.getTransactionDate(transactionMetaDataPair).valueOf()
+            };
+        };
+
+        /**
+         * Store a ledger entry, existing entries (same hash) are
+         * updated with the defined fields of `entry`.
+         *
+         * @param   {NEMPaymentChannel}     invoice
+         * @param   {object}                entry
+         * @param   {string}                source      `bot` or `reconciler`
+         * @param   {Function}              callback
+         * @return  {void}
+         */
+        this.store = function(invoice, entry, source, callback) {
+            var self = this;
+            var now = new Date().valueOf();
+
+            var fields = {
+                invoiceNumber: invoice.number,
+                merchantId: invoice.merchantId,
+                source: source,
+                updatedAt: now
+            };
+
+            for (var field in entry)
+                if (entry[field] !== undefined && entry[field] !== null)
+                    fields[field] = entry[field];
+
+            var update = { $set: fields, $setOnInsert: { createdAt: now } };
+            self.db_.PaymentTransaction.update({ hash: entry.hash }, update, { upsert: true }, function(err) {
+                if (err)
+                    self.logger_.error(__smartfilename, __line, '[ERROR] Ledger error for transaction ' + entry.hash + ': ' + err);
+
+                return callback && callback(err);
+            });
+        };
+
+        /**
+         * Store the transactions read from the blockchain
+         * for `invoice`.
+         *
+         * @param   {NEMPaymentChannel}     invoice
+         * @param   {Array}                 transactions    Should contain {TransactionMetaDataPair} objects
+         * @param   {Function}              callback        Callback function executed with `err`
+         * @return  {void}
+         */
+        this.recordTransactions = function(invoice, transactions, callback) {
+            var self = this;
+
+            if (!transactions.length)
+                return callback && callback(null);
+
+            var cntDone = 0;
+            var lastError = null;
+            transactions.forEach(function(transaction) {
+                self.store(invoice, self.getEntry(invoice, transaction), "reconciler", function(err) {
+                    lastError = err || lastError;
+
+                    if (++cntDone === transactions.length && callback)
+                        return callback(lastError);
+                });
+            });
+        };
+
+        /**
+         * Store the transaction of a NEMBot status update. Updates
+         * without transaction hash are ignored.
+         *
+         * @param   {NEMPaymentChannel}     invoice
+         * @param   {object}                data        The status update
+         * @param   {Function}              callback    Callback function executed with `err`
+         * @return  {void}
+         */
+        this.recordStatusUpdate = function(invoice, data, callback) {
+            if (!data.transactionHash || !data.transactionHash.length)
+                return callback && callback(null);
+
+            return this.store(invoice, {
+                hash: data.transactionHash,
+                innerHash: data.innerHash,
+                sender: data.sender,
+                recipient: data.recipient || invoice.recipientXEM,
+                mosaicSlug: data.mosaic || invoice.getMosaic(),
+                amount: data.amount,
+                height: data.height,
+                timestamp: data.timestamp
+            }, "bot", callback);
+        };
+
+        /**
+         * Get the ledger entries of the invoice `number` of merchant
+         * `merchantId`, in the order they were included in blocks.
+         *
+         * @param   {ObjectId}  merchantId
+         * @param   {string}    number
+         * @param   {Function}  callback    Callback function executed with `err` and the entries
+         * @return  {void}
+         */
+        this.getInvoiceTransactions = function(merchantId, number, callback) {
+            this.db_.PaymentTransaction.find({ merchantId: merchantId, invoiceNumber: number })
+                .sort({ height: 1, timestamp: 1 })
+                .exec(callback);
+        };
+
+        /**
+         * Build the API response item of a ledger entry.
+         *
+         * @param   {PaymentTransaction}    entry
+         * @return  {object}
+         */
+        this.getTransactionItem = function(entry) {
+            return {
+                hash: entry.hash,
+                innerHash: entry.innerHash,
+                sender: entry.sender,
+                recipient: entry.recipient,
+                mosaic: entry.mosaicSlug,
+                amount: entry.amount,
+                height: entry.height,
+                timestamp: entry.timestamp,
+                invoice: entry.invoiceNumber,
+                source: entry.source,
+                createdAt: entry.createdAt
+            };
+        };
+    };
+
+    module.exports.TransactionLedger = TransactionLedger;
+}());
@@ -0,0 +1,354 @@
+/**
+ * Part of the evias/nem2pay package.
+ *
+ * NOTICE OF LICENSE
+ *
+ * Licensed under MIT License.
+ *
+ * This source file is subject to the MIT License that is
+ * bundled with this package in the LICENSE file.
+ *
+ * @package    evias/nem2pay
+ * @author     Grégory Saive <greg@evias.be> (https://github.com/evias)
+ * @license    MIT License
+ * @copyright  (c) 2019, Grégory Saive <greg@evias.be>
+ * @link       https://github.com/evias/nem2pay
+ */
+
+(function() {
+
+    var config = require("config"),
+        path = require('path'),
+        url = require("url"),
+        http = require("http"),
+        https = require("https"),
+        CryptoJS = require("crypto-js");
+
+    var __smartfilename = path.basename(__filename);
+
+    /**
+     * class WebhookDispatcher sends server-to-server notifications
+     * to Merchants when the status of one of their invoices changes.
+     *
+     * Deliveries are queued in the `WebhookDelivery` collection and
+     * retried with an exponential backoff until they succeed or the
+     * maximum number of attempts is reached. Every attempt is logged
+     * on the delivery. Deliveries are claimed (`sending`) before each
+     * attempt such that they are sent only once.
+     *
+     * Request bodies are signed with HMAC-SHA256 using the Merchant's
+     * webhook secret, the signature is sent in the `X-NEM2Pay-Signature`
+     * header.
+     *
+     * @author  Grégory Saive <greg@evias.be> (https://github.com/evias)
+     */
+    var WebhookDispatcher = function(logger, dataLayer) {
+        this.logger_ = logger;
+        this.db_ = dataLayer;
+
+        /**
+         * Compute the signature of a webhook request body.
+         *
+         * @param   {string}    body
+         * @param   {string}    secret
+         * @return  {string}
+         */
+        this.sign = function(body, secret) {
+            return "sha256=" + CryptoJS.HmacSHA256(body, secret).toString();
+        };
+
+        /**
+         * Build the webhook payload for `invoice` and `event`.
+         *
+         * @param   {NEMPaymentChannel}     invoice
+         * @param   {string}                event       The new invoice status
+         * @return  {object}
+         */
+        this.getPayload = function(invoice, event) {
+            return {
+                event: "invoice." + event,
+                createdAt: new Date().valueOf(),
+                invoice: {
+                    number: invoice.number,
+                    reference: invoice.reference,
+                    status: invoice.status,
+                    mosaic: invoice.paymentMosaicSlug,
+                    recipient: invoice.recipientXEM,
+                    payer: invoice.payerXEM,
+                    amount: invoice.amount,
+                    amountPaid: invoice.amountPaid,
+                    amountUnconfirmed: invoice.amountUnconfirmed,
+                    paidAt: invoice.paidAt,
+                    createdAt: invoice.createdAt
+                }
+            };
+        };
+
+        /**
+         * Get the delay in milliseconds before the next attempt
+         * of a delivery which has been attempted `attempts` times.
+         *
+         * @param   {integer}   attempts
+         * @return  {integer}
+         */
+        this.getRetryDelay = function(attempts) {
+            var baseDelay = parseInt(config.get("payments.webhooks.retryDelay")) * 1000;
+            return baseDelay * Math.pow(2, Math.max(0, attempts - 1));
+        };
+
+        /**
+         * Claim `delivery` for one attempt, pending deliveries go to
+         * `sending`. Deliveries left in `sending` by a stopped process
+         * can be claimed again after twice the request timeout.
+         *
+         * The callback receives the claimed delivery, or `null` when
+         * it was claimed already.
+         *
+         * @param   {WebhookDelivery}   delivery
+         * @param   {Function}          callback    Callback function executed with `err` and the claimed delivery
+         * @return  {void}
+         */
+        this.claim = function(delivery, callback) {
+            var self = this;
+            var now = new Date().valueOf();
+            var staleClaimAt = now - 2 * parseInt(config.get("payments.webhooks.timeout"));
+
+            var claimQuery = {
+                _id: delivery._id,
+                $or: [
+                    { status: "pending" },
+                    { status: "sending", claimedAt: { $lte: staleClaimAt } }
+                ]
+            };
+
+            self.db_.WebhookDelivery.findOneAndUpdate(claimQuery, { $set: { status: "sending", claimedAt: now } }, { new: true }, function(err, claimed) {
+                if (err)
+                    self.logger_.error(__smartfilename, __line, '[ERROR] Webhook claim error: ' + err);
+
+                return callback(err, claimed || null);
+            });
+        };
+
+        /**
+         * Queue a webhook delivery for the status change of `invoice`
+         * and try to deliver it right away.
+         *
+         * Nothing is queued when the invoice's Merchant has no
+         * webhook URL configured.
+         *
+         * @param   {NEMPaymentChannel}     invoice
+         * @param   {string}                event       The new invoice status
+         * @param   {Function}              callback    Callback function executed with `err` and `delivery`
+         * @return  {void}
+         */
+        this.enqueue = function(invoice, event, callback) {
+            var self = this;
+
+            if (!invoice.merchantId)
+                return callback && callback(null, null);
+
+            self.db_.Merchant.findById(invoice.merchantId, function(err, merchant) {
+                if (err || !merchant || !merchant.webhookUrl || !merchant.webhookUrl.length)
+                    return callback && callback(err, null);
+
+                var now = new Date().valueOf();
+                var delivery = new self.db_.WebhookDelivery({
+                    merchantId: merchant._id,
+                    invoiceNumber: invoice.number,
+                    event: event,
+                    url: merchant.webhookUrl,
+                    payload: JSON.stringify(self.getPayload(invoice, event)),
+                    status: "pending",
+                    attempts: 0,
+                    nextAttemptAt: now,
+                    createdAt: now
+                });
+
+                delivery.save(function(err) {
+                    if (err) {
+                        self.logger_.error(__smartfilename, __line, '[ERROR] Webhook queue error: ' + err);
+                        return callback && callback(err, null);
+                    }
+
+                    self.claim(delivery, function(err, claimed) {
+                        if (err || !claimed)
+                        // picked up by the delivery worker
+                            return callback && callback(err, delivery);
+
+                        return self.deliver(claimed, merchant.webhookSecret, callback);
+                    });
+                });
+            });
+        };
+
+        /**
+         * Send one webhook delivery to the Merchant's webhook URL.
+         *
+         * The delivery is marked `delivered` when the receiver answers
+         * with a 2xx status code. Otherwise the next attempt is scheduled
+         * with an exponential backoff, or the delivery is marked `failed`
+         * after `payments.webhooks.maxAttempts` attempts.
+         *
+         * @param   {WebhookDelivery}   delivery
+         * @param   {string}            secret      The Merchant's webhook secret
+         * @param   {Function}          callback    Callback function executed with `err` and `delivery`
+         * @return  {void}
+         */
+        this.deliver = function(delivery, secret, callback) {
+            var self = this;
+            var startedAt = new Date().valueOf();
+            var isDone = false;
+
+            var target = url.parse(delivery.url);
+            var transport = target.protocol == "https:" ? https : http;
+
+            var finish = function(statusCode, error) {
+                if (isDone)
+                    return false;
+
+                isDone = true;
+
+                var now = new Date().valueOf();
+                var attempt = {
+                    attemptedAt: startedAt,
+                    duration: now - startedAt,
+                    statusCode: statusCode,
+                    error: error
+                };
+
+                var log = delivery.log || [];
+                log.push(attempt);
+                delivery.log = log;
+                delivery.attempts = (delivery.attempts || 0) + 1;
+                delivery.lastAttemptAt = startedAt;
+
+                if (statusCode >= 200 && statusCode < 300) {
+                    delivery.status = "delivered";
+                    delivery.deliveredAt = now;
+                } else if (delivery.attempts >= parseInt(config.get("payments.webhooks.maxAttempts"))) {
+                    delivery.status = "failed";
+                    self.logger_.warn(__smartfilename, __line, '[WEBHOOKS] Delivery of ' + delivery.event + ' for invoice ' + delivery.invoiceNumber + ' failed permanently.');
+                } else {
+                    delivery.status = "pending";
+                    delivery.nextAttemptAt = now + self.getRetryDelay(delivery.attempts);
+                }
+
+                delivery.save(function(err) {
+                    if (err)
+                        self.logger_.error(__smartfilename, __line, '[ERROR] Webhook delivery update error: ' + err);
+
+                    return callback && callback(err, delivery);
+                });
+            };
+
+            var request = transport.request({
+                method: "POST",
+                protocol: target.protocol,
+                hostname: target.hostname,
+                port: target.port,
+                path: target.path,
+                headers: {
+                    "Content-Type": "application/json",
+                    "Content-Length": Buffer.byteLength(delivery.payload),
+                    "User-Agent": "NEM2Pay-Webhooks",
+                    "X-NEM2Pay-Event": delivery.event,
+                    "X-NEM2Pay-Delivery": String(delivery._id),
+                    "X-NEM2Pay-Signature": self.sign(delivery.payload, secret || "")
+                }
+            }, function(response) {
+                // consume the response body, only the status code is relevant.
+                response.resume();
+                response.on("end", function() {
+                    finish(response.statusCode, null);
+                });
+            });
+
+            request.setTimeout(parseInt(config.get("payments.webhooks.timeout")), function() {
+                request.abort();
+                finish(0, "Request timed out.");
+            });
+
+            request.on("error", function(err) {
+                finish(0, err.message);
+            });
+
+            request.write(delivery.payload);
+            request.end();
+        };
+
+        /**
+         * Find the webhook deliveries of the invoice `invoiceNumber`
+         * of the merchant `merchantId`, oldest first. Deliveries of
+         * other merchants are never listed.
+         *
+         * @param   {ObjectId}  merchantId
+         * @param   {string}    invoiceNumber
+         * @param   {Function}  callback    Callback function executed with `err` and the deliveries
+         * @return  {void}
+         */
+        this.findDeliveries = function(merchantId, invoiceNumber, callback) {
+            var deliveryQuery = {
+                merchantId: merchantId,
+                invoiceNumber: invoiceNumber
+            };
+
+            return this.db_.WebhookDelivery.find(deliveryQuery).sort({ createdAt: 1 }).exec(callback);
+        };
+
+        /**
+         * Process the webhook delivery queue. All pending deliveries
+         * for which the next attempt is due will be sent, deliveries
+         * claimed by another process are skipped.
+         *
+         * @param   {Function}  callback    Callback function executed with `err` and the processed deliveries
+         * @return  {void}
+         */
+        this.processQueue = function(callback) {
+            var self = this;
+            var now = new Date().valueOf();
+            var staleClaimAt = now - 2 * parseInt(config.get("payments.webhooks.timeout"));
+
+            var deliveryQuery = {
+                $or: [
+                    { status: "pending", nextAttemptAt: { $lte: now } },
+                    { status: "sending", claimedAt: { $lte: staleClaimAt } }
+                ]
+            };
+
+            self.db_.WebhookDelivery.find(deliveryQuery, function(err, deliveries) {
+                if (err) {
+                    self.logger_.error(__smartfilename, __line, '[ERROR] Webhook queue error: ' + err);
+                    return callback && callback(err);
+                }
+
+                if (!deliveries || !deliveries.length)
+                    return callback && callback(null, []);
+
+                var cntDone = 0;
+                var processed = [];
+                var done = function() {
+                    if (++cntDone === deliveries.length && callback)
+                        return callback(null, processed);
+                };
+
+                deliveries.forEach(function(delivery) {
+                    self.claim(delivery, function(err, claimed) {
+                        if (err || !claimed)
+                            return done();
+
+                        self.db_.Merchant.findById(claimed.merchantId, function(err, merchant) {
+                            var secret = merchant ? merchant.webhookSecret : "";
+
+                            self.deliver(claimed, secret, function() {
+                                processed.push(claimed);
+                                return done();
+                            });
+                        });
+                    });
+                });
+            });
+        };
+    };
+
+    module.exports.WebhookDispatcher = WebhookDispatcher;
+}());
@@ -0,0 +1,211 @@
+/**
+ * Part of the evias/nem2pay package.
+ *
+ * NOTICE OF LICENSE
+ *
+ * Licensed under MIT License.
+ *
+ * This source file is subject to the MIT License that is
+ * bundled with this package in the LICENSE file.
+ *
+ * @package    evias/nem2pay
+ * @author     Grégory Saive <greg@evias.be> (https://github.com/evias)
+ * @license    MIT License
+ * @copyright  (c) 2019, Grégory Saive <greg@evias.be>
+ * @link       https://github.com/evias/nem2pay
+ */
+
+var should = require("should"),
+    EventEmitter = require("events").EventEmitter,
+    CryptoJS = require("crypto-js");
+
+// defines the `__line` global used by the core modules
+require("../core/logger.js");
+
+var AdminAuthenticator = require("../core/admin-auth.js").AdminAuthenticator;
+
+var silentLogger = require("./support/fixtures.js").silentLogger;
+
+// Admin model stand-in, passwords are `<username>-password`
+// and admin tokens `<username>-token`.
+var createAdminModel = function(admins) {
+    var hash = function(value) { return CryptoJS.SHA256(value).toString(); };
+
+    var records = admins.map(function(admin) {
+        return {
+            _id: admin.username,
+            username: admin.username,
+            role: admin.role,
+            apiTokenHash: hash(admin.username + "-token"),
+            checkPassword: function(password) { return password == admin.username + "-password"; },
+            save: function() {}
+        };
+    });
+
+    return {
+        findOne: function(query, callback) {
+            callback(null, records.filter(function(admin) { return admin.username == query.username; })[0] || null);
+        },
+        findByApiToken: function(apiToken, callback) {
+            callback(null, records.filter(function(admin) { return admin.apiTokenHash == hash(apiToken); })[0] || null);
+        }
+    };
+};
+
+// express request and response stand-ins
+var createRequest = function(headers, body) {
+    return { method: "POST", path: "/api/v1/reset", route: { path: "/api/v1/reset" }, headers: headers, params: {}, query: {}, body: body || {} };
+};
+
+var createResponse = function() {
+    var res = new EventEmitter();
+    res.statusCode = 200;
+    res.headers = {};
+    res.setHeader = function(name, value) { this.headers[name] = value; };
+    res.writeHead = function(statusCode) { this.statusCode = statusCode; };
+    res.end = function(body) {
+        this.body = body;
+        this.emit("finish");
+    };
+    res.send = function(statusCode, body) {
+        this.statusCode = statusCode;
+        this.end(body);
+    };
+    return res;
+};
+
+describe("AdminAuthenticator", function() {
+    var entries, admins;
+
+    beforeEach(function() {
+        entries = [];
+
+        var dataLayer = {
+            Admin: createAdminModel([
+                { username: "alice", role: "operator" },
+                { username: "bob", role: "readonly" }
+            ]),
+            AdminAuditLog: function(entry) {
+                this.save = function() { entries.push(entry); };
+            }
+        };
+
+        admins = new AdminAuthenticator(silentLogger, dataLayer);
+    });
+
+    it("should include the rights of lower roles", function() {
+        admins.hasRole({ role: "operator" }, "readonly").should.be.true;
+        admins.hasRole({ role: "operator" }, "operator").should.be.true;
+        admins.hasRole({ role: "readonly" }, "operator").should.be.false;
+        admins.hasRole({ role: "unknown" }, "readonly").should.be.false;
+    });
+
+    it("should authenticate with basic auth and admin tokens", function(done) {
+        var basic = "Basic " + Buffer.from("alice:alice-password").toString("base64");
+        var req = createRequest({ authorization: basic });
+
+        admins.requireRole("operator")(req, createResponse(), function() {
+            req.admin.username.should.equal("alice");
+            req.adminAuthMethod.should.equal("basic");
+
+            var tokenReq = createRequest({ "x-admin-token": "bob-token" });
+            admins.requireRole("readonly")(tokenReq, createResponse(), function() {
+                tokenReq.admin.username.should.equal("bob");
+                tokenReq.adminAuthMethod.should.equal("token");
+                done();
+            });
+        });
+    });
+
+    it("should reject invalid credentials and missing roles", function() {
+        var next = function() { throw new Error("Request should be rejected."); };
+
+        var wrongPassword = createResponse();
+        admins.requireRole("readonly")(createRequest({ authorization: "Basic " + Buffer.from("alice:wrong").toString("base64") }), wrongPassword, next);
+        wrongPassword.statusCode.should.equal(401);
+        should.exist(wrongPassword.headers["WWW-Authenticate"]);
+
+        var wrongToken = createResponse();
+        admins.requireRole("readonly")(createRequest({ "x-admin-token": "unknown" }), wrongToken, next);
+        wrongToken.statusCode.should.equal(401);
+
+        var readonly = createResponse();
+        admins.requireRole("operator")(createRequest({ "x-admin-token": "bob-token" }), readonly, next);
+        readonly.statusCode.should.equal(403);
+
+        // only authenticated calls are audited
+        entries.length.should.equal(1);
+        entries[0].username.should.equal("bob");
+        entries[0].statusCode.should.equal(403);
+    });
+
+    it("should audit admin calls without credentials", function() {
+        var req = createRequest({ "x-admin-token": "alice-token" }, { confirmationToken: "secret", reason: "tests" });
+        var res = createResponse();
+
+        admins.requireRole("operator")(req, res, function() {
+            res.send(200, "{}");
+        });
+
+        entries.length.should.equal(1);
+        entries[0].username.should.equal("alice");
+        entries[0].role.should.equal("operator");
+        entries[0].authMethod.should.equal("token");
+        entries[0].method.should.equal("POST");
+        entries[0].route.should.equal("/api/v1/reset");
+        entries[0].statusCode.should.equal(200);
+        JSON.parse(entries[0].params).should.eql({ reason: "tests" });
+    });
+
+    it("should reject admin forms from other sites", function() {
+        var passed = 0;
+        var next = function() { passed++; };
+
+        var foreign = createResponse();
+        admins.requireSameOrigin()(createRequest({ host: "nem2pay.evias.be", origin: "https://evil.example" }), foreign, next);
+        foreign.statusCode.should.equal(403);
+
+        var missing = createResponse();
+        admins.requireSameOrigin()(createRequest({ host: "nem2pay.evias.be" }), missing, next);
+        missing.statusCode.should.equal(403);
+
+        admins.requireSameOrigin()(createRequest({ host: "nem2pay.evias.be", referer: "https://nem2pay.evias.be/admin/invoices/NEM2PAY-1" }), createResponse(), next);
+        passed.should.equal(1);
+    });
+
+    it("should accept admin API calls authenticated by token from any origin", function() {
+        var passed = 0;
+        var next = function() { passed++; };
+
+        var basic = createRequest({ host: "nem2pay.evias.be", authorization: "Basic " + Buffer.from("alice:alice-password").toString("base64") });
+        admins.requireRole("operator")(basic, createResponse(), function() {
+            var rejected = createResponse();
+            admins.requireSameOrigin()(basic, rejected, next);
+            rejected.statusCode.should.equal(403);
+        });
+
+        var token = createRequest({ host: "nem2pay.evias.be", "x-admin-token": "alice-token" });
+        admins.requireRole("operator")(token, createResponse(), function() {
+            admins.requireSameOrigin()(token, createResponse(), next);
+        });
+
+        passed.should.equal(1);
+    });
+
+    it("should only reset data outside production with the confirmation token", function() {
+        process.env["ADMIN_RESET_TOKEN"] = "reset-me";
+
+        try {
+            admins.canResetData("production").should.be.false;
+            admins.canResetData("development").should.be.true;
+            admins.checkResetConfirmation("reset-me").should.be.true;
+            admins.checkResetConfirmation("other").should.be.false;
+            admins.checkResetConfirmation(undefined).should.be.false;
+        } finally {
+            delete process.env["ADMIN_RESET_TOKEN"];
+        }
+
+        admins.canResetData("development").should.be.false;
+        admins.checkResetConfirmation("").should.be.false;
+    });
+});
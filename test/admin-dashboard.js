@@ -0,0 +1,103 @@
+/**
+ * Part of the evias/nem2pay package.
+ *
+ * NOTICE OF LICENSE
+ *
+ * Licensed under MIT License.
+ *
+ * This source file is subject to the MIT License that is
+ * bundled with this package in the LICENSE file.
+ *
+ * @package    evias/nem2pay
+ * @author     Grégory Saive <greg@evias.be> (https://github.com/evias)
+ * @license    MIT License
+ * @copyright  (c) 2019, Grégory Saive <greg@evias.be>
+ * @link       https://github.com/evias/nem2pay
+ */
+
+var should = require("should");
+
+// defines the `__line` global used by the core modules
+require("../core/logger.js");
+
+var AdminDashboard = require("../core/admin-dashboard.js").AdminDashboard;
+
+var fixtures = require("./support/fixtures.js");
+var silentLogger = fixtures.silentLogger;
+
+var createInvoice = function(number, status) {
+    return fixtures.createInvoice({
+        number: number,
+        merchantId: "merchant-1",
+        recipientXEM: "TBNSUVPYJXLMVC6PSBPLOFMLYLZ3ZZ3VY7G5BBSK",
+        amount: 2500000,
+        amountPaid: 1000000,
+        status: status,
+        statusHistory: [{ from: "not_paid", status: status, source: "bot", amountPaid: 1000000, amountUnconfirmed: 0, createdAt: Date.UTC(2019, 4, 1, 12, 30, 0) }],
+        createdAt: Date.UTC(2019, 4, 1, 12, 0, 0)
+    });
+};
+
+describe("AdminDashboard", function() {
+    var dashboard;
+
+    beforeEach(function() {
+        dashboard = new AdminDashboard(silentLogger, {}, null, null, null);
+    });
+
+    it("should build invoice queries from filters", function() {
+        dashboard.getInvoiceQuery({}).should.eql({});
+        dashboard.getInvoiceQuery({ status: "", mosaic: "" }).should.eql({});
+
+        var query = dashboard.getInvoiceQuery({
+            status: "paid_partly",
+            merchantId: "5cc9d5b2e1a2f31c1c7b1a11",
+            from: "2019-05-01",
+            to: "2019-05-31",
+            mosaic: "evias.nem2pay:currency",
+            needsReview: "1"
+        });
+
+        query.status.should.equal("paid_partly");
+        query.merchantId.should.equal("5cc9d5b2e1a2f31c1c7b1a11");
+        query.paymentMosaicSlug.should.equal("evias.nem2pay:currency");
+        query.needsReview.should.be.true;
+        query.createdAt.$gte.should.equal(Date.UTC(2019, 4, 1));
+        query.createdAt.$lt.should.equal(Date.UTC(2019, 5, 1));
+
+        // invoices created before mosaic support are billed in XEM
+        dashboard.getInvoiceQuery({ mosaic: "nem:xem" }).paymentMosaicSlug.should.eql({ $in: ["nem:xem", null] });
+    });
+
+    it("should format invoices and their history for the views", function() {
+        var view = dashboard.getInvoiceView({
+            invoice: createInvoice("NEM2PAY-1", "paid_partly"),
+            merchant: { name: "Shop" },
+            transactions: [{ hash: "abc", amount: 1000000, height: 42, timestamp: Date.UTC(2019, 4, 1, 12, 30, 0), source: "bot" }]
+        });
+
+        view.merchantName.should.equal("Shop");
+        view.invoice.amount.should.equal("2.500000");
+        view.invoice.amountPaid.should.equal("1.000000");
+        view.invoice.createdAt.should.equal("2019-05-01 12:00:00");
+        view.invoice.paidAt.should.equal("");
+        view.invoice.isCancellable.should.be.true;
+        view.transactions[0].amount.should.equal("1.000000");
+        view.transactions[0].date.should.equal("2019-05-01 12:30:00");
+        view.statusHistory[0].status.should.equal("paid_partly");
+
+        dashboard.getInvoiceRow(createInvoice("NEM2PAY-2", "paid")).isCancellable.should.be.false;
+    });
+
+    it("should flag invoices for review with the administrator name", function(done) {
+        var invoice = createInvoice("NEM2PAY-3", "paid");
+
+        dashboard.markForReview(invoice, "Customer complaint.", { username: "alice" }, function(err, flagged) {
+            should.not.exist(err);
+            flagged.needsReview.should.be.true;
+            flagged.reviewReason.should.equal("Customer complaint. (alice)");
+            flagged.saved.should.equal(1);
+            done();
+        });
+    });
+});
@@ -0,0 +1,220 @@
+/**
+ * Part of the evias/nem2pay package.
+ *
+ * NOTICE OF LICENSE
+ *
+ * Licensed under MIT License.
+ *
+ * This source file is subject to the MIT License that is
+ * bundled with this package in the LICENSE file.
+ *
+ * @package    evias/nem2pay
+ * @author     Grégory Saive <greg@evias.be> (https://github.com/evias)
+ * @license    MIT License
+ * @copyright  (c) 2019, Grégory Saive <greg@evias.be>
+ * @link       https://github.com/evias/nem2pay
+ */
+
+var should = require("should"),
+    nem = require("nem-sdk").default;
+
+// defines the `__line` global used by the core modules
+require("../core/logger.js");
+
+var MockChainAdapter = require("../core/chain-adapters/mock.js").MockChainAdapter;
+var helpers = require("../core/helpers.js").service;
+var PaymentsProtocol = require("../core/payments-protocol.js").PaymentsProtocol;
+
+var fixtures = require("./support/fixtures.js");
+var silentLogger = fixtures.silentLogger;
+
+var RECIPIENT = "TBNSUVPYJXLMVC6PSBPLOFMLYLZ3ZZ3VY7G5BBSK";
+
+var createInvoice = function(number, amount, mosaic, divisibility) {
+    return fixtures.createInvoice({
+        number: number,
+        amount: amount,
+        paymentMosaicSlug: mosaic,
+        paymentMosaicDivisibility: divisibility
+    });
+};
+
+describe("MockChainAdapter", function() {
+    var adapter;
+
+    beforeEach(function() {
+        adapter = new MockChainAdapter(nem);
+    });
+
+    it("should serve incoming transactions newest first by pages of 25", function() {
+        for (var i = 0; i < 30; i++)
+            adapter.addTransfer({ recipient: RECIPIENT, amount: 1000000, message: "TX-" + i });
+
+        return adapter.getIncomingTransactions(RECIPIENT).then(function(page) {
+            page.length.should.equal(25);
+            page[0].meta.id.should.equal(30);
+
+            return adapter.getIncomingTransactions(RECIPIENT, page[24].meta.id);
+        }).then(function(page) {
+            page.length.should.equal(5);
+            page[4].meta.id.should.equal(1);
+        });
+    });
+
+    it("should reject requests when the node is down", function() {
+        adapter.setAlive(false);
+
+        return adapter.heartbeat().then(function() {
+            throw new Error("heartbeat should have failed");
+        }, function(err) {
+            err.message.should.match(/down/);
+        });
+    });
+});
+
+describe("NEMHelpers with a chain adapter", function() {
+    var adapter, NEMHelpers;
+
+    beforeEach(function() {
+        adapter = new MockChainAdapter(nem);
+        NEMHelpers = new helpers(null, nem, silentLogger, adapter);
+    });
+
+    it("should read mosaic definitions through the chain adapter", function() {
+        adapter.addMosaicDefinition("evias.nem2pay:loyalty", { divisibility: 2, supply: 1000000 });
+
+        return NEMHelpers.getMosaicDefinition("evias.nem2pay:loyalty").then(function(definition) {
+            definition.divisibility.should.equal(2);
+            definition.supply.should.equal(1000000);
+            should(definition.levy).be.null;
+        });
+    });
+
+    it("should page through the mosaic definitions of a namespace", function() {
+        adapter.addMosaicDefinition("evias.nem2pay:loyalty", { divisibility: 3, supply: 5000 });
+        for (var i = 0; i < 30; i++)
+            adapter.addMosaicDefinition("evias.nem2pay:coupon-" + i, { divisibility: 0, supply: 100 });
+
+        return NEMHelpers.getMosaicDefinition("evias.nem2pay:loyalty").then(function(definition) {
+            definition.divisibility.should.equal(3);
+            definition.supply.should.equal(5000);
+
+            return NEMHelpers.getMosaicDefinition("evias.nem2pay:unknown");
+        }).then(function() {
+            throw new Error("unknown mosaic should not be found");
+        }, function(err) {
+            err.message.should.match(/not found/);
+        });
+    });
+
+    it("should leave the amount of mosaic invoices out of QR codes", function() {
+        var xemInvoice = createInvoice("NEM2PAY-40", 2500000, "nem:xem", 6);
+        var mosaicInvoice = createInvoice("NEM2PAY-41", 12550, "evias.nem2pay:loyalty", 2);
+        xemInvoice.recipientXEM = mosaicInvoice.recipientXEM = RECIPIENT;
+
+        NEMHelpers.getInvoiceQRData(xemInvoice).data.amount.should.equal(2500000);
+
+        var qrData = NEMHelpers.getInvoiceQRData(mosaicInvoice);
+        qrData.type.should.equal(2);
+        qrData.data.amount.should.equal(0);
+        qrData.data.addr.should.equal(RECIPIENT);
+        qrData.data.msg.should.equal("NEM2PAY-41");
+    });
+
+    it("should read transaction amounts in the smallest unit of the mosaic", function() {
+        var xemTransfer = adapter.addTransfer({ recipient: RECIPIENT, amount: 2500000 });
+        var mosaicTransfer = adapter.addTransfer({
+            recipient: RECIPIENT,
+            mosaics: [{ mosaic: "evias.nem2pay:loyalty", quantity: 150 }, { mosaic: "nem:xem", quantity: 1000 }]
+        });
+
+        NEMHelpers.getTransactionAmount(xemTransfer, "nem:xem").should.equal(2500000);
+        NEMHelpers.getTransactionAmount(xemTransfer, "evias.nem2pay:loyalty").should.equal(0);
+        NEMHelpers.getTransactionAmount(mosaicTransfer, "evias.nem2pay:loyalty").should.equal(150);
+        NEMHelpers.getTransactionAmount(mosaicTransfer, "nem:xem").should.equal(1000);
+    });
+
+    it("should read plain transaction messages", function() {
+        var transfer = adapter.addTransfer({ recipient: RECIPIENT, amount: 1, message: "NEM2PAY-42" });
+
+        NEMHelpers.getTransactionMessage(transfer).should.equal("NEM2PAY-42");
+    });
+});
+
+describe("PaymentsProtocol blockchain history", function() {
+    var adapter, NEMHelpers, protocol;
+
+    beforeEach(function() {
+        adapter = new MockChainAdapter(nem);
+        NEMHelpers = new helpers(null, nem, silentLogger, adapter);
+        protocol = new PaymentsProtocol(null, silentLogger, NEMHelpers, null);
+    });
+
+    it("should match transactions to invoices by message across pages", function(done) {
+        var paid = createInvoice("NEM2PAY-1", 3000000, "nem:xem", 6);
+        var partly = createInvoice("NEM2PAY-2", 5000000, "nem:xem", 6);
+        var untouched = createInvoice("NEM2PAY-3", 1000000, "nem:xem", 6);
+
+        adapter.addTransfer({ recipient: RECIPIENT, amount: 1000000, message: "NEM2PAY-1" });
+        for (var i = 0; i < 30; i++)
+            adapter.addTransfer({ recipient: RECIPIENT, amount: 1, message: "unrelated" });
+
+        adapter.addTransfer({ recipient: RECIPIENT, amount: 2000000, message: "nem2pay-1" });
+        adapter.addTransfer({ recipient: RECIPIENT, amount: 1000000, message: "NEM2PAY-2" });
+
+        protocol.fetchInvoicesRealHistory(RECIPIENT, [paid, partly, untouched], null, function(history) {
+            history["NEM2PAY-1"].transactions.length.should.equal(2);
+            paid.amountPaid.should.equal(3000000);
+            paid.status.should.equal("paid");
+            paid.isPaid.should.be.true;
+
+            partly.amountPaid.should.equal(1000000);
+            partly.status.should.equal("paid_partly");
+
+            untouched.amountPaid.should.equal(0);
+            untouched.status.should.equal("not_paid");
+            done();
+        });
+    });
+
+    it("should read amounts in the invoice's payment mosaic", function(done) {
+        var invoice = createInvoice("NEM2PAY-10", 100, "evias.nem2pay:loyalty", 2);
+
+        adapter.addTransfer({ recipient: RECIPIENT, amount: 5000000, message: "NEM2PAY-10" });
+        adapter.addTransfer({
+            recipient: RECIPIENT,
+            message: "NEM2PAY-10",
+            mosaics: [{ mosaic: "evias.nem2pay:loyalty", quantity: 150 }]
+        });
+
+        protocol.fetchInvoicesRealHistory(RECIPIENT, [invoice], null, function(history) {
+            invoice.amountPaid.should.equal(150);
+            invoice.status.should.equal("overpaid");
+            done();
+        });
+    });
+
+    it("should count multisig payments once by inner hash", function(done) {
+        var invoice = createInvoice("NEM2PAY-30", 3000000, "nem:xem", 6);
+
+        var multisig = adapter.addTransfer({ recipient: RECIPIENT, amount: 2000000, message: "NEM2PAY-30", multisig: true });
+        adapter.addTransfer({ recipient: RECIPIENT, amount: 2000000, message: "NEM2PAY-30", hash: multisig.meta.innerHash.data });
+
+        protocol.fetchInvoicesRealHistory(RECIPIENT, [invoice], null, function(history) {
+            history["NEM2PAY-30"].transactions.length.should.equal(1);
+            invoice.amountPaid.should.equal(2000000);
+            invoice.status.should.equal("paid_partly");
+            done();
+        });
+    });
+
+    it("should report chain adapter errors", function(done) {
+        adapter.setAlive(false);
+
+        protocol.fetchInvoicesRealHistory(RECIPIENT, [createInvoice("NEM2PAY-20", 1, "nem:xem", 6)], null, function(history, err) {
+            history.should.be.false;
+            should.exist(err);
+            done();
+        });
+    });
+});
@@ -0,0 +1,198 @@
+/**
+ * Part of the evias/nem2pay package.
+ *
+ * NOTICE OF LICENSE
+ *
+ * Licensed under MIT License.
+ *
+ * This source file is subject to the MIT License that is
+ * bundled with this package in the LICENSE file.
+ *
+ * @package    evias/nem2pay
+ * @author     Grégory Saive <greg@evias.be> (https://github.com/evias)
+ * @license    MIT License
+ * @copyright  (c) 2019, Grégory Saive <greg@evias.be>
+ * @link       https://github.com/evias/nem2pay
+ */
+
+var should = require("should");
+
+// defines the `__line` global used by the core modules
+require("../core/logger.js");
+
+var InvoiceCheckout = require("../core/checkout.js").InvoiceCheckout;
+var PaymentsProtocol = require("../core/payments-protocol.js").PaymentsProtocol;
+
+var fixtures = require("./support/fixtures.js");
+var silentLogger = fixtures.silentLogger;
+
+var createInvoice = function(number, status) {
+    return fixtures.createInvoice({
+        number: number,
+        merchantId: "merchant-1",
+        payerXEM: "TALICEROONSJCPHC63F52V6FY3SDMSVAEUGHMB7C",
+        recipientXEM: "TBNSUVPYJXLMVC6PSBPLOFMLYLZ3ZZ3VY7G5BBSK",
+        reference: "order-42",
+        description: "Coffee",
+        amount: 2500000,
+        amountPaid: 1000000,
+        status: status,
+        isPaid: status == "paid",
+        confirmations: 0,
+        confirmationsRequired: 2,
+        expiresAt: Date.UTC(2019, 4, 1, 12, 5, 0)
+    });
+};
+
+describe("InvoiceCheckout", function() {
+    var checkout, channels, queries;
+
+    beforeEach(function() {
+        channels = [];
+        queries = [];
+
+        // PaymentsProtocol stand-in recording the attached clients
+        var paymentsProtocol = {
+            attachClient: function(invoice, clientSocketId, callback) {
+                channels.push({ number: invoice.number, clientSocketId: clientSocketId });
+                callback(invoice);
+            }
+        };
+
+        var dataLayer = {
+            NEMPaymentChannel: {
+                findOne: function(query, callback) {
+                    queries.push(query);
+                    callback(null, createInvoice("NEM2PAY-1", "not_paid"));
+                }
+            }
+        };
+
+        checkout = new InvoiceCheckout(silentLogger, dataLayer, paymentsProtocol);
+    });
+
+    it("should find invoices by checkout token only", function(done) {
+        checkout.findInvoice("NEM2PAY-1", function(err, invoice) {
+            should(invoice).be.null;
+            queries.length.should.equal(0);
+
+            checkout.findInvoice("0f4c5e2a9b8d7c6e5f4a3b2c1d0e9f8a", function(err, invoice) {
+                invoice.number.should.equal("NEM2PAY-1");
+                queries.should.eql([{ checkoutToken: "0f4c5e2a9b8d7c6e5f4a3b2c1d0e9f8a" }]);
+                done();
+            });
+        });
+    });
+
+    it("should only expose public invoice data", function() {
+        var item = checkout.getCheckoutItem(createInvoice("NEM2PAY-1", "paid_partly"));
+
+        item.amount.should.equal("2.500000");
+        item.amountPaid.should.equal("1.000000");
+        item.mosaic.should.equal("nem:xem");
+        item.isMosaic.should.be.false;
+        item.recipient.should.equal("TBNSUVPYJXLMVC6PSBPLOFMLYLZ3ZZ3VY7G5BBSK");
+        item.message.should.equal("NEM2PAY-1");
+        item.expiresAt.should.equal("2019-05-01T12:05:00.000Z");
+        item.isFinal.should.be.false;
+
+        should.not.exist(item.payer);
+        should.not.exist(item.reference);
+        should.not.exist(item.merchantId);
+    });
+
+    it("should attach a client to the payment channel of open invoices once", function(done) {
+        var socket = { id: "client-1" };
+
+        checkout.openChannel(createInvoice("NEM2PAY-1", "not_paid"), socket, function() {
+            checkout.openChannel(createInvoice("NEM2PAY-1", "not_paid"), socket, function() {
+                checkout.openChannel(createInvoice("NEM2PAY-2", "not_paid"), null, function() {
+                    checkout.openChannel(createInvoice("NEM2PAY-3", "expired"), { id: "client-2" }, function(invoice) {
+                        invoice.number.should.equal("NEM2PAY-3");
+
+                        channels.should.eql([{ number: "NEM2PAY-1", clientSocketId: "client-1" }]);
+                        done();
+                    });
+                });
+            });
+        });
+    });
+
+    it("should open the checkout of a token on the client socket", function(done) {
+        var socket = { id: "client-1" };
+
+        checkout.openCheckout("unknown", socket, function(err, invoice) {
+            should(invoice).be.null;
+            channels.length.should.equal(0);
+
+            checkout.openCheckout("0f4c5e2a9b8d7c6e5f4a3b2c1d0e9f8a", socket, function(err, invoice) {
+                should.not.exist(err);
+                invoice.number.should.equal("NEM2PAY-1");
+                socket.checkoutInvoice.should.equal("NEM2PAY-1");
+                channels.should.eql([{ number: "NEM2PAY-1", clientSocketId: "client-1" }]);
+                done();
+            });
+        });
+    });
+});
+
+describe("PaymentsProtocol checkout channels", function() {
+    var protocol, emitted, forgotten;
+
+    before(function() {
+        process.env["PAYMENT_LISTENER"] = "nis";
+    });
+
+    after(function() {
+        delete process.env["PAYMENT_LISTENER"];
+    });
+
+    beforeEach(function() {
+        emitted = [];
+        forgotten = [];
+
+        // Socket.IO server stand-in recording the events sent to clients
+        var io = {
+            sockets: {
+                to: function(clientId) {
+                    return {
+                        emit: function(event, data) {
+                            emitted.push({ clientId: clientId, event: event });
+                        }
+                    };
+                }
+            }
+        };
+
+        var paymentListener = {
+            watch: function() {},
+            forget: function(number) { forgotten.push(number); }
+        };
+
+        protocol = new PaymentsProtocol(io, silentLogger, null, null, null, null, paymentListener);
+    });
+
+    it("should close the payment channel of paid invoices", function(done) {
+        var invoice = createInvoice("NEM2PAY-60", "paid");
+
+        protocol.attachClient(invoice, "client-1", function() {
+            protocol.attachClient(invoice, "client-2", function() {
+                protocol.processPaymentChannelSuccess(invoice);
+                protocol.processPaymentChannelSuccess(invoice);
+
+                emitted.should.eql([
+                    { clientId: "client-1", event: "nem2pay_payment_success" },
+                    { clientId: "client-2", event: "nem2pay_payment_success" }
+                ]);
+                forgotten.should.containEql("NEM2PAY-60");
+
+                // a new client opens a new channel
+                invoice.saved = 0;
+                protocol.attachClient(invoice, "client-3", function() {
+                    invoice.saved.should.equal(1);
+                    done();
+                });
+            });
+        });
+    });
+});
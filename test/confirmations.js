@@ -0,0 +1,130 @@
+/**
+ * Part of the evias/nem2pay package.
+ *
+ * NOTICE OF LICENSE
+ *
+ * Licensed under MIT License.
+ *
+ * This source file is subject to the MIT License that is
+ * bundled with this package in the LICENSE file.
+ *
+ * @package    evias/nem2pay
+ * @author     Grégory Saive <greg@evias.be> (https://github.com/evias)
+ * @license    MIT License
+ * @copyright  (c) 2019, Grégory Saive <greg@evias.be>
+ * @link       https://github.com/evias/nem2pay
+ */
+
+var should = require("should"),
+    nem = require("nem-sdk").default;
+
+// defines the `__line` global used by the core modules
+require("../core/logger.js");
+
+var MockChainAdapter = require("../core/chain-adapters/mock.js").MockChainAdapter;
+var helpers = require("../core/helpers.js").service;
+var PaymentsProtocol = require("../core/payments-protocol.js").PaymentsProtocol;
+
+var fixtures = require("./support/fixtures.js");
+var silentLogger = fixtures.silentLogger;
+
+var RECIPIENT = "TBNSUVPYJXLMVC6PSBPLOFMLYLZ3ZZ3VY7G5BBSK";
+
+// NEMPaymentChannel stand-in requiring `confirmationsRequired` confirmations.
+var createInvoice = function(number, amount, confirmationsRequired) {
+    return fixtures.createInvoice({
+        number: number,
+        recipientXEM: RECIPIENT,
+        amount: amount,
+        confirmationsRequired: confirmationsRequired
+    });
+};
+
+describe("Confirmation depth", function() {
+    var adapter, protocol, invoices;
+
+    beforeEach(function() {
+        adapter = new MockChainAdapter(nem);
+        invoices = {};
+
+        var dataLayer = {
+            NEMPaymentChannel: {
+                findOne: function(query, callback) {
+                    callback(null, invoices[query.number] || null);
+                }
+            },
+            getRecipientPrivateKey: function(address, callback) {
+                callback(null, null);
+            }
+        };
+
+        protocol = new PaymentsProtocol(null, silentLogger, new helpers(null, nem, silentLogger, adapter), dataLayer);
+    });
+
+    it("should keep invoices confirming until the required depth is reached", function(done) {
+        var invoice = createInvoice("NEM2PAY-1", 3000000, 3);
+
+        adapter.setChainHeight(10);
+        adapter.addTransfer({ recipient: RECIPIENT, amount: 3000000, message: "NEM2PAY-1", height: 10 });
+
+        protocol.fetchInvoicesRealHistory(RECIPIENT, [invoice], null, function(history) {
+            invoice.status.should.equal("confirming");
+            invoice.isPaid.should.be.false;
+            invoice.paymentHeight.should.equal(10);
+            invoice.confirmations.should.equal(1);
+
+            adapter.setChainHeight(12);
+            protocol.fetchInvoicesRealHistory(RECIPIENT, [invoice], null, function() {
+                invoice.status.should.equal("paid");
+                invoice.isPaid.should.be.true;
+                invoice.confirmations.should.equal(3);
+                done();
+            });
+        });
+    });
+
+    it("should count confirmations from the transaction completing the payment", function() {
+        var invoice = createInvoice("NEM2PAY-2", 3000000, 2);
+        var first = adapter.addTransfer({ recipient: RECIPIENT, amount: 1000000, height: 8 });
+        var second = adapter.addTransfer({ recipient: RECIPIENT, amount: 2000000, height: 5 });
+        var third = adapter.addTransfer({ recipient: RECIPIENT, amount: 2000000, height: 9 });
+
+        protocol.getPaymentHeight([third, first, second], invoice).should.equal(8);
+        should(protocol.getPaymentHeight([first], invoice)).be.null;
+    });
+
+    it("should report the confirmation progress of NEMBot payments", function(done) {
+        var invoice = createInvoice("NEM2PAY-3", 1000000, 6);
+        invoices[invoice.number] = invoice;
+
+        protocol.processPaymentChannelSuccess = function() {
+            done(new Error("Invoice should not be paid."));
+        };
+
+        protocol.emitConfirmations = function(confirming) {
+            confirming.status.should.equal("confirming");
+            confirming.isPaid.should.be.false;
+            confirming.confirmations.should.equal(1);
+            confirming.paymentHeight.should.equal(42);
+            done();
+        };
+
+        protocol.storeInvoiceStatusUpdate({ status: "paid", message: "NEM2PAY-3", amountPaid: 1000000, height: 42 });
+    });
+
+    it("should mark invoices paid on overpaid NEMBot updates", function(done) {
+        var invoice = createInvoice("NEM2PAY-4", 1000000, 1);
+        invoices[invoice.number] = invoice;
+
+        protocol.processPaymentChannelSuccess = function(paid) {
+            paid.status.should.equal("overpaid");
+            paid.isPaid.should.be.true;
+            paid.paidAt.should.be.above(0);
+            paid.confirmations.should.equal(1);
+            paid.paymentHeight.should.equal(43);
+            done();
+        };
+
+        protocol.storeInvoiceStatusUpdate({ status: "overpaid", message: "NEM2PAY-4", amountPaid: 1500000, height: 43 });
+    });
+});
@@ -0,0 +1,127 @@
+/**
+ * Part of the evias/nem2pay package.
+ *
+ * NOTICE OF LICENSE
+ *
+ * Licensed under MIT License.
+ *
+ * This source file is subject to the MIT License that is
+ * bundled with this package in the LICENSE file.
+ *
+ * @package    evias/nem2pay
+ * @author     Grégory Saive <greg@evias.be> (https://github.com/evias)
+ * @license    MIT License
+ * @copyright  (c) 2019, Grégory Saive <greg@evias.be>
+ * @link       https://github.com/evias/nem2pay
+ */
+
+var should = require("should"),
+    nem = require("nem-sdk").default;
+
+// defines the `__line` global used by the core modules
+require("../core/logger.js");
+
+var MockChainAdapter = require("../core/chain-adapters/mock.js").MockChainAdapter;
+var helpers = require("../core/helpers.js").service;
+var DepositAccounts = require("../core/deposit-accounts.js").DepositAccounts;
+var PaymentsProtocol = require("../core/payments-protocol.js").PaymentsProtocol;
+
+var silentLogger = require("./support/fixtures.js").silentLogger;
+
+// Merchant model stand-in supporting the deposit account updates.
+var createDataLayer = function(merchant) {
+    return {
+        Merchant: {
+            findOneAndUpdate: function(query, update, options, callback) {
+                if (update.$set && merchant.depositSeed)
+                    return callback(null, null);
+
+                if (update.$set)
+                    merchant.depositSeed = update.$set.depositSeed;
+
+                if (update.$inc)
+                    merchant.depositIndex += update.$inc.depositIndex;
+
+                callback(null, merchant);
+            },
+            findById: function(id, callback) {
+                callback(null, merchant);
+            }
+        }
+    };
+};
+
+describe("DepositAccounts", function() {
+    var adapter, NEMHelpers, merchant, deposits;
+
+    beforeEach(function() {
+        adapter = new MockChainAdapter(nem);
+        NEMHelpers = new helpers(null, nem, silentLogger, adapter);
+        merchant = { _id: "merchant-1", depositIndex: 0 };
+        deposits = new DepositAccounts(silentLogger, NEMHelpers, createDataLayer(merchant));
+    });
+
+    it("should derive deposit accounts deterministically", function() {
+        var first = deposits.derive("seed", 1);
+        var again = deposits.derive("seed", 1);
+        var second = deposits.derive("seed", 2);
+        var otherMerchant = deposits.derive("other-seed", 1);
+
+        first.address.should.equal(again.address);
+        first.address.should.not.equal(second.address);
+        first.address.should.not.equal(otherMerchant.address);
+        nem.model.address.isValid(first.address).should.be.true;
+
+        var keyPair = nem.crypto.keyPair.create(first.privateKey);
+        keyPair.publicKey.toString().should.equal(first.publicKey);
+    });
+
+    it("should allocate accounts with encrypted private keys and seeds", function(done) {
+        deposits.allocate(merchant, function(err, first) {
+            should.not.exist(err);
+            first.index.should.equal(1);
+
+            var seed = deposits.decrypt(merchant.depositSeed);
+            seed.length.should.equal(64);
+            merchant.depositSeed.should.not.equal(seed);
+
+            var privateKey = deposits.decrypt(first.encryptedKey);
+            first.encryptedKey.should.not.equal(privateKey);
+            deposits.derive(seed, 1).privateKey.should.equal(privateKey);
+            deposits.derive(seed, 1).address.should.equal(first.address);
+
+            deposits.allocate(merchant, function(err, second) {
+                second.index.should.equal(2);
+                second.address.should.not.equal(first.address);
+                deposits.decrypt(merchant.depositSeed).should.equal(seed);
+                done();
+            });
+        });
+    });
+
+    it("should count any transfer to a deposit account as payment", function(done) {
+        var account = deposits.derive("seed", 1);
+        var protocol = new PaymentsProtocol(null, silentLogger, NEMHelpers, null);
+        var invoice = {
+            number: "NEM2PAY-1",
+            recipientXEM: account.address,
+            isDepositAccount: true,
+            amount: 3000000,
+            amountPaid: 0,
+            status: "not_paid",
+            isPaid: false,
+            getMosaic: function() { return "nem:xem"; },
+            getDivisibility: function() { return 6; }
+        };
+
+        adapter.addTransfer({ recipient: account.address, amount: 1000000 });
+        adapter.addTransfer({ recipient: account.address, amount: 2000000, message: "thanks!" });
+
+        protocol.fetchInvoicesRealHistory(account.address, [invoice], null, function(history) {
+            history["NEM2PAY-1"].transactions.length.should.equal(2);
+            invoice.amountPaid.should.equal(3000000);
+            invoice.status.should.equal("paid");
+            done();
+        });
+    });
+});
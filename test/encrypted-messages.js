@@ -0,0 +1,132 @@
+/**
+ * Part of the evias/nem2pay package.
+ *
+ * NOTICE OF LICENSE
+ *
+ * Licensed under MIT License.
+ *
+ * This source file is subject to the MIT License that is
+ * bundled with this package in the LICENSE file.
+ *
+ * @package    evias/nem2pay
+ * @author     Grégory Saive <greg@evias.be> (https://github.com/evias)
+ * @license    MIT License
+ * @copyright  (c) 2019, Grégory Saive <greg@evias.be>
+ * @link       https://github.com/evias/nem2pay
+ */
+
+var should = require("should"),
+    nem = require("nem-sdk").default;
+
+// defines the `__line` global used by the core modules
+require("../core/logger.js");
+
+var MockChainAdapter = require("../core/chain-adapters/mock.js").MockChainAdapter;
+var helpers = require("../core/helpers.js").service;
+var PaymentsProtocol = require("../core/payments-protocol.js").PaymentsProtocol;
+var NISPaymentListener = require("../core/nis-listener.js").NISPaymentListener;
+
+var fixtures = require("./support/fixtures.js");
+var silentLogger = fixtures.silentLogger;
+
+var RECIPIENT_KEY = "c5d2a2a0b0dfa53bd5b8e6e5b2e7b2b1e1a4f2fa43f3ac4a2dd5a8d6a4c8d3f1";
+var PAYER_KEY = "1b3d7f5a4c2e9d8b6a5f4e3d2c1b0a99887766554433221100ffeeddccbbaa99";
+
+var RECIPIENT_PUBLIC = nem.crypto.keyPair.create(RECIPIENT_KEY).publicKey.toString();
+var PAYER_PUBLIC = nem.crypto.keyPair.create(PAYER_KEY).publicKey.toString();
+
+// encrypt `message` the way NEM wallets do.
+var encryptMessage = function(message) {
+    return nem.crypto.helpers.encode(PAYER_KEY, RECIPIENT_PUBLIC, message);
+};
+
+var createInvoice = function(number, recipient, amount) {
+    return fixtures.createInvoice({ number: number, recipientXEM: recipient, amount: amount });
+};
+
+describe("Encrypted messages", function() {
+    var adapter, NEMHelpers, recipient, invoices, dataLayer;
+
+    // script a transfer with an encrypted message
+    var addEncryptedTransfer = function(amount, message) {
+        var transfer = adapter.addTransfer({ recipient: recipient, amount: amount, signer: PAYER_PUBLIC });
+        transfer.transaction.message = { type: 2, payload: encryptMessage(message) };
+        return transfer;
+    };
+
+    beforeEach(function() {
+        adapter = new MockChainAdapter(nem);
+        NEMHelpers = new helpers(null, nem, silentLogger, adapter);
+        recipient = nem.model.address.toAddress(RECIPIENT_PUBLIC, NEMHelpers.getNetwork().config.id);
+        invoices = {};
+
+        dataLayer = {
+            NEMPaymentChannel: {
+                findOne: function(query, callback) {
+                    var number = query.number || (query.$or && query.$or[1] && query.$or[1].number);
+                    callback(null, invoices[number] || null);
+                }
+            },
+            getRecipientPrivateKey: function(address, callback) {
+                callback(null, address == recipient ? RECIPIENT_KEY : null);
+            }
+        };
+    });
+
+    it("should decrypt messages only with the recipient private key", function() {
+        var transfer = addEncryptedTransfer(1, "NEM2PAY-42");
+
+        NEMHelpers.getTransactionMessage(transfer, RECIPIENT_KEY).should.equal("NEM2PAY-42");
+        NEMHelpers.getTransactionMessage(transfer).should.equal("");
+        NEMHelpers.getTransactionMessage(transfer, PAYER_KEY).should.not.equal("NEM2PAY-42");
+    });
+
+    it("should match encrypted invoice references when reconciling", function(done) {
+        var invoice = createInvoice("NEM2PAY-1", recipient, 3000000);
+        var protocol = new PaymentsProtocol(null, silentLogger, NEMHelpers, dataLayer);
+
+        addEncryptedTransfer(3000000, "NEM2PAY-1");
+
+        protocol.fetchInvoicesRealHistory(recipient, [invoice], null, function(history) {
+            history["NEM2PAY-1"].transactions.length.should.equal(1);
+            invoice.amountPaid.should.equal(3000000);
+            invoice.status.should.equal("paid");
+            done();
+        });
+    });
+
+    it("should match encrypted invoice references in listener updates", function(done) {
+        invoices["NEM2PAY-2"] = createInvoice("NEM2PAY-2", recipient, 5000000);
+
+        var listener = new NISPaymentListener(silentLogger, NEMHelpers, dataLayer);
+        var transfer = addEncryptedTransfer(2000000, "nem2pay-2");
+
+        listener.getStatusUpdate(recipient, transfer, true, function(err, data) {
+            should.not.exist(err);
+            data.message.should.equal("NEM2PAY-2");
+            data.status.should.equal("paid_partly");
+            done();
+        });
+    });
+
+    it("should decrypt encrypted messages of NEMBot updates", function(done) {
+        var invoice = createInvoice("NEM2PAY-3", recipient, 1000000);
+        invoices["NEM2PAY-3"] = invoice;
+
+        var protocol = new PaymentsProtocol(null, silentLogger, NEMHelpers, dataLayer);
+        protocol.processPaymentChannelSuccess = function(paid) {
+            paid.number.should.equal("NEM2PAY-3");
+            paid.status.should.equal("paid");
+            done();
+        };
+
+        protocol.storeInvoiceStatusUpdate({
+            status: "paid",
+            messageType: 2,
+            message: encryptMessage("NEM2PAY-3"),
+            signer: PAYER_PUBLIC,
+            recipient: recipient,
+            amountPaid: 1000000
+        });
+    });
+});
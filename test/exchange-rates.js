@@ -0,0 +1,284 @@
+/**
+ * Part of the evias/nem2pay package.
+ *
+ * NOTICE OF LICENSE
+ *
+ * Licensed under MIT License.
+ *
+ * This source file is subject to the MIT License that is
+ * bundled with this package in the LICENSE file.
+ *
+ * @package    evias/nem2pay
+ * @author     Grégory Saive <greg@evias.be> (https://github.com/evias)
+ * @license    MIT License
+ * @copyright  (c) 2019, Grégory Saive <greg@evias.be>
+ * @link       https://github.com/evias/nem2pay
+ */
+
+var should = require("should"),
+    fs = require("fs"),
+    os = require("os"),
+    path = require("path");
+
+// defines the `__line` global used by the core modules
+require("../core/logger.js");
+
+var ExchangeRates = require("../core/exchange-rates.js").ExchangeRates;
+var StaticFileRateProvider = require("../core/exchange-rates.js").StaticFileRateProvider;
+var PaymentsProtocol = require("../core/payments-protocol.js").PaymentsProtocol;
+
+var fixtures = require("./support/fixtures.js");
+var silentLogger = fixtures.silentLogger;
+
+var MINUTE = 60 * 1000;
+
+// exchange rate provider stand-in with fixed rates
+var createProvider = function(rates) {
+    return {
+        getName: function() { return "fixed"; },
+        getRate: function(fiatCurrency, mosaicSlug) {
+            return Promise.resolve(rates[mosaicSlug + "/" + fiatCurrency]);
+        }
+    };
+};
+
+var expectRejection = function(promise, message) {
+    return promise.then(function() {
+        throw new Error("quote should have been rejected");
+    }, function(err) {
+        err.message.should.equal(message);
+    });
+};
+
+describe("ExchangeRates", function() {
+    var exchangeRates;
+
+    beforeEach(function() {
+        exchangeRates = new ExchangeRates(silentLogger);
+        exchangeRates.registerProvider("fixed", createProvider({
+            "nem:xem/EUR": 0.03,
+            "evias.nem2pay:loyalty/EUR": 0.7,
+            "nem:xem/USD": 0
+        }));
+
+        process.env["EXCHANGE_RATES_PROVIDER"] = "fixed";
+    });
+
+    afterEach(function() {
+        delete process.env["EXCHANGE_RATES_PROVIDER"];
+    });
+
+    it("should round quoted amounts up to the divisibility of the mosaic", function() {
+        return Promise.all([
+            exchangeRates.quote("EUR", 1, "nem:xem", 6),
+            exchangeRates.quote("EUR", 10, "evias.nem2pay:loyalty", 2),
+            exchangeRates.quote("EUR", 1, "nem:xem", 0)
+        ]).then(function(quotes) {
+            // 33.333333.. XEM, 14.2857.. loyalty and 33.33.. whole XEM
+            quotes.map(function(quote) { return quote.amount; }).should.eql([33333334, 1429, 34]);
+
+            quotes[0].rate.should.equal(0.03);
+            quotes[0].source.should.equal("fixed");
+            (quotes[0].expiresAt - quotes[0].quotedAt).should.equal(15 * MINUTE);
+        });
+    });
+
+    it("should reject quotes with an unknown provider", function() {
+        process.env["EXCHANGE_RATES_PROVIDER"] = "missing";
+
+        return expectRejection(exchangeRates.quote("EUR", 1, "nem:xem", 6), "Unknown exchange rates provider: missing");
+    });
+
+    it("should reject quotes without valid exchange rate", function() {
+        return expectRejection(exchangeRates.quote("GBP", 1, "nem:xem", 6), "Invalid exchange rate for nem:xem in GBP.").then(function() {
+            return expectRejection(exchangeRates.quote("USD", 1, "nem:xem", 6), "Invalid exchange rate for nem:xem in USD.");
+        });
+    });
+
+    describe("static file provider", function() {
+        var filePath = path.join(os.tmpdir(), "nem2pay-exchange-rates-" + process.pid + ".json");
+
+        beforeEach(function() {
+            fs.writeFileSync(filePath, JSON.stringify({ "nem:xem": { "EUR": 0.05 } }));
+            exchangeRates.registerProvider("file", new StaticFileRateProvider(filePath));
+            process.env["EXCHANGE_RATES_PROVIDER"] = "file";
+        });
+
+        afterEach(function() {
+            if (fs.existsSync(filePath))
+                fs.unlinkSync(filePath);
+        });
+
+        it("should quote with the rates of the file", function() {
+            return exchangeRates.quote("EUR", 2, "nem:xem", 6).then(function(quote) {
+                quote.amount.should.equal(40000000);
+                quote.source.should.equal("static:" + path.basename(filePath));
+            });
+        });
+
+        it("should reject currencies and mosaics missing in the file", function() {
+            return expectRejection(exchangeRates.quote("USD", 1, "nem:xem", 6), "No exchange rate for nem:xem in USD.").then(function() {
+                return expectRejection(exchangeRates.quote("EUR", 1, "evias.nem2pay:loyalty", 2), "No exchange rate for evias.nem2pay:loyalty in EUR.");
+            });
+        });
+
+        it("should reject quotes when the file can not be read", function() {
+            fs.unlinkSync(filePath);
+
+            return exchangeRates.quote("EUR", 1, "nem:xem", 6).then(function() {
+                throw new Error("quote should have been rejected");
+            }, function(err) {
+                err.message.should.match(/^Could not read exchange rates file /);
+            });
+        });
+    });
+});
+
+describe("PaymentsProtocol expired quotes", function() {
+    var protocol, invoices, emitted, webhooks, quoteError;
+
+    before(function() {
+        process.env["PAYMENT_LISTENER"] = "nis";
+    });
+
+    after(function() {
+        delete process.env["PAYMENT_LISTENER"];
+    });
+
+    beforeEach(function() {
+        invoices = [];
+        emitted = [];
+        webhooks = [];
+        quoteError = null;
+
+        // Socket.IO server stand-in recording the events sent to clients
+        var io = {
+            sockets: {
+                to: function(clientId) {
+                    return {
+                        emit: function(event, data) {
+                            emitted.push({ clientId: clientId, event: event, data: JSON.parse(data) });
+                        }
+                    };
+                }
+            }
+        };
+
+        var dataLayer = {
+            NEMPaymentChannel: {
+                find: function(query, callback) {
+                    callback(null, invoices.filter(function(invoice) { return fixtures.matchesQuery(invoice, query); }));
+                }
+            }
+        };
+
+        var webhookQueue = {
+            enqueue: function(invoice, event) {
+                webhooks.push({ number: invoice.number, event: event });
+            }
+        };
+
+        // quotes 1 fiat unit for 25 mosaic units
+        var exchangeRates = {
+            quote: function(fiatCurrency, fiatAmount, mosaicSlug, divisibility) {
+                if (quoteError)
+                    return Promise.reject(quoteError);
+
+                return Promise.resolve({
+                    amount: fiatAmount * 25 * Math.pow(10, divisibility),
+                    rate: 0.04,
+                    source: "fixed",
+                    quotedAt: 100,
+                    expiresAt: 200
+                });
+            }
+        };
+
+        var paymentListener = {
+            watch: function() {},
+            forget: function() {}
+        };
+
+        protocol = new PaymentsProtocol(io, silentLogger, null, dataLayer, webhookQueue, exchangeRates, paymentListener);
+    });
+
+    afterEach(function() {
+        delete process.env["EXCHANGE_RATES_ON_QUOTE_EXPIRY"];
+    });
+
+    var addInvoice = function(fields) {
+        var invoice = fixtures.createInvoice(Object.assign({
+            fiatCurrency: "EUR",
+            fiatAmount: 2,
+            amount: 40000000,
+            exchangeRate: 0.05,
+            quoteExpiresAt: new Date().valueOf() - MINUTE,
+            getQRData: function() { return "{}"; }
+        }, fields));
+
+        invoices.push(invoice);
+        return invoice;
+    };
+
+    it("should re-quote unpaid invoices with an expired quote", function(done) {
+        var expired = addInvoice({ number: "NEM2PAY-QUOTE-1" });
+        addInvoice({ number: "NEM2PAY-QUOTE-2", quoteExpiresAt: new Date().valueOf() + MINUTE });
+        addInvoice({ number: "NEM2PAY-QUOTE-3", status: "paid_partly", amountPaid: 1000000 });
+
+        protocol.attachClient(expired, "client-1", function() {
+            protocol.refreshExpiredQuotes(function(err, updated) {
+                should.not.exist(err);
+                updated.map(function(invoice) { return invoice.number; }).should.eql(["NEM2PAY-QUOTE-1"]);
+
+                expired.should.have.properties({
+                    status: "not_paid",
+                    amount: 50000000,
+                    exchangeRate: 0.04,
+                    exchangeRateSource: "fixed",
+                    quotedAt: 100,
+                    quoteExpiresAt: 200
+                });
+
+                invoices[1].amount.should.equal(40000000);
+                invoices[2].amount.should.equal(40000000);
+
+                emitted.length.should.equal(1);
+                emitted[0].event.should.equal("nem2pay_payment_requoted");
+                emitted[0].data.should.have.properties({ number: "NEM2PAY-QUOTE-1", amount: 50000000, exchangeRate: 0.04 });
+                webhooks.length.should.equal(0);
+                done();
+            });
+        });
+    });
+
+    it("should keep the quote when the exchange rate can not be read", function(done) {
+        var invoice = addInvoice({ number: "NEM2PAY-QUOTE-10" });
+        quoteError = new Error("No exchange rate for nem:xem in EUR.");
+
+        protocol.refreshExpiredQuotes(function(err, updated) {
+            should.not.exist(err);
+            updated.length.should.equal(0);
+            invoice.amount.should.equal(40000000);
+            invoice.saved.should.equal(0);
+            done();
+        });
+    });
+
+    it("should expire invoices with an expired quote when configured", function(done) {
+        process.env["EXCHANGE_RATES_ON_QUOTE_EXPIRY"] = "expire";
+        var invoice = addInvoice({ number: "NEM2PAY-QUOTE-20", status: "identified" });
+
+        protocol.attachClient(invoice, "client-2", function() {
+            protocol.refreshExpiredQuotes(function(err, updated) {
+                should.not.exist(err);
+                updated.length.should.equal(1);
+
+                invoice.status.should.equal("expired");
+                invoice.amount.should.equal(40000000);
+                webhooks.should.eql([{ number: "NEM2PAY-QUOTE-20", event: "expired" }]);
+                emitted.map(function(entry) { return entry.event; }).should.eql(["nem2pay_payment_expired"]);
+                done();
+            });
+        });
+    });
+});
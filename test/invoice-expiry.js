@@ -0,0 +1,196 @@
+/**
+ * Part of the evias/nem2pay package.
+ *
+ * NOTICE OF LICENSE
+ *
+ * Licensed under MIT License.
+ *
+ * This source file is subject to the MIT License that is
+ * bundled with this package in the LICENSE file.
+ *
+ * @package    evias/nem2pay
+ * @author     Grégory Saive <greg@evias.be> (https://github.com/evias)
+ * @license    MIT License
+ * @copyright  (c) 2019, Grégory Saive <greg@evias.be>
+ * @link       https://github.com/evias/nem2pay
+ */
+
+var should = require("should");
+
+// defines the `__line` global used by the core modules
+require("../core/logger.js");
+
+var PaymentsProtocol = require("../core/payments-protocol.js").PaymentsProtocol;
+var NEM2PayCrons = require("../core/crons.js").NEM2PayCrons;
+
+var fixtures = require("./support/fixtures.js");
+var silentLogger = fixtures.silentLogger;
+
+var MINUTE = 60 * 1000;
+
+describe("PaymentsProtocol invoice expiry", function() {
+    var protocol, invoices, emitted, forgotten, webhooks;
+
+    before(function() {
+        process.env["PAYMENT_LISTENER"] = "nis";
+        process.env["INVOICE_TTL"] = "30";
+    });
+
+    after(function() {
+        delete process.env["PAYMENT_LISTENER"];
+        delete process.env["INVOICE_TTL"];
+    });
+
+    beforeEach(function() {
+        invoices = [];
+        emitted = [];
+        forgotten = [];
+        webhooks = [];
+
+        // Socket.IO server stand-in recording the events sent to clients
+        var io = {
+            sockets: {
+                to: function(clientId) {
+                    return {
+                        emit: function(event, data) {
+                            emitted.push({ clientId: clientId, event: event, data: JSON.parse(data) });
+                        }
+                    };
+                }
+            }
+        };
+
+        var dataLayer = {
+            NEMPaymentChannel: {
+                find: function(query, callback) {
+                    callback(null, invoices.filter(function(invoice) { return fixtures.matchesQuery(invoice, query); }));
+                }
+            }
+        };
+
+        var webhookQueue = {
+            enqueue: function(invoice, event) {
+                webhooks.push({ number: invoice.number, event: event });
+            }
+        };
+
+        var paymentListener = {
+            watch: function() {},
+            forget: function(number) { forgotten.push(number); }
+        };
+
+        protocol = new PaymentsProtocol(io, silentLogger, null, dataLayer, webhookQueue, null, paymentListener);
+    });
+
+    var addInvoice = function(fields) {
+        var invoice = fixtures.createInvoice(fields);
+        invoices.push(invoice);
+        return invoice;
+    };
+
+    it("should expire unpaid invoices once their Time To Live is reached", function(done) {
+        var now = new Date().valueOf();
+
+        addInvoice({ number: "NEM2PAY-EXP-1", status: "not_paid", expiresAt: now - MINUTE });
+        addInvoice({ number: "NEM2PAY-EXP-2", status: "identified", createdAt: now - 31 * MINUTE });
+        addInvoice({ number: "NEM2PAY-EXP-3", status: "not_paid", expiresAt: now + MINUTE });
+        addInvoice({ number: "NEM2PAY-EXP-4", status: "not_paid", createdAt: now - 29 * MINUTE });
+        addInvoice({ number: "NEM2PAY-EXP-5", status: "unconfirmed", expiresAt: now - MINUTE });
+        addInvoice({ number: "NEM2PAY-EXP-6", status: "paid", isPaid: true, expiresAt: now - MINUTE });
+
+        protocol.expireInvoices(function(err, expired) {
+            should.not.exist(err);
+            expired.map(function(invoice) { return invoice.number; }).should.eql(["NEM2PAY-EXP-1", "NEM2PAY-EXP-2"]);
+
+            invoices.map(function(invoice) { return invoice.status; })
+                .should.eql(["expired", "expired", "not_paid", "not_paid", "unconfirmed", "paid"]);
+
+            expired[0].saved.should.equal(1);
+            expired[0].statusHistory[0].should.have.properties({ from: "not_paid", status: "expired", source: "reconciler" });
+            webhooks.should.eql([
+                { number: "NEM2PAY-EXP-1", event: "expired" },
+                { number: "NEM2PAY-EXP-2", event: "expired" }
+            ]);
+            forgotten.should.eql(["NEM2PAY-EXP-1", "NEM2PAY-EXP-2"]);
+            done();
+        });
+    });
+
+    it("should flag partially paid invoices for review unless partial payments are accepted", function(done) {
+        var now = new Date().valueOf();
+
+        addInvoice({ number: "NEM2PAY-EXP-10", status: "paid_partly", amount: 2000000, amountPaid: 1000000, expiresAt: now - MINUTE });
+        addInvoice({ number: "NEM2PAY-EXP-11", status: "paid_partly", amount: 2000000, amountPaid: 1000000, acceptPartial: true, expiresAt: now - MINUTE });
+
+        protocol.expireInvoices(function(err, expired) {
+            should.not.exist(err);
+            expired.length.should.equal(1);
+            expired[0].number.should.equal("NEM2PAY-EXP-10");
+            expired[0].needsReview.should.be.true;
+            expired[0].reviewReason.should.equal("Partial payment not accepted.");
+
+            invoices[1].status.should.equal("paid_partly");
+            done();
+        });
+    });
+
+    it("should send the expired event to attached clients and close the payment channel", function(done) {
+        var invoice = addInvoice({ number: "NEM2PAY-EXP-20", status: "not_paid", expiresAt: new Date().valueOf() - MINUTE });
+
+        protocol.attachClient(invoice, "client-1", function() {
+            protocol.attachClient(invoice, "client-2", function() {
+                protocol.expireInvoices(function(err, expired) {
+                    should.not.exist(err);
+                    expired.length.should.equal(1);
+
+                    emitted.should.eql([
+                        { clientId: "client-1", event: "nem2pay_payment_expired", data: { status: "expired", number: "NEM2PAY-EXP-20", expiresAt: invoice.expiresAt } },
+                        { clientId: "client-2", event: "nem2pay_payment_expired", data: { status: "expired", number: "NEM2PAY-EXP-20", expiresAt: invoice.expiresAt } }
+                    ]);
+
+                    // the channel is closed, clients are not notified twice
+                    protocol.processPaymentChannelExpiry(invoice).should.be.false;
+                    emitted.length.should.equal(2);
+                    done();
+                });
+            });
+        });
+    });
+});
+
+describe("NEM2PayCrons invoice expiry", function() {
+    var crons;
+
+    afterEach(function() {
+        crons.stop();
+    });
+
+    it("should skip runs until all tasks of the previous run are done", function() {
+        var pending = {};
+        var calls = 0;
+
+        // PaymentsProtocol stand-in holding the callbacks of the tasks
+        var paymentsProtocol = {};
+        ["expireInvoices", "processPartialTimeouts", "refreshExpiredQuotes"].forEach(function(task) {
+            paymentsProtocol[task] = function(callback) {
+                calls++;
+                pending[task] = callback;
+            };
+        });
+
+        crons = new NEM2PayCrons(silentLogger, paymentsProtocol, null, null, null);
+        var job = crons.startInvoiceExpiryJob();
+
+        job.fireOnTick();
+        calls.should.equal(3);
+
+        pending.expireInvoices(null, []);
+        pending.processPartialTimeouts(null, []);
+        job.fireOnTick();
+        calls.should.equal(3);
+
+        pending.refreshExpiredQuotes(null, []);
+        job.fireOnTick();
+        calls.should.equal(6);
+    });
+});
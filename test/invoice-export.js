@@ -0,0 +1,179 @@
+/**
+ * Part of the evias/nem2pay package.
+ *
+ * NOTICE OF LICENSE
+ *
+ * Licensed under MIT License.
+ *
+ * This source file is subject to the MIT License that is
+ * bundled with this package in the LICENSE file.
+ *
+ * @package    evias/nem2pay
+ * @author     Grégory Saive <greg@evias.be> (https://github.com/evias)
+ * @license    MIT License
+ * @copyright  (c) 2019, Grégory Saive <greg@evias.be>
+ * @link       https://github.com/evias/nem2pay
+ */
+
+var should = require("should"),
+    Writable = require("stream").Writable;
+
+// defines the `__line` global used by the core modules
+require("../core/logger.js");
+
+var InvoiceExporter = require("../core/invoice-export.js").InvoiceExporter;
+
+var fixtures = require("./support/fixtures.js");
+var silentLogger = fixtures.silentLogger;
+
+var createInvoice = function(number, amount, description) {
+    return fixtures.createInvoice({
+        number: number,
+        merchantId: "merchant-1",
+        status: "paid",
+        isPaid: true,
+        amount: amount,
+        amountPaid: amount,
+        payerXEM: "TALICEROONSJCPHC63F52V6FY3SDMSVAEUGHMB7C",
+        recipientXEM: "TBNSUVPYJXLMVC6PSBPLOFMLYLZ3ZZ3VY7G5BBSK",
+        description: description,
+        createdAt: Date.UTC(2019, 4, 1, 12, 0, 0),
+        paidAt: Date.UTC(2019, 4, 1, 12, 5, 0)
+    });
+};
+
+// output stream with a small buffer, to exercise back-pressure
+var createOutput = function() {
+    var output = new Writable({ highWaterMark: 16 });
+    output.data = "";
+    output._write = function(chunk, encoding, callback) {
+        output.data += chunk.toString();
+        setImmediate(callback);
+    };
+    return output;
+};
+
+describe("InvoiceExporter", function() {
+    var exporter, invoices, queries, cursorError, cntClosed;
+
+    beforeEach(function() {
+        invoices = [
+            createInvoice("NEM2PAY-1", 2500000, "Coffee, \"large\""),
+            createInvoice("NEM2PAY-2", 1000000, "=HYPERLINK(\"http://example\")")
+        ];
+        queries = [];
+        cursorError = null;
+        cntClosed = 0;
+
+        // NEMPaymentChannel stand-in serving invoices from a cursor
+        var dataLayer = {
+            NEMPaymentChannel: {
+                find: function(query) {
+                    queries.push(query);
+
+                    var index = 0;
+                    var cursor = {
+                        next: function(callback) {
+                            setImmediate(function() {
+                                if (cursorError && index == 1)
+                                    return callback(cursorError);
+
+                                callback(null, invoices[index++] || null);
+                            });
+                        },
+                        close: function() { cntClosed++; }
+                    };
+
+                    return { sort: function() { return { cursor: function() { return cursor; } }; } };
+                }
+            }
+        };
+
+        var ledger = {
+            getInvoiceTransactions: function(merchantId, number, callback) {
+                if (number != "NEM2PAY-1")
+                    return callback(null, []);
+
+                callback(null, [
+                    { hash: "hash-1", amount: 1500000, height: 10, timestamp: Date.UTC(2019, 4, 1, 12, 1, 0) },
+                    { hash: "hash-2", amount: 1000000, height: 11, timestamp: Date.UTC(2019, 4, 1, 12, 2, 0) }
+                ]);
+            }
+        };
+
+        exporter = new InvoiceExporter(silentLogger, dataLayer, ledger);
+    });
+
+    it("should filter invoices by merchant and creation date", function() {
+        exporter.getInvoiceQuery("merchant-1").should.eql({ merchantId: "merchant-1" });
+
+        var query = exporter.getInvoiceQuery("merchant-1", "2019-05-01", "2019-05-31");
+        query.createdAt.$gte.should.equal(Date.UTC(2019, 4, 1));
+        query.createdAt.$lt.should.equal(Date.UTC(2019, 5, 1));
+    });
+
+    it("should export invoices as CSV", function(done) {
+        var output = createOutput();
+
+        exporter.export("merchant-1", "2019-05-01", null, "csv", output, function(err, count) {
+            should.not.exist(err);
+            count.should.equal(2);
+            queries[0].merchantId.should.equal("merchant-1");
+
+            var lines = output.data.split("\r\n");
+            lines.length.should.equal(4);
+            lines[0].should.equal("number,status,mosaic,amount,amountPaid,fiatCurrency,fiatAmount,payer,recipient,reference,description,createdAt,paidAt,transactionHashes");
+            lines[1].should.equal("NEM2PAY-1,paid,nem:xem,2.5,2.5,,,TALICEROONSJCPHC63F52V6FY3SDMSVAEUGHMB7C,TBNSUVPYJXLMVC6PSBPLOFMLYLZ3ZZ3VY7G5BBSK,,\"Coffee, \"\"large\"\"\",2019-05-01T12:00:00.000Z,2019-05-01T12:05:00.000Z,hash-1;hash-2");
+            lines[2].should.containEql(",\"'=HYPERLINK(\"\"http://example\"\")\",");
+            lines[3].should.equal("");
+            done();
+        });
+    });
+
+    it("should export invoices as newline-delimited JSON", function(done) {
+        var output = createOutput();
+
+        exporter.export("merchant-1", null, null, "ndjson", output, function(err, count) {
+            should.not.exist(err);
+            count.should.equal(2);
+
+            var items = output.data.trim().split("\n").map(function(line) { return JSON.parse(line); });
+            items[0].number.should.equal("NEM2PAY-1");
+            items[0].amount.should.equal(2.5);
+            items[0].paidAt.should.equal("2019-05-01T12:05:00.000Z");
+            items[0].transactions.length.should.equal(2);
+            items[0].transactions[0].amount.should.equal(1.5);
+            items[0].transactions[0].timestamp.should.equal("2019-05-01T12:01:00.000Z");
+            items[1].transactions.length.should.equal(0);
+            done();
+        });
+    });
+
+    it("should close the cursor when reading invoices fails", function(done) {
+        cursorError = new Error("cursor killed");
+
+        exporter.export("merchant-1", null, null, "ndjson", createOutput(), function(err, count) {
+            err.message.should.equal("cursor killed");
+            count.should.equal(1);
+            cntClosed.should.equal(1);
+            done();
+        });
+    });
+
+    it("should stop and close the cursor when the output is closed", function(done) {
+        // output never draining, like a client which stopped reading
+        var output = new Writable({ highWaterMark: 16 });
+        output._write = function(chunk, encoding, callback) {};
+
+        exporter.export("merchant-1", null, null, "csv", output, function(err, count) {
+            should.exist(err);
+            count.should.equal(1);
+            cntClosed.should.equal(1);
+            done();
+        });
+
+        setImmediate(function() {
+            output.destroy();
+        });
+    });
+});
@@ -0,0 +1,224 @@
+/**
+ * Part of the evias/nem2pay package.
+ *
+ * NOTICE OF LICENSE
+ *
+ * Licensed under MIT License.
+ *
+ * This source file is subject to the MIT License that is
+ * bundled with this package in the LICENSE file.
+ *
+ * @package    evias/nem2pay
+ * @author     Grégory Saive <greg@evias.be> (https://github.com/evias)
+ * @license    MIT License
+ * @copyright  (c) 2019, Grégory Saive <greg@evias.be>
+ * @link       https://github.com/evias/nem2pay
+ */
+
+var should = require("should"),
+    nem = require("nem-sdk").default,
+    validator = require("express-validator");
+
+// defines the `__line` global used by the core modules
+require("../core/logger.js");
+
+var InvoiceRequestValidator = require("../core/invoice-requests.js").InvoiceRequestValidator;
+var PaymentsProtocol = require("../core/payments-protocol.js").PaymentsProtocol;
+
+var silentLogger = require("./support/fixtures.js").silentLogger;
+
+var RECIPIENT = "TBNSUVPYJXLMVC6PSBPLOFMLYLZ3ZZ3VY7G5BBSK";
+var PAYER = "TCTIMURL5LPKNJYF3OB3ACQVAXO3GK5IU2BJMPSU";
+
+// Merchant stand-in receiving payments on `RECIPIENT`
+var merchant = {
+    _id: "merchant-1",
+    getDefaultRecipient: function() { return RECIPIENT; },
+    getDefaultMosaic: function() { return "nem:xem"; },
+    isRecipient: function(address) { return address == RECIPIENT; },
+    getPaymentPolicy: function() { return { toleranceType: "absolute", tolerance: 0, confirmations: 1 }; }
+};
+
+describe("InvoiceRequestValidator", function() {
+    var requests = new InvoiceRequestValidator(silentLogger, { getSDK: function() { return nem; } });
+
+    // validate the request body `body` with the express-validator middleware of the app
+    var validate = function(body, callback) {
+        var req = { body: body, query: {}, params: {}, merchant: merchant };
+
+        validator()(req, {}, function() {
+            requests.validateCreate(req, callback);
+        });
+    };
+
+    var expectError = function(body, message, done) {
+        validate(body, function(err, invoiceData) {
+            should.exist(err);
+            err.message.should.equal(message);
+            should.not.exist(invoiceData);
+            done();
+        });
+    };
+
+    it("should build the invoice data of valid requests", function(done) {
+        validate({ amount: "2.5", description: "Coffee", reference: "order-42" }, function(err, invoiceData) {
+            should.not.exist(err);
+            invoiceData.should.have.properties({
+                merchantId: "merchant-1",
+                recipient: RECIPIENT,
+                mosaic: "nem:xem",
+                amount: 2.5,
+                description: "Coffee",
+                reference: "order-42"
+            });
+            should.not.exist(invoiceData.payer);
+            should.not.exist(invoiceData.fiatCurrency);
+            invoiceData.policy.confirmations.should.equal(1);
+            done();
+        });
+    });
+
+    it("should require a positive amount without fiat price", function(done) {
+        validate({}, function(err) {
+            err.message.should.equal("Invalid value for field `amount`.");
+            err.errors[0].param.should.equal("amount");
+
+            expectError({ amount: "0" }, "Invalid value for field `amount`.", function() {
+                expectError({ amount: "ten" }, "Invalid value for field `amount`.", done);
+            });
+        });
+    });
+
+    it("should validate fiat prices", function(done) {
+        validate({ fiatCurrency: "EUR", fiatAmount: "19.99" }, function(err, invoiceData) {
+            should.not.exist(err);
+            invoiceData.fiatCurrency.should.equal("EUR");
+            invoiceData.fiatAmount.should.equal(19.99);
+
+            expectError({ fiatCurrency: "euro", fiatAmount: "19.99" }, "Invalid value for field `fiatCurrency`.", function() {
+                expectError({ fiatCurrency: "EUR", fiatAmount: "0" }, "Invalid value for field `fiatAmount`.", done);
+            });
+        });
+    });
+
+    it("should validate the mosaic, description and reference", function(done) {
+        expectError({ amount: "1", mosaic: "xem" }, "Invalid value for field `mosaic`.", function() {
+            expectError({ amount: "1", description: new Array(257).join("a") }, "Invalid value for field `description`.", function() {
+                expectError({ amount: "1", reference: new Array(66).join("a") }, "Invalid value for field `reference`.", done);
+            });
+        });
+    });
+
+    it("should only accept recipients of the merchant", function(done) {
+        validate({ amount: "1", recipient: "tbnsuv-pyjxlm-vc6psb-plofml-ylz3zz-3vy7g5-bbsk" }, function(err, invoiceData) {
+            should.not.exist(err);
+            invoiceData.recipient.should.equal(RECIPIENT);
+
+            expectError({ amount: "1", recipient: PAYER }, "Invalid value for field `recipient`.", done);
+        });
+    });
+
+    it("should validate and normalize payer addresses", function(done) {
+        validate({ amount: "1", payer: "tctimu-rl5lpk-njyf3o-b3acqv-axo3gk-5iu2bj-mpsu" }, function(err, invoiceData) {
+            should.not.exist(err);
+            invoiceData.payer.should.equal(PAYER);
+
+            expectError({ amount: "1", payer: "TCTIMURL5LPKNJYF3OB3ACQVAXO3GK5IU2BJMPSX" }, "Invalid value for field `payer`.", function() {
+                // the merchant can not pay its own invoices
+                expectError({ amount: "1", payer: RECIPIENT }, "Invalid value for field `payer`.", done);
+            });
+        });
+    });
+});
+
+describe("PaymentsProtocol invoice creation", function() {
+    var protocol, quotes;
+
+    var divisibilities = {
+        "nem:xem": 6,
+        "evias.nem2pay:loyalty": 2,
+        "evias.nem2pay:ticket": 0
+    };
+
+    beforeEach(function() {
+        quotes = [];
+
+        // NEMPaymentChannel model stand-in
+        var NEMPaymentChannel = function(data) {
+            Object.assign(this, data);
+            this.save = function(callback) {
+                callback(null);
+            };
+        };
+
+        var chainDataLayer = {
+            getCurrency: function() { return "nem:xem"; },
+            getMosaicDefinition: function(mosaic) {
+                if (!divisibilities.hasOwnProperty(mosaic))
+                    return Promise.reject(new Error("Mosaic not found."));
+
+                return Promise.resolve({ divisibility: divisibilities[mosaic] });
+            }
+        };
+
+        var exchangeRates = {
+            quote: function(currency, fiatAmount, mosaic, divisibility) {
+                quotes.push({ currency: currency, fiatAmount: fiatAmount, mosaic: mosaic, divisibility: divisibility });
+                return Promise.resolve({ amount: 12345678, rate: 0.081, source: "static", quotedAt: 1, expiresAt: 2 });
+            }
+        };
+
+        protocol = new PaymentsProtocol(null, silentLogger, chainDataLayer, { NEMPaymentChannel: NEMPaymentChannel }, null, exchangeRates);
+        protocol.startPaymentChannel = function(invoice, clientSocketId, callback) {
+            callback(invoice);
+        };
+    });
+
+    var create = function(invoiceData) {
+        invoiceData.recipient = RECIPIENT;
+
+        return new Promise(function(resolve, reject) {
+            protocol.createInvoice(invoiceData, null, function(err, invoice) {
+                return err ? reject(err) : resolve(invoice);
+            });
+        });
+    };
+
+    it("should convert amounts to the smallest unit of the mosaic", function() {
+        return Promise.all([
+            create({ amount: 2.5 }),
+            create({ amount: 19.99, mosaic: "evias.nem2pay:loyalty" }),
+            create({ amount: 3, mosaic: "evias.nem2pay:ticket" }),
+            create({ amount: 0.1 + 0.2 })
+        ]).then(function(invoices) {
+            invoices.map(function(invoice) { return invoice.amount; }).should.eql([2500000, 1999, 3, 300000]);
+            invoices.map(function(invoice) { return invoice.paymentMosaicDivisibility; }).should.eql([6, 2, 0, 6]);
+            invoices[1].paymentMosaicSlug.should.equal("evias.nem2pay:loyalty");
+        });
+    });
+
+    it("should reject amounts too small for the divisibility of the mosaic", function() {
+        return create({ amount: 0.4, mosaic: "evias.nem2pay:ticket" }).then(function() {
+            throw new Error("invoice should not have been created");
+        }, function(err) {
+            err.message.should.equal("Amount too small for mosaic evias.nem2pay:ticket with divisibility 0.");
+        });
+    });
+
+    it("should reject unknown mosaics", function() {
+        return create({ amount: 1, mosaic: "evias.nem2pay:unknown" }).then(function() {
+            throw new Error("invoice should not have been created");
+        }, function(err) {
+            err.message.should.equal("Unknown mosaic evias.nem2pay:unknown.");
+        });
+    });
+
+    it("should use the quoted amount of fiat prices", function() {
+        return create({ fiatCurrency: "EUR", fiatAmount: 1, mosaic: "nem:xem" }).then(function(invoice) {
+            quotes.should.eql([{ currency: "EUR", fiatAmount: 1, mosaic: "nem:xem", divisibility: 6 }]);
+            invoice.amount.should.equal(12345678);
+            invoice.exchangeRate.should.equal(0.081);
+            invoice.fiatCurrency.should.equal("EUR");
+        });
+    });
+});
@@ -0,0 +1,156 @@
+/**
+ * Part of the evias/nem2pay package.
+ *
+ * NOTICE OF LICENSE
+ *
+ * Licensed under MIT License.
+ *
+ * This source file is subject to the MIT License that is
+ * bundled with this package in the LICENSE file.
+ *
+ * @package    evias/nem2pay
+ * @author     Grégory Saive <greg@evias.be> (https://github.com/evias)
+ * @license    MIT License
+ * @copyright  (c) 2019, Grégory Saive <greg@evias.be>
+ * @link       https://github.com/evias/nem2pay
+ */
+
+var should = require("should"),
+    nem = require("nem-sdk").default;
+
+// defines the `__line` global used by the core modules
+require("../core/logger.js");
+
+var MockChainAdapter = require("../core/chain-adapters/mock.js").MockChainAdapter;
+var helpers = require("../core/helpers.js").service;
+var InvoiceStateMachine = require("../core/invoice-states.js").InvoiceStateMachine;
+var PaymentsProtocol = require("../core/payments-protocol.js").PaymentsProtocol;
+
+var fixtures = require("./support/fixtures.js");
+
+// logger stand-in keeping track of warnings
+var createLogger = function(warnings) {
+    return {
+        debug: function() {},
+        info: function() {},
+        warn: function(filename, line, description) { warnings.push(description); },
+        error: function() {}
+    };
+};
+
+var createInvoice = function(number, status) {
+    return fixtures.createInvoice({ number: number, amount: 1000000, status: status, isPaid: status == "paid" });
+};
+
+describe("InvoiceStateMachine", function() {
+    var warnings, states;
+
+    beforeEach(function() {
+        warnings = [];
+        states = new InvoiceStateMachine(createLogger(warnings));
+    });
+
+    it("should define the allowed transitions", function() {
+        states.canTransition("not_paid", "unconfirmed").should.be.true;
+        states.canTransition("paid_partly", "unconfirmed").should.be.true;
+        states.canTransition("confirming", "paid").should.be.true;
+        states.canTransition("not_paid", "cancelled").should.be.true;
+        states.canTransition("paid", "overpaid").should.be.true;
+
+        states.canTransition("paid", "unconfirmed").should.be.false;
+        states.canTransition("confirming", "unconfirmed").should.be.false;
+        states.canTransition("paid", "cancelled").should.be.false;
+        states.canTransition("cancelled", "paid").should.be.false;
+        states.canTransition("expired", "paid").should.be.false;
+    });
+
+    it("should record transitions and reject invalid transitions", function() {
+        var invoice = createInvoice("NEM2PAY-1", "not_paid");
+        invoice.amountUnconfirmed = 1000000;
+
+        states.transition(invoice, "unconfirmed", "bot").should.be.true;
+        states.transition(invoice, "unconfirmed", "bot").should.be.true;
+
+        invoice.statusHistory.length.should.equal(1);
+        invoice.statusHistory[0].from.should.equal("not_paid");
+        invoice.statusHistory[0].status.should.equal("unconfirmed");
+        invoice.statusHistory[0].source.should.equal("bot");
+        invoice.statusHistory[0].amountUnconfirmed.should.equal(1000000);
+        should.exist(invoice.statusHistory[0].createdAt);
+
+        states.transition(invoice, "not_paid", "reconciler").should.be.false;
+        invoice.status.should.equal("unconfirmed");
+        invoice.statusHistory.length.should.equal(1);
+        warnings.length.should.equal(1);
+    });
+});
+
+describe("PaymentsProtocol status transitions", function() {
+    var warnings, invoices, protocol;
+
+    beforeEach(function() {
+        warnings = [];
+        invoices = {};
+
+        var dataLayer = {
+            NEMPaymentChannel: {
+                findOne: function(query, callback) {
+                    callback(null, invoices[query.number] || null);
+                }
+            }
+        };
+
+        var logger = createLogger(warnings);
+        protocol = new PaymentsProtocol(null, logger, new helpers(null, nem, logger, new MockChainAdapter(nem)), dataLayer);
+    });
+
+    it("should not downgrade paid invoices on late NEMBot updates", function() {
+        var invoice = createInvoice("NEM2PAY-2", "paid");
+        invoice.amountPaid = 1000000;
+        invoices[invoice.number] = invoice;
+
+        protocol.storeInvoiceStatusUpdate({ status: "unconfirmed", message: "NEM2PAY-2", amountUnconfirmed: 1000000 });
+
+        invoice.status.should.equal("paid");
+        invoice.saved.should.equal(0);
+        warnings.length.should.equal(1);
+    });
+
+    it("should not count payments awaiting cosignatures", function() {
+        var invoice = createInvoice("NEM2PAY-5", "not_paid");
+        var unconfirmed = createInvoice("NEM2PAY-6", "unconfirmed");
+        unconfirmed.amountUnconfirmed = 1000000;
+        invoices[invoice.number] = invoice;
+        invoices[unconfirmed.number] = unconfirmed;
+
+        protocol.storeInvoiceStatusUpdate({ status: "awaiting_cosignatures", message: "NEM2PAY-5", amountUnconfirmed: 0, amountPaid: 1000000 });
+        protocol.storeInvoiceStatusUpdate({ status: "awaiting_cosignatures", message: "NEM2PAY-6", amountUnconfirmed: 0 });
+
+        invoice.status.should.equal("awaiting_cosignatures");
+        invoice.amountPaid.should.equal(0);
+        invoice.saved.should.equal(1);
+
+        unconfirmed.status.should.equal("unconfirmed");
+        unconfirmed.amountUnconfirmed.should.equal(1000000);
+        unconfirmed.saved.should.equal(0);
+        warnings.length.should.equal(0);
+    });
+
+    it("should cancel open invoices only", function(done) {
+        var open = createInvoice("NEM2PAY-3", "not_paid");
+        var paid = createInvoice("NEM2PAY-4", "paid");
+
+        protocol.cancelInvoice(paid, "admin", function(err) {
+            should.exist(err);
+            paid.status.should.equal("paid");
+
+            protocol.cancelInvoice(open, "admin", function(err, cancelled) {
+                should.not.exist(err);
+                cancelled.status.should.equal("cancelled");
+                cancelled.saved.should.equal(1);
+                cancelled.statusHistory[0].source.should.equal("admin");
+                done();
+            });
+        });
+    });
+});
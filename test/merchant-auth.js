@@ -0,0 +1,116 @@
+/**
+ * Part of the evias/nem2pay package.
+ *
+ * NOTICE OF LICENSE
+ *
+ * Licensed under MIT License.
+ *
+ * This source file is subject to the MIT License that is
+ * bundled with this package in the LICENSE file.
+ *
+ * @package    evias/nem2pay
+ * @author     Grégory Saive <greg@evias.be> (https://github.com/evias)
+ * @license    MIT License
+ * @copyright  (c) 2019, Grégory Saive <greg@evias.be>
+ * @link       https://github.com/evias/nem2pay
+ */
+
+var should = require("should"),
+    CryptoJS = require("crypto-js");
+
+// defines the `__line` global used by the core modules
+require("../core/logger.js");
+
+var MerchantAuthenticator = require("../core/merchant-auth.js").MerchantAuthenticator;
+
+var silentLogger = require("./support/fixtures.js").silentLogger;
+
+// Merchant model stand-in, API keys are `<name>-key`
+var createMerchantModel = function(names) {
+    var hash = function(value) { return CryptoJS.SHA256(value).toString(); };
+
+    var records = names.map(function(name) {
+        return { _id: name, name: name, apiKeyHash: hash(name + "-key") };
+    });
+
+    return {
+        findByApiKey: function(apiKey, callback) {
+            if (apiKey == "database-down")
+                return callback(new Error("Connection lost."));
+
+            callback(null, records.filter(function(merchant) { return merchant.apiKeyHash == hash(apiKey); })[0] || null);
+        }
+    };
+};
+
+// express request and response stand-ins
+var createRequest = function(headers, query) {
+    return { method: "GET", path: "/api/v1/invoices/history", headers: headers || {}, query: query || {} };
+};
+
+var createResponse = function() {
+    return {
+        statusCode: 200,
+        headers: {},
+        setHeader: function(name, value) { this.headers[name] = value; },
+        send: function(statusCode, body) {
+            this.statusCode = statusCode;
+            this.body = JSON.parse(body);
+        }
+    };
+};
+
+describe("MerchantAuthenticator", function() {
+    var middleware;
+
+    beforeEach(function() {
+        var authenticator = new MerchantAuthenticator(silentLogger, { Merchant: createMerchantModel(["shop", "other-shop"]) });
+        middleware = authenticator.requireMerchant();
+    });
+
+    it("should authenticate merchants with the X-API-Key header", function(done) {
+        var req = createRequest({ "x-api-key": "shop-key" });
+
+        middleware(req, createResponse(), function() {
+            req.merchant.name.should.equal("shop");
+            done();
+        });
+    });
+
+    it("should reject requests without API key", function() {
+        var res = createResponse();
+        middleware(createRequest(), res, function() {
+            throw new Error("request should have been rejected");
+        });
+
+        res.statusCode.should.equal(401);
+        res.headers["Content-Type"].should.equal("application/json");
+        res.body.should.eql({ status: "error", message: "Missing API key." });
+    });
+
+    it("should not accept API keys in the query string", function() {
+        var req = createRequest({}, { apiKey: "shop-key" });
+        var res = createResponse();
+        middleware(req, res, function() {
+            throw new Error("request should have been rejected");
+        });
+
+        res.statusCode.should.equal(401);
+        res.body.message.should.equal("Missing API key.");
+        should.not.exist(req.merchant);
+    });
+
+    it("should reject invalid API keys and lookup errors", function() {
+        ["unknown-key", "database-down"].forEach(function(apiKey) {
+            var req = createRequest({ "x-api-key": apiKey });
+            var res = createResponse();
+            middleware(req, res, function() {
+                throw new Error("request should have been rejected");
+            });
+
+            res.statusCode.should.equal(401);
+            res.body.should.eql({ status: "error", message: "Invalid API key." });
+            should.not.exist(req.merchant);
+        });
+    });
+});
@@ -0,0 +1,258 @@
+/**
+ * Part of the evias/nem2pay package.
+ *
+ * NOTICE OF LICENSE
+ *
+ * Licensed under MIT License.
+ *
+ * This source file is subject to the MIT License that is
+ * bundled with this package in the LICENSE file.
+ *
+ * @package    evias/nem2pay
+ * @author     Grégory Saive <greg@evias.be> (https://github.com/evias)
+ * @license    MIT License
+ * @copyright  (c) 2019, Grégory Saive <greg@evias.be>
+ * @link       https://github.com/evias/nem2pay
+ */
+
+var should = require("should"),
+    nem = require("nem-sdk").default;
+
+// defines the `__line` global used by the core modules
+require("../core/logger.js");
+
+var MockChainAdapter = require("../core/chain-adapters/mock.js").MockChainAdapter;
+var helpers = require("../core/helpers.js").service;
+var NISPaymentListener = require("../core/nis-listener.js").NISPaymentListener;
+var PaymentsProtocol = require("../core/payments-protocol.js").PaymentsProtocol;
+
+var fixtures = require("./support/fixtures.js");
+var silentLogger = fixtures.silentLogger;
+
+var RECIPIENT = "TBNSUVPYJXLMVC6PSBPLOFMLYLZ3ZZ3VY7G5BBSK";
+var PAYER_KEY = nem.crypto.keyPair.create("c5d2a2a0b0dfa53bd5b8e6e5b2e7b2b1e1a4f2fa43f3ac4a2dd5a8d6a4c8d3f1").publicKey.toString();
+
+// in-memory NEMPaymentChannel collection, supports the listener queries.
+var createDataLayer = function(invoices) {
+    return {
+        NEMPaymentChannel: {
+            findOne: function(query, callback) {
+                var found = invoices.filter(function(invoice) {
+                    var isMatching = query.$or.some(function(condition) {
+                        return (condition.isDepositAccount && invoice.isDepositAccount)
+                            || (condition.number && invoice.number == condition.number)
+                            || (condition.payerXEM && invoice.payerXEM == condition.payerXEM);
+                    });
+
+                    return invoice.recipientXEM == query.recipientXEM
+                        && query.status.$in.indexOf(invoice.status) !== -1
+                        && isMatching;
+                });
+
+                callback(null, found.length ? found[0] : null);
+            }
+        }
+    };
+};
+
+var createInvoice = function(number, amount, status) {
+    return fixtures.createInvoice({
+        number: number,
+        recipientXEM: RECIPIENT,
+        payerXEM: nem.model.address.toAddress(PAYER_KEY, nem.model.network.data.mainnet.id),
+        amount: amount,
+        status: status || "not_paid"
+    });
+};
+
+describe("NISPaymentListener", function() {
+    var adapter, listener;
+
+    var getStatusUpdate = function(transaction, isConfirmed) {
+        return new Promise(function(resolve, reject) {
+            listener.getStatusUpdate(RECIPIENT, transaction, isConfirmed, function(err, data) {
+                return err ? reject(err) : resolve(data);
+            });
+        });
+    };
+
+    beforeEach(function() {
+        adapter = new MockChainAdapter(nem);
+
+        var NEMHelpers = new helpers(null, nem, silentLogger, adapter);
+        var dataLayer = createDataLayer([
+            createInvoice("NEM2PAY-1", 5000000),
+            createInvoice("NEM2PAY-2", 1000000, "paid"),
+            createInvoice("NEM2PAY-3", 1000000, "expired")
+        ]);
+
+        listener = new NISPaymentListener(silentLogger, NEMHelpers, dataLayer);
+    });
+
+    it("should produce NEMBot status updates for unconfirmed and confirmed payments", function() {
+        var first = adapter.addTransfer({ recipient: RECIPIENT, amount: 2000000, message: "nem2pay-1", signer: PAYER_KEY });
+        var second = adapter.addTransfer({ recipient: RECIPIENT, amount: 3000000, message: "NEM2PAY-1", signer: PAYER_KEY });
+
+        return getStatusUpdate(first, false).then(function(data) {
+            data.status.should.equal("unconfirmed");
+            data.message.should.equal("NEM2PAY-1");
+            data.amountUnconfirmed.should.equal(2000000);
+
+            return getStatusUpdate(first, true);
+        }).then(function(data) {
+            data.status.should.equal("paid_partly");
+            data.amountPaid.should.equal(2000000);
+            data.amountUnconfirmed.should.equal(0);
+
+            return getStatusUpdate(second, true);
+        }).then(function(data) {
+            data.status.should.equal("paid");
+            data.amountPaid.should.equal(5000000);
+            data.transactionHash.should.equal(second.meta.hash.data);
+        });
+    });
+
+    it("should match payments without message by sender", function() {
+        var transfer = adapter.addTransfer({ recipient: RECIPIENT, amount: 1000000, signer: PAYER_KEY });
+
+        return getStatusUpdate(transfer, true).then(function(data) {
+            data.message.should.equal("NEM2PAY-1");
+            data.sender.should.equal(nem.model.address.toAddress(PAYER_KEY, nem.model.network.data.mainnet.id));
+        });
+    });
+
+    it("should ignore processed, outgoing and unrelated transactions", function() {
+        var transfer = adapter.addTransfer({ recipient: RECIPIENT, amount: 1000000, message: "NEM2PAY-1", signer: PAYER_KEY });
+        var outgoing = adapter.addTransfer({ recipient: "TALICEQPBXSNJCZBCF7ZSLLXUBGUESKY5MZIA2IY", amount: 1000000, message: "NEM2PAY-1", signer: PAYER_KEY });
+        var paidInvoice = adapter.addTransfer({ recipient: RECIPIENT, amount: 1000000, message: "NEM2PAY-2", signer: PAYER_KEY });
+
+        return getStatusUpdate(transfer, true).then(function(data) {
+            should.exist(data);
+            return getStatusUpdate(transfer, true);
+        }).then(function(data) {
+            should(data).be.null;
+            return getStatusUpdate(outgoing, true);
+        }).then(function(data) {
+            should(data).be.null;
+            return getStatusUpdate(paidInvoice, true);
+        }).then(function(data) {
+            should(data).be.null;
+        });
+    });
+
+    it("should forget the payments of invoices leaving the listened statuses", function() {
+        var transfer = adapter.addTransfer({ recipient: RECIPIENT, amount: 2000000, message: "NEM2PAY-1", signer: PAYER_KEY });
+        var expiredInvoice = adapter.addTransfer({ recipient: RECIPIENT, amount: 1000000, message: "NEM2PAY-3", signer: PAYER_KEY });
+
+        return getStatusUpdate(transfer, false).then(function(data) {
+            data.amountUnconfirmed.should.equal(2000000);
+
+            // totals and processed hashes are read from the invoice again
+            listener.forget("NEM2PAY-1");
+            return getStatusUpdate(transfer, false);
+        }).then(function(data) {
+            data.amountUnconfirmed.should.equal(2000000);
+            return getStatusUpdate(expiredInvoice, true);
+        }).then(function(data) {
+            should(data).be.null;
+        });
+    });
+
+    it("should count multisig payments once cosigned and confirmed", function() {
+        var multisig = adapter.addTransfer({ recipient: RECIPIENT, amount: 2000000, message: "NEM2PAY-1", signer: PAYER_KEY, multisig: true });
+        var inner = adapter.addTransfer({ recipient: RECIPIENT, amount: 2000000, message: "NEM2PAY-1", signer: PAYER_KEY, hash: multisig.meta.innerHash.data });
+
+        return getStatusUpdate(multisig, false).then(function(data) {
+            data.status.should.equal("awaiting_cosignatures");
+            data.amountUnconfirmed.should.equal(0);
+            data.innerHash.should.equal(multisig.meta.innerHash.data);
+
+            return getStatusUpdate(multisig, true);
+        }).then(function(data) {
+            data.status.should.equal("paid_partly");
+            data.amountPaid.should.equal(2000000);
+            data.amountUnconfirmed.should.equal(0);
+            data.transactionHash.should.equal(multisig.meta.hash.data);
+
+            return getStatusUpdate(inner, true);
+        }).then(function(data) {
+            should(data).be.null;
+        });
+    });
+});
+
+describe("PaymentsProtocol with the built-in listener", function() {
+    var protocol, watched, emitted;
+
+    before(function() {
+        process.env["PAYMENT_LISTENER"] = "nis";
+    });
+
+    after(function() {
+        delete process.env["PAYMENT_LISTENER"];
+    });
+
+    beforeEach(function() {
+        watched = [];
+        emitted = [];
+
+        // Socket.IO server stand-in recording the events sent to clients
+        var io = {
+            sockets: {
+                to: function(clientId) {
+                    return {
+                        emit: function(event, data) {
+                            emitted.push({ clientId: clientId, event: event, data: JSON.parse(data) });
+                        }
+                    };
+                }
+            }
+        };
+
+        var paymentListener = {
+            watch: function(address) {
+                watched.push(address);
+            }
+        };
+
+        protocol = new PaymentsProtocol(io, silentLogger, null, null, null, null, paymentListener);
+    });
+
+    it("should send re-quoted amounts to clients without NEMBot channel", function(done) {
+        var invoice = createInvoice("NEM2PAY-10", 5000000);
+        invoice.save = function(callback) { callback(null); };
+        invoice.getQRData = function() { return { v: 2 }; };
+
+        protocol.startPaymentChannel(invoice, "client-1", function() {
+            watched.should.eql([RECIPIENT]);
+
+            invoice.amount = 6000000;
+            protocol.processPaymentChannelRequote(invoice);
+
+            emitted.length.should.equal(1);
+            emitted[0].clientId.should.equal("client-1");
+            emitted[0].event.should.equal("nem2pay_payment_requoted");
+            emitted[0].data.amount.should.equal(6000000);
+            done();
+        });
+    });
+
+    it("should attach clients to the open payment channel of an invoice", function(done) {
+        var invoice = createInvoice("NEM2PAY-11", 5000000);
+        invoice.save = function(callback) { callback(null); };
+        invoice.getQRData = function() { return { v: 2 }; };
+
+        protocol.attachClient(invoice, "client-1", function() {
+            protocol.attachClient(invoice, "client-2", function() {
+                protocol.attachClient(invoice, "client-2", function() {
+                    // one channel for all clients
+                    watched.should.eql([RECIPIENT]);
+
+                    protocol.processPaymentChannelRequote(invoice);
+                    emitted.map(function(event) { return event.clientId; }).should.eql(["client-1", "client-2"]);
+                    done();
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,165 @@
+/**
+ * Part of the evias/nem2pay package.
+ *
+ * NOTICE OF LICENSE
+ *
+ * Licensed under MIT License.
+ *
+ * This source file is subject to the MIT License that is
+ * bundled with this package in the LICENSE file.
+ *
+ * @package    evias/nem2pay
+ * @author     Grégory Saive <greg@evias.be> (https://github.com/evias)
+ * @license    MIT License
+ * @copyright  (c) 2019, Grégory Saive <greg@evias.be>
+ * @link       https://github.com/evias/nem2pay
+ */
+
+var should = require("should");
+
+// defines the `__line` global used by the core modules
+require("../core/logger.js");
+
+var NodePool = require("../core/node-pool.js").NodePool;
+var NISChainAdapter = require("../core/chain-adapters/nis.js").NISChainAdapter;
+
+var silentLogger = require("./support/fixtures.js").silentLogger;
+
+var RECIPIENT = "TBNSUVPYJXLMVC6PSBPLOFMLYLZ3ZZ3VY7G5BBSK";
+
+// NEM-sdk stand-in answering requests with the scripted state of
+// each node: `down` nodes reject, `stalled` nodes never answer.
+var createSDK = function(states) {
+    var respond = function(endpoint, response) {
+        var state = states[endpoint.host];
+
+        if (state.down)
+            return Promise.reject(new Error("Connection refused."));
+
+        if (state.stalled)
+            return new Promise(function() {});
+
+        return new Promise(function(resolve) {
+            setTimeout(resolve, state.latency || 0, response);
+        });
+    };
+
+    return {
+        model: {
+            objects: {
+                create: function(type) {
+                    return function(host, port) {
+                        return { host: host, port: port };
+                    };
+                }
+            }
+        },
+        com: {
+            requests: {
+                endpoint: {
+                    heartbeat: function(endpoint) {
+                        return respond(endpoint, { code: 1, type: 2, message: "ok" });
+                    }
+                },
+                chain: {
+                    height: function(endpoint) {
+                        return respond(endpoint, { height: states[endpoint.host].height });
+                    }
+                },
+                account: {
+                    transactions: {
+                        incoming: function(endpoint, address) {
+                            return respond(endpoint, { data: [{ meta: { id: 1 }, node: endpoint.host }] });
+                        }
+                    }
+                }
+            }
+        }
+    };
+};
+
+var createNodes = function(hosts) {
+    return hosts.map(function(host) {
+        return { host: host, port: 7890 };
+    });
+};
+
+describe("NodePool", function() {
+    it("should rank alive nodes in sync first, then by latency", function() {
+        var pool = new NodePool(createSDK({
+            "http://slow": { latency: 30, height: 100 },
+            "http://lagging": { latency: 1, height: 90 },
+            "http://down": { down: true },
+            "http://fast": { latency: 10, height: 100 }
+        }), silentLogger, createNodes(["http://slow", "http://lagging", "http://down", "http://fast"]));
+
+        return pool.checkAll().then(function(endpoint) {
+            endpoint.host.should.equal("http://fast");
+
+            var nodes = pool.getNodes();
+            nodes.map(function(node) { return node.host; }).should.eql(["http://fast", "http://slow", "http://lagging", "http://down"]);
+            nodes[0].isActive.should.be.true;
+            nodes[3].isAlive.should.be.false;
+        });
+    });
+
+    it("should switch to the next best node when the active node fails", function() {
+        var pool = new NodePool(createSDK({
+            "http://first": { latency: 1, height: 100 },
+            "http://second": { latency: 10, height: 100 }
+        }), silentLogger, createNodes(["http://first", "http://second"]));
+
+        return pool.checkAll().then(function(endpoint) {
+            endpoint.host.should.equal("http://first");
+
+            pool.reportFailure(endpoint).should.be.true;
+            pool.getEndpoint().host.should.equal("http://second");
+
+            // no alive node left to retry with
+            pool.reportFailure(pool.getEndpoint()).should.be.false;
+        });
+    });
+});
+
+describe("NISChainAdapter failover", function() {
+    beforeEach(function() {
+        process.env["NEM_REQUEST_TIMEOUT"] = "50";
+    });
+
+    afterEach(function() {
+        delete process.env["NEM_REQUEST_TIMEOUT"];
+    });
+
+    it("should retry requests to a stalled node with the next node", function() {
+        var sdk = createSDK({
+            "http://stalled": { stalled: true },
+            "http://healthy": { latency: 1, height: 100 }
+        });
+        var pool = new NodePool(sdk, silentLogger, createNodes(["http://stalled", "http://healthy"]));
+        var adapter = new NISChainAdapter(sdk, silentLogger, pool);
+
+        return adapter.getIncomingTransactions(RECIPIENT).then(function(transactions) {
+            transactions[0].node.should.equal("http://healthy");
+            pool.getEndpoint().host.should.equal("http://healthy");
+
+            var stalled = pool.getNodes().filter(function(node) { return node.host == "http://stalled"; })[0];
+            stalled.isAlive.should.be.false;
+            stalled.failures.should.equal(1);
+        });
+    });
+
+    it("should reject requests when all nodes time out", function() {
+        var sdk = createSDK({
+            "http://stalled-1": { stalled: true },
+            "http://stalled-2": { stalled: true }
+        });
+        var pool = new NodePool(sdk, silentLogger, createNodes(["http://stalled-1", "http://stalled-2"]));
+        var adapter = new NISChainAdapter(sdk, silentLogger, pool);
+
+        return adapter.getIncomingTransactions(RECIPIENT).then(function() {
+            throw new Error("request should have timed out");
+        }, function(err) {
+            err.message.should.match(/timed out/);
+        });
+    });
+});
@@ -0,0 +1,104 @@
+/**
+ * Part of the evias/nem2pay package.
+ *
+ * NOTICE OF LICENSE
+ *
+ * Licensed under MIT License.
+ *
+ * This source file is subject to the MIT License that is
+ * bundled with this package in the LICENSE file.
+ *
+ * @package    evias/nem2pay
+ * @author     Grégory Saive <greg@evias.be> (https://github.com/evias)
+ * @license    MIT License
+ * @copyright  (c) 2019, Grégory Saive <greg@evias.be>
+ * @link       https://github.com/evias/nem2pay
+ */
+
+var should = require("should");
+
+// defines the `__line` global used by the core modules
+require("../core/logger.js");
+
+var PaymentsProtocol = require("../core/payments-protocol.js").PaymentsProtocol;
+
+var fixtures = require("./support/fixtures.js");
+var silentLogger = fixtures.silentLogger;
+
+var PAYER = "TCTIMURL5LPKNJYF3OB3ACQVAXO3GK5IU2BJMPSU";
+var RECIPIENT = "TBNSUVPYJXLMVC6PSBPLOFMLYLZ3ZZ3VY7G5BBSK";
+
+describe("Payer invoices", function() {
+    var protocol, invoices;
+
+    beforeEach(function() {
+        invoices = [];
+
+        // NEMPaymentChannel stand-in querying the `invoices` list
+        var dataLayer = {
+            NEMPaymentChannel: {
+                findOne: function(query, callback) {
+                    callback(null, invoices.filter(function(invoice) { return fixtures.matchesQuery(invoice, query); })[0] || null);
+                },
+                find: function(query, callback) {
+                    callback(null, invoices.filter(function(invoice) { return fixtures.matchesQuery(invoice, query); }));
+                }
+            }
+        };
+
+        protocol = new PaymentsProtocol(null, silentLogger, null, dataLayer);
+    });
+
+    it("should reuse the confirming invoice of a payer on invoice creation", function(done) {
+        invoices.push({ number: "NEM2PAY-1", merchantId: "merchant-1", payerXEM: PAYER, recipientXEM: RECIPIENT, status: "confirming" });
+
+        // `GET /api/v1/invoices/create` only creates an invoice when none is found
+        protocol.findPayerInvoice("merchant-1", PAYER, RECIPIENT, null, function(err, invoice) {
+            should.not.exist(err);
+            invoice.number.should.equal("NEM2PAY-1");
+            done();
+        });
+    });
+
+    it("should not reuse expired or cancelled invoices", function(done) {
+        invoices.push({ number: "NEM2PAY-2", merchantId: "merchant-1", payerXEM: PAYER, settlementXEM: RECIPIENT, status: "expired" });
+        invoices.push({ number: "NEM2PAY-3", merchantId: "merchant-1", payerXEM: PAYER, recipientXEM: RECIPIENT, status: "cancelled" });
+
+        protocol.findPayerInvoice("merchant-1", PAYER, RECIPIENT, null, function(err, invoice) {
+            should(invoice).be.null;
+
+            protocol.findPayerInvoice("merchant-1", PAYER, RECIPIENT, "NEM2PAY-2", function(err, invoice) {
+                invoice.number.should.equal("NEM2PAY-2");
+                done();
+            });
+        });
+    });
+
+    it("should list confirming invoices in the payer history", function(done) {
+        invoices.push({ number: "NEM2PAY-4", merchantId: "merchant-1", payerXEM: PAYER, status: "confirming" });
+        invoices.push({ number: "NEM2PAY-5", merchantId: "merchant-1", payerXEM: PAYER, status: "expired" });
+        invoices.push({ number: "NEM2PAY-6", merchantId: "merchant-1", payerXEM: PAYER, status: "cancelled" });
+
+        protocol.findPayerInvoices("merchant-1", PAYER, null, function(err, history) {
+            should.not.exist(err);
+            history.map(function(invoice) { return invoice.number; }).should.eql(["NEM2PAY-4", "NEM2PAY-5"]);
+            done();
+        });
+    });
+
+    it("should list the invoices of the calling merchant only", function(done) {
+        invoices.push({ number: "NEM2PAY-7", merchantId: "merchant-1", payerXEM: PAYER, status: "paid" });
+        invoices.push({ number: "NEM2PAY-8", merchantId: "merchant-2", payerXEM: PAYER, status: "paid" });
+
+        protocol.findPayerInvoices("merchant-2", PAYER, null, function(err, history) {
+            should.not.exist(err);
+            history.map(function(invoice) { return invoice.number; }).should.eql(["NEM2PAY-8"]);
+
+            // invoice numbers of other merchants are not found
+            protocol.findPayerInvoices("merchant-2", PAYER, "NEM2PAY-7", function(err, history) {
+                history.length.should.equal(0);
+                done();
+            });
+        });
+    });
+});
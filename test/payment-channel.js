@@ -0,0 +1,283 @@
+/**
+ * Part of the evias/nem2pay package.
+ *
+ * NOTICE OF LICENSE
+ *
+ * Licensed under MIT License.
+ *
+ * This source file is subject to the MIT License that is
+ * bundled with this package in the LICENSE file.
+ *
+ * @package    evias/nem2pay
+ * @author     Grégory Saive <greg@evias.be> (https://github.com/evias)
+ * @license    MIT License
+ * @copyright  (c) 2019, Grégory Saive <greg@evias.be>
+ * @link       https://github.com/evias/nem2pay
+ */
+
+var should = require("should"),
+    mongoose = require("mongoose"),
+    nem = require("nem-sdk").default;
+
+// optional, the integration test is pending without an in-memory MongoDB
+var MongoMemoryServer = null;
+try {
+    MongoMemoryServer = require("mongodb-memory-server").MongoMemoryServer;
+} catch (e) {}
+
+// defines the `__line` global used by the core modules
+require("../core/logger.js");
+
+var FakeNEMBot = require("./support/fake-nembot.js").FakeNEMBot;
+var MockChainAdapter = require("../core/chain-adapters/mock.js").MockChainAdapter;
+var helpers = require("../core/helpers.js").service;
+var DBStore = require("../core/database.js").DBStore;
+var PaymentsProtocol = require("../core/payments-protocol.js").PaymentsProtocol;
+
+var silentLogger = require("./support/fixtures.js").silentLogger;
+
+var RECIPIENT = "TBNSUVPYJXLMVC6PSBPLOFMLYLZ3ZZ3VY7G5BBSK";
+var CLIENT_SOCKET_ID = "frontend-client";
+
+// Socket.IO stand-in recording the events sent to frontend clients.
+var createFrontendIO = function() {
+    var emitted = [];
+
+    return {
+        emitted: emitted,
+        sockets: {
+            to: function(socketId) {
+                return {
+                    emit: function(event, rawdata) {
+                        emitted.push({ socketId: socketId, event: event, data: JSON.parse(rawdata) });
+                    }
+                };
+            }
+        }
+    };
+};
+
+describe("Payment channel with the NEMBot", function() {
+    var mongod, bot, frontendIO, db, protocol, merchant, apiKey;
+
+    // poll the database until `predicate` holds for invoice `number`.
+    var waitForInvoice = function(number, predicate) {
+        return new Promise(function(resolve, reject) {
+            var startedAt = new Date().valueOf();
+
+            var check = function() {
+                db.NEMPaymentChannel.findOne({ number: number }, function(err, invoice) {
+                    if (err)
+                        return reject(err);
+
+                    if (invoice && predicate(invoice))
+                        return resolve(invoice);
+
+                    if (new Date().valueOf() - startedAt > 2000)
+                        return reject(new Error("Invoice " + number + " was not updated in time."));
+
+                    setTimeout(check, 25);
+                });
+            };
+
+            check();
+        });
+    };
+
+    // create an invoice of `amount` XEM, resolves once the channel is open.
+    var openChannel = function(amount) {
+        return new Promise(function(resolve, reject) {
+            protocol.createInvoice({
+                merchantId: merchant._id,
+                recipient: RECIPIENT,
+                amount: amount,
+                mosaic: "nem:xem"
+            }, CLIENT_SOCKET_ID, function(err, invoice) {
+                if (err)
+                    return reject(err);
+
+                bot.waitForChannel(invoice.number).then(function() {
+                    resolve(invoice);
+                });
+            });
+        });
+    };
+
+    var countEvents = function(event) {
+        return frontendIO.emitted.filter(function(entry) {
+            return entry.event == event;
+        }).length;
+    };
+
+    // start the in-memory MongoDB, resolves with its connection string.
+    var startDatabase = function() {
+        if (!MongoMemoryServer)
+            return Promise.reject(new Error("mongodb-memory-server is not installed."));
+
+        mongod = new MongoMemoryServer({ autoStart: false });
+        return mongod.start().then(function() {
+            return mongod.getUri();
+        });
+    };
+
+    before(function() {
+        var suite = this;
+        this.timeout(120000);
+
+        bot = new FakeNEMBot();
+
+        return startDatabase().catch(function(err) {
+            // the MongoDB binary could not be downloaded or started
+            console.warn("  Skipping payment channel tests, no MongoDB server: " + err.message);
+            mongod = null;
+            suite.skip();
+        }).then(function(uri) {
+            process.env["MONGODB_URI"] = uri;
+
+            return new Promise(function(resolve) {
+                bot.start(null, resolve);
+            });
+        }).then(function(botHost) {
+            process.env["PAYMENT_BOT_HOST"] = botHost;
+
+            var NEMHelpers = new helpers(null, nem, silentLogger, new MockChainAdapter(nem));
+            frontendIO = createFrontendIO();
+            db = new DBStore(frontendIO, NEMHelpers);
+            protocol = new PaymentsProtocol(frontendIO, silentLogger, NEMHelpers, db, null, null);
+
+            apiKey = db.Merchant.generateApiKey();
+            merchant = new db.Merchant({
+                name: "Integration Shop",
+                apiKeyHash: db.Merchant.hashApiKey(apiKey),
+                recipients: [RECIPIENT],
+                createdAt: new Date().valueOf()
+            });
+
+            return merchant.save();
+        });
+    });
+
+    after(function() {
+        delete process.env["MONGODB_URI"];
+        delete process.env["PAYMENT_BOT_HOST"];
+
+        if (!mongod)
+            return;
+
+        bot.stop();
+        return mongoose.disconnect().then(function() {
+            return mongod.stop();
+        });
+    });
+
+    it("should find merchants by their API key", function(done) {
+        // only the hash of API keys is stored
+        merchant.apiKeyHash.should.not.equal(apiKey);
+
+        db.Merchant.findByApiKey(apiKey, function(err, found) {
+            should.not.exist(err);
+            found._id.toString().should.equal(merchant._id.toString());
+
+            db.Merchant.findByApiKey(merchant.apiKeyHash, function(err, found) {
+                should.not.exist(err);
+                should(found).be.null;
+                done();
+            });
+        });
+    });
+
+    it("should create an invoice and open a payment channel", function() {
+        return openChannel(10).then(function(invoice) {
+            invoice.number.should.match(/^NEM2PAY-/);
+            invoice.amount.should.equal(10000000);
+            invoice.status.should.equal("not_paid");
+
+            var params = bot.getChannels(invoice.number)[0];
+            params.message.should.equal(invoice.number);
+            params.recipient.should.equal(RECIPIENT);
+            params.amount.should.equal(10000000);
+            params.mosaic.should.equal("nem:xem");
+        });
+    });
+
+    it("should store partial payments and forward them to the frontend", function() {
+        return openChannel(10).then(function(invoice) {
+            bot.sendStatusUpdate(invoice.number, { status: "paid_partly", amountPaid: 4000000 });
+
+            return waitForInvoice(invoice.number, function(stored) {
+                return stored.status == "paid_partly";
+            });
+        }).then(function(invoice) {
+            invoice.amountPaid.should.equal(4000000);
+            invoice.isPaid.should.be.false;
+
+            var forwarded = frontendIO.emitted.filter(function(entry) {
+                return entry.event == "nem2pay_payment_status_update"
+                    && entry.data.paymentData.message == invoice.number;
+            });
+
+            forwarded.length.should.equal(1);
+            forwarded[0].socketId.should.equal(CLIENT_SOCKET_ID);
+            forwarded[0].data.status.should.equal("paid_partly");
+        });
+    });
+
+    it("should process duplicate status updates only once", function() {
+        var invoice;
+
+        return openChannel(10).then(function(created) {
+            invoice = created;
+
+            bot.sendStatusUpdate(invoice.number, { status: "paid_partly", amountPaid: 2000000 });
+            bot.sendStatusUpdate(invoice.number, { status: "paid_partly", amountPaid: 2000000 });
+            bot.sendStatusUpdate(invoice.number, { status: "paid_partly", amountPaid: 3000000 });
+
+            return waitForInvoice(invoice.number, function(stored) {
+                return stored.amountPaid == 3000000;
+            });
+        }).then(function() {
+            var forwarded = frontendIO.emitted.filter(function(entry) {
+                return entry.event == "nem2pay_payment_status_update"
+                    && entry.data.paymentData.message == invoice.number;
+            });
+
+            forwarded.map(function(entry) {
+                return entry.data.paymentData.amountPaid;
+            }).should.eql([2000000, 3000000]);
+        });
+    });
+
+    it("should mark invoices paid and notify the frontend", function() {
+        var invoice;
+        var cntSuccess = countEvents("nem2pay_payment_success");
+
+        return openChannel(5).then(function(created) {
+            invoice = created;
+
+            bot.sendStatusUpdate(invoice.number, { status: "paid_partly", amountPaid: 1000000 });
+            return waitForInvoice(invoice.number, function(stored) {
+                return stored.status == "paid_partly";
+            });
+        }).then(function() {
+            bot.sendStatusUpdate(invoice.number, { status: "paid", amountPaid: 5000000 });
+
+            return waitForInvoice(invoice.number, function(stored) {
+                return stored.status == "paid";
+            });
+        }).then(function(paid) {
+            paid.isPaid.should.be.true;
+            paid.amountPaid.should.equal(5000000);
+            should.exist(paid.paidAt);
+
+            countEvents("nem2pay_payment_success").should.equal(cntSuccess + 1);
+
+            var success = frontendIO.emitted.filter(function(entry) {
+                return entry.event == "nem2pay_payment_success";
+            }).pop();
+
+            success.socketId.should.equal(CLIENT_SOCKET_ID);
+            success.data.number.should.equal(invoice.number);
+            success.data.amountPaid.should.equal(5000000);
+        });
+    });
+});
@@ -0,0 +1,115 @@
+/**
+ * Part of the evias/nem2pay package.
+ *
+ * NOTICE OF LICENSE
+ *
+ * Licensed under MIT License.
+ *
+ * This source file is subject to the MIT License that is
+ * bundled with this package in the LICENSE file.
+ *
+ * @package    evias/nem2pay
+ * @author     Grégory Saive <greg@evias.be> (https://github.com/evias)
+ * @license    MIT License
+ * @copyright  (c) 2019, Grégory Saive <greg@evias.be>
+ * @link       https://github.com/evias/nem2pay
+ */
+
+var should = require("should"),
+    nem = require("nem-sdk").default;
+
+// defines the `__line` global used by the core modules
+require("../core/logger.js");
+
+var MockChainAdapter = require("../core/chain-adapters/mock.js").MockChainAdapter;
+var helpers = require("../core/helpers.js").service;
+var PaymentsProtocol = require("../core/payments-protocol.js").PaymentsProtocol;
+
+var fixtures = require("./support/fixtures.js");
+var silentLogger = fixtures.silentLogger;
+
+var RECIPIENT = "TBNSUVPYJXLMVC6PSBPLOFMLYLZ3ZZ3VY7G5BBSK";
+
+// NEMPaymentChannel stand-in with a payment policy.
+var createInvoice = function(number, amount, policy) {
+    return fixtures.createInvoice({
+        number: number,
+        amount: amount,
+        amountTolerance: policy.amountTolerance || 0,
+        acceptPartial: policy.acceptPartial,
+        partialTimeout: policy.partialTimeout
+    });
+};
+
+describe("Payment policies", function() {
+    var adapter, protocol, invoices;
+
+    beforeEach(function() {
+        adapter = new MockChainAdapter(nem);
+        invoices = {};
+
+        var dataLayer = {
+            NEMPaymentChannel: {
+                findOne: function(query, callback) {
+                    callback(null, invoices[query.number] || null);
+                }
+            },
+            getRecipientPrivateKey: function(address, callback) {
+                callback(null, null);
+            }
+        };
+
+        protocol = new PaymentsProtocol(null, silentLogger, new helpers(null, nem, silentLogger, adapter), dataLayer);
+    });
+
+    it("should compute absolute and percentage tolerances in the smallest mosaic unit", function() {
+        protocol.getAmountTolerance({ toleranceType: "absolute", tolerance: 0.0005 }, 10000000, 6).should.equal(500);
+        protocol.getAmountTolerance({ toleranceType: "percent", tolerance: 1 }, 10000000, 6).should.equal(100000);
+        protocol.getAmountTolerance({ toleranceType: "absolute", tolerance: 5 }, 10, 0).should.equal(5);
+        protocol.getAmountTolerance({ toleranceType: "absolute", tolerance: 0 }, 10000000, 6).should.equal(0);
+    });
+
+    it("should mark invoices paid within the tolerance when reconciling", function(done) {
+        var tolerated = createInvoice("NEM2PAY-1", 10000000, { amountTolerance: 500 });
+        var shortfall = createInvoice("NEM2PAY-2", 10000000, { amountTolerance: 500, acceptPartial: true, partialTimeout: 60000 });
+
+        adapter.addTransfer({ recipient: RECIPIENT, amount: 9999600, message: "NEM2PAY-1" });
+        adapter.addTransfer({ recipient: RECIPIENT, amount: 9999000, message: "NEM2PAY-2" });
+
+        protocol.fetchInvoicesRealHistory(RECIPIENT, [tolerated, shortfall], null, function(history) {
+            tolerated.status.should.equal("paid");
+            tolerated.isPaid.should.be.true;
+
+            shortfall.status.should.equal("paid_partly");
+            should.exist(shortfall.partlyPaidAt);
+            shortfall.partialExpiresAt.should.equal(shortfall.partlyPaidAt + 60000);
+            done();
+        });
+    });
+
+    it("should mark invoices paid within the tolerance on NEMBot updates", function(done) {
+        var invoice = createInvoice("NEM2PAY-3", 10000000, { amountTolerance: 500 });
+        invoices[invoice.number] = invoice;
+
+        protocol.processPaymentChannelSuccess = function(paid) {
+            paid.status.should.equal("paid");
+            paid.isPaid.should.be.true;
+            should.exist(paid.paidAt);
+            done();
+        };
+
+        protocol.storeInvoiceStatusUpdate({ status: "paid_partly", message: "NEM2PAY-3", amountPaid: 9999500 });
+    });
+
+    it("should start the partial payment timeout only when partial payments are accepted", function() {
+        var accepted = createInvoice("NEM2PAY-4", 10000000, { acceptPartial: true, partialTimeout: 60000 });
+        var refused = createInvoice("NEM2PAY-5", 10000000, { acceptPartial: false, partialTimeout: 60000 });
+
+        protocol.markPartlyPaid(accepted);
+        protocol.markPartlyPaid(refused);
+
+        accepted.partialExpiresAt.should.equal(accepted.partlyPaidAt + 60000);
+        should.exist(refused.partlyPaidAt);
+        should.not.exist(refused.partialExpiresAt);
+    });
+});
@@ -0,0 +1,69 @@
+/**
+ * Part of the evias/nem2pay package.
+ *
+ * NOTICE OF LICENSE
+ *
+ * Licensed under MIT License.
+ *
+ * This source file is subject to the MIT License that is
+ * bundled with this package in the LICENSE file.
+ *
+ * @package    evias/nem2pay
+ * @author     Grégory Saive <greg@evias.be> (https://github.com/evias)
+ * @license    MIT License
+ * @copyright  (c) 2019, Grégory Saive <greg@evias.be>
+ * @link       https://github.com/evias/nem2pay
+ */
+
+var should = require("should");
+
+// defines the `__line` global used by the core modules
+require("../core/logger.js");
+
+var QRCodeRenderer = require("../core/qr-codes.js").QRCodeRenderer;
+
+var silentLogger = require("./support/fixtures.js").silentLogger;
+
+var qrText = JSON.stringify({
+    "v": 1,
+    "type": 2,
+    "data": { "addr": "TBNSUVPYJXLMVC6PSBPLOFMLYLZ3ZZ3VY7G5BBSK", "amount": 2500000, "msg": "NEM2PAY-1", "name": "NEM2Pay Invoice NEM2PAY-1" }
+});
+
+describe("QRCodeRenderer", function() {
+    var renderer;
+
+    beforeEach(function() {
+        renderer = new QRCodeRenderer(silentLogger);
+    });
+
+    it("should render SVG images with a quiet zone", function(done) {
+        renderer.render(qrText, "svg", { size: 300 }, function(err, svg) {
+            should.not.exist(err);
+
+            // version 8 (49 modules) with 2 quiet modules on each side
+            svg.should.containEql('width="300" height="300" viewBox="0 0 53 53"');
+            done();
+        });
+    });
+
+    it("should render PNG images", function(done) {
+        renderer.render(qrText, "png", { size: 300 }, function(err, png) {
+            should.not.exist(err);
+
+            png.slice(0, 8).toString("hex").should.equal("89504e470d0a1a0a");
+            png.slice(12, 16).toString("ascii").should.equal("IHDR");
+            png.readUInt32BE(16).should.equal(300);
+            png.readUInt32BE(20).should.equal(300);
+            done();
+        });
+    });
+
+    it("should reject data which does not fit in a QR code", function(done) {
+        renderer.render(new Array(4000).join("NEM2PAY"), "svg", null, function(err, svg) {
+            err.message.should.match(/too big/);
+            should(svg).be.null;
+            done();
+        });
+    });
+});
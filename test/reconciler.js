@@ -0,0 +1,181 @@
+/**
+ * Part of the evias/nem2pay package.
+ *
+ * NOTICE OF LICENSE
+ *
+ * Licensed under MIT License.
+ *
+ * This source file is subject to the MIT License that is
+ * bundled with this package in the LICENSE file.
+ *
+ * @package    evias/nem2pay
+ * @author     Grégory Saive <greg@evias.be> (https://github.com/evias)
+ * @license    MIT License
+ * @copyright  (c) 2019, Grégory Saive <greg@evias.be>
+ * @link       https://github.com/evias/nem2pay
+ */
+
+var should = require("should");
+
+// defines the `__line` global used by the core modules
+require("../core/logger.js");
+
+var PaymentsReconciler = require("../core/reconciler.js").PaymentsReconciler;
+
+var fixtures = require("./support/fixtures.js");
+var silentLogger = fixtures.silentLogger;
+
+var RECIPIENT = "TBNSUVPYJXLMVC6PSBPLOFMLYLZ3ZZ3VY7G5BBSK";
+
+describe("PaymentsReconciler", function() {
+    var reconciler, invoices;
+
+    beforeEach(function() {
+        invoices = [];
+
+        var dataLayer = {
+            NEMPaymentChannel: {
+                find: function(query, callback) {
+                    callback(null, invoices.filter(function(invoice) { return fixtures.matchesQuery(invoice, query); }));
+                }
+            }
+        };
+
+        reconciler = new PaymentsReconciler(silentLogger, dataLayer, null, null, null);
+    });
+
+    afterEach(function() {
+        delete process.env["RECONCILIATION_EXPIRED_WINDOW"];
+    });
+
+    it("should reconcile expired invoices during the expired window only", function(done) {
+        var now = new Date().valueOf();
+        process.env["RECONCILIATION_EXPIRED_WINDOW"] = "60";
+
+        invoices.push({ number: "NEM2PAY-1", recipientXEM: RECIPIENT, status: "confirming" });
+        invoices.push({ number: "NEM2PAY-2", recipientXEM: RECIPIENT, status: "expired", expiresAt: now - 30 * 60 * 1000 });
+        invoices.push({ number: "NEM2PAY-3", recipientXEM: RECIPIENT, status: "expired", expiresAt: now - 90 * 60 * 1000 });
+        invoices.push({ number: "NEM2PAY-4", recipientXEM: RECIPIENT, status: "expired", expiresAt: now, needsReview: true });
+        invoices.push({ number: "NEM2PAY-5", recipientXEM: RECIPIENT, status: "overpaid", refundStatus: null });
+
+        reconciler.reconcileInvoices = function(recipient, reconciled, callback) {
+            reconciled.map(function(invoice) { return invoice.number; }).should.eql(["NEM2PAY-1", "NEM2PAY-2", "NEM2PAY-5"]);
+            callback(null, {});
+        };
+
+        reconciler.reconcileRecipient(RECIPIENT, function(err) {
+            should.not.exist(err);
+            done();
+        });
+    });
+
+    it("should not update confirmations while a reconciliation is running", function(done) {
+        var finishReconciliation;
+        reconciler.reconcileRecipients = function(recipients, callback) {
+            if (finishReconciliation)
+                return callback(null, []);
+
+            finishReconciliation = callback;
+        };
+
+        reconciler.db_.Merchant = {
+            find: function(query, callback) {
+                callback(null, [{ recipients: [RECIPIENT] }]);
+            }
+        };
+        reconciler.db_.NEMPaymentChannel.distinct = function(field, query, callback) {
+            callback(null, []);
+        };
+
+        reconciler.run(function(err, reports) {
+            reports.should.eql([{ recipient: RECIPIENT }]);
+            reconciler.isRunning().should.be.false;
+
+            // the lock is released once the reconciliation is done
+            reconciler.runConfirmations(function(err, reports) {
+                should.not.exist(err);
+                reconciler.isRunning().should.be.false;
+                done();
+            });
+        });
+
+        reconciler.isRunning().should.be.true;
+        reconciler.runConfirmations(function(err, reports) {
+            should.not.exist(err);
+            reports.should.eql([]);
+        });
+
+        finishReconciliation(null, [{ recipient: RECIPIENT }]);
+    });
+});
+
+describe("PaymentsReconciler refunds", function() {
+    var reconciler, invoice, refundAttempts;
+
+    beforeEach(function() {
+        refundAttempts = 0;
+        invoice = fixtures.createInvoice({
+            number: "NEM2PAY-1",
+            recipientXEM: RECIPIENT,
+            amount: 1000000,
+            amountPaid: 1500000,
+            status: "overpaid",
+            isPaid: true,
+            refundStatus: null,
+            needsReview: false,
+            isModified: function() { return false; }
+        });
+
+        var paymentsProtocol = {
+            fetchInvoicesRealHistory: function(recipient, invoices, parameters, callback) {
+                callback({});
+            }
+        };
+
+        // no excess transaction found, the refund is not recorded
+        var refunds = {
+            recordOverpayment: function(invoice, transactions, callback) {
+                refundAttempts++;
+                callback(null, null);
+            }
+        };
+
+        reconciler = new PaymentsReconciler(silentLogger, {}, paymentsProtocol, refunds, null);
+        process.env["RECONCILIATION_MAX_REFUND_ATTEMPTS"] = "2";
+    });
+
+    afterEach(function() {
+        delete process.env["RECONCILIATION_MAX_REFUND_ATTEMPTS"];
+    });
+
+    it("should flag overpaid invoices for review when the refund can not be recorded", function(done) {
+        reconciler.reconcileInvoices(RECIPIENT, [invoice], function(err) {
+            should.not.exist(err);
+            invoice.refundAttempts.should.equal(1);
+            invoice.needsReview.should.be.false;
+
+            reconciler.reconcileInvoices(RECIPIENT, [invoice], function(err) {
+                should.not.exist(err);
+                refundAttempts.should.equal(2);
+                invoice.refundAttempts.should.equal(2);
+                invoice.needsReview.should.be.true;
+                invoice.reviewReason.should.equal("Refund could not be recorded.");
+                done();
+            });
+        });
+    });
+
+    it("should not count attempts of recorded refunds", function(done) {
+        reconciler.refunds_.recordOverpayment = function(invoice, transactions, callback) {
+            invoice.refundStatus = "pending";
+            callback(null, { status: "pending" });
+        };
+
+        reconciler.reconcileInvoices(RECIPIENT, [invoice], function(err) {
+            should.not.exist(err);
+            should.not.exist(invoice.refundAttempts);
+            invoice.refundStatus.should.equal("pending");
+            done();
+        });
+    });
+});
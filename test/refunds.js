@@ -0,0 +1,137 @@
+/**
+ * Part of the evias/nem2pay package.
+ *
+ * NOTICE OF LICENSE
+ *
+ * Licensed under MIT License.
+ *
+ * This source file is subject to the MIT License that is
+ * bundled with this package in the LICENSE file.
+ *
+ * @package    evias/nem2pay
+ * @author     Grégory Saive <greg@evias.be> (https://github.com/evias)
+ * @license    MIT License
+ * @copyright  (c) 2019, Grégory Saive <greg@evias.be>
+ * @link       https://github.com/evias/nem2pay
+ */
+
+var should = require("should"),
+    nem = require("nem-sdk").default;
+
+// defines the `__line` global used by the core modules
+require("../core/logger.js");
+
+var MockChainAdapter = require("../core/chain-adapters/mock.js").MockChainAdapter;
+var helpers = require("../core/helpers.js").service;
+var RefundsManager = require("../core/refunds.js").RefundsManager;
+
+var fixtures = require("./support/fixtures.js");
+var silentLogger = fixtures.silentLogger;
+
+var RECIPIENT = "TBNSUVPYJXLMVC6PSBPLOFMLYLZ3ZZ3VY7G5BBSK";
+var MERCHANT_KEY = "c5d2a2a0b0dfa53bd5b8e6e5b2e7b2b1e1a4f2fa43f3ac4a2dd5a8d6a4c8d3f1";
+var FIRST_PAYER = nem.crypto.keyPair.create("1b3d7f5a4c2e9d8b6a5f4e3d2c1b0a99887766554433221100ffeeddccbbaa99").publicKey.toString();
+var SECOND_PAYER = nem.crypto.keyPair.create("2b3d7f5a4c2e9d8b6a5f4e3d2c1b0a99887766554433221100ffeeddccbbaa99").publicKey.toString();
+
+// Refund model stand-in, saved refunds are kept in `saved`.
+var createDataLayer = function(saved) {
+    var Refund = function(data) {
+        for (var field in data)
+            this[field] = data[field];
+
+        this.save = function(callback) {
+            saved.push(this);
+            callback(null);
+        };
+    };
+
+    return { Refund: Refund };
+};
+
+var createInvoice = function(number, amount, amountPaid, mosaic, divisibility) {
+    return fixtures.createInvoice({
+        number: number,
+        recipientXEM: RECIPIENT,
+        amount: amount,
+        amountPaid: amountPaid,
+        status: "overpaid",
+        isPaid: true,
+        paymentMosaicSlug: mosaic,
+        paymentMosaicDivisibility: divisibility
+    });
+};
+
+describe("RefundsManager", function() {
+    var adapter, refunds, saved;
+
+    beforeEach(function() {
+        adapter = new MockChainAdapter(nem);
+        saved = [];
+
+        var NEMHelpers = new helpers(null, nem, silentLogger, adapter);
+        refunds = new RefundsManager(silentLogger, NEMHelpers, createDataLayer(saved));
+    });
+
+    it("should refund the overpaid amount to the sender of the excess transaction", function(done) {
+        var invoice = createInvoice("NEM2PAY-1", 5000000, 7000000, "nem:xem", 6);
+        var first = adapter.addTransfer({ recipient: RECIPIENT, amount: 3000000, message: "NEM2PAY-1", signer: FIRST_PAYER });
+        var second = adapter.addTransfer({ recipient: RECIPIENT, amount: 4000000, message: "NEM2PAY-1", signer: SECOND_PAYER });
+
+        // transactions are read newest first
+        refunds.recordOverpayment(invoice, [second, first], function(err, refund) {
+            should.not.exist(err);
+            saved.length.should.equal(1);
+
+            refund.amount.should.equal(2000000);
+            refund.status.should.equal("pending");
+            refund.transactionHash.should.equal(second.meta.hash.data);
+            refund.payerXEM.should.equal(nem.model.address.toAddress(SECOND_PAYER, nem.model.network.data.mainnet.id));
+
+            invoice.amountOverpaid.should.equal(2000000);
+            invoice.refundStatus.should.equal("pending");
+
+            refunds.recordOverpayment(invoice, [second, first], function(err, refund) {
+                should(refund).be.null;
+                saved.length.should.equal(1);
+                done();
+            });
+        });
+    });
+
+    it("should build unsigned XEM transfers which can be prepared with the NEM-sdk", function() {
+        var unsigned = refunds.buildTransaction({
+            invoiceNumber: "NEM2PAY-1",
+            payerXEM: RECIPIENT,
+            recipientXEM: RECIPIENT,
+            mosaicSlug: "nem:xem",
+            amount: 2500000
+        });
+
+        unsigned.type.should.equal("transferTransaction");
+        unsigned.transaction.amount.should.equal(2.5);
+        unsigned.transaction.message.should.equal("Refund NEM2PAY-1");
+
+        var common = nem.model.objects.create("common")("", MERCHANT_KEY);
+        var entity = nem.model.transactions.prepare(unsigned.type)(common, unsigned.transaction, unsigned.network);
+
+        entity.amount.should.equal(2500000);
+        entity.recipient.should.equal(RECIPIENT);
+    });
+
+    it("should build unsigned mosaic transfers in the mosaic's smallest unit", function() {
+        var unsigned = refunds.buildTransaction({
+            invoiceNumber: "NEM2PAY-2",
+            payerXEM: RECIPIENT,
+            recipientXEM: RECIPIENT,
+            mosaicSlug: "evias.nem2pay:loyalty",
+            amount: 150
+        });
+
+        unsigned.type.should.equal("mosaicTransferTransaction");
+        unsigned.transaction.amount.should.equal(1);
+        unsigned.transaction.mosaics.should.eql([{
+            mosaicId: { namespaceId: "evias.nem2pay", name: "loyalty" },
+            quantity: 150
+        }]);
+    });
+});
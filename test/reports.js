@@ -0,0 +1,116 @@
+/**
+ * Part of the evias/nem2pay package.
+ *
+ * NOTICE OF LICENSE
+ *
+ * Licensed under MIT License.
+ *
+ * This source file is subject to the MIT License that is
+ * bundled with this package in the LICENSE file.
+ *
+ * @package    evias/nem2pay
+ * @author     Grégory Saive <greg@evias.be> (https://github.com/evias)
+ * @license    MIT License
+ * @copyright  (c) 2019, Grégory Saive <greg@evias.be>
+ * @link       https://github.com/evias/nem2pay
+ */
+
+var should = require("should");
+
+// defines the `__line` global used by the core modules
+require("../core/logger.js");
+
+var PaymentReports = require("../core/reports.js").PaymentReports;
+
+var silentLogger = require("./support/fixtures.js").silentLogger;
+
+describe("PaymentReports", function() {
+    var reports, pipelines, results;
+
+    beforeEach(function() {
+        pipelines = [];
+        results = [];
+
+        // NEMPaymentChannel stand-in returning the prepared aggregation results
+        var dataLayer = {
+            NEMPaymentChannel: {
+                aggregate: function(pipeline, callback) {
+                    pipelines.push(pipeline);
+                    callback(null, results);
+                }
+            }
+        };
+
+        reports = new PaymentReports(silentLogger, dataLayer);
+    });
+
+    it("should compute the conversion summary of a merchant", function(done) {
+        results = [{ _id: null, created: 8, paid: 3, overpaid: 1, expired: 4, cancelled: 1, timeToPay: 95400 }];
+
+        reports.getSummary("merchant-1", "2019-05-01", "2019-05-31", function(err, report) {
+            should.not.exist(err);
+
+            var match = pipelines[0][0].$match;
+            match.merchantId.should.equal("merchant-1");
+            match.createdAt.should.eql({ $gte: Date.UTC(2019, 4, 1), $lt: Date.UTC(2019, 5, 1) });
+
+            report.created.should.equal(8);
+            report.paid.should.equal(3);
+            report.conversionRate.should.equal(37.5);
+            report.averageTimeToPay.should.equal(95);
+            report.overpaid.should.equal(1);
+            report.expired.should.equal(4);
+            done();
+        });
+    });
+
+    it("should report empty ranges without invoices", function(done) {
+        reports.getSummary("merchant-1", null, null, function(err, report) {
+            should.not.exist(err);
+            should.not.exist(pipelines[0][0].$match.createdAt);
+
+            report.created.should.equal(0);
+            report.conversionRate.should.equal(0);
+            should(report.averageTimeToPay).be.null;
+            done();
+        });
+    });
+
+    it("should report revenue per mosaic and interval in mosaic units", function(done) {
+        results = [
+            { _id: { period: "2019-W18", mosaic: "evias.nem2pay:currency", divisibility: 2 }, amount: 12550, count: 2 },
+            { _id: { period: "2019-W18", mosaic: "nem:xem", divisibility: 6 }, amount: 2500000, count: 1 }
+        ];
+
+        reports.getRevenue("merchant-1", "week", "2019-05-01", null, function(err, report) {
+            should.not.exist(err);
+
+            var match = pipelines[0][0].$match;
+            match.status.should.eql({ $in: ["paid", "overpaid"] });
+            match.paidAt.should.eql({ $gte: Date.UTC(2019, 4, 1) });
+            pipelines[0][1].$group._id.period.$dateToString.format.should.equal("%G-W%V");
+
+            report.interval.should.equal("week");
+            report.revenue.should.eql([
+                { period: "2019-W18", mosaic: "evias.nem2pay:currency", amount: 125.5, invoices: 2 },
+                { period: "2019-W18", mosaic: "nem:xem", amount: 2.5, invoices: 1 }
+            ]);
+            done();
+        });
+    });
+
+    it("should cache reports by merchant and parameters", function(done) {
+        reports.getRevenue("merchant-1", "day", null, null, function() {
+            reports.getRevenue("merchant-1", "day", null, null, function() {
+                pipelines.length.should.equal(1);
+
+                reports.getRevenue("merchant-1", "month", null, null, function() {
+                    reports.getRevenue("merchant-2", "day", null, null, function() {
+                        pipelines.length.should.equal(3);
+                        done();
+                    });
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,456 @@
+/**
+ * Part of the evias/nem2pay package.
+ *
+ * NOTICE OF LICENSE
+ *
+ * Licensed under MIT License.
+ *
+ * This source file is subject to the MIT License that is
+ * bundled with this package in the LICENSE file.
+ *
+ * @package    evias/nem2pay
+ * @author     Grégory Saive <greg@evias.be> (https://github.com/evias)
+ * @license    MIT License
+ * @copyright  (c) 2019, Grégory Saive <greg@evias.be>
+ * @link       https://github.com/evias/nem2pay
+ */
+
+var should = require("should");
+var fs = require("fs");
+var path = require("path");
+var vm = require("vm");
+
+var SDK_SOURCE = fs.readFileSync(path.join(__dirname, "../www/js/nem2pay-1.0.0.js"), "utf8");
+
+var HOST = "https://nem2pay.example.com";
+
+// DOM element stand-in with the members used by the payment modal
+var createElement = function(tag) {
+    var attributes = {};
+
+    return {
+        tagName: tag,
+        style: {},
+        children: [],
+        parentNode: null,
+        setAttribute: function(name, value) { attributes[name] = String(value); },
+        getAttribute: function(name) { return attributes.hasOwnProperty(name) ? attributes[name] : null; },
+        appendChild: function(child) {
+            child.parentNode = this;
+            this.children.push(child);
+            return child;
+        },
+        removeChild: function(child) {
+            this.children.splice(this.children.indexOf(child), 1);
+            child.parentNode = null;
+            return child;
+        }
+    };
+};
+
+// Socket.IO client stand-in recording the emitted events, `trigger`
+// executes the listeners of an event sent by the backend.
+var createSocket = function() {
+    var listeners = {};
+
+    return {
+        connected: false,
+        disconnected: 0,
+        emitted: [],
+        on: function(event, listener) {
+            (listeners[event] = listeners[event] || []).push(listener);
+        },
+        emit: function(event, data, ack) {
+            this.emitted.push({ event: event, data: data, ack: ack });
+        },
+        disconnect: function() {
+            this.connected = false;
+            this.disconnected++;
+        },
+        trigger: function(event, data) {
+            if (event == "connect")
+                this.connected = true;
+
+            (listeners[event] || []).forEach(function(listener) {
+                listener(data);
+            });
+        }
+    };
+};
+
+// Load the SDK in a browser stand-in. `responses` are the bodies
+// returned to XMLHttpRequest requests, `io` is `false` when the
+// Socket.IO client must be loaded from the backend.
+var loadSDK = function(options) {
+    options = options || {};
+
+    var head = createElement("head");
+    var body = createElement("body");
+    var script = createElement("script");
+    script.src = HOST + "/js/nem2pay-1.0.0.js";
+
+    var browser = {
+        requests: [],
+        sockets: [],
+        intervals: [],
+        head: head,
+        body: body
+    };
+
+    var XMLHttpRequest = function() {
+        var xhr = this;
+
+        this.headers = {};
+        this.open = function(method, url) {
+            xhr.method = method;
+            xhr.url = url;
+        };
+        this.setRequestHeader = function(name, value) {
+            xhr.headers[name] = value;
+        };
+        this.send = function(data) {
+            xhr.body = data;
+            browser.requests.push(xhr);
+
+            var response = (options.responses || []).shift();
+            setImmediate(function() {
+                if (response === null)
+                    return xhr.onerror();
+
+                xhr.status = 200;
+                xhr.responseText = typeof response == "string" ? response : JSON.stringify(response);
+                xhr.onload();
+            });
+        };
+    };
+
+    var io = {
+        connect: function(host, connectOptions) {
+            var socket = createSocket();
+            socket.host = host;
+            socket.options = connectOptions;
+            browser.sockets.push(socket);
+            return socket;
+        }
+    };
+
+    var window = {
+        Promise: Promise,
+        XMLHttpRequest: XMLHttpRequest,
+        document: {
+            currentScript: script,
+            body: body,
+            createElement: createElement,
+            getElementsByTagName: function(tag) {
+                return tag == "head" ? [head] : [script];
+            }
+        },
+        // payment events refresh the invoice after a delay
+        setTimeout: function(callback) {
+            return setImmediate(callback);
+        },
+        setInterval: function(callback, delay) {
+            browser.intervals.push({ callback: callback, delay: delay });
+            return browser.intervals.length;
+        },
+        clearInterval: function(id) {
+            if (id)
+                browser.intervals[id - 1].cleared = true;
+        }
+    };
+
+    if (options.io !== false)
+        window.io = io;
+
+    window.window = window;
+    vm.runInNewContext(SDK_SOURCE, window);
+
+    browser.window = window;
+    browser.io = io;
+    browser.NEM2Pay = window.NEM2Pay;
+    return browser;
+};
+
+var createItem = function(fields) {
+    var item = {
+        number: "NEM2PAY-AAAAA",
+        status: "not_paid",
+        statusLabel: "Not paid",
+        amount: 2.5,
+        amountPaid: 0,
+        mosaic: "nem:xem",
+        recipient: "TBNSUVPYJXLMVC6PSBPLOFMLYLZ3ZZ3VY7G5BBSK",
+        message: "NEM2PAY-AAAAA",
+        isPaid: false,
+        isFinal: false
+    };
+
+    for (var field in fields)
+        item[field] = fields[field];
+
+    return item;
+};
+
+// answer the last `nem2pay_checkout_open` event of `socket`
+var answerCheckout = function(socket, response) {
+    var opened = socket.emitted.filter(function(emitted) {
+        return emitted.event == "nem2pay_checkout_open";
+    });
+
+    opened.length.should.be.above(0);
+    opened[opened.length - 1].ack(response);
+};
+
+var tick = function() {
+    return new Promise(function(resolve) {
+        setImmediate(resolve);
+    });
+};
+
+describe("NEM2Pay browser SDK", function() {
+    describe("requests", function() {
+        it("should create invoices with the storefront endpoint", function() {
+            var browser = loadSDK({ responses: [{ status: "ok", item: { invoice: { checkoutToken: "token-1" } } }] });
+            var payment = browser.NEM2Pay.pay({ createUrl: "/checkout/invoice", createData: { cart: 42 }, modal: false });
+
+            return tick().then(function() {
+                browser.requests.length.should.equal(1);
+                browser.requests[0].method.should.equal("POST");
+                browser.requests[0].url.should.equal("/checkout/invoice");
+                browser.requests[0].headers["Content-Type"].should.equal("application/json");
+                JSON.parse(browser.requests[0].body).should.eql({ cart: 42 });
+
+                payment.token.should.equal("token-1");
+                browser.sockets.length.should.equal(1);
+                browser.sockets[0].host.should.equal(HOST);
+            });
+        });
+
+        it("should reject payments when the invoice can not be created", function() {
+            var browser = loadSDK({ responses: [{ status: "error", message: "Cart is empty." }] });
+            var errors = [];
+            var payment = browser.NEM2Pay.pay({
+                createUrl: "/checkout/invoice",
+                modal: false,
+                onError: function(err) { errors.push(err.message); }
+            });
+
+            return payment.then(function() {
+                throw new Error("payment should have been rejected");
+            }, function(err) {
+                err.message.should.equal("Cart is empty.");
+                errors.should.eql(["Cart is empty."]);
+                payment.closed.should.be.true;
+                browser.sockets.length.should.equal(0);
+            });
+        });
+
+        it("should reject invalid responses and responses without checkout token", function() {
+            var browser = loadSDK({ responses: ["<html>", { status: "ok", item: {} }] });
+
+            var invalid = browser.NEM2Pay.pay({ createUrl: "/checkout/invoice", modal: false });
+            var tokenless = browser.NEM2Pay.pay({ createUrl: "/checkout/invoice", modal: false });
+
+            return Promise.all([
+                invalid.then(null, function(err) { return err.message; }),
+                tokenless.then(null, function(err) { return err.message; })
+            ]).then(function(messages) {
+                messages[0].should.match(/^Invalid response from \/checkout\/invoice/);
+                messages[1].should.match(/contains no checkout token/);
+            });
+        });
+
+        it("should reject payments without token and createUrl", function() {
+            var browser = loadSDK();
+
+            return browser.NEM2Pay.pay({ modal: false }).then(function() {
+                throw new Error("payment should have been rejected");
+            }, function(err) {
+                err.message.should.match(/`token` or `createUrl` is required/);
+                browser.requests.length.should.equal(0);
+            });
+        });
+    });
+
+    describe("socket", function() {
+        it("should open the checkout of the token when the socket connects", function() {
+            var browser = loadSDK();
+            var payment = browser.NEM2Pay.pay({ token: "token-1", modal: false });
+            var socket = browser.sockets[0];
+
+            socket.options.forceNew.should.be.true;
+            socket.emitted.length.should.equal(0);
+
+            socket.trigger("connect");
+            socket.emitted.length.should.equal(1);
+            socket.emitted[0].event.should.equal("nem2pay_checkout_open");
+            socket.emitted[0].data.should.equal("token-1");
+
+            answerCheckout(socket, { status: "ok", item: createItem() });
+            payment.invoice.status.should.equal("not_paid");
+
+            // status requests are never sent over HTTP
+            browser.requests.length.should.equal(0);
+        });
+
+        it("should open the checkout again when the socket reconnects", function() {
+            var browser = loadSDK();
+            browser.NEM2Pay.pay({ token: "token-1", modal: false });
+            var socket = browser.sockets[0];
+
+            socket.trigger("connect");
+            socket.trigger("disconnect");
+            socket.connected = false;
+            socket.trigger("connect");
+
+            socket.emitted.map(function(emitted) { return emitted.event; })
+                .should.eql(["nem2pay_checkout_open", "nem2pay_checkout_open"]);
+        });
+
+        it("should poll the status only while the socket is connected", function() {
+            var browser = loadSDK();
+            browser.NEM2Pay.pay({ token: "token-1", modal: false });
+            var socket = browser.sockets[0];
+            var poll = browser.intervals[0];
+
+            poll.delay.should.equal(30000);
+            poll.callback();
+            socket.emitted.length.should.equal(0);
+
+            socket.trigger("connect");
+            poll.callback();
+            socket.emitted.length.should.equal(2);
+        });
+
+        it("should load the Socket.IO client from the backend", function() {
+            var browser = loadSDK({ io: false });
+            var errors = [];
+            browser.NEM2Pay.pay({ token: "token-1", modal: false, onError: function(err) { errors.push(err.message); } });
+
+            var script = browser.head.children[0];
+            script.src.should.equal(HOST + "/socket.io/socket.io.js");
+            script.onerror();
+
+            errors.should.eql(["Could not load the Socket.IO client from " + HOST + "."]);
+        });
+
+        it("should reject payments of unknown checkout tokens", function() {
+            var browser = loadSDK();
+            var payment = browser.NEM2Pay.pay({ token: "unknown", modal: false });
+            var socket = browser.sockets[0];
+
+            socket.trigger("connect");
+            answerCheckout(socket, { status: "error", message: "Invoice not found." });
+
+            return payment.then(function() {
+                throw new Error("payment should have been rejected");
+            }, function(err) {
+                err.message.should.equal("Invoice not found.");
+                socket.disconnected.should.equal(1);
+            });
+        });
+    });
+
+    describe("events", function() {
+        it("should refresh the invoice on payment events", function() {
+            var browser = loadSDK();
+            var statuses = [];
+            var partials = [];
+            browser.NEM2Pay.pay({
+                token: "token-1",
+                modal: false,
+                onStatus: function(item) { statuses.push(item.status); },
+                onPartial: function(item) { partials.push(item.amountPaid); }
+            });
+            var socket = browser.sockets[0];
+
+            socket.trigger("connect");
+            answerCheckout(socket, { status: "ok", item: createItem() });
+
+            socket.trigger("nem2pay_payment_status_update", "{}");
+            return tick().then(function() {
+                socket.emitted.length.should.equal(2);
+                answerCheckout(socket, { status: "ok", item: createItem({ status: "paid_partly", amountPaid: 1 }) });
+
+                // the same partial payment is reported once
+                socket.trigger("nem2pay_payment_confirmations", "{}");
+                return tick();
+            }).then(function() {
+                answerCheckout(socket, { status: "ok", item: createItem({ status: "paid_partly", amountPaid: 1 }) });
+
+                statuses.should.eql(["not_paid", "paid_partly"]);
+                partials.should.eql([1]);
+            });
+        });
+
+        it("should resolve paid invoices and stop listening", function() {
+            var browser = loadSDK();
+            var paid = [];
+            var payment = browser.NEM2Pay.pay({
+                token: "token-1",
+                modal: false,
+                onPaid: function(item) { paid.push(item.number); }
+            });
+            var socket = browser.sockets[0];
+
+            socket.trigger("connect");
+            answerCheckout(socket, { status: "ok", item: createItem({ status: "paid", amountPaid: 2.5, isPaid: true, isFinal: true }) });
+
+            return payment.then(function(invoice) {
+                invoice.status.should.equal("paid");
+                paid.should.eql(["NEM2PAY-AAAAA"]);
+                socket.disconnected.should.equal(1);
+                browser.intervals[0].cleared.should.be.true;
+            });
+        });
+
+        it("should reject expired invoices", function() {
+            var browser = loadSDK();
+            var expired = [];
+            var payment = browser.NEM2Pay.pay({
+                token: "token-1",
+                modal: false,
+                onExpired: function(item) { expired.push(item.status); }
+            });
+            var socket = browser.sockets[0];
+
+            socket.trigger("connect");
+            answerCheckout(socket, { status: "ok", item: createItem() });
+            socket.trigger("nem2pay_payment_expired", "{}");
+
+            return tick().then(function() {
+                answerCheckout(socket, { status: "ok", item: createItem({ status: "expired", isFinal: true }) });
+                return payment;
+            }).then(function() {
+                throw new Error("payment should have been rejected");
+            }, function(err) {
+                err.message.should.equal("Invoice NEM2PAY-AAAAA is expired.");
+                expired.should.eql(["expired"]);
+            });
+        });
+
+        it("should report payments closed by the payer", function() {
+            var browser = loadSDK();
+            var closed = [];
+            var payment = browser.NEM2Pay.pay({ token: "token-1", onClose: function(item) { closed.push(item.status); } });
+            var socket = browser.sockets[0];
+
+            socket.trigger("connect");
+            answerCheckout(socket, { status: "ok", item: createItem() });
+
+            browser.body.children.length.should.equal(1);
+            payment.close();
+            payment.close();
+
+            closed.should.eql(["not_paid"]);
+            browser.body.children.length.should.equal(0);
+            socket.disconnected.should.equal(1);
+
+            // answers received after closing are ignored
+            socket.trigger("nem2pay_payment_status_update", "{}");
+            return tick().then(function() {
+                socket.emitted.length.should.equal(1);
+            });
+        });
+    });
+});
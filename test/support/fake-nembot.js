@@ -0,0 +1,182 @@
+/**
+ * Part of the evias/nem2pay package.
+ *
+ * NOTICE OF LICENSE
+ *
+ * Licensed under MIT License.
+ *
+ * This source file is subject to the MIT License that is
+ * bundled with this package in the LICENSE file.
+ *
+ * @package    evias/nem2pay
+ * @author     Grégory Saive <greg@evias.be> (https://github.com/evias)
+ * @license    MIT License
+ * @copyright  (c) 2019, Grégory Saive <greg@evias.be>
+ * @link       https://github.com/evias/nem2pay
+ */
+
+(function() {
+
+    var http = require("http"),
+        SocketIO = require("socket.io");
+
+    /**
+     * class FakeNEMBot is a local stand-in for the NEMBot payment
+     * listener (https://github.com/evias/nem-nodejs-bot).
+     *
+     * It speaks the payment channel protocol of the NEMBot: clients
+     * open channels with `nembot_open_payment_channel` and receive
+     * `nembot_payment_status_update` events. Status updates are not
+     * read from the blockchain but scripted with `sendStatusUpdate()`.
+     *
+     * The bot can also be started standalone for local development:
+     *
+     *   $ node test/support/fake-nembot.js [port]
+     *
+     * @author  Grégory Saive <greg@evias.be> (https://github.com/evias)
+     */
+    var FakeNEMBot = function() {
+        var server_ = null;
+        var io_ = null;
+
+        // opened channels by invoice number
+        var channels_ = {};
+        var channelWaiters_ = {};
+
+        /**
+         * Get the host of the running bot, as used in
+         * `payments.bots.paymentBot` or `PAYMENT_BOT_HOST`.
+         *
+         * @return {string}
+         */
+        this.getHost = function() {
+            return "ws://localhost:" + server_.address().port;
+        };
+
+        /**
+         * Start listening on `port`. A random free port is
+         * used when no port is given.
+         *
+         * @param   {integer}   port
+         * @param   {Function}  callback
+         * @return  {void}
+         */
+        this.start = function(port, callback) {
+            var self = this;
+
+            server_ = http.createServer();
+            io_ = SocketIO(server_);
+
+            io_.on("connection", function(socket) {
+                socket.on("nembot_open_payment_channel", function(rawdata) {
+                    var params = JSON.parse(rawdata);
+                    var number = params.message;
+
+                    if (!channels_.hasOwnProperty(number))
+                        channels_[number] = [];
+
+                    channels_[number].push({ socket: socket, params: params });
+
+                    var waiters = channelWaiters_[number] || [];
+                    delete channelWaiters_[number];
+
+                    for (var i = 0; i < waiters.length; i++)
+                        waiters[i](params);
+                });
+
+                socket.on("disconnect", function() {
+                    for (var number in channels_) {
+                        channels_[number] = channels_[number].filter(function(channel) {
+                            return channel.socket !== socket;
+                        });
+                    }
+                });
+            });
+
+            server_.listen(port || 0, function() {
+                callback && callback(self.getHost());
+            });
+        };
+
+        /**
+         * Close all channels and stop listening.
+         *
+         * @param   {Function}  callback
+         * @return  {void}
+         */
+        this.stop = function(callback) {
+            channels_ = {};
+            channelWaiters_ = {};
+
+            io_.close();
+            callback && callback();
+        };
+
+        /**
+         * Get the parameters of the channels opened for
+         * invoice `number`.
+         *
+         * @param   {string}    number
+         * @return  {Array}
+         */
+        this.getChannels = function(number) {
+            return (channels_[number] || []).map(function(channel) {
+                return channel.params;
+            });
+        };
+
+        /**
+         * Wait until a channel is opened for invoice `number`. The
+         * Promise resolves with the channel parameters.
+         *
+         * @param   {string}    number
+         * @return  Promise
+         */
+        this.waitForChannel = function(number) {
+            if (channels_.hasOwnProperty(number) && channels_[number].length)
+                return Promise.resolve(channels_[number][0].params);
+
+            return new Promise(function(resolve) {
+                if (!channelWaiters_.hasOwnProperty(number))
+                    channelWaiters_[number] = [];
+
+                channelWaiters_[number].push(resolve);
+            });
+        };
+
+        /**
+         * Send a `nembot_payment_status_update` on all channels of
+         * invoice `number`. `data` contains the `status` and amounts
+         * (`amountPaid`, `amountUnconfirmed`), the invoice number
+         * is added as the `message`.
+         *
+         * Returns the number of channels which received the update.
+         *
+         * @param   {string}    number
+         * @param   {object}    data
+         * @return  {integer}
+         */
+        this.sendStatusUpdate = function(number, data) {
+            var channels = channels_[number] || [];
+            var update = JSON.parse(JSON.stringify(data));
+
+            if (!update.hasOwnProperty("message"))
+                update.message = number;
+
+            var rawdata = JSON.stringify(update);
+            for (var i = 0; i < channels.length; i++)
+                channels[i].socket.emit("nembot_payment_status_update", rawdata);
+
+            return channels.length;
+        };
+    };
+
+    module.exports.FakeNEMBot = FakeNEMBot;
+
+    if (require.main === module) {
+        var bot = new FakeNEMBot();
+        bot.start(parseInt(process.argv[2] || 29081), function(host) {
+            console.log("Fake NEMBot listening on " + host);
+        });
+    }
+}());
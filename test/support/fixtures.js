@@ -0,0 +1,101 @@
+/**
+ * Part of the evias/nem2pay package.
+ *
+ * NOTICE OF LICENSE
+ *
+ * Licensed under MIT License.
+ *
+ * This source file is subject to the MIT License that is
+ * bundled with this package in the LICENSE file.
+ *
+ * @package    evias/nem2pay
+ * @author     Grégory Saive <greg@evias.be> (https://github.com/evias)
+ * @license    MIT License
+ * @copyright  (c) 2019, Grégory Saive <greg@evias.be>
+ * @link       https://github.com/evias/nem2pay
+ */
+
+(function() {
+
+    /**
+     * Logger stand-in discarding all messages.
+     *
+     * @type {object}
+     */
+    var silentLogger = {
+        debug: function() {},
+        info: function() {},
+        warn: function() {},
+        error: function() {}
+    };
+
+    /**
+     * Create a NEMPaymentChannel stand-in, no database needed.
+     *
+     * `fields` are copied over the defaults of a new invoice. The
+     * payment mosaic is read from `paymentMosaicSlug` and
+     * `paymentMosaicDivisibility` like in the model, `saved` counts
+     * the calls to save().
+     *
+     * @param   {object}    fields
+     * @return  {object}
+     */
+    var createInvoice = function(fields) {
+        return Object.assign({
+            amount: 0,
+            amountPaid: 0,
+            amountUnconfirmed: 0,
+            status: "not_paid",
+            isPaid: false,
+            saved: 0,
+            getRecipient: function() { return this.recipientXEM; },
+            getTotalIncoming: function() { return this.amountPaid + this.amountUnconfirmed; },
+            getMosaic: function() { return this.paymentMosaicSlug || "nem:xem"; },
+            getDivisibility: function() {
+                if (typeof this.paymentMosaicDivisibility != "number")
+                    return 6;
+
+                return this.paymentMosaicDivisibility;
+            },
+            save: function(callback) {
+                this.saved++;
+                callback && callback(null);
+            }
+        }, fields);
+    };
+
+    /**
+     * Check `document` against the conditions of a mongoose `query`.
+     *
+     * Supports equality, `$in`, `$ne`, `$gte`, `$lte`, `$exists`,
+     * `$or` and `$and`.
+     *
+     * @param   {object}    document
+     * @param   {object}    query
+     * @return  {boolean}
+     */
+    var matchesQuery = function(document, query) {
+        return Object.keys(query).every(function(field) {
+            var condition = query[field];
+
+            if (field == "$or")
+                return condition.some(function(alternative) { return matchesQuery(document, alternative); });
+
+            if (field == "$and")
+                return condition.every(function(conditions) { return matchesQuery(document, conditions); });
+
+            if (condition && typeof condition == "object")
+                return (!condition.hasOwnProperty("$in") || condition.$in.indexOf(document[field]) !== -1)
+                    && (!condition.hasOwnProperty("$ne") || document[field] !== condition.$ne)
+                    && (!condition.hasOwnProperty("$gte") || document[field] >= condition.$gte)
+                    && (!condition.hasOwnProperty("$lte") || document[field] <= condition.$lte)
+                    && (!condition.hasOwnProperty("$exists") || (typeof document[field] != "undefined") === condition.$exists);
+
+            return document[field] === condition;
+        });
+    };
+
+    module.exports.silentLogger = silentLogger;
+    module.exports.createInvoice = createInvoice;
+    module.exports.matchesQuery = matchesQuery;
+}());
@@ -0,0 +1,120 @@
+/**
+ * Part of the evias/nem2pay package.
+ *
+ * NOTICE OF LICENSE
+ *
+ * Licensed under MIT License.
+ *
+ * This source file is subject to the MIT License that is
+ * bundled with this package in the LICENSE file.
+ *
+ * @package    evias/nem2pay
+ * @author     Grégory Saive <greg@evias.be> (https://github.com/evias)
+ * @license    MIT License
+ * @copyright  (c) 2019, Grégory Saive <greg@evias.be>
+ * @link       https://github.com/evias/nem2pay
+ */
+
+var should = require("should"),
+    nem = require("nem-sdk").default;
+
+// defines the `__line` global used by the core modules
+require("../core/logger.js");
+
+var MockChainAdapter = require("../core/chain-adapters/mock.js").MockChainAdapter;
+var helpers = require("../core/helpers.js").service;
+var PaymentsProtocol = require("../core/payments-protocol.js").PaymentsProtocol;
+var TransactionLedger = require("../core/transaction-ledger.js").TransactionLedger;
+
+var fixtures = require("./support/fixtures.js");
+var silentLogger = fixtures.silentLogger;
+
+var RECIPIENT = "TBNSUVPYJXLMVC6PSBPLOFMLYLZ3ZZ3VY7G5BBSK";
+var PAYER_PUBLIC = nem.crypto.keyPair.create("1b3d7f5a4c2e9d8b6a5f4e3d2c1b0a99887766554433221100ffeeddccbbaa99").publicKey.toString();
+
+var createInvoice = function(number, amount) {
+    return fixtures.createInvoice({ number: number, merchantId: "merchant-1", recipientXEM: RECIPIENT, amount: amount });
+};
+
+describe("TransactionLedger", function() {
+    var adapter, NEMHelpers, ledger, entries;
+
+    beforeEach(function() {
+        adapter = new MockChainAdapter(nem);
+        NEMHelpers = new helpers(null, nem, silentLogger, adapter);
+        entries = {};
+
+        // PaymentTransaction stand-in keeping entries by hash
+        var dataLayer = {
+            PaymentTransaction: {
+                update: function(query, update, options, callback) {
+                    options.upsert.should.be.true;
+
+                    var entry = entries[query.hash] || Object.assign({}, update.$setOnInsert);
+                    entries[query.hash] = Object.assign(entry, update.$set);
+                    callback(null);
+                }
+            }
+        };
+
+        ledger = new TransactionLedger(silentLogger, NEMHelpers, dataLayer);
+    });
+
+    it("should store the transactions read for an invoice", function(done) {
+        var invoice = createInvoice("NEM2PAY-1", 3000000);
+        var protocol = new PaymentsProtocol(null, silentLogger, NEMHelpers, null);
+
+        adapter.addTransfer({ recipient: RECIPIENT, amount: 1000000, message: "NEM2PAY-1", signer: PAYER_PUBLIC, height: 7 });
+        adapter.addTransfer({ recipient: RECIPIENT, amount: 2000000, message: "NEM2PAY-1", signer: PAYER_PUBLIC, height: 8 });
+
+        protocol.fetchInvoicesRealHistory(RECIPIENT, [invoice], null, function(history) {
+            ledger.recordTransactions(invoice, history["NEM2PAY-1"].transactions, function(err) {
+                should.not.exist(err);
+
+                var hashes = Object.keys(entries);
+                hashes.length.should.equal(2);
+
+                var entry = entries[hashes[0]];
+                entry.hash.should.equal(hashes[0]);
+                entry.invoiceNumber.should.equal("NEM2PAY-1");
+                entry.merchantId.should.equal("merchant-1");
+                entry.recipient.should.equal(RECIPIENT);
+                entry.sender.should.equal(nem.model.address.toAddress(PAYER_PUBLIC, NEMHelpers.getNetwork().config.id));
+                entry.mosaicSlug.should.equal("nem:xem");
+                entry.source.should.equal("reconciler");
+                [1000000, 2000000].should.containEql(entry.amount);
+                [7, 8].should.containEql(entry.height);
+                should.exist(entry.timestamp);
+                should.exist(entry.createdAt);
+                done();
+            });
+        });
+    });
+
+    it("should store NEMBot updates once per transaction hash", function(done) {
+        var invoice = createInvoice("NEM2PAY-2", 1000000);
+
+        ledger.recordStatusUpdate(invoice, { status: "paid", message: "NEM2PAY-2" }, function(err) {
+            should.not.exist(err);
+            Object.keys(entries).length.should.equal(0);
+
+            var data = { status: "paid", message: "NEM2PAY-2", transactionHash: "abc123", amount: 1000000, height: 42 };
+            ledger.recordStatusUpdate(invoice, data, function() {
+                var createdAt = entries.abc123.createdAt;
+
+                ledger.recordTransactions(invoice, [], function() {
+                    data.sender = "TALICEROONSJCPHC63F52V6FY3SDMSVAEUGHMB7C";
+                    ledger.recordStatusUpdate(invoice, data, function() {
+                        Object.keys(entries).length.should.equal(1);
+                        entries.abc123.source.should.equal("bot");
+                        entries.abc123.recipient.should.equal(RECIPIENT);
+                        entries.abc123.sender.should.equal(data.sender);
+                        entries.abc123.height.should.equal(42);
+                        entries.abc123.createdAt.should.equal(createdAt);
+                        done();
+                    });
+                });
+            });
+        });
+    });
+});
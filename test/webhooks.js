@@ -0,0 +1,335 @@
+/**
+ * Part of the evias/nem2pay package.
+ *
+ * NOTICE OF LICENSE
+ *
+ * Licensed under MIT License.
+ *
+ * This source file is subject to the MIT License that is
+ * bundled with this package in the LICENSE file.
+ *
+ * @package    evias/nem2pay
+ * @author     Grégory Saive <greg@evias.be> (https://github.com/evias)
+ * @license    MIT License
+ * @copyright  (c) 2019, Grégory Saive <greg@evias.be>
+ * @link       https://github.com/evias/nem2pay
+ */
+
+var should = require("should"),
+    http = require("http"),
+    config = require("config"),
+    CryptoJS = require("crypto-js");
+
+// defines the `__line` global used by the core modules
+require("../core/logger.js");
+
+var WebhookDispatcher = require("../core/webhooks.js").WebhookDispatcher;
+var PaymentsProtocol = require("../core/payments-protocol.js").PaymentsProtocol;
+
+var fixtures = require("./support/fixtures.js");
+var silentLogger = fixtures.silentLogger;
+
+describe("WebhookDispatcher", function() {
+    var receiver;
+    var receiverUrl;
+    var responseStatus = 200;
+    var received = [];
+
+    // fake WebhookDelivery document, `save()` is a no-op.
+    var createDelivery = function(payload) {
+        return {
+            _id: "delivery-1",
+            url: receiverUrl,
+            event: "paid",
+            invoiceNumber: "NEM2PAY-1",
+            payload: JSON.stringify(payload),
+            status: "pending",
+            attempts: 0,
+            log: [],
+            save: function(callback) { callback(null); }
+        };
+    };
+
+    before(function(done) {
+        // local HTTP receiver for webhook deliveries
+        receiver = http.createServer(function(req, res) {
+            var body = "";
+            req.on("data", function(chunk) { body += chunk; });
+            req.on("end", function() {
+                received.push({ headers: req.headers, body: body });
+                res.statusCode = responseStatus;
+                res.end();
+            });
+        });
+
+        receiver.listen(0, "127.0.0.1", function() {
+            receiverUrl = "http://127.0.0.1:" + receiver.address().port + "/webhooks/nem2pay";
+            done();
+        });
+    });
+
+    after(function(done) {
+        receiver.close(done);
+    });
+
+    beforeEach(function() {
+        responseStatus = 200;
+        received = [];
+    });
+
+    it("should send the body signed with HMAC-SHA256 of the merchant secret", function(done) {
+        var dispatcher = new WebhookDispatcher(silentLogger, null);
+        var delivery = createDelivery({ event: "invoice.paid", invoice: { number: "NEM2PAY-1" } });
+
+        dispatcher.deliver(delivery, "merchant-secret", function(err, delivery) {
+            should.not.exist(err);
+            received.length.should.equal(1);
+
+            var expected = "sha256=" + CryptoJS.HmacSHA256(received[0].body, "merchant-secret").toString();
+            received[0].headers["x-nem2pay-signature"].should.equal(expected);
+            received[0].headers["x-nem2pay-event"].should.equal("paid");
+            JSON.parse(received[0].body).invoice.number.should.equal("NEM2PAY-1");
+
+            delivery.status.should.equal("delivered");
+            delivery.attempts.should.equal(1);
+            delivery.log.length.should.equal(1);
+            delivery.log[0].statusCode.should.equal(200);
+            done();
+        });
+    });
+
+    it("should schedule retries with an exponential backoff", function(done) {
+        var dispatcher = new WebhookDispatcher(silentLogger, null);
+        var delivery = createDelivery({ event: "invoice.paid_partly" });
+        var baseDelay = config.get("payments.webhooks.retryDelay") * 1000;
+
+        responseStatus = 500;
+        dispatcher.deliver(delivery, "merchant-secret", function(err, delivery) {
+            delivery.status.should.equal("pending");
+            delivery.attempts.should.equal(1);
+            (delivery.nextAttemptAt - delivery.lastAttemptAt).should.be.within(baseDelay, baseDelay + 1000);
+
+            dispatcher.deliver(delivery, "merchant-secret", function(err, delivery) {
+                delivery.attempts.should.equal(2);
+                delivery.log.length.should.equal(2);
+                (delivery.nextAttemptAt - delivery.lastAttemptAt).should.be.within(2 * baseDelay, 2 * baseDelay + 1000);
+                done();
+            });
+        });
+    });
+
+    it("should mark the delivery failed after the maximum number of attempts", function(done) {
+        var dispatcher = new WebhookDispatcher(silentLogger, null);
+        var delivery = createDelivery({ event: "invoice.expired" });
+
+        delivery.attempts = config.get("payments.webhooks.maxAttempts") - 1;
+        responseStatus = 503;
+        dispatcher.deliver(delivery, "merchant-secret", function(err, delivery) {
+            delivery.status.should.equal("failed");
+            delivery.log[0].statusCode.should.equal(503);
+            done();
+        });
+    });
+
+    it("should log connection errors as failed attempts", function(done) {
+        var dispatcher = new WebhookDispatcher(silentLogger, null);
+        var delivery = createDelivery({ event: "invoice.unconfirmed" });
+
+        delivery.url = "http://127.0.0.1:1/unreachable";
+        dispatcher.deliver(delivery, "merchant-secret", function(err, delivery) {
+            delivery.status.should.equal("pending");
+            delivery.log[0].statusCode.should.equal(0);
+            should.exist(delivery.log[0].error);
+            done();
+        });
+    });
+
+    describe("delivery queue", function() {
+        var deliveries, dataLayer;
+
+        beforeEach(function() {
+            deliveries = [];
+
+            // in-memory WebhookDelivery collection answering asynchronously like mongoose
+            var WebhookDelivery = function(data) {
+                Object.assign(this, data);
+                this._id = "delivery-" + (deliveries.length + 1);
+                this.save = function(callback) {
+                    if (deliveries.indexOf(this) === -1)
+                        deliveries.push(this);
+
+                    setImmediate(callback, null);
+                };
+            };
+
+            WebhookDelivery.find = function(query, callback) {
+                var found = deliveries.filter(function(delivery) { return fixtures.matchesQuery(delivery, query); });
+                if (callback)
+                    return setImmediate(callback, null, found);
+
+                // query builder of `find(query).sort(sort).exec(callback)`
+                return {
+                    sort: function(sort) {
+                        var field = Object.keys(sort)[0];
+                        found.sort(function(a, b) { return (a[field] - b[field]) * sort[field]; });
+                        return this;
+                    },
+                    exec: function(callback) {
+                        setImmediate(callback, null, found);
+                    }
+                };
+            };
+
+            WebhookDelivery.findOneAndUpdate = function(query, update, options, callback) {
+                var found = deliveries.filter(function(delivery) { return fixtures.matchesQuery(delivery, query); })[0];
+                if (found)
+                    Object.assign(found, update.$set);
+
+                setImmediate(callback, null, found || null);
+            };
+
+            dataLayer = {
+                Merchant: {
+                    findById: function(id, callback) {
+                        setImmediate(callback, null, { _id: id, webhookUrl: receiverUrl, webhookSecret: "merchant-secret" });
+                    }
+                },
+                WebhookDelivery: WebhookDelivery
+            };
+        });
+
+        it("should send queued deliveries once", function(done) {
+            var dispatcher = new WebhookDispatcher(silentLogger, dataLayer);
+            var invoice = { number: "NEM2PAY-1", merchantId: "merchant-1", status: "paid" };
+
+            dispatcher.enqueue(invoice, "paid", function(err, delivery) {
+                should.not.exist(err);
+                delivery.status.should.equal("delivered");
+
+                dispatcher.processQueue(function(err, processed) {
+                    processed.length.should.equal(0);
+                    received.length.should.equal(1);
+                    done();
+                });
+            });
+
+            // delivery worker running while the delivery is sent
+            setImmediate(function() {
+                dispatcher.processQueue();
+            });
+        });
+
+        it("should list the deliveries of an invoice of the merchant only", function(done) {
+            var dispatcher = new WebhookDispatcher(silentLogger, dataLayer);
+
+            [
+                { merchantId: "merchant-1", invoiceNumber: "NEM2PAY-1", event: "paid", createdAt: 2 },
+                { merchantId: "merchant-1", invoiceNumber: "NEM2PAY-1", event: "paid_partly", createdAt: 1 },
+                { merchantId: "merchant-1", invoiceNumber: "NEM2PAY-2", event: "paid", createdAt: 3 },
+                { merchantId: "merchant-2", invoiceNumber: "NEM2PAY-1", event: "expired", createdAt: 4 }
+            ].forEach(function(data) {
+                deliveries.push(new dataLayer.WebhookDelivery(data));
+            });
+
+            dispatcher.findDeliveries("merchant-1", "NEM2PAY-1", function(err, found) {
+                should.not.exist(err);
+                found.map(function(delivery) { return delivery.event; }).should.eql(["paid_partly", "paid"]);
+
+                dispatcher.findDeliveries("merchant-3", "NEM2PAY-1", function(err, found) {
+                    found.length.should.equal(0);
+                    done();
+                });
+            });
+        });
+
+        it("should let one worker claim each pending delivery", function(done) {
+            var first = new WebhookDispatcher(silentLogger, dataLayer);
+            var second = new WebhookDispatcher(silentLogger, dataLayer);
+
+            var delivery = new dataLayer.WebhookDelivery(createDelivery({ event: "invoice.paid" }));
+            delivery.merchantId = "merchant-1";
+            delivery.nextAttemptAt = 0;
+            deliveries.push(delivery);
+
+            var cntDone = 0;
+            var processed = [];
+            var finish = function(err, deliveries) {
+                processed = processed.concat(deliveries);
+                if (++cntDone < 2)
+                    return false;
+
+                processed.length.should.equal(1);
+                received.length.should.equal(1);
+                delivery.status.should.equal("delivered");
+                done();
+            };
+
+            first.processQueue(finish);
+            second.processQueue(finish);
+        });
+    });
+});
+
+describe("PaymentsProtocol status notifications", function() {
+    var protocol, invoice, queued, emitted;
+
+    before(function() {
+        process.env["PAYMENT_LISTENER"] = "nis";
+    });
+
+    after(function() {
+        delete process.env["PAYMENT_LISTENER"];
+    });
+
+    beforeEach(function() {
+        queued = [];
+        emitted = [];
+        invoice = fixtures.createInvoice({ number: "NEM2PAY-50", recipientXEM: "TBNSUVPYJXLMVC6PSBPLOFMLYLZ3ZZ3VY7G5BBSK", amount: 1000000 });
+
+        // Socket.IO server stand-in recording the events sent to clients
+        var io = {
+            sockets: {
+                to: function(clientId) {
+                    return {
+                        emit: function(event, data) {
+                            emitted.push({ clientId: clientId, event: event });
+                        }
+                    };
+                }
+            }
+        };
+
+        var dataLayer = {
+            NEMPaymentChannel: {
+                findOne: function(query, callback) {
+                    callback(null, query.number == invoice.number ? invoice : null);
+                }
+            }
+        };
+
+        var webhooks = {
+            enqueue: function(invoice, event) {
+                queued.push(event);
+            }
+        };
+
+        var paymentListener = { watch: function() {}, forget: function() {} };
+
+        protocol = new PaymentsProtocol(io, silentLogger, null, dataLayer, webhooks, null, paymentListener);
+    });
+
+    it("should notify repeated paid updates only once", function(done) {
+        protocol.startPaymentChannel(invoice, "client-1", function() {
+            protocol.storeInvoiceStatusUpdate({ status: "paid", message: "NEM2PAY-50", amountPaid: 1000000 });
+            protocol.storeInvoiceStatusUpdate({ status: "paid", message: "NEM2PAY-50", amountPaid: 1000000 });
+
+            invoice.status.should.equal("paid");
+            invoice.saved.should.equal(2);
+            queued.should.eql(["paid"]);
+            emitted.filter(function(entry) {
+                return entry.event == "nem2pay_payment_success";
+            }).length.should.equal(1);
+            done();
+        });
+    });
+});
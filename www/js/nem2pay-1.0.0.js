@@ -0,0 +1,502 @@
+/**
+ * Part of the evias/nem2pay package.
+ *
+ * NOTICE OF LICENSE
+ *
+ * Licensed under MIT License.
+ *
+ * This source file is subject to the MIT License that is
+ * bundled with this package in the LICENSE file.
+ *
+ * @package    evias/nem2pay
+ * @author     Grégory Saive <greg@evias.be> (https://github.com/evias)
+ * @license    MIT License
+ * @copyright  (c) 2019, Grégory Saive <greg@evias.be>
+ * @link       https://github.com/evias/nem2pay
+ */
+
+/**
+ * NEM2Pay browser SDK and payment widget (v1.0.0)
+ *
+ * Include the script from your NEM2Pay backend and open the payment
+ * modal of an invoice:
+ *
+ *     <script src="https://nem2pay.evias.be/js/nem2pay-1.0.0.js"></script>
+ *     <script>
+ *         NEM2Pay.pay({
+ *             token: "<checkoutToken of the invoice>",
+ *             onPaid: function(invoice) { ... },
+ *             onPartial: function(invoice) { ... },
+ *             onExpired: function(invoice) { ... }
+ *         }).then(function(invoice) { ... });
+ *     </script>
+ *
+ * Invoices are followed by their `checkoutToken`, returned with the
+ * invoice by the Merchant API. Invoices are created with the Merchant
+ * API key, which must never be sent to browsers. To create invoices
+ * from the widget, set `createUrl` to an endpoint of your own backend
+ * which calls `POST /api/v1/invoices` and returns its response.
+ * `createData` is sent to this endpoint as JSON.
+ *
+ * Options:
+ *
+ * - `token` : Checkout token of an existing invoice (`checkoutToken`)
+ * - `createUrl` : Storefront endpoint creating the invoice (used without `token`)
+ * - `createData` : Data sent to `createUrl`
+ * - `host` : NEM2Pay backend URL (defaults to the origin of this script)
+ * - `modal` : Render the payment modal (default `true`)
+ * - `onStatus(invoice)` : Every invoice status change
+ * - `onPartial(invoice)` : Partial payment received
+ * - `onPaid(invoice)` : Invoice paid
+ * - `onExpired(invoice)` : Invoice expired or cancelled
+ * - `onClose(invoice)` : Payment modal closed by the payer
+ * - `onError(error)` : Invoice creation or status errors
+ *
+ * The returned payment resolves with the invoice once paid and is
+ * rejected when the invoice expires, is cancelled or can not be loaded.
+ */
+(function(root) {
+
+    var version = "1.0.0";
+
+    var paymentEvents = [
+        "nem2pay_payment_status_update",
+        "nem2pay_payment_confirmations",
+        "nem2pay_payment_success",
+        "nem2pay_payment_expired",
+        "nem2pay_payment_cancelled",
+        "nem2pay_payment_requoted"
+    ];
+
+    // the default backend is the origin of this script
+    var scriptHost = (function() {
+        var script = document.currentScript;
+        if (!script) {
+            var scripts = document.getElementsByTagName("script");
+            for (var i = scripts.length - 1; i >= 0; i--)
+                if (/nem2pay-[0-9.]+(\.min)?\.js/.test(scripts[i].src)) {
+                    script = scripts[i];
+                    break;
+                }
+        }
+
+        var match = script && /^(https?:\/\/[^\/]+)/.exec(script.src);
+        return match ? match[1] : "";
+    }());
+
+    /**
+     * Send a JSON request, the callback receives `err` and the
+     * parsed response.
+     *
+     * @param   {string}    method
+     * @param   {string}    url
+     * @param   {object}    data
+     * @param   {Function}  callback
+     * @return  {void}
+     */
+    var request = function(method, url, data, callback) {
+        var xhr = new XMLHttpRequest();
+        xhr.open(method, url);
+        xhr.setRequestHeader("Accept", "application/json");
+        if (data)
+            xhr.setRequestHeader("Content-Type", "application/json");
+
+        xhr.onload = function() {
+            var response;
+            try {
+                response = JSON.parse(xhr.responseText);
+            } catch (e) {
+                return callback(new Error("Invalid response from " + url + " (HTTP " + xhr.status + ")."));
+            }
+
+            if (response.status == "error")
+                return callback(new Error(response.message));
+
+            return callback(null, response);
+        };
+        xhr.onerror = function() {
+            callback(new Error("Request to " + url + " failed."));
+        };
+        xhr.send(data ? JSON.stringify(data) : null);
+    };
+
+    /**
+     * Load the Socket.IO client of the NEM2Pay backend.
+     *
+     * @param   {string}    host
+     * @param   {Function}  callback
+     * @return  {void}
+     */
+    var loadSocketIO = function(host, callback) {
+        if (root.io)
+            return callback(null, root.io);
+
+        var script = document.createElement("script");
+        script.src = host + "/socket.io/socket.io.js";
+        script.onload = function() {
+            callback(null, root.io);
+        };
+        script.onerror = function() {
+            callback(new Error("Could not load the Socket.IO client from " + host + "."));
+        };
+        document.getElementsByTagName("head")[0].appendChild(script);
+    };
+
+    /**
+     * Create a DOM element with inline styles and text.
+     *
+     * @param   {string}    tag
+     * @param   {string}    style
+     * @param   {string}    text
+     * @return  {Element}
+     */
+    var element = function(tag, style, text) {
+        var node = document.createElement(tag);
+        if (style)
+            node.style.cssText = style;
+        if (typeof text != "undefined")
+            node.textContent = text;
+
+        return node;
+    };
+
+    /**
+     * class PaymentModal renders the payment instructions of an
+     * invoice in an overlay, updated with every status change.
+     *
+     * @param   {Payment}   payment
+     */
+    var PaymentModal = function(payment) {
+        var self = this;
+
+        this.overlay = element("div", "position:fixed;top:0;left:0;right:0;bottom:0;z-index:99999;background:rgba(0,0,0,0.5);font-family:sans-serif;overflow:auto;");
+        this.box = element("div", "position:relative;max-width:380px;margin:40px auto;padding:20px;background:#fff;border-radius:6px;text-align:center;color:#333;");
+        this.overlay.appendChild(this.box);
+
+        var close = element("button", "position:absolute;top:8px;right:12px;border:0;background:none;font-size:24px;cursor:pointer;", "×");
+        close.setAttribute("aria-label", "Close");
+        close.onclick = function() {
+            payment.close();
+        };
+        this.box.appendChild(close);
+
+        this.title = element("h3", "margin:0 0 8px;", "");
+        this.status = element("p", "margin:0 0 12px;font-weight:bold;", "Loading...");
+        this.notice = element("p", "display:none;padding:10px;border-radius:4px;", "");
+        this.box.appendChild(this.title);
+        this.box.appendChild(this.status);
+        this.box.appendChild(this.notice);
+
+        this.instructions = element("div");
+        this.qr = element("img", "width:220px;height:220px;");
+        this.qr.setAttribute("alt", "QR code");
+        this.amount = element("p", "font-size:18px;margin:10px 0;");
+        this.recipient = element("p", "font-family:monospace;font-size:12px;word-break:break-all;");
+        this.message = element("p", "font-size:13px;");
+        this.link = element("a", "font-size:13px;", "Open the payment page");
+        this.link.setAttribute("target", "_blank");
+        this.link.setAttribute("rel", "noopener");
+
+        this.instructions.appendChild(this.qr);
+        this.instructions.appendChild(this.amount);
+        this.instructions.appendChild(this.recipient);
+        this.instructions.appendChild(this.message);
+        this.instructions.appendChild(this.link);
+        this.box.appendChild(this.instructions);
+
+        document.body.appendChild(this.overlay);
+
+        /**
+         * Display the invoice `item` (see `nem2pay_checkout_open`).
+         *
+         * @param   {object}    item
+         * @return  {void}
+         */
+        this.update = function(item) {
+            self.title.textContent = "Invoice " + item.number;
+            self.status.textContent = item.statusLabel || item.status;
+            self.amount.textContent = item.amount + " " + item.mosaic;
+            self.recipient.textContent = item.recipient;
+            self.message.textContent = "Message: " + item.message;
+            self.link.setAttribute("href", payment.host + "/pay/" + encodeURIComponent(payment.token));
+
+            if (self.qr.getAttribute("data-amount") != item.amount) {
+                // amounts change when the quote of an invoice is renewed
+                self.qr.setAttribute("data-amount", item.amount);
+                self.qr.src = payment.host + "/pay/" + encodeURIComponent(payment.token) + "/qr.svg?t=" + new Date().valueOf();
+            }
+
+            if (item.isPaid)
+                self.showNotice("Payment received, thank you.", "#dff0d8");
+            else if (item.isFinal)
+                self.showNotice("This invoice can not be paid anymore.", "#f2dede");
+            else if (item.status == "paid_partly")
+                self.showNotice("Received " + item.amountPaid + " of " + item.amount + " " + item.mosaic + ".", "#d9edf7");
+
+            self.instructions.style.display = item.isFinal ? "none" : "block";
+        };
+
+        /**
+         * Display a notice above the payment instructions.
+         *
+         * @param   {string}    text
+         * @param   {string}    background
+         * @return  {void}
+         */
+        this.showNotice = function(text, background) {
+            self.notice.textContent = text;
+            self.notice.style.background = background;
+            self.notice.style.display = "block";
+        };
+
+        /**
+         * Remove the modal from the page.
+         *
+         * @return  {void}
+         */
+        this.remove = function() {
+            if (self.overlay.parentNode)
+                self.overlay.parentNode.removeChild(self.overlay);
+        };
+    };
+
+    /**
+     * class Payment follows the status of an invoice until it is
+     * paid, expired or cancelled.
+     *
+     * @param   {object}    options     See the options of `NEM2Pay.pay()`
+     */
+    var Payment = function(options) {
+        var self = this;
+
+        this.options = options;
+        this.host = (options.host || scriptHost).replace(/\/$/, "");
+        this.invoice = null;
+        this.socket = null;
+        this.modal = options.modal === false ? null : new PaymentModal(this);
+        this.closed = false;
+
+        var amountPaid_ = null;
+        var poll_ = null;
+        var settle_ = { resolve: function() {}, reject: function() {} };
+
+        if (root.Promise) {
+            this.promise = new root.Promise(function(resolve, reject) {
+                settle_ = { resolve: resolve, reject: reject };
+            });
+
+            // integrations using only the callbacks ignore rejections
+            this.promise["catch"](function() {});
+        }
+
+        /**
+         * Register callbacks executed once the invoice is paid
+         * (`onPaid`) or can not be paid anymore (`onRejected`).
+         *
+         * @param   {Function}  onPaid
+         * @param   {Function}  onRejected
+         * @return  {Promise}
+         */
+        this.then = function(onPaid, onRejected) {
+            if (!self.promise)
+                throw new Error("Promises are not supported by this browser, use the `onPaid` and `onExpired` options.");
+
+            return self.promise.then(onPaid, onRejected);
+        };
+
+        /**
+         * Stop following the invoice and remove the payment modal.
+         *
+         * @return  {void}
+         */
+        this.close = function() {
+            if (self.closed)
+                return;
+
+            var wasFinal = self.invoice && self.invoice.isFinal;
+            self.stop();
+
+            if (!wasFinal)
+                self.emit("onClose", self.invoice);
+        };
+
+        /**
+         * Stop listening for payment events and remove the modal.
+         *
+         * @return  {void}
+         */
+        this.stop = function() {
+            self.closed = true;
+            clearInterval(poll_);
+
+            if (self.socket)
+                self.socket.disconnect();
+
+            if (self.modal)
+                self.modal.remove();
+        };
+
+        /**
+         * Execute the option callback `name`.
+         *
+         * @param   {string}    name
+         * @param   {*}         data
+         * @return  {void}
+         */
+        this.emit = function(name, data) {
+            if (typeof self.options[name] == "function")
+                self.options[name].call(self, data);
+        };
+
+        /**
+         * Report an error, payments which could not be started
+         * are rejected.
+         *
+         * @param   {Error}     err
+         * @return  {void}
+         */
+        this.fail = function(err) {
+            self.emit("onError", err);
+
+            if (!self.invoice) {
+                settle_.reject(err);
+                self.stop();
+            }
+        };
+
+        /**
+         * Process the current status of the invoice.
+         *
+         * @param   {object}    item
+         * @return  {void}
+         */
+        this.update = function(item) {
+            if (self.closed)
+                return;
+
+            var previous = self.invoice;
+            self.invoice = item;
+
+            if (self.modal)
+                self.modal.update(item);
+
+            if (!previous || previous.status != item.status)
+                self.emit("onStatus", item);
+
+            if (item.status == "paid_partly" && item.amountPaid != amountPaid_)
+                self.emit("onPartial", item);
+
+            amountPaid_ = item.amountPaid;
+
+            if (!item.isFinal)
+                return;
+
+            if (item.isPaid || item.status == "overpaid") {
+                self.emit("onPaid", item);
+                settle_.resolve(item);
+            } else {
+                self.emit("onExpired", item);
+                settle_.reject(new Error("Invoice " + item.number + " is " + item.status + "."));
+            }
+
+            // the modal shows the final status until it is closed
+            clearInterval(poll_);
+            if (self.socket)
+                self.socket.disconnect();
+        };
+
+        /**
+         * Reload the invoice status, opening the checkout on the
+         * socket also attaches it to the payment channel of the
+         * invoice.
+         *
+         * @return  {void}
+         */
+        this.refresh = function() {
+            if (self.closed || !self.socket || !self.socket.connected)
+                return;
+
+            self.socket.emit("nem2pay_checkout_open", self.token, function(response) {
+                if (!response || response.status != "ok")
+                    return self.fail(new Error(response && response.message ? response.message : "Invoice not found."));
+
+                self.update(response.item);
+            });
+        };
+
+        /**
+         * Follow the status updates of the invoice with the
+         * checkout token `token`.
+         *
+         * @param   {string}    token
+         * @return  {void}
+         */
+        this.listen = function(token) {
+            self.token = token;
+
+            loadSocketIO(self.host, function(err, io) {
+                if (err)
+                    return self.fail(err);
+
+                if (self.closed)
+                    return;
+
+                // channels are attached to sockets, reconnected sockets open the checkout again
+                self.socket = io.connect(self.host, { forceNew: true });
+                self.socket.on("connect", self.refresh);
+
+                // status updates are sent before the invoice is saved
+                for (var i = 0; i < paymentEvents.length; i++)
+                    self.socket.on(paymentEvents[i], function() {
+                        setTimeout(self.refresh, 1000);
+                    });
+
+                // in case events are missed while reconnecting
+                poll_ = setInterval(self.refresh, 30000);
+            });
+        };
+
+        /**
+         * Create the invoice with the storefront endpoint `createUrl`.
+         *
+         * @return  {void}
+         */
+        this.create = function() {
+            request("POST", self.options.createUrl, self.options.createData || {}, function(err, response) {
+                if (err)
+                    return self.fail(err);
+
+                // response of `POST /api/v1/invoices`, forwarded by the storefront
+                var token = response.item && response.item.invoice ? response.item.invoice.checkoutToken : response.checkoutToken;
+                if (!token)
+                    return self.fail(new Error("The response of " + self.options.createUrl + " contains no checkout token."));
+
+                self.listen(token);
+            });
+        };
+
+        if (options.token)
+            this.listen(options.token);
+        else if (options.createUrl)
+            this.create();
+        else
+            setTimeout(function() {
+                self.fail(new Error("Either `token` or `createUrl` is required."));
+            }, 0);
+    };
+
+    root.NEM2Pay = {
+        version: version,
+
+        /**
+         * Open the payment of an invoice.
+         *
+         * @param   {object}    options
+         * @return  {Payment}
+         */
+        pay: function(options) {
+            return new Payment(options || {});
+        }
+    };
+
+}(window));